@@ -6,11 +6,30 @@ import path from 'node:path';
 import url from 'node:url';
 import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs/yargs';
-import config from '../lib/config.js';
+import account from '../lib/account.js';
+import call from '../lib/call.js';
+import config, {
+  editDeployAlias,
+  removeDeployAlias,
+  renameDeployAlias,
+} from '../lib/config.js';
 import Constants from '../lib/constants.js';
 import deploy from '../lib/deploy.js';
+import deployments from '../lib/deployments.js';
+import { actions, events } from '../lib/events.js';
 import example from '../lib/example.js';
 import file from '../lib/file.js';
+import fund from '../lib/fund.js';
+import { enableJsonOutput } from '../lib/json-output.js';
+import {
+  keysDelete,
+  keysEncrypt,
+  keysExport,
+  keysGenerate,
+  keysImport,
+  keysList,
+  keysShow,
+} from '../lib/keys.js';
 import {
   lightnetExplorer,
   lightnetFollowLogs,
@@ -19,8 +38,11 @@ import {
   lightnetStatus,
   lightnetStop,
 } from '../lib/lightnet.js';
+import { broadcast, sign } from '../lib/offline-deploy.js';
 import project from '../lib/project.js';
+import state from '../lib/state.js';
 import system from '../lib/system.js';
+import upgrade from '../lib/upgrade.js';
 
 const __filename = url.fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,10 +54,34 @@ yargs(hideBin(process.argv))
   .strictOptions()
   .updateStrings(getCustomizedStrings())
   .demandCommand(1, chalk.red('Please provide a command.'))
+  .option('json', {
+    boolean: true,
+    demand: false,
+    hidden: false,
+    global: true,
+    description:
+      'Print the command result, or its error, as one JSON document on stdout.\nThe human-readable output is printed on stderr.',
+  })
+  .middleware((argv) => {
+    if (argv.json) {
+      enableJsonOutput();
+    }
+  })
   .command(projectCli())
   .command(fileCli())
   .command(configCli())
   .command(deployCli())
+  .command(upgradeCli())
+  .command(callCli())
+  .command(stateCli())
+  .command(eventsCli())
+  .command(actionsCli())
+  .command(signCli())
+  .command(broadcastCli())
+  .command(deploymentsCli())
+  .command(keysCli())
+  .command(accountCli())
+  .command(fundCli())
   .command(exampleCli())
   .command(systemCli())
   .command(lightnetCli())
@@ -92,35 +138,232 @@ function fileCli() {
 function configCli() {
   return {
     command: ['config [list] [lightnet]'],
-    describe: 'List or add a new deploy alias',
+    describe: 'List, add, edit, rename or remove deploy aliases',
+    builder: (yargs) =>
+      yargs
+        .options({
+          list: {
+            alias: 'l',
+            demand: false,
+            boolean: true,
+            hidden: false,
+            global: false,
+            default: false,
+            description:
+              'Whether to list the available deploy aliases and their configurations.',
+          },
+          lightnet: {
+            alias: 'ln',
+            demand: false,
+            boolean: true,
+            hidden: false,
+            global: false,
+            default: false,
+            description:
+              'Whether to automatically configure the deploy alias compatible with the lightweight Mina blockchain network.',
+          },
+          name: {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The name of the deploy alias to create.\nProviding any of the deploy alias values as flags skips the prompts.',
+          },
+          'network-id': {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The network id of the deploy alias: testnet, mainnet or a custom one.\nDefaults to testnet.',
+          },
+          url: {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description: 'The Mina GraphQL API URL to deploy to.',
+          },
+          'archive-url': {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The Archive-Node-API URL to fetch the actions and events from.',
+          },
+          header: {
+            demand: false,
+            array: true,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'A header to send to the Mina GraphQL API, as "Name: value", e.g. an API key.\nThe ${NAME} references are read from the environment variables. Can be repeated.',
+          },
+          'archive-header': {
+            demand: false,
+            array: true,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'A header to send to the Archive-Node-API, as "Name: value".\nThe --header values are only sent to an Archive-Node-API on the same origin as the --url. Can be repeated.',
+          },
+          fee: {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The transaction fee to use when deploying, in MINA, or "auto" to estimate it.',
+          },
+          feepayer: {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            choices: ['create', 'recover', 'cached'],
+            description:
+              'Whether to create a new fee payer key pair, recover it from a private key\nor use a fee payer stored on this computer.',
+          },
+          'feepayer-alias': {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The alias of the fee payer to create, recover or use.\nDefaults to the first stored fee payer with `--feepayer cached`.',
+          },
+          'feepayer-key-env': {
+            demand: false,
+            string: true,
+            hidden: false,
+            global: false,
+            description:
+              'The environment variable holding the base58 private key to recover\nthe fee payer from with `--feepayer recover`.',
+          },
+        })
+        .command(
+          ['edit <alias>'],
+          'Edit the network, URLs and fee of a deploy alias.',
+          {
+            alias: { demand: true, string: true, hidden: true },
+            'pin-chain-id': {
+              boolean: true,
+              demand: false,
+              hidden: false,
+              default: false,
+              description:
+                'Pin the chain id reported by the node again, e.g. after a network reset.\nOtherwise, it is only pinned again if the URL changes and this is confirmed.',
+            },
+          },
+          async (argv) => await editDeployAlias(argv)
+        )
+        .command(
+          ['rename <alias> <new-alias>'],
+          'Rename a deploy alias and move its zkApp key pair file accordingly.',
+          {
+            alias: { demand: true, string: true, hidden: true },
+            'new-alias': { demand: true, string: true, hidden: true },
+          },
+          async (argv) => await renameDeployAlias(argv)
+        )
+        .command(
+          ['remove <alias>'],
+          'Remove a deploy alias and delete its zkApp key pair files.',
+          {
+            alias: { demand: true, string: true, hidden: true },
+            'keep-keys': {
+              boolean: true,
+              demand: false,
+              hidden: false,
+              default: false,
+              description:
+                'Whether to keep the zkApp key pair files of the deploy alias.',
+            },
+            y: {
+              alias: 'yes',
+              boolean: true,
+              demand: false,
+              hidden: false,
+              description:
+                'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
+            },
+          },
+          async (argv) => await removeDeployAlias(argv)
+        ),
+    handler: async (argv) => await config(argv),
+  };
+}
+
+function deployCli() {
+  return {
+    command: ['deploy [alias]'],
+    describe: 'Deploy or redeploy a zkApp',
     builder: {
-      list: {
-        alias: 'l',
+      alias: { demand: false, string: true, hidden: true },
+      y: {
+        alias: 'yes',
+        boolean: true,
         demand: false,
+        hidden: false,
+        description:
+          'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
+      },
+      'dry-run': {
         boolean: true,
+        demand: false,
         hidden: false,
-        default: false,
         description:
-          'Whether to list the available deploy aliases and their configurations.',
+          'Build and prove the deploy transaction without sending it.\nThe signed transaction and its summary are written to build/dry-run/<alias>.json.',
       },
-      lightnet: {
-        alias: 'ln',
+      wait: {
+        boolean: true,
         demand: false,
+        hidden: false,
+        description:
+          'Wait for the deploy transaction to be included in a block.\nExits with a non-zero code if the transaction fails or is not included.',
+      },
+      'export-unsigned': {
         boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Build and prove the deploy transaction using the public keys only.\nThe unsigned transaction is written to build/unsigned/<alias>.json to be signed offline with `zk sign`.',
+      },
+      resend: {
+        boolean: true,
+        demand: false,
         hidden: false,
-        default: false,
         description:
-          'Whether to automatically configure the deploy alias compatible with the lightweight Mina blockchain network.',
+          'Send again the transactions of the last deployment with the same nonce,\ne.g. if they were dropped before being included in a block.',
+      },
+      'bump-fee': {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        implies: 'resend',
+        description:
+          'Sign the resent transactions again with a 10% higher fee,\nto replace the transactions stuck in the node pool.',
+      },
+      'allow-mainnet': {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Allow `--yes` for the mainnet deploy aliases.\nOtherwise, the deploy alias name must be typed to confirm.',
       },
     },
-    handler: async (argv) => await config(argv),
+    handler: async (argv) => await deploy(argv),
   };
 }
 
-function deployCli() {
+function upgradeCli() {
   return {
-    command: ['deploy [alias]'],
-    describe: 'Deploy or redeploy a zkApp',
+    command: ['upgrade [alias]'],
+    describe: 'Upgrade the verification key of a deployed zkApp',
     builder: {
       alias: { demand: false, string: true, hidden: true },
       y: {
@@ -131,8 +374,381 @@ function deployCli() {
         description:
           'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
       },
+      'allow-mainnet': {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Allow `--yes` for the mainnet deploy aliases.\nOtherwise, the deploy alias name must be typed to confirm.',
+      },
     },
-    handler: async (argv) => await deploy(argv),
+    handler: async (argv) => await upgrade(argv),
+  };
+}
+
+function callCli() {
+  return {
+    command: ['call <alias> <method> [args..]'],
+    describe: 'Call a method of a deployed zkApp',
+    builder: {
+      alias: { demand: true, string: true, hidden: true },
+      method: {
+        demand: true,
+        string: true,
+        hidden: true,
+        description: 'The smart contract method to call.',
+      },
+      args: {
+        demand: false,
+        string: true,
+        hidden: true,
+        description:
+          'The method arguments, in the o1js JSON format of their types.',
+      },
+      contract: {
+        demand: false,
+        string: true,
+        hidden: false,
+        description:
+          'The smart contract to call.\nRequired if several smart contracts are deployed to the deploy alias.',
+      },
+      y: {
+        alias: 'yes',
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
+      },
+      wait: {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        default: true,
+        description:
+          'Wait for the transaction to be included in a block and print the new on-chain state.\nUse --no-wait to exit once the transaction is sent.',
+      },
+      'allow-mainnet': {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Allow `--yes` for the mainnet deploy aliases.\nOtherwise, the deploy alias name must be typed to confirm.',
+      },
+    },
+    handler: async (argv) => await call(argv),
+  };
+}
+
+function stateCli() {
+  return {
+    command: ['state [alias]'],
+    describe: 'Show the on-chain state of a deployed zkApp',
+    builder: {
+      alias: { demand: false, string: true, hidden: true },
+      contract: {
+        demand: false,
+        string: true,
+        hidden: false,
+        description:
+          'The smart contract to inspect.\nRequired if several smart contracts are deployed to the deploy alias.',
+      },
+      watch: {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Keep polling the state and print it again when it changes.',
+      },
+    },
+    handler: async (argv) => await state(argv),
+  };
+}
+
+function eventsCli() {
+  return {
+    command: ['events [alias]'],
+    describe: 'Show the events emitted by a deployed zkApp',
+    builder: getArchiveQueryOptions('events'),
+    handler: async (argv) => await events(argv),
+  };
+}
+
+function actionsCli() {
+  return {
+    command: ['actions [alias]'],
+    describe: 'Show the actions dispatched by a deployed zkApp',
+    builder: getArchiveQueryOptions('actions'),
+    handler: async (argv) => await actions(argv),
+  };
+}
+
+function getArchiveQueryOptions(kind) {
+  return {
+    alias: { demand: false, string: true, hidden: true },
+    contract: {
+      demand: false,
+      string: true,
+      hidden: false,
+      description:
+        'The smart contract to query.\nRequired if several smart contracts are deployed to the deploy alias.',
+    },
+    from: {
+      demand: false,
+      number: true,
+      hidden: false,
+      description: `Only show the ${kind} from this block height.`,
+    },
+    to: {
+      demand: false,
+      number: true,
+      hidden: false,
+      description: `Only show the ${kind} up to this block height.`,
+    },
+    'archive-url': {
+      demand: false,
+      string: true,
+      hidden: false,
+      description:
+        'The Archive-Node-API URL to query.\nDefaults to the "archiveUrl" of the deploy alias, or to the Lightnet one.',
+    },
+    follow: {
+      boolean: true,
+      demand: false,
+      hidden: false,
+      conflicts: 'to',
+      description: `Keep polling for new ${kind} and print them as they arrive.`,
+    },
+  };
+}
+
+function signCli() {
+  return {
+    command: ['sign <file>'],
+    describe: 'Sign the exported deploy transactions offline',
+    builder: {
+      file: { demand: true, string: true, hidden: true },
+    },
+    handler: async (argv) => await sign(argv),
+  };
+}
+
+function broadcastCli() {
+  return {
+    command: ['broadcast <file> <alias>'],
+    describe: 'Send the transactions signed by `zk sign` to the network',
+    builder: {
+      file: { demand: true, string: true, hidden: true },
+      alias: { demand: true, string: true, hidden: true },
+      y: {
+        alias: 'yes',
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
+      },
+      'allow-mainnet': {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        description:
+          'Allow `--yes` for the mainnet deploy aliases.\nOtherwise, the deploy alias name must be typed to confirm.',
+      },
+    },
+    handler: async (argv) => await broadcast(argv),
+  };
+}
+
+function deploymentsCli() {
+  return {
+    command: ['deployments [alias]'],
+    describe: 'Show the deployment history of the deploy aliases',
+    builder: {
+      alias: { demand: false, string: true, hidden: true },
+    },
+    handler: async (argv) => await deployments(argv),
+  };
+}
+
+function keysCli() {
+  const aliasOption = { alias: { demand: true, string: true, hidden: true } };
+  const zkappOption = {
+    zkapp: {
+      boolean: true,
+      demand: false,
+      hidden: false,
+      default: false,
+      description:
+        'Manage a zkApp key pair in the keys directory of the project instead of a fee payer key pair.',
+    },
+  };
+  const encryptOption = {
+    encrypt: {
+      boolean: true,
+      demand: false,
+      hidden: false,
+      default: true,
+      description:
+        'Whether to encrypt the fee payer private key with a passphrase.\nUse --no-encrypt to store it in plain text.',
+    },
+  };
+
+  return {
+    command: ['keys <sub-command> [options]'],
+    describe: 'Manage the fee payer and zkApp key pairs',
+    builder: (yargs) =>
+      yargs
+        .command(
+          ['list'],
+          'List the fee payer key pairs and the zkApp key pairs of the project, with the deploy aliases using them.',
+          {},
+          async (argv) => await keysList(argv)
+        )
+        .command(
+          ['show <alias>'],
+          'Show the public key of a key pair.',
+          { ...aliasOption, ...zkappOption },
+          async (argv) => await keysShow(argv)
+        )
+        .command(
+          ['import <alias>'],
+          'Import a key pair from its base58 private key.',
+          {
+            ...aliasOption,
+            ...zkappOption,
+            'key-env': {
+              demand: false,
+              string: true,
+              hidden: false,
+              description:
+                'The environment variable holding the base58 private key to import.\nThe private key is prompted for otherwise.',
+            },
+            ...encryptOption,
+          },
+          async (argv) => await keysImport(argv)
+        )
+        .command(
+          ['export <alias>'],
+          'Print a key pair, including its private key.',
+          { ...aliasOption, ...zkappOption },
+          async (argv) => await keysExport(argv)
+        )
+        .command(
+          ['generate <alias>'],
+          'Generate a new key pair.',
+          { ...aliasOption, ...zkappOption, ...encryptOption },
+          async (argv) => await keysGenerate(argv)
+        )
+        .command(
+          ['delete <alias>'],
+          'Delete a key pair which is not used by a deploy alias of the project.',
+          {
+            ...aliasOption,
+            ...zkappOption,
+            y: {
+              alias: 'yes',
+              boolean: true,
+              demand: false,
+              hidden: false,
+              description:
+                'Respond `yes` to all confirmation prompts.\nAllows running non-interactively within a script.',
+            },
+            force: {
+              boolean: true,
+              demand: false,
+              hidden: false,
+              description:
+                'Allow `--yes` for the fee payer key pairs.\nTheir usages by other projects can not be checked.',
+            },
+          },
+          async (argv) => await keysDelete(argv)
+        )
+        .command(
+          ['encrypt <alias>'],
+          'Encrypt the private key of a fee payer stored in plain text with a passphrase.',
+          aliasOption,
+          async (argv) => await keysEncrypt(argv)
+        ),
+  };
+}
+
+function accountCli() {
+  return {
+    command: ['account <target>'],
+    describe:
+      'Show the balance, nonce, delegate and zkApp details of an account',
+    builder: {
+      target: {
+        demand: true,
+        string: true,
+        hidden: true,
+        description:
+          'A deploy alias, a fee payer alias or a base58 public key.',
+      },
+      url: {
+        demand: false,
+        string: true,
+        hidden: false,
+        description:
+          'The Mina GraphQL API URL to query.\nRequired for the fee payer aliases and public keys, defaults to the deploy alias URL otherwise.',
+      },
+      zkapp: {
+        boolean: true,
+        demand: false,
+        hidden: false,
+        default: false,
+        description:
+          'Show the zkApp accounts of the deploy alias instead of its fee payer account.',
+      },
+    },
+    handler: async (argv) => await account(argv),
+  };
+}
+
+function fundCli() {
+  return {
+    command: ['fund <target>'],
+    describe: 'Fund an account on Lightnet or from the faucet',
+    builder: {
+      target: {
+        demand: true,
+        string: true,
+        hidden: true,
+        description:
+          'A deploy alias, a fee payer alias or a base58 public key.',
+      },
+      url: {
+        demand: false,
+        string: true,
+        hidden: false,
+        description:
+          'The Mina GraphQL API URL of the network.\nRequired for the fee payer aliases and public keys, defaults to the deploy alias URL otherwise.',
+      },
+      'faucet-url': {
+        demand: false,
+        string: true,
+        hidden: false,
+        default: Constants.faucetUrl,
+        description:
+          'The faucet API URL to request MINA from, outside of Lightnet.',
+      },
+      network: {
+        demand: false,
+        string: true,
+        hidden: false,
+        description:
+          'The faucet network to request MINA on, e.g. devnet.\nDefaults to devnet for the testnet deploy aliases, or to the network named in the URL.',
+      },
+      amount: {
+        demand: false,
+        string: true,
+        hidden: false,
+        default: '100',
+        description: 'The amount of MINA to send on Lightnet.',
+      },
+    },
+    handler: async (argv) => await fund(argv),
   };
 }
 
@@ -157,7 +773,7 @@ function systemCli() {
     command: ['system', 'sys', 's'],
     describe: 'Show system info',
     builder: {},
-    handler: async () => await system(),
+    handler: async (argv) => await system(argv),
   };
 }
 
@@ -0,0 +1,252 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import fs from 'fs-extra';
+import util from 'node:util';
+import { PublicKey } from 'o1js';
+import { getBorderCharacters, table } from 'table';
+import Constants from './constants.js';
+import { getDeployAliasHeaders, readPublicKey } from './deploy.js';
+import { sendGraphQL } from './graphql-client.js';
+import { readDeployAliasesConfig } from './helpers.js';
+import { printJson } from './json-output.js';
+
+// Module external API
+export default account;
+
+// Module API shared with the `zk fund`, `zk events` and `zk actions` commands
+export { formatGraphQLError, resolveAccounts };
+
+// Module internal API (exported for testing purposes)
+export { getAccountDetailsQuery, getAccountRows };
+
+/**
+ * Print the on-chain details of an account: its balance, nonce and delegate,
+ * and the state, verification key hash and permissions of zkApp accounts.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.target - A deploy alias, a fee payer alias or a public key.
+ * @param {string}  argv.url - The Mina GraphQL API URL, instead of the deploy alias one.
+ * @param {boolean} argv.zkapp - Whether to look up the zkApp accounts of the deploy alias instead of its fee payer.
+ * @returns {Promise<void>}
+ */
+async function account({ target, url, zkapp }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const { graphQlUrl, headers, accounts } = resolveAccounts(
+    projectRoot,
+    target,
+    { url, zkapp }
+  );
+
+  for (const entry of accounts) {
+    const response = await sendGraphQL(
+      graphQlUrl,
+      getAccountDetailsQuery(entry.publicKey),
+      { headers }
+    );
+    if (response?.kind === 'error') {
+      console.log(
+        chalk.red(
+          `  Failed to fetch the ${entry.name} account from ${graphQlUrl}.\n  ${formatGraphQLError(response)}`
+        )
+      );
+      process.exit(1);
+    }
+    entry.account = response?.data?.account ?? null;
+  }
+
+  for (const { name, publicKey, account } of accounts) {
+    if (!account) {
+      console.log(
+        chalk.red(
+          `  The ${name} account ${publicKey} was not found on chain.\n  Please make sure that it has been funded or deployed.`
+        )
+      );
+      continue;
+    }
+    const tableConfig = {
+      border: getBorderCharacters('norc'),
+      header: { alignment: 'center', content: chalk.bold(`${name} account`) },
+    };
+    // Print the table. Indented by 2 spaces for alignment in terminal.
+    console.log(
+      '\n  ' +
+        table(getAccountRows(account), tableConfig).replaceAll('\n', '\n  ')
+    );
+  }
+  printJson({ url: graphQlUrl, accounts });
+
+  if (accounts.some(({ account }) => !account)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the accounts to look up and the Mina GraphQL API URL to query. The
+ * target is looked up as a deploy alias of `config.json`, then as a fee payer
+ * alias stored on this computer, and finally as a base58 public key.
+ * @param {string} projectRoot The project root directory.
+ * @param {string} target      A deploy alias, a fee payer alias or a public key.
+ * @param {object} options
+ * @param {string} options.url    The Mina GraphQL API URL, instead of the deploy alias one.
+ * @param {boolean} options.zkapp Whether to resolve the zkApp accounts of the deploy alias.
+ * @returns {{graphQlUrl: string, headers: Record<string, string>, networkId?: string, accounts: Array<{name: string, publicKey: string}>}}
+ * The network id and the headers are only known for the deploy aliases. The
+ * headers aren't sent to the --url endpoint.
+ */
+function resolveAccounts(projectRoot, target, { url, zkapp }) {
+  const deployAlias = fs.existsSync(`${projectRoot}/config.json`)
+    ? readDeployAliasesConfig(projectRoot).deployAliases[target]
+    : undefined;
+
+  if (deployAlias) {
+    const contracts = deployAlias.deployPlan ?? [deployAlias];
+    const accounts = zkapp
+      ? contracts.map(({ smartContract, keyPath }) => ({
+          name: `${smartContract ?? 'zkApp'} (${keyPath})`,
+          publicKey: readPublicKey(
+            `${projectRoot}/${keyPath}`,
+            'zkApp',
+            'keyPath'
+          ),
+        }))
+      : [
+          {
+            name: `"${deployAlias.feepayerAlias ?? target}" fee payer`,
+            publicKey: readPublicKey(
+              deployAlias.feepayerKeyPath,
+              'feepayer',
+              'feepayerKeyPath'
+            ),
+          },
+        ];
+    return {
+      graphQlUrl: url ?? deployAlias.url,
+      headers: url ? {} : getDeployAliasHeaders(deployAlias),
+      networkId: deployAlias.networkId,
+      accounts,
+    };
+  }
+  if (zkapp) {
+    console.log(
+      chalk.red(`  The "${target}" deploy alias was not found in config.json.`)
+    );
+    process.exit(1);
+  }
+
+  const feepayerPublicKey = fs.readJsonSync(
+    `${Constants.feePayerCacheDir}/${target}.json`,
+    { throws: false }
+  )?.publicKey;
+  const accounts = feepayerPublicKey
+    ? [{ name: `"${target}" fee payer`, publicKey: feepayerPublicKey }]
+    : [{ name: 'public key', publicKey: parsePublicKey(target) }];
+  if (!url) {
+    console.log(
+      chalk.red(
+        `  Please provide the Mina GraphQL API URL to query with --url.\n  It is only read from config.json for the deploy aliases.`
+      )
+    );
+    process.exit(1);
+  }
+  return { graphQlUrl: url, headers: {}, accounts };
+}
+
+function parsePublicKey(target) {
+  try {
+    return PublicKey.fromBase58(target).toBase58();
+  } catch (error) {
+    console.log(
+      chalk.red(
+        `  "${target}" is not a deploy alias, a stored fee payer alias or a base58 public key.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the table rows describing an account. The zkApp rows are only shown
+ * for the accounts holding a verification key.
+ * @param {object} account The account returned by the Mina GraphQL API.
+ * @returns {Array<Array<string>>} The table rows.
+ */
+function getAccountRows(account) {
+  const nonce =
+    account.inferredNonce && account.inferredNonce !== account.nonce
+      ? `${account.nonce} (${account.inferredNonce} with the pending transactions)`
+      : account.nonce;
+  const rows = [
+    ['Public key', account.publicKey],
+    ['Balance', `${Number(account.balance.total) / 1e9} MINA`],
+    ['Nonce', nonce],
+    ['Delegate', account.delegate ?? chalk.gray('None')],
+  ];
+  if (!account.verificationKey) {
+    rows.push(['zkApp', chalk.gray('Not a zkApp account')]);
+    return rows;
+  }
+  return [
+    ...rows,
+    ['Verification key hash', account.verificationKey.hash],
+    ['zkApp state', account.zkappState.join('\n')],
+    [
+      'Permissions',
+      Object.entries(account.permissions)
+        .map(([permission, auth]) => `${permission}: ${auth?.auth ?? auth}`)
+        .join('\n'),
+    ],
+  ];
+}
+
+/**
+ * Get a readable message from a failed GraphQL API request.
+ * @param {{statusText?: string, message: any}} error The error returned by `sendGraphQL()`.
+ * @returns {string}
+ */
+function formatGraphQLError(error) {
+  if (Array.isArray(error.message)) {
+    return error.message.map(({ message }) => message).join('\n  ');
+  }
+  if (error.message instanceof Error) {
+    // Show the reason of network errors, e.g. "fetch failed: connect ECONNREFUSED".
+    const { message, cause } = error.message;
+    return cause?.message ? `${message}: ${cause.message}` : message;
+  }
+  return error.statusText ?? util.format(error.message);
+}
+
+function getAccountDetailsQuery(publicKey) {
+  return `
+  query {
+    account(publicKey: "${publicKey}") {
+      publicKey
+      balance {
+        total
+      }
+      nonce
+      inferredNonce
+      delegate
+      zkappState
+      verificationKey {
+        hash
+      }
+      permissions {
+        editState
+        send
+        receive
+        access
+        setDelegate
+        setPermissions
+        setVerificationKey {
+          auth
+        }
+        setZkappUri
+        editActionState
+        setTokenSymbol
+        incrementNonce
+        setVotingFor
+        setTiming
+      }
+    }
+  }`;
+}
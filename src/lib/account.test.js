@@ -0,0 +1,412 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    blue: jest.fn((text) => text),
+    bold: jest.fn((text) => text),
+    gray: jest.fn((text) => `gray: ${text}`),
+    green: jest.fn((text) => text),
+    red: jest.fn((text) => `red: ${text}`),
+    reset: jest.fn((text) => text),
+    yellow: jest.fn((text) => text),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    existsSync: jest.fn(),
+    readJsonSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('node:fs', () => ({
+  default: {
+    readFileSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('o1js', () => ({
+  PublicKey: {
+    fromBase58: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('table', () => ({
+  getBorderCharacters: jest.fn(() => 'border-characters'),
+  table: jest.fn(() => 'table'),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  getDeployAliasHeaders: jest.fn((deployAlias) => deployAlias?.headers ?? {}),
+  readPublicKey: jest.fn((keyFilePath) => `publicKey of ${keyFilePath}`),
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => ({
+  sendGraphQL: jest.fn(),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+let fs,
+  nodeFs,
+  findPrefix,
+  PublicKey,
+  table,
+  Constants,
+  graphQlClient,
+  printJson;
+
+const deployAliasesConfig = {
+  deployAliases: {
+    devnet: {
+      url: 'https://devnet.url',
+      headers: { 'X-Api-Key': 'apiKey' },
+      keyPath: 'keys/devnet.json',
+      feepayerKeyPath: '/cache/ci.json',
+      feepayerAlias: 'ci',
+      smartContract: 'Add',
+    },
+    plan: {
+      url: 'https://plan.url',
+      deployPlan: [
+        { smartContract: 'Token', keyPath: 'keys/token.json' },
+        { smartContract: 'Pool', keyPath: 'keys/pool.json' },
+      ],
+      feepayerKeyPath: '/cache/ci.json',
+    },
+  },
+};
+
+const account = {
+  publicKey: 'B62qAccount',
+  balance: { total: '1500000000' },
+  nonce: '3',
+  inferredNonce: '3',
+  delegate: null,
+  zkappState: null,
+  verificationKey: null,
+  permissions: null,
+};
+
+const zkAppAccount = {
+  ...account,
+  inferredNonce: '5',
+  delegate: 'B62qDelegate',
+  zkappState: ['1', '0'],
+  verificationKey: { hash: 'vkHash' },
+  permissions: {
+    editState: 'Proof',
+    setVerificationKey: { auth: 'Signature' },
+  },
+};
+
+beforeAll(async () => {
+  fs = (await import('fs-extra')).default;
+  nodeFs = (await import('node:fs')).default;
+  findPrefix = (await import('find-npm-prefix')).default;
+  PublicKey = (await import('o1js')).PublicKey;
+  table = (await import('table')).table;
+  Constants = (await import('./constants.js')).default;
+  graphQlClient = await import('./graphql-client.js');
+  printJson = (await import('./json-output.js')).printJson;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  fs.existsSync.mockReturnValue(true);
+  fs.readJsonSync.mockReturnValue(null);
+  nodeFs.readFileSync.mockReturnValue(JSON.stringify(deployAliasesConfig));
+  PublicKey.fromBase58.mockImplementation(() => {
+    throw new Error('Invalid public key');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('account.js', () => {
+  describe('account()', () => {
+    it('should print the fee payer account of a deploy alias', async () => {
+      graphQlClient.sendGraphQL.mockResolvedValue({ data: { account } });
+      const { default: accountCommand } = await import('./account.js');
+
+      await accountCommand({ target: 'devnet', zkapp: false });
+
+      expect(graphQlClient.sendGraphQL).toHaveBeenCalledWith(
+        'https://devnet.url',
+        expect.stringContaining(
+          'account(publicKey: "publicKey of /cache/ci.json")'
+        ),
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(table).toHaveBeenCalledWith(
+        expect.arrayContaining([['Balance', '1.5 MINA']]),
+        expect.objectContaining({
+          header: expect.objectContaining({
+            content: '"ci" fee payer account',
+          }),
+        })
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        url: 'https://devnet.url',
+        accounts: [
+          {
+            name: '"ci" fee payer',
+            publicKey: 'publicKey of /cache/ci.json',
+            account,
+          },
+        ],
+      });
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should print the zkApp accounts of a deploy plan', async () => {
+      graphQlClient.sendGraphQL.mockResolvedValue({
+        data: { account: zkAppAccount },
+      });
+      const { default: accountCommand } = await import('./account.js');
+
+      await accountCommand({
+        target: 'plan',
+        url: 'https://other.url',
+        zkapp: true,
+      });
+
+      expect(graphQlClient.sendGraphQL).toHaveBeenCalledTimes(2);
+      expect(graphQlClient.sendGraphQL).toHaveBeenCalledWith(
+        'https://other.url',
+        expect.stringContaining(
+          'account(publicKey: "publicKey of /project/root/keys/pool.json")'
+        ),
+        // The headers of the deploy alias aren't sent to the --url endpoint.
+        { headers: {} }
+      );
+      expect(
+        table.mock.calls.map(([, config]) => config.header.content)
+      ).toEqual([
+        'Token (keys/token.json) account',
+        'Pool (keys/pool.json) account',
+      ]);
+    });
+
+    it('should exit after printing the accounts if an account is not found', async () => {
+      graphQlClient.sendGraphQL
+        .mockResolvedValueOnce({ data: { account: zkAppAccount } })
+        .mockResolvedValueOnce({ data: { account: null } });
+      const { default: accountCommand } = await import('./account.js');
+
+      await expect(
+        accountCommand({ target: 'plan', zkapp: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(table).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The Pool (keys/pool.json) account publicKey of /project/root/keys/pool.json was not found on chain.\n  Please make sure that it has been funded or deployed.'
+      );
+      expect(printJson).toHaveBeenCalled();
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit if the account query fails', async () => {
+      graphQlClient.sendGraphQL.mockResolvedValue({
+        kind: 'error',
+        message: [{ message: 'Invalid public key' }],
+      });
+      const { default: accountCommand } = await import('./account.js');
+
+      await expect(
+        accountCommand({ target: 'devnet', zkapp: false })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to fetch the "ci" fee payer account from https://devnet.url.\n  Invalid public key'
+      );
+      expect(printJson).not.toHaveBeenCalled();
+    });
+
+    it('should report the network errors', async () => {
+      graphQlClient.sendGraphQL.mockResolvedValueOnce({
+        kind: 'error',
+        statusCode: 502,
+        statusText: 'Bad Gateway',
+      });
+      graphQlClient.sendGraphQL.mockResolvedValueOnce({
+        kind: 'error',
+        message: new Error('fetch failed', {
+          cause: new Error('connect ECONNREFUSED'),
+        }),
+      });
+      graphQlClient.sendGraphQL.mockResolvedValueOnce({
+        kind: 'error',
+        message: new Error('This operation was aborted'),
+      });
+      graphQlClient.sendGraphQL.mockResolvedValueOnce({
+        kind: 'error',
+        message: 'Unexpected response',
+      });
+      const { default: accountCommand } = await import('./account.js');
+
+      for (let i = 0; i < 4; i++) {
+        await expect(
+          accountCommand({ target: 'devnet', zkapp: false })
+        ).rejects.toThrow('process.exit');
+      }
+
+      expect(
+        console.log.mock.calls.map(([message]) => message.split('\n  ')[1])
+      ).toEqual([
+        'Bad Gateway',
+        'fetch failed: connect ECONNREFUSED',
+        'This operation was aborted',
+        'Unexpected response',
+      ]);
+    });
+  });
+
+  describe('resolveAccounts()', () => {
+    it('should resolve a stored fee payer alias', async () => {
+      fs.existsSync.mockReturnValue(false);
+      fs.readJsonSync.mockReturnValue({ publicKey: 'B62qFeepayer' });
+      const { resolveAccounts } = await import('./account.js');
+
+      const result = resolveAccounts('/project/root', 'ci', {
+        url: 'https://devnet.url',
+      });
+
+      expect(fs.readJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { throws: false }
+      );
+      expect(nodeFs.readFileSync).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        graphQlUrl: 'https://devnet.url',
+        headers: {},
+        accounts: [{ name: '"ci" fee payer', publicKey: 'B62qFeepayer' }],
+      });
+    });
+
+    it('should resolve a public key', async () => {
+      PublicKey.fromBase58.mockReturnValue({ toBase58: () => 'B62qKey' });
+      const { resolveAccounts } = await import('./account.js');
+
+      const result = resolveAccounts('/project/root', 'B62qKey', {
+        url: 'https://devnet.url',
+      });
+
+      expect(result.accounts).toEqual([
+        { name: 'public key', publicKey: 'B62qKey' },
+      ]);
+    });
+
+    it('should exit if the target is unknown', async () => {
+      const { resolveAccounts } = await import('./account.js');
+
+      expect(() =>
+        resolveAccounts('/project/root', 'unknown', { url: 'https://url' })
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   "unknown" is not a deploy alias, a stored fee payer alias or a base58 public key.'
+      );
+    });
+
+    it('should exit without URL for the fee payer aliases and public keys', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'B62qFeepayer' });
+      const { resolveAccounts } = await import('./account.js');
+
+      expect(() => resolveAccounts('/project/root', 'ci', {})).toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Please provide the Mina GraphQL API URL to query with --url.\n  It is only read from config.json for the deploy aliases.'
+      );
+    });
+
+    it('should exit if the zkApp accounts of an unknown deploy alias are requested', async () => {
+      const { resolveAccounts } = await import('./account.js');
+
+      expect(() =>
+        resolveAccounts('/project/root', 'ci', { zkapp: true })
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "ci" deploy alias was not found in config.json.'
+      );
+    });
+
+    it('should name the fee payer after the deploy alias without fee payer alias', async () => {
+      const { resolveAccounts } = await import('./account.js');
+
+      const result = resolveAccounts('/project/root', 'plan', {});
+
+      expect(result).toEqual({
+        graphQlUrl: 'https://plan.url',
+        headers: {},
+        accounts: [
+          {
+            name: '"plan" fee payer',
+            publicKey: 'publicKey of /cache/ci.json',
+          },
+        ],
+      });
+    });
+
+    it('should name the zkApp account without smart contract after its key file', async () => {
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: { devnet: { keyPath: 'keys/devnet.json' } },
+        })
+      );
+      const { resolveAccounts } = await import('./account.js');
+
+      const result = resolveAccounts('/project/root', 'devnet', {
+        zkapp: true,
+      });
+
+      expect(result.accounts[0].name).toBe('zkApp (keys/devnet.json)');
+    });
+  });
+
+  describe('getAccountRows()', () => {
+    it('should describe a regular account', async () => {
+      const { getAccountRows } = await import('./account.js');
+
+      expect(getAccountRows(account)).toEqual([
+        ['Public key', 'B62qAccount'],
+        ['Balance', '1.5 MINA'],
+        ['Nonce', '3'],
+        ['Delegate', 'gray: None'],
+        ['zkApp', 'gray: Not a zkApp account'],
+      ]);
+    });
+
+    it('should describe a zkApp account', async () => {
+      const { getAccountRows } = await import('./account.js');
+
+      expect(getAccountRows(zkAppAccount)).toEqual([
+        ['Public key', 'B62qAccount'],
+        ['Balance', '1.5 MINA'],
+        ['Nonce', '3 (5 with the pending transactions)'],
+        ['Delegate', 'B62qDelegate'],
+        ['Verification key hash', 'vkHash'],
+        ['zkApp state', '1\n0'],
+        ['Permissions', 'editState: Proof\nsetVerificationKey: Signature'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,447 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import fs from 'fs-extra';
+import { getBorderCharacters, table } from 'table';
+import {
+  buildProject,
+  checkChainId,
+  checkInstalledCliVersion,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  fetchFeepayerAccount,
+  formatFeeTiers,
+  formatGraphQlEndpoint,
+  generateVerificationKey,
+  getDeployAliasHeaders,
+  getDeployAliasNetwork,
+  getErrorMessage,
+  getTransactionFee,
+  getTxnUrl,
+  importO1js,
+  importSmartContract,
+  readFeepayerPrivateKey,
+  readPublicKey,
+  sendGraphQLWithFallback,
+  setActiveNetwork,
+  waitForTransactionInclusion,
+} from './deploy.js';
+import { sendGraphQL, sendZkapp } from './graphql-client.js';
+import { readDeployAliasesConfig, step } from './helpers.js';
+import { printJson } from './json-output.js';
+import { fetchZkAppAccount, getDeployedContracts } from './upgrade.js';
+
+// Module external API
+export default call;
+
+// Module API shared with the `zk state` command
+export { chooseDeployedContract, fetchZkAppState };
+
+// Module internal API (exported for testing purposes)
+export { getMethodInterface, getMethodSignature, parseMethodArgs };
+
+/**
+ * Call a method of a smart contract deployed to the specified deploy alias.
+ * The method arguments are parsed into the o1js types of the method
+ * signature, the transaction is proved, signed by the deploy alias fee payer
+ * and sent. By default, the command then waits for the transaction inclusion
+ * and prints the new on-chain state of the zkApp account.
+ * @param {object}   argv - The arguments object provided by yargs.
+ * @param {string}   argv.alias - The deploy alias the smart contract was deployed to.
+ * @param {string}   argv.method - The smart contract method name.
+ * @param {string[]} argv.args - The method arguments, in the o1js JSON format.
+ * @param {string}   argv.contract - The smart contract name, for the deploy plans.
+ * @param {boolean}  argv.yes - Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean}  argv.wait - Wait for the transaction inclusion and print the new state.
+ * @param {boolean}  argv.allowMainnet - Allow `yes` for the mainnet deploy aliases.
+ * @returns {Promise<void>}
+ */
+async function call({
+  alias,
+  method,
+  args = [],
+  contract,
+  yes,
+  wait,
+  allowMainnet,
+}) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+  await checkInstalledCliVersion();
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    'Which deploy alias do you want to call?'
+  );
+  const { contractName, keyPath } = chooseDeployedContract(
+    getDeployedContracts(config, alias),
+    contract,
+    alias
+  );
+  const build = await buildProject(projectRoot);
+
+  let { PrivateKey, PublicKey, Mina } = await importO1js(projectRoot);
+  const { graphQlUrls } = getDeployAliasNetwork(config.deployAliases[alias]);
+  const headers = getDeployAliasHeaders(config.deployAliases[alias]);
+  let graphQlUrl = await chooseGraphQlEndpoint(graphQlUrls, headers);
+  const { networkId } = setActiveNetwork(
+    projectRoot,
+    Mina,
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  const isMainnet = await checkMainnetGuardRails({
+    alias,
+    deployAlias: config.deployAliases[alias],
+    yes,
+    allowMainnet,
+  });
+  await checkChainId(alias, config.deployAliases[alias], graphQlUrl);
+
+  const zkApp = await importSmartContract(build, contractName);
+  const methodInterface = getMethodInterface(zkApp, contractName, method);
+  const methodArgs = parseMethodArgs(methodInterface, args);
+
+  const feepayerPrivateKey = PrivateKey.fromBase58(
+    await readFeepayerPrivateKey(config.deployAliases[alias].feepayerKeyPath)
+  );
+  const feepayerAddress = feepayerPrivateKey.toPublicKey();
+  const zkAppKeyPath = `${projectRoot}/${keyPath}`;
+  const zkAppAddress = PublicKey.fromBase58(
+    readPublicKey(zkAppKeyPath, 'zkApp', 'keyPath')
+  );
+  // The zkApp private key is optional, it only signs the account updates of
+  // the methods requiring a signature.
+  const zkAppPrivateKeyBase58 = fs.readJsonSync(zkAppKeyPath, {
+    throws: false,
+  })?.privateKey;
+  const zkAppAccount = await fetchZkAppAccount(
+    graphQlUrl,
+    contractName,
+    zkAppAddress.toBase58(),
+    headers
+  );
+
+  // The verification key is generated again, so that the prover keys are
+  // compiled even if the verification key is cached.
+  const { verificationKey } = await step(
+    `Compile ${contractName} (takes 10-30 sec)`,
+    async () =>
+      await generateVerificationKey(
+        projectRoot,
+        contractName,
+        zkApp,
+        zkAppAddress,
+        true
+      )
+  );
+  if (verificationKey.hash.toString() !== zkAppAccount.verificationKey.hash) {
+    console.log(
+      chalk.red(
+        `  The ${contractName} verification key on chain doesn't match the current build, so the proof would be rejected.\n  Run \`zk upgrade ${alias}\` to update it first.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const { fee, feeTiers } = await getTransactionFee(
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  const feepayerAddressBase58 = feepayerAddress.toBase58();
+  await fetchFeepayerAccount(graphQlUrl, feepayerAddressBase58, headers);
+
+  const tx = await step('Build transaction', async () => {
+    return await Mina.transaction(
+      { sender: feepayerAddress, fee },
+      /* istanbul ignore next */
+      async () => {
+        const zkapp = new zkApp(zkAppAddress);
+        await zkapp[method](...methodArgs);
+      }
+    );
+  });
+  const transactionJson = await step(
+    'Create transaction proof (takes 10-30 sec)',
+    async () => {
+      await tx.prove();
+      const privateKeys = [feepayerPrivateKey];
+      if (zkAppPrivateKeyBase58) {
+        privateKeys.push(PrivateKey.fromBase58(zkAppPrivateKeyBase58));
+      }
+      return tx.sign(privateKeys).toJSON();
+    }
+  );
+
+  const { feepayerAlias } = config.deployAliases[alias];
+  const settings = [
+    [chalk.bold('Deploy alias'), chalk.reset(alias)],
+    [chalk.bold('Network kind'), chalk.reset(networkId)],
+    [chalk.bold('URL'), formatGraphQlEndpoint(graphQlUrls, graphQlUrl)],
+    [
+      chalk.bold('Fee payer'),
+      chalk.reset(
+        `Alias         : ${feepayerAlias}\nAccount       : ${feepayerAddressBase58}`
+      ),
+    ],
+    [
+      chalk.bold('zkApp'),
+      chalk.reset(
+        `Smart contract: ${contractName}\nAccount       : ${zkAppAddress.toBase58()}`
+      ),
+    ],
+    [chalk.bold('Method call'), chalk.reset(`${method}(${args.join(', ')})`)],
+    [
+      chalk.bold('Transaction fee'),
+      chalk.reset(`${Number(fee) / 1e9} Mina${formatFeeTiers(feeTiers)}`),
+    ],
+  ];
+
+  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
+  if (!(await confirmTransaction(settings, yes, isMainnet ? alias : undefined)))
+    return;
+
+  const txn = await step('Send to network', async () => {
+    const result = await sendGraphQLWithFallback(
+      graphQlUrls.slice(graphQlUrls.indexOf(graphQlUrl)),
+      (graphQlUrl) => sendZkapp(graphQlUrl, transactionJson, { headers }),
+      // The node switched to must be on the network the transaction was checked against.
+      (graphQlUrl) =>
+        checkChainId(alias, config.deployAliases[alias], graphQlUrl)
+    );
+    graphQlUrl = result.graphQlUrl;
+    return result.response;
+  });
+
+  if (!txn || txn?.kind === 'error') {
+    console.log(chalk.red(getErrorMessage(txn)));
+    process.exit(1);
+  }
+  const result = {
+    deployAlias: alias,
+    networkId,
+    url: graphQlUrl,
+    contractName,
+    zkAppAddress: zkAppAddress.toBase58(),
+    method,
+    args,
+    fee: `${Number(fee) / 1e9}`,
+    txnHash: txn.data.sendZkapp.zkapp.hash,
+  };
+
+  if (!wait) {
+    printJson(result);
+    const str =
+      `\nSuccess! Call transaction sent.` +
+      `\n` +
+      `\nNext step:` +
+      `\n  The ${contractName} state will be updated` +
+      `\n  as soon as the transaction is included in a block:` +
+      `\n  ${getTxnUrl(graphQlUrl, txn)}`;
+
+    console.log(chalk.green(str));
+    process.exit(0);
+  }
+
+  const inclusion = await step(
+    'Wait for transaction inclusion',
+    async () =>
+      await waitForTransactionInclusion(
+        graphQlUrl,
+        txn.data.sendZkapp.zkapp,
+        headers
+      )
+  );
+  if (inclusion.status === 'failed') {
+    console.log(
+      chalk.red(
+        `  The call transaction was included in block at height ${inclusion.blockHeight}, but failed:\n    ` +
+          inclusion.failureReasons.join('\n    ')
+      )
+    );
+    process.exit(1);
+  }
+  if (inclusion.status === 'dropped') {
+    console.log(
+      chalk.red(
+        `  The call transaction was dropped by the node before being included in a block.\n  It was replaced by another transaction of the fee payer or rejected, please call the method again.`
+      )
+    );
+    process.exit(1);
+  }
+  if (inclusion.status !== 'included') {
+    console.log(
+      chalk.red(
+        `  The call transaction was not included in a block within 30 minutes.\n  It might still be included later, check the transaction status using the block explorer.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const zkappState = await step(
+    'Fetch the new on-chain state',
+    async () => await fetchZkAppState(graphQlUrl, result.zkAppAddress, headers)
+  );
+  printJson({ ...result, blockHeight: inclusion.blockHeight, zkappState });
+
+  const str =
+    `\nSuccess! Call transaction included in block at height ${inclusion.blockHeight}.` +
+    `\n` +
+    `\n  ${getTxnUrl(graphQlUrl, txn)}` +
+    `\n` +
+    `\n  The new ${contractName} on-chain state:` +
+    `\n  ` +
+    table(
+      zkappState.map((value, index) => [index, value]),
+      { border: getBorderCharacters('norc') }
+    ).replaceAll('\n', '\n  ');
+
+  console.log(chalk.green(str));
+  process.exit(0);
+}
+
+/**
+ * Choose a smart contract among the ones deployed to the deploy alias. The
+ * smart contract name is required for the deploy plans with several smart
+ * contracts.
+ * @param {Array<{contractName: string, keyPath: string}>} deployedContracts The smart contracts deployed to the deploy alias.
+ * @param {string} contractName The smart contract name provided by the user, if any.
+ * @param {string} alias        The deploy alias name.
+ * @returns {{contractName: string, keyPath: string}}
+ */
+function chooseDeployedContract(deployedContracts, contractName, alias) {
+  const contractNames = deployedContracts
+    .map(({ contractName }) => contractName)
+    .join(', ');
+  if (contractName) {
+    const deployedContract = deployedContracts.find(
+      (deployedContract) => deployedContract.contractName === contractName
+    );
+    if (!deployedContract) {
+      console.log(
+        chalk.red(
+          `  The ${contractName} smart contract is not deployed to the "${alias}" deploy alias.\n  Deployed smart contracts: ${contractNames}.`
+        )
+      );
+      process.exit(1);
+    }
+    return deployedContract;
+  }
+  if (deployedContracts.length > 1) {
+    console.log(
+      chalk.red(
+        `  Several smart contracts are deployed to the "${alias}" deploy alias.\n  Please choose one of them with --contract: ${contractNames}.`
+      )
+    );
+    process.exit(1);
+  }
+  return deployedContracts[0];
+}
+
+/**
+ * Find the method to call among the `@method` decorated methods of the smart
+ * contract class.
+ * @param {object} zkApp        The smart contract class.
+ * @param {string} contractName The smart contract name.
+ * @param {string} methodName   The method name.
+ * @returns {{methodName: string, args: Array<object>}} The o1js method interface.
+ */
+function getMethodInterface(zkApp, contractName, methodName) {
+  const methods = zkApp._methods ?? [];
+  const methodInterface = methods.find(
+    (methodInterface) => methodInterface.methodName === methodName
+  );
+  if (!methodInterface) {
+    console.log(
+      chalk.red(
+        `  The ${contractName} smart contract has no "${methodName}" method.\n  ` +
+          (methods.length
+            ? `Available methods:\n    ${methods.map(getMethodSignature).join('\n    ')}`
+            : 'It has no method decorated with `@method`.')
+      )
+    );
+    process.exit(1);
+  }
+  return methodInterface;
+}
+
+/**
+ * Get the method signature to show in messages, e.g. `update(Field, UInt64)`.
+ * @param {{methodName: string, args: Array<object>}} methodInterface The o1js method interface.
+ * @returns {string}
+ */
+function getMethodSignature({ methodName, args }) {
+  return `${methodName}(${args.map((type) => type.name || 'unknown').join(', ')})`;
+}
+
+/**
+ * Parse the command line arguments into the o1js types of the method
+ * signature. Every argument is in the o1js JSON format of its type, e.g.
+ * `5` for a Field or a UInt64, a base58 string for a PublicKey, `true` for a
+ * Bool or `{"x":"1","y":"2"}` for a Struct.
+ * @param {{methodName: string, args: Array<object>}} methodInterface The o1js method interface.
+ * @param {string[]} args The command line arguments.
+ * @returns {Array<object>} The method arguments.
+ */
+function parseMethodArgs(methodInterface, args) {
+  const signature = getMethodSignature(methodInterface);
+  if (args.length !== methodInterface.args.length) {
+    console.log(
+      chalk.red(
+        `  The ${signature} method takes ${methodInterface.args.length} argument(s), but ${args.length} were provided.`
+      )
+    );
+    process.exit(1);
+  }
+  return methodInterface.args.map((type, index) => {
+    try {
+      if (typeof type.fromJSON !== 'function') {
+        throw new Error('this type can not be parsed from the command line');
+      }
+      // Numbers are kept as strings, so that large field elements don't lose precision.
+      const isJson =
+        /^[[{]/.test(args[index]) || /^(true|false)$/.test(args[index]);
+      return type.fromJSON(isJson ? JSON.parse(args[index]) : args[index]);
+    } catch (error) {
+      console.log(
+        chalk.red(
+          `  Failed to parse the argument #${index + 1} "${args[index]}" of ${signature}: ${error.message}`
+        )
+      );
+      process.exit(1);
+    }
+  });
+}
+
+/**
+ * Fetch the on-chain state of the zkApp account.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {string} publicKey  The zkApp account public key.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<string[]>} The zkApp state field elements.
+ * @throws {Error} If the zkApp account can't be fetched.
+ */
+async function fetchZkAppState(graphQlUrl, publicKey, headers) {
+  const response = await sendGraphQL(
+    graphQlUrl,
+    getZkAppStateQuery(publicKey),
+    { headers }
+  );
+  const zkappState = response?.data?.account?.zkappState;
+  if (!zkappState) {
+    throw new Error(`Failed to fetch the ${publicKey} zkApp account state.`);
+  }
+  return zkappState;
+}
+
+function getZkAppStateQuery(publicKey) {
+  return `
+  query {
+    account(publicKey: "${publicKey}") {
+      zkappState
+    }
+  }`;
+}
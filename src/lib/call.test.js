@@ -0,0 +1,674 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    bold: jest.fn((text) => `bold: ${text}`),
+    reset: jest.fn((text) => `reset: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    readJsonSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('./helpers.js', () => ({
+  readDeployAliasesConfig: jest.fn(),
+  step: jest.fn(async (_, fn) => await fn()),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  buildProject: jest.fn(),
+  checkInstalledCliVersion: jest.fn(),
+  checkChainId: jest.fn(),
+  checkMainnetGuardRails: jest.fn(
+    async ({ deployAlias }) => deployAlias?.networkId === 'mainnet'
+  ),
+  chooseDeployAlias: jest.fn(),
+  chooseGraphQlEndpoint: jest.fn(async ([graphQlUrl]) => graphQlUrl),
+  confirmTransaction: jest.fn(),
+  fetchFeepayerAccount: jest.fn(),
+  formatFeeTiers: jest.fn(() => ''),
+  formatGraphQlEndpoint: jest.fn((_, graphQlUrl) => `reset: ${graphQlUrl}`),
+  generateVerificationKey: jest.fn(),
+  getDeployAliasHeaders: jest.fn(() => ({ 'X-Api-Key': 'apiKey' })),
+  getDeployAliasNetwork: jest.fn(({ url, fallbackUrls = [] }) => ({
+    graphQlUrls: [url, ...fallbackUrls],
+  })),
+  getErrorMessage: jest.fn(() => 'Failed to send transaction.'),
+  getTransactionFee: jest.fn(async () => ({ fee: '100000000' })),
+  getTxnUrl: jest.fn(() => 'Transaction hash: txnHash'),
+  importO1js: jest.fn(),
+  importSmartContract: jest.fn(),
+  readFeepayerPrivateKey: jest.fn(() => 'feepayerKey'),
+  readPublicKey: jest.fn(() => 'B62qZkApp'),
+  sendGraphQLWithFallback: jest.fn(async ([graphQlUrl], request) => ({
+    response: await request(graphQlUrl),
+    graphQlUrl,
+  })),
+  setActiveNetwork: jest.fn(() => ({ networkId: 'testnet' })),
+  waitForTransactionInclusion: jest.fn(),
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => {
+  const sendGraphQL = jest.fn();
+  return {
+    sendGraphQL,
+    sendZkapp: (graphQlUrl, _zkappCommandJson, options) =>
+      sendGraphQL(graphQlUrl, 'mutation', options),
+  };
+});
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+jest.unstable_mockModule('./upgrade.js', () => ({
+  fetchZkAppAccount: jest.fn(),
+  getDeployedContracts: jest.fn(),
+}));
+
+let findPrefix,
+  fs,
+  readDeployAliasesConfig,
+  checkChainId,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  generateVerificationKey,
+  importO1js,
+  importSmartContract,
+  sendGraphQL,
+  sendGraphQLWithFallback,
+  setActiveNetwork,
+  waitForTransactionInclusion,
+  printJson,
+  fetchZkAppAccount,
+  getDeployedContracts,
+  o1js;
+
+const Field = {
+  name: 'Field',
+  fromJSON: jest.fn((json) => ({ field: json })),
+};
+const Bool = {
+  name: 'Bool',
+  fromJSON: jest.fn((json) => ({ bool: json })),
+};
+
+beforeAll(async () => {
+  findPrefix = (await import('find-npm-prefix')).default;
+  fs = (await import('fs-extra')).default;
+  ({ readDeployAliasesConfig } = await import('./helpers.js'));
+  ({
+    checkChainId,
+    checkMainnetGuardRails,
+    chooseDeployAlias,
+    chooseGraphQlEndpoint,
+    confirmTransaction,
+    generateVerificationKey,
+    importO1js,
+    importSmartContract,
+    sendGraphQLWithFallback,
+    setActiveNetwork,
+    waitForTransactionInclusion,
+  } = await import('./deploy.js'));
+  ({ sendGraphQL } = await import('./graphql-client.js'));
+  ({ printJson } = await import('./json-output.js'));
+  ({ fetchZkAppAccount, getDeployedContracts } = await import('./upgrade.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  readDeployAliasesConfig.mockReturnValue({
+    deployAliases: {
+      devnet: {
+        url: 'http://test.url',
+        feepayerKeyPath: '/keys/feepayer.json',
+        feepayerAlias: 'feepayer',
+        fee: '0.1',
+        smartContract: 'Add',
+        keyPath: 'keys/devnet.json',
+      },
+    },
+  });
+  chooseDeployAlias.mockImplementation(async (_, alias) => alias);
+  getDeployedContracts.mockReturnValue([
+    { contractName: 'Add', keyPath: 'keys/devnet.json' },
+  ]);
+  importSmartContract.mockResolvedValue({
+    _methods: [{ methodName: 'update', args: [Field, Bool] }],
+  });
+  fs.readJsonSync.mockReturnValue({
+    publicKey: 'B62qZkApp',
+    privateKey: 'zkAppKey',
+  });
+  fetchZkAppAccount.mockResolvedValue({
+    verificationKey: { hash: 'vkHash' },
+  });
+  generateVerificationKey.mockResolvedValue({
+    verificationKey: { data: 'vkData', hash: 'vkHash' },
+    isCached: false,
+  });
+  confirmTransaction.mockResolvedValue(true);
+  waitForTransactionInclusion.mockResolvedValue({
+    status: 'included',
+    blockHeight: '42',
+  });
+  sendGraphQL.mockImplementation(async (_, query) =>
+    query === 'mutation'
+      ? { data: { sendZkapp: { zkapp: { id: 'txnId', hash: 'txnHash' } } } }
+      : { data: { account: { zkappState: ['5', '0'] } } }
+  );
+  o1js = {
+    PrivateKey: {
+      fromBase58: jest.fn((key) => ({
+        key,
+        toPublicKey: () => ({ toBase58: () => `${key}-address` }),
+      })),
+    },
+    PublicKey: {
+      fromBase58: jest.fn((key) => ({ toBase58: () => key })),
+    },
+    Mina: {
+      transaction: jest.fn(async () => ({
+        prove: jest.fn(),
+        sign: jest.fn(() => ({ toJSON: () => '{"kind":"zkAppTxn"}' })),
+      })),
+    },
+  };
+  importO1js.mockResolvedValue(o1js);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('call.js', () => {
+  describe('call()', () => {
+    it('should send the method call and print the new on-chain state', async () => {
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          yes: true,
+          wait: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(checkChainId).toHaveBeenCalledWith(
+        'devnet',
+        expect.any(Object),
+        'http://test.url'
+      );
+      expect(generateVerificationKey).toHaveBeenCalledWith(
+        '/project/root',
+        'Add',
+        expect.anything(),
+        expect.anything(),
+        true
+      );
+      expect(Field.fromJSON).toHaveBeenCalledWith('5');
+      expect(Bool.fromJSON).toHaveBeenCalledWith(true);
+      const tx = await o1js.Mina.transaction.mock.results[0].value;
+      expect(tx.prove).toHaveBeenCalled();
+      expect(tx.sign).toHaveBeenCalledWith([
+        expect.objectContaining({ key: 'feepayerKey' }),
+        expect.objectContaining({ key: 'zkAppKey' }),
+      ]);
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          ['bold: Method call', 'reset: update(5, true)'],
+        ]),
+        true,
+        undefined
+      );
+      expect(chooseGraphQlEndpoint).toHaveBeenCalledWith(['http://test.url'], {
+        'X-Api-Key': 'apiKey',
+      });
+      expect(setActiveNetwork).toHaveBeenCalledWith(
+        '/project/root',
+        o1js.Mina,
+        expect.objectContaining({ url: 'http://test.url' }),
+        'http://test.url'
+      );
+      expect(sendGraphQL).toHaveBeenCalledWith('http://test.url', 'mutation', {
+        headers: { 'X-Api-Key': 'apiKey' },
+      });
+      expect(waitForTransactionInclusion).toHaveBeenCalledWith(
+        'http://test.url',
+        { id: 'txnId', hash: 'txnHash' },
+        { 'X-Api-Key': 'apiKey' }
+      );
+      expect(fetchZkAppAccount).toHaveBeenCalledWith(
+        'http://test.url',
+        'Add',
+        'B62qZkApp',
+        { 'X-Api-Key': 'apiKey' }
+      );
+      expect(sendGraphQL).toHaveBeenLastCalledWith(
+        'http://test.url',
+        expect.stringContaining('zkappState'),
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'devnet',
+        networkId: 'testnet',
+        url: 'http://test.url',
+        contractName: 'Add',
+        zkAppAddress: 'B62qZkApp',
+        method: 'update',
+        args: ['5', 'true'],
+        fee: '0.1',
+        txnHash: 'txnHash',
+        blockHeight: '42',
+        zkappState: ['5', '0'],
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! Call transaction included in block at height 42.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should send the call transaction to the fallback endpoints', async () => {
+      const config = readDeployAliasesConfig();
+      config.deployAliases.devnet.fallbackUrls = ['http://fallback.url'];
+      readDeployAliasesConfig.mockReturnValue(config);
+      sendGraphQLWithFallback.mockImplementationOnce(
+        async ([, fallbackUrl], request, checkFallbackEndpoint) => {
+          await checkFallbackEndpoint(fallbackUrl);
+          return {
+            response: await request(fallbackUrl),
+            graphQlUrl: fallbackUrl,
+          };
+        }
+      );
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          yes: true,
+          wait: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(sendGraphQLWithFallback).toHaveBeenCalledWith(
+        ['http://test.url', 'http://fallback.url'],
+        expect.any(Function),
+        expect.any(Function)
+      );
+      expect(checkChainId).toHaveBeenLastCalledWith(
+        'devnet',
+        expect.any(Object),
+        'http://fallback.url'
+      );
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'http://fallback.url',
+        'mutation',
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(waitForTransactionInclusion).toHaveBeenCalledWith(
+        'http://fallback.url',
+        { id: 'txnId', hash: 'txnHash' },
+        { 'X-Api-Key': 'apiKey' }
+      );
+      expect(printJson).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'http://fallback.url' })
+      );
+    });
+
+    it('should not wait for the transaction inclusion with --no-wait', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'B62qZkApp' });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'false'],
+          yes: true,
+          wait: false,
+        })
+      ).rejects.toThrow('process.exit');
+
+      const tx = await o1js.Mina.transaction.mock.results[0].value;
+      expect(tx.sign).toHaveBeenCalledWith([
+        expect.objectContaining({ key: 'feepayerKey' }),
+      ]);
+      expect(waitForTransactionInclusion).not.toHaveBeenCalled();
+      expect(printJson).toHaveBeenCalledWith(
+        expect.objectContaining({ txnHash: 'txnHash' })
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Success! Call transaction sent.')
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the verification key on chain is outdated', async () => {
+      fetchZkAppAccount.mockResolvedValue({
+        verificationKey: { hash: 'oldHash' },
+      });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({ alias: 'devnet', method: 'update', args: ['5', 'true'] })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Run `zk upgrade devnet` to update it first.')
+      );
+      expect(o1js.Mina.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should not send the transaction if not confirmed', async () => {
+      confirmTransaction.mockResolvedValue(false);
+      importSmartContract.mockResolvedValue({
+        _methods: [{ methodName: 'reset', args: [] }],
+      });
+      const { default: call } = await import('./call.js');
+
+      await call({ alias: 'devnet', method: 'reset' });
+
+      expect(sendGraphQL).not.toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should run the mainnet guard rails before sending the transaction', async () => {
+      checkMainnetGuardRails.mockResolvedValueOnce(true);
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          yes: true,
+          allowMainnet: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(checkMainnetGuardRails).toHaveBeenCalledWith({
+        alias: 'devnet',
+        deployAlias: expect.objectContaining({ url: 'http://test.url' }),
+        yes: true,
+        allowMainnet: true,
+      });
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.any(Array),
+        true,
+        'devnet'
+      );
+    });
+
+    it('should exit in case of the transaction error', async () => {
+      sendGraphQL.mockResolvedValue({ kind: 'error' });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({ alias: 'devnet', method: 'update', args: ['5', 'true'] })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red: Failed to send transaction.'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit if the transaction failed', async () => {
+      waitForTransactionInclusion.mockResolvedValue({
+        status: 'failed',
+        blockHeight: '42',
+        failureReasons: ['Account update #1: Update_not_permitted_app_state'],
+      });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          wait: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The call transaction was included in block at height 42, but failed:\n    Account update #1: Update_not_permitted_app_state'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit if the transaction is dropped before its inclusion', async () => {
+      waitForTransactionInclusion.mockResolvedValue({ status: 'dropped' });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          wait: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The call transaction was dropped by the node before being included in a block.'
+        )
+      );
+      expect(printJson).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the transaction is not included in time', async () => {
+      waitForTransactionInclusion.mockResolvedValue({ status: 'timeout' });
+      const { default: call } = await import('./call.js');
+
+      await expect(
+        call({
+          alias: 'devnet',
+          method: 'update',
+          args: ['5', 'true'],
+          wait: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The call transaction was not included in a block within 30 minutes.'
+        )
+      );
+      expect(printJson).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chooseDeployedContract()', () => {
+    const deployedContracts = [
+      { contractName: 'Token', keyPath: 'keys/token.json' },
+      { contractName: 'Vault', keyPath: 'keys/vault.json' },
+    ];
+
+    it('should return the smart contract with the provided name', async () => {
+      const { chooseDeployedContract } = await import('./call.js');
+
+      expect(
+        chooseDeployedContract(deployedContracts, 'Vault', 'devnet')
+      ).toEqual({
+        contractName: 'Vault',
+        keyPath: 'keys/vault.json',
+      });
+    });
+
+    it('should return the only deployed smart contract', async () => {
+      const { chooseDeployedContract } = await import('./call.js');
+
+      expect(
+        chooseDeployedContract(
+          deployedContracts.slice(0, 1),
+          undefined,
+          'devnet'
+        )
+      ).toEqual({ contractName: 'Token', keyPath: 'keys/token.json' });
+    });
+
+    it('should exit if the smart contract is not deployed', async () => {
+      const { chooseDeployedContract } = await import('./call.js');
+
+      expect(() =>
+        chooseDeployedContract(deployedContracts, 'Add', 'devnet')
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The Add smart contract is not deployed to the "devnet" deploy alias.\n  Deployed smart contracts: Token, Vault.'
+      );
+    });
+
+    it('should exit if several smart contracts are deployed', async () => {
+      const { chooseDeployedContract } = await import('./call.js');
+
+      expect(() =>
+        chooseDeployedContract(deployedContracts, undefined, 'devnet')
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Several smart contracts are deployed to the "devnet" deploy alias.\n  Please choose one of them with --contract: Token, Vault.'
+      );
+    });
+  });
+
+  describe('getMethodInterface()', () => {
+    it('should exit with the available methods if the method is not found', async () => {
+      const { getMethodInterface } = await import('./call.js');
+
+      expect(() =>
+        getMethodInterface(
+          {
+            _methods: [
+              { methodName: 'update', args: [] },
+              { methodName: 'set', args: [Field, {}] },
+            ],
+          },
+          'Add',
+          'reset'
+        )
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The Add smart contract has no "reset" method.\n  Available methods:\n    update()\n    set(Field, unknown)'
+      );
+    });
+
+    it('should exit if the smart contract has no methods', async () => {
+      const { getMethodInterface } = await import('./call.js');
+
+      expect(() => getMethodInterface({}, 'Add', 'update')).toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('It has no method decorated with `@method`.')
+      );
+    });
+  });
+
+  describe('parseMethodArgs()', () => {
+    it('should parse the JSON objects and keep the numbers as strings', async () => {
+      const Point = { name: 'Point', fromJSON: jest.fn((json) => json) };
+      const { parseMethodArgs } = await import('./call.js');
+
+      const result = parseMethodArgs(
+        { methodName: 'move', args: [Point, Field] },
+        [
+          '{"x":"1","y":"2"}',
+          '28948022309329048855892746252171976963363056481941560715954676764349967630337',
+        ]
+      );
+
+      expect(result).toEqual([
+        { x: '1', y: '2' },
+        {
+          field:
+            '28948022309329048855892746252171976963363056481941560715954676764349967630337',
+        },
+      ]);
+    });
+
+    it('should exit if the number of arguments is wrong', async () => {
+      const { parseMethodArgs } = await import('./call.js');
+
+      expect(() =>
+        parseMethodArgs({ methodName: 'update', args: [Field] }, [])
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The update(Field) method takes 1 argument(s), but 0 were provided.'
+      );
+    });
+
+    it('should exit if an argument can not be parsed', async () => {
+      const PublicKey = {
+        name: 'PublicKey',
+        fromJSON: jest.fn(() => {
+          throw new Error('invalid base58 checksum');
+        }),
+      };
+      const { parseMethodArgs } = await import('./call.js');
+
+      expect(() =>
+        parseMethodArgs({ methodName: 'send', args: [PublicKey] }, ['B62qx'])
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to parse the argument #1 "B62qx" of send(PublicKey): invalid base58 checksum'
+      );
+    });
+
+    it('should exit if an argument type has no JSON format', async () => {
+      const { parseMethodArgs } = await import('./call.js');
+
+      expect(() =>
+        parseMethodArgs({ methodName: 'verify', args: [{ name: 'Proof' }] }, [
+          '{}',
+        ])
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to parse the argument #1 "{}" of verify(Proof): this type can not be parsed from the command line'
+      );
+    });
+  });
+
+  describe('fetchZkAppState()', () => {
+    it('should throw if the zkApp account is not found', async () => {
+      sendGraphQL.mockResolvedValue({ data: { account: null } });
+      const { fetchZkAppState } = await import('./call.js');
+
+      await expect(
+        fetchZkAppState('http://test.url', 'B62qZkApp')
+      ).rejects.toThrow('Failed to fetch the B62qZkApp zkApp account state.');
+    });
+  });
+});
@@ -3,54 +3,386 @@ import enquirer from 'enquirer';
 import findPrefix from 'find-npm-prefix';
 import fs from 'fs-extra';
 import Client from 'mina-signer';
+import path from 'node:path';
 import { Lightnet, Mina, PrivateKey, PublicKey } from 'o1js';
 import { getBorderCharacters, table } from 'table';
 import Constants from './constants.js';
+import { getDeployAliasHeaders, getSentTransactionsPath } from './deploy.js';
+import { getDeploymentsLedgerPath } from './deployments.js';
+import { fetchChainId, fetchSyncStatus } from './graphql-client.js';
 import { readDeployAliasesConfig, step } from './helpers.js';
-import { isMinaGraphQlEndpointAvailable } from './network-helpers.js';
-import { prompts } from './prompts.js';
+import { printJson } from './json-output.js';
+import {
+  formatEncryptedLabel,
+  getNewKeyPassphrase,
+  writeKeyPair,
+} from './keystore.js';
+import {
+  prompts,
+  sanitizeAliasName,
+  sanitizeCustomNetworkId,
+  validateArchiveUrl,
+  validateDeployAliasName,
+  validateFee,
+  validateFeepayerAlias,
+  validateFeepayerKey,
+  validateHeader,
+  validateUrl,
+} from './prompts.js';
 
 // Module external API
 export default config;
+export { editDeployAlias, removeDeployAlias, renameDeployAlias };
+
+// Module API shared with the `zk keys` command
+export { createKeyPair, getDeployAliasKeyPaths };
 
 // Module internal API (exported for testing purposes)
 export {
   createDeployAlias,
-  createKeyPair,
   createKeyPairStep,
   createLightnetDeployAlias,
   createZkAppKeyPairAndSaveDeployAliasConfig,
   getCachedFeepayerAddress,
   getCachedFeepayerAliases,
+  getDeployAliasFromFlags,
   getExplorerName,
   printDeployAliasesConfig,
   printInteractiveDeployAliasConfigSuccessMessage,
   printLightnetDeployAliasConfigSuccessMessage,
+  readDeployAlias,
   recoverKeyPairStep,
   savedKeyPairStep,
 };
 
 /**
  * Show existing deploy aliases in `config.json` and allow user to add a new
- * deploy alias.
+ * deploy alias. The deploy alias is created without prompts if any of its
+ * values is provided as a flag, e.g. in CI.
  * @param {object}  argv - The arguments object provided by yargs.
  * @param {boolean} argv.list - Whether to list the available deploy aliases and their configurations.
  * @param {boolean} argv.lightnet - Whether to automatically configure the deploy alias compatible with the lightweight Mina blockchain network.
+ * @param {string}  argv.name - The deploy alias name.
+ * @param {string}  argv.networkId - The network id of the deploy alias.
+ * @param {string}  argv.url - The Mina GraphQL API URL to deploy to.
+ * @param {string}  argv.archiveUrl - The Archive-Node-API URL, if any.
+ * @param {string[]} argv.header - The headers to send to the GraphQL endpoints, as "Name: value".
+ * @param {string[]} argv.archiveHeader - The headers to send to the Archive-Node-API endpoint, as "Name: value".
+ * @param {string}  argv.fee - The transaction fee in MINA, or "auto".
+ * @param {'create' | 'recover' | 'cached'} argv.feepayer - How to get the fee payer key pair.
+ * @param {string}  argv.feepayerAlias - The fee payer alias to create, recover or use.
+ * @param {string}  argv.feepayerKeyEnv - The environment variable holding the fee payer private key to recover.
  * @returns {Promise<void>}
  */
-async function config({ list, lightnet }) {
+async function config({
+  list,
+  lightnet,
+  name,
+  networkId,
+  url,
+  archiveUrl,
+  header,
+  archiveHeader,
+  fee,
+  feepayer,
+  feepayerAlias,
+  feepayerKeyEnv,
+}) {
   // Get project root directory, so that the CLI command can be executed anywhere within the project.
   const projectRoot = await findPrefix(process.cwd());
   const deployAliasesConfig = readDeployAliasesConfig(projectRoot);
   if (list) {
     await printDeployAliasesConfig(deployAliasesConfig);
+    printJson({
+      deployAliases: Object.fromEntries(
+        Object.entries(deployAliasesConfig.deployAliases).map(
+          ([name, deployAlias]) => [
+            name,
+            {
+              ...deployAlias,
+              ...(deployAlias.headers
+                ? { headers: maskHeaders(deployAlias.headers) }
+                : {}),
+              ...(deployAlias.archiveHeaders
+                ? { archiveHeaders: maskHeaders(deployAlias.archiveHeaders) }
+                : {}),
+            },
+          ]
+        )
+      ),
+    });
     return;
   }
   if (lightnet) {
     await createLightnetDeployAlias(projectRoot, deployAliasesConfig);
     return;
   }
-  await createDeployAlias(projectRoot, deployAliasesConfig);
+  await createDeployAlias(projectRoot, deployAliasesConfig, {
+    name,
+    networkId,
+    url,
+    archiveUrl,
+    header,
+    archiveHeader,
+    fee,
+    feepayer,
+    feepayerAlias,
+    feepayerKeyEnv,
+  });
+}
+
+/**
+ * Update the network, URLs and fee of a deploy alias in `config.json`, using the
+ * same prompts as for its creation. The pinned chain id is only replaced by the
+ * one of the node if `--pin-chain-id` is provided, or if the URL changed and
+ * the user confirms it.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias to edit.
+ * @param {boolean} argv.pinChainId - Whether to pin the chain id of the node again.
+ * @returns {Promise<void>}
+ */
+async function editDeployAlias({ alias, pinChainId }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const deployAliasesConfig = readDeployAliasesConfig(projectRoot);
+  const deployAlias = readDeployAlias(deployAliasesConfig, alias);
+
+  console.log(`Enter values to edit the "${alias}" deploy alias:`);
+  const { networkId, url, archiveUrl, fee } = await enquirer.prompt(
+    prompts.editDeployAliasPrompts(deployAlias)
+  );
+
+  // If user presses "ctrl + c" during interactive prompt, exit.
+  if (!networkId || !url || !fee) process.exit(1);
+
+  let { chainId } = deployAlias;
+  if (
+    pinChainId ||
+    (url !== deployAlias.url && (await confirmPinChainId(url)))
+  ) {
+    chainId = await fetchChainIdToPin(url, getDeployAliasHeaders(deployAlias));
+  }
+  if (chainId !== deployAlias.chainId) {
+    const formatChainId = (chainId) => (chainId ? `"${chainId}"` : 'none');
+    console.log(
+      chalk.yellow(
+        `  The chain id pinned in the "${alias}" deploy alias changes from ${formatChainId(deployAlias.chainId)} to ${formatChainId(chainId)}.`
+      )
+    );
+  }
+  await step(`Update deploy alias in config.json`, async () => {
+    deployAliasesConfig.deployAliases[alias] = {
+      ...deployAlias,
+      networkId,
+      url,
+      // An empty Archive-Node-API URL removes it from the deploy alias.
+      archiveUrl: archiveUrl || undefined,
+      chainId,
+      fee,
+    };
+    fs.outputJsonSync(`${projectRoot}/config.json`, deployAliasesConfig, {
+      spaces: 2,
+    });
+  });
+  console.log(
+    chalk.green(`\nSuccess! The "${alias}" deploy alias is updated.`)
+  );
+}
+
+/**
+ * Ask whether to pin the chain id of the node at the new URL of a deploy alias.
+ * @param {string} url The new Mina GraphQL API URL of the deploy alias.
+ * @returns {Promise<boolean>} Whether the chain id should be pinned again.
+ */
+async function confirmPinChainId(url) {
+  const { confirm } = await enquirer.prompt(prompts.pinChainIdPrompt(url));
+  return confirm;
+}
+
+/**
+ * Rename a deploy alias in `config.json`. Its zkApp key pair is moved to
+ * `keys/<new-alias>.json` if it was generated by `zk config` for this alias.
+ * Its deployments ledger and sent transactions files are moved too.
+ * @param {object} argv - The arguments object provided by yargs.
+ * @param {string} argv.alias - The deploy alias to rename.
+ * @param {string} argv.newAlias - The new deploy alias name.
+ * @returns {Promise<void>}
+ */
+async function renameDeployAlias({ alias, newAlias }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const deployAliasesConfig = readDeployAliasesConfig(projectRoot);
+  const deployAlias = readDeployAlias(deployAliasesConfig, alias);
+
+  const validationResult = validateDeployAliasName(
+    newAlias,
+    deployAliasesConfig.deployAliases
+  );
+  if (validationResult !== true) {
+    console.log(chalk.red(`  ${validationResult}`));
+    process.exit(1);
+  }
+  const newAliasName = sanitizeAliasName(newAlias);
+  const renamedDeployAlias = { ...deployAlias };
+
+  const movedFiles = [];
+  if (
+    deployAlias.keyPath === `keys/${alias}.json` &&
+    !getOtherDeployAliasesKeyPaths(deployAliasesConfig, alias).includes(
+      deployAlias.keyPath
+    )
+  ) {
+    const newKeyPath = `keys/${newAliasName}.json`;
+    movedFiles.push({
+      name: 'zkApp key pair',
+      kind: 'key file',
+      from: `${projectRoot}/${deployAlias.keyPath}`,
+      to: `${projectRoot}/${newKeyPath}`,
+    });
+    renamedDeployAlias.keyPath = newKeyPath;
+  }
+  // The deploy history and the transactions kept for `zk deploy --resend` follow the deploy alias.
+  for (const [name, getPath] of [
+    ['deployments ledger', getDeploymentsLedgerPath],
+    ['sent transactions', getSentTransactionsPath],
+  ]) {
+    const from = getPath(projectRoot, alias);
+    if (fs.existsSync(from)) {
+      movedFiles.push({
+        name,
+        kind: `${name} file`,
+        from,
+        to: getPath(projectRoot, newAliasName),
+      });
+    }
+  }
+
+  // Nothing is moved if any of the files can't be.
+  for (const { kind, to } of movedFiles) {
+    if (fs.existsSync(to)) {
+      console.log(
+        chalk.red(
+          `  The ${path.relative(projectRoot, to)} ${kind} already exists.\n  Please move it or choose another name.`
+        )
+      );
+      process.exit(1);
+    }
+  }
+  for (const { name, from, to } of movedFiles) {
+    if (fs.existsSync(from)) {
+      await step(
+        `Move ${name} to ${path.relative(projectRoot, to)}`,
+        async () => await fs.move(from, to)
+      );
+    }
+  }
+
+  await step(`Rename deploy alias in config.json`, async () => {
+    // Keep the deploy aliases order of config.json.
+    deployAliasesConfig.deployAliases = Object.fromEntries(
+      Object.entries(deployAliasesConfig.deployAliases).map(([name, value]) =>
+        name === alias ? [newAliasName, renamedDeployAlias] : [name, value]
+      )
+    );
+    fs.outputJsonSync(`${projectRoot}/config.json`, deployAliasesConfig, {
+      spaces: 2,
+    });
+  });
+  console.log(
+    chalk.green(
+      `\nSuccess! The "${alias}" deploy alias is renamed to "${newAliasName}".`
+    )
+  );
+}
+
+/**
+ * Remove a deploy alias from `config.json` and delete its zkApp key files,
+ * unless they are kept or still used by another deploy alias.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias to remove.
+ * @param {boolean} argv.keepKeys - Whether to keep the zkApp key files.
+ * @param {boolean} argv.yes - Run non-interactively. I.e. skip confirmation steps.
+ * @returns {Promise<void>}
+ */
+async function removeDeployAlias({ alias, keepKeys, yes }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const deployAliasesConfig = readDeployAliasesConfig(projectRoot);
+  const deployAlias = readDeployAlias(deployAliasesConfig, alias);
+
+  const usedKeyPaths = getOtherDeployAliasesKeyPaths(
+    deployAliasesConfig,
+    alias
+  );
+  const keyPaths = keepKeys
+    ? []
+    : getDeployAliasKeyPaths(deployAlias).filter(
+        (keyPath) =>
+          !usedKeyPaths.includes(keyPath) &&
+          fs.existsSync(`${projectRoot}/${keyPath}`)
+      );
+
+  if (!yes) {
+    const { confirm } = await enquirer.prompt(
+      prompts.removeDeployAliasPrompt(alias, keyPaths)
+    );
+    if (!confirm) {
+      console.log(chalk.red('\n  Aborted.'));
+      process.exit(1);
+    }
+  }
+
+  await step(`Remove deploy alias from config.json`, async () => {
+    delete deployAliasesConfig.deployAliases[alias];
+    fs.outputJsonSync(`${projectRoot}/config.json`, deployAliasesConfig, {
+      spaces: 2,
+    });
+  });
+  for (const keyPath of keyPaths) {
+    await step(
+      `Delete zkApp key pair at ${keyPath}`,
+      async () => await fs.remove(`${projectRoot}/${keyPath}`)
+    );
+  }
+  console.log(
+    chalk.green(`\nSuccess! The "${alias}" deploy alias is removed.`)
+  );
+}
+
+/**
+ * Get the deploy alias configuration, or exit if it doesn't exist.
+ * @param {object} deployAliasesConfig The config.json content.
+ * @param {string} alias               The deploy alias name.
+ * @returns {object} The deploy alias configuration.
+ */
+function readDeployAlias(deployAliasesConfig, alias) {
+  const deployAlias = deployAliasesConfig.deployAliases[alias];
+  if (!deployAlias) {
+    console.log(
+      chalk.red(`  The "${alias}" deploy alias was not found in config.json.`)
+    );
+    process.exit(1);
+  }
+  return deployAlias;
+}
+
+/**
+ * Get the zkApp key file paths of a deploy alias, including the deploy plan ones.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @returns {Array<string>} The key file paths relative to the project root.
+ */
+function getDeployAliasKeyPaths({ keyPath, deployPlan }) {
+  const keyPaths = [
+    keyPath,
+    ...(deployPlan ?? []).map((entry) => entry.keyPath),
+  ];
+  return [...new Set(keyPaths.filter(Boolean))];
+}
+
+function getOtherDeployAliasesKeyPaths(deployAliasesConfig, alias) {
+  return Object.entries(deployAliasesConfig.deployAliases)
+    .filter(([name]) => name !== alias)
+    .flatMap(([, deployAlias]) => getDeployAliasKeyPaths(deployAlias));
 }
 
 async function createLightnetDeployAlias(projectRoot, deployAliasesConfig) {
@@ -58,10 +390,10 @@ async function createLightnetDeployAlias(projectRoot, deployAliasesConfig) {
   const deployAliasPrefix = 'lightnet';
   let nextAliasNumber = 1;
   await step(`Check Mina GraphQL endpoint availability`, async () => {
-    const endpointStatus = await isMinaGraphQlEndpointAvailable(
+    const response = await fetchSyncStatus(
       Constants.lightnetMinaDaemonGraphQlEndpoint
     );
-    if (!endpointStatus) {
+    if (!response?.data?.syncStatus) {
       throw new Error(
         `Mina GraphQL endpoint ${Constants.lightnetMinaDaemonGraphQlEndpoint} is not available.`
       );
@@ -75,8 +407,10 @@ async function createLightnetDeployAlias(projectRoot, deployAliasesConfig) {
   const deployAliasName = `${deployAliasPrefix}${nextAliasNumber}`;
   const feePayerPath = `${Constants.feePayerCacheDir}/${deployAliasName}.json`;
   if (!fs.existsSync(feePayerPath)) {
+    const passphrase = await getNewKeyPassphrase(false);
     await step(
-      `Create zkApp fee payer key pair at ${feePayerPath}`,
+      `Create zkApp fee payer key pair at ${feePayerPath}` +
+        formatEncryptedLabel(passphrase),
       async () => {
         const minaNetworkInstance = Mina.Network({
           networkId,
@@ -85,13 +419,14 @@ async function createLightnetDeployAlias(projectRoot, deployAliasesConfig) {
         });
         Mina.setActiveInstance(minaNetworkInstance);
         const keyPair = await Lightnet.acquireKeyPair();
-        fs.outputJsonSync(
+        writeKeyPair(
           feePayerPath,
           {
             publicKey: keyPair.publicKey.toBase58(),
             privateKey: keyPair.privateKey.toBase58(),
+            networkId,
           },
-          { spaces: 2 }
+          passphrase
         );
       }
     );
@@ -102,13 +437,14 @@ async function createLightnetDeployAlias(projectRoot, deployAliasesConfig) {
     deployAliasName,
     networkId,
     url: Constants.lightnetMinaDaemonGraphQlEndpoint,
+    archiveUrl: Constants.lightnetArchiveNodeApiEndpoint,
     fee: '0.01',
     feepayerAlias: deployAliasName,
   });
   printLightnetDeployAliasConfigSuccessMessage(deployAliasName);
 }
 
-async function createDeployAlias(projectRoot, deployAliasesConfig) {
+async function createDeployAlias(projectRoot, deployAliasesConfig, flags) {
   let isFeepayerCached = false;
   let defaultFeepayerAlias;
   let cachedFeepayerAliases;
@@ -126,6 +462,98 @@ async function createDeployAlias(projectRoot, deployAliasesConfig) {
     }
   }
 
+  const isNonInteractive = Object.values(flags).some(
+    (value) => value !== undefined
+  );
+  const promptResponse = isNonInteractive
+    ? getDeployAliasFromFlags(flags, deployAliasesConfig, cachedFeepayerAliases)
+    : await promptDeployAlias(deployAliasesConfig, {
+        cachedFeepayerAliases,
+        defaultFeepayerAlias,
+        defaultFeepayerAddress,
+        isFeepayerCached,
+      });
+
+  // If user presses "ctrl + c" during interactive prompt, exit.
+  let {
+    deployAliasName,
+    networkId,
+    url,
+    archiveUrl,
+    headers,
+    archiveHeaders,
+    fee,
+    feepayer,
+    feepayerAlias,
+    feepayerKey,
+    alternateCachedFeepayerAlias,
+  } = promptResponse;
+
+  if (!deployAliasName || !url || !fee) process.exit(1);
+
+  let feepayerKeyPair;
+  switch (feepayer) {
+    case 'create':
+      feepayerKeyPair = await createKeyPairStep(
+        feepayerAlias,
+        networkId,
+        await getNewKeyPassphrase(!isNonInteractive)
+      );
+      break;
+    case 'recover':
+      feepayerKeyPair = await recoverKeyPairStep(
+        feepayerKey,
+        feepayerAlias,
+        networkId,
+        await getNewKeyPassphrase(!isNonInteractive)
+      );
+      break;
+    case 'defaultCache':
+      feepayerAlias = defaultFeepayerAlias;
+      feepayerKeyPair = await savedKeyPairStep(
+        defaultFeepayerAlias,
+        defaultFeepayerAddress
+      );
+      break;
+    case 'alternateCachedFeepayer':
+      feepayerAlias = alternateCachedFeepayerAlias;
+      feepayerKeyPair = await savedKeyPairStep(alternateCachedFeepayerAlias);
+      break;
+    default:
+      console.log(
+        chalk.red(`Invalid fee payer option: ${feepayer ?? 'none'}.`)
+      );
+      process.exit(1);
+  }
+
+  await createZkAppKeyPairAndSaveDeployAliasConfig({
+    deployAliasesConfig,
+    projectRoot,
+    deployAliasName,
+    networkId,
+    url,
+    archiveUrl,
+    headers,
+    archiveHeaders,
+    fee,
+    feepayerAlias,
+  });
+  printInteractiveDeployAliasConfigSuccessMessage(
+    deployAliasesConfig,
+    deployAliasName,
+    feepayerKeyPair
+  );
+}
+
+async function promptDeployAlias(
+  deployAliasesConfig,
+  {
+    cachedFeepayerAliases,
+    defaultFeepayerAlias,
+    defaultFeepayerAddress,
+    isFeepayerCached,
+  }
+) {
   await printDeployAliasesConfig(deployAliasesConfig);
   console.log('Enter values to create a deploy alias:');
 
@@ -178,66 +606,140 @@ async function createDeployAlias(projectRoot, deployAliasesConfig) {
     }
   }
 
-  const promptResponse = {
+  return {
     ...initialPromptResponse,
     ...recoverFeepayerResponse,
     ...otherFeepayerResponse,
     ...feepayerAliasResponse,
   };
+}
 
-  // If user presses "ctrl + c" during interactive prompt, exit.
-  let {
-    deployAliasName,
-    networkId,
+/**
+ * Get the deploy alias values from the `zk config` flags, in the shape of the
+ * interactive prompts response. Exits if a value is missing or invalid.
+ * @param {object} flags                       The `zk config` flags.
+ * @param {object} deployAliasesConfig         The config.json content.
+ * @param {Array<string>} cachedFeepayerAliases The fee payer aliases cached on this computer.
+ * @returns {object} The deploy alias values.
+ */
+function getDeployAliasFromFlags(
+  {
+    name,
+    networkId = 'testnet',
     url,
+    archiveUrl,
+    header = [],
+    archiveHeader = [],
     fee,
     feepayer,
     feepayerAlias,
-    feepayerKey,
-    alternateCachedFeepayerAlias,
-  } = promptResponse;
-
-  if (!deployAliasName || !url || !fee) process.exit(1);
+    feepayerKeyEnv,
+  },
+  deployAliasesConfig,
+  cachedFeepayerAliases = []
+) {
+  const requiredFlags = {
+    '--name': name,
+    '--url': url,
+    '--fee': fee,
+    '--feepayer': feepayer,
+  };
+  if (feepayer === 'create' || feepayer === 'recover') {
+    requiredFlags['--feepayer-alias'] = feepayerAlias;
+  }
+  if (feepayer === 'recover') {
+    requiredFlags['--feepayer-key-env'] = feepayerKeyEnv;
+  }
+  const missingFlags = Object.keys(requiredFlags).filter(
+    (flag) => !requiredFlags[flag]
+  );
+  if (missingFlags.length) {
+    console.log(
+      chalk.red(
+        `  Missing ${missingFlags.join(', ')} to create the deploy alias non-interactively.`
+      )
+    );
+    process.exit(1);
+  }
 
-  let feepayerKeyPair;
+  const feepayerKey = feepayerKeyEnv && process.env[feepayerKeyEnv];
+  const cachedFeepayerAlias = feepayerAlias ?? cachedFeepayerAliases[0];
+  const validationResults = [
+    validateDeployAliasName(name, deployAliasesConfig.deployAliases),
+    validateUrl(url),
+    validateArchiveUrl(archiveUrl),
+    ...header.map(validateHeader),
+    ...archiveHeader.map(validateHeader),
+    validateFee(fee),
+  ];
   switch (feepayer) {
     case 'create':
-      feepayerKeyPair = await createKeyPairStep(feepayerAlias, networkId);
+      validationResults.push(
+        validateFeepayerAlias(feepayerAlias, cachedFeepayerAliases)
+      );
       break;
     case 'recover':
-      feepayerKeyPair = await recoverKeyPairStep(feepayerKey, feepayerAlias);
-      break;
-    case 'defaultCache':
-      feepayerAlias = defaultFeepayerAlias;
-      feepayerKeyPair = await savedKeyPairStep(
-        defaultFeepayerAlias,
-        defaultFeepayerAddress
+      validationResults.push(
+        validateFeepayerAlias(feepayerAlias, cachedFeepayerAliases),
+        feepayerKey
+          ? validateFeepayerKey(feepayerKey)
+          : `The ${feepayerKeyEnv} environment variable is not set.`
       );
       break;
-    case 'alternateCachedFeepayer':
-      feepayerAlias = alternateCachedFeepayerAlias;
-      feepayerKeyPair = await savedKeyPairStep(alternateCachedFeepayerAlias);
+    case 'cached':
+      if (!cachedFeepayerAliases.includes(cachedFeepayerAlias)) {
+        validationResults.push(
+          cachedFeepayerAlias
+            ? `Fee payer alias ${cachedFeepayerAlias} is not found in ${Constants.feePayerCacheDir}.`
+            : `No fee payer is stored in ${Constants.feePayerCacheDir}.`
+        );
+      }
       break;
-    default:
-      console.log(
-        chalk.red(`Invalid fee payer option: ${feepayer ?? 'none'}.`)
-      );
-      process.exit(1);
+  }
+  const errors = validationResults.filter((result) => result !== true);
+  if (errors.length) {
+    console.log(chalk.red(errors.map((error) => `  ${error}`).join('\n')));
+    process.exit(1);
   }
 
-  await createZkAppKeyPairAndSaveDeployAliasConfig({
-    deployAliasesConfig,
-    projectRoot,
-    deployAliasName,
-    networkId,
-    url,
-    fee,
-    feepayerAlias,
-  });
-  printInteractiveDeployAliasConfigSuccessMessage(
-    deployAliasesConfig,
-    deployAliasName,
-    feepayerKeyPair
+  return {
+    deployAliasName: sanitizeAliasName(name),
+    networkId: Constants.networkIds.includes(networkId)
+      ? networkId
+      : sanitizeCustomNetworkId(networkId),
+    url: url.trim(),
+    archiveUrl: archiveUrl?.trim(),
+    headers: parseHeaders(header),
+    archiveHeaders: parseHeaders(archiveHeader),
+    fee: fee.trim(),
+    ...(feepayer === 'cached'
+      ? {
+          feepayer: 'alternateCachedFeepayer',
+          alternateCachedFeepayerAlias: cachedFeepayerAlias,
+        }
+      : {
+          feepayer,
+          feepayerAlias: sanitizeAliasName(feepayerAlias),
+          feepayerKey: feepayerKey?.trim(),
+        }),
+  };
+}
+
+/**
+ * Parse the `--header` flag values, given as "Name: value".
+ * @param {string[]} header The validated flag values.
+ * @returns {Record<string, string>|undefined} The headers, if any.
+ */
+function parseHeaders(header) {
+  if (!header.length) return undefined;
+  return Object.fromEntries(
+    header.map((value) => {
+      const separatorIndex = value.indexOf(':');
+      return [
+        value.slice(0, separatorIndex).trim(),
+        value.slice(separatorIndex + 1).trim(),
+      ];
+    })
   );
 }
 
@@ -247,6 +749,9 @@ async function createZkAppKeyPairAndSaveDeployAliasConfig({
   deployAliasName,
   networkId,
   url,
+  archiveUrl,
+  headers,
+  archiveHeaders,
   fee,
   feepayerAlias,
 }) {
@@ -264,6 +769,10 @@ async function createZkAppKeyPairAndSaveDeployAliasConfig({
       return keyPair;
     }
   );
+  const chainId = await fetchChainIdToPin(
+    url,
+    getDeployAliasHeaders({ headers })
+  );
   await step(`Add deploy alias to config.json`, async () => {
     if (!feepayerAlias) {
       // No fee payer alias, return early to prevent creating a deploy alias with invalid fee payer
@@ -273,6 +782,10 @@ async function createZkAppKeyPairAndSaveDeployAliasConfig({
     deployAliasesConfig.deployAliases[deployAliasName] = {
       networkId,
       url,
+      ...(archiveUrl ? { archiveUrl } : {}),
+      ...(headers ? { headers } : {}),
+      ...(archiveHeaders ? { archiveHeaders } : {}),
+      ...(chainId ? { chainId } : {}),
       keyPath: `keys/${deployAliasName}.json`,
       feepayerKeyPath: `${Constants.feePayerCacheDir}/${feepayerAlias}.json`,
       feepayerAlias,
@@ -284,33 +797,61 @@ async function createZkAppKeyPairAndSaveDeployAliasConfig({
   });
 }
 
-// Creates a new feepayer key pair
-async function createKeyPairStep(feepayerAlias, networkId) {
+/**
+ * Fetch the chain id of the node behind the deploy alias URL, to be pinned in
+ * the deploy alias, so that `zk deploy` and `zk call` can detect a network
+ * reset. The deploy alias is saved without it if the node can't be reached.
+ * @param {string} url The Mina GraphQL API URL of the deploy alias.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<string|undefined>} The chain id.
+ */
+async function fetchChainIdToPin(url, headers) {
+  const chainId = await fetchChainId(url, { headers });
+  if (!chainId) {
+    console.log(
+      chalk.yellow(
+        `  Failed to fetch the chain id of the node at ${url}.\n  The deploy alias is saved without a "chainId", so its network can't be checked before sending transactions.`
+      )
+    );
+  }
+  return chainId;
+}
+
+// Creates a new feepayer key pair, encrypted if a passphrase is provided
+async function createKeyPairStep(feepayerAlias, networkId, passphrase) {
   if (!feepayerAlias) {
     // No fee payer alias, return early to prevent generating key pair with undefined alias
     console.log(chalk.red(`Invalid fee payer alias ${feepayerAlias}.`));
     process.exit(1);
   }
   return await step(
-    `Create fee payer key pair at ${Constants.feePayerCacheDir}/${feepayerAlias}.json`,
+    `Create fee payer key pair at ${Constants.feePayerCacheDir}/${feepayerAlias}.json` +
+      formatEncryptedLabel(passphrase),
     async () => {
       const keyPair = createKeyPair(networkId);
 
-      fs.outputJsonSync(
+      // The network id keeps `zk deploy` from paying mainnet fees with a
+      // fee payer generated for another network.
+      writeKeyPair(
         `${Constants.feePayerCacheDir}/${feepayerAlias}.json`,
-        keyPair,
-        {
-          spaces: 2,
-        }
+        { ...keyPair, networkId },
+        passphrase
       );
       return keyPair;
     }
   );
 }
 
-async function recoverKeyPairStep(feepayerKey, feepayerAlias) {
+// Recovers a feepayer key pair for the deploy alias network, encrypted if a passphrase is provided
+async function recoverKeyPairStep(
+  feepayerKey,
+  feepayerAlias,
+  networkId,
+  passphrase
+) {
   return await step(
-    `Recover fee payer keypair from ${feepayerKey} and add to ${Constants.feePayerCacheDir}/${feepayerAlias}.json`,
+    `Recover fee payer key pair and add to ${Constants.feePayerCacheDir}/${feepayerAlias}.json` +
+      formatEncryptedLabel(passphrase),
     async () => {
       const feepayorPrivateKey = PrivateKey.fromBase58(feepayerKey);
       const feepayerAddress = feepayorPrivateKey.toPublicKey();
@@ -320,12 +861,12 @@ async function recoverKeyPairStep(feepayerKey, feepayerAlias) {
         publicKey: PublicKey.toBase58(feepayerAddress),
       };
 
-      fs.outputJsonSync(
+      // Like the created key pairs, the recovered ones keep the network id
+      // they were added for, to be checked by the mainnet guard rails.
+      writeKeyPair(
         `${Constants.feePayerCacheDir}/${feepayerAlias}.json`,
-        keyPair,
-        {
-          spaces: 2,
-        }
+        { ...keyPair, networkId },
+        passphrase
       );
       return keyPair;
     }
@@ -387,15 +928,36 @@ function getExplorerName(graphQLUrl) {
 async function printDeployAliasesConfig(deployAliasesConfig) {
   // Build table of existing deploy aliases found in their config.json
   let tableData = [
-    [chalk.bold('Name'), chalk.bold('URL'), chalk.bold('Smart Contract')],
+    [
+      chalk.bold('Name'),
+      chalk.bold('URL'),
+      chalk.bold('Archive URL'),
+      chalk.bold('Smart Contract'),
+    ],
   ];
   for (const deployAliasName in deployAliasesConfig.deployAliases) {
-    const { url, smartContract } =
-      deployAliasesConfig.deployAliases[deployAliasName];
+    const {
+      url,
+      fallbackUrls,
+      headers,
+      archiveUrl,
+      archiveHeaders,
+      smartContract,
+      deployPlan,
+    } = deployAliasesConfig.deployAliases[deployAliasName];
     tableData.push([
       deployAliasName,
-      url ?? '',
-      smartContract ?? chalk.gray('(never deployed)'),
+      [url ?? '', ...(fallbackUrls ?? [])].join('\n') +
+        Object.entries(maskHeaders(headers))
+          .map(([name, value]) => chalk.gray(`\n${name}: ${value}`))
+          .join(''),
+      (archiveUrl ?? '') +
+        Object.entries(maskHeaders(archiveHeaders))
+          .map(([name, value]) => chalk.gray(`\n${name}: ${value}`))
+          .join(''),
+      smartContract ??
+        deployPlan?.map((entry) => entry.smartContract).join('\n') ??
+        chalk.gray('(never deployed)'),
     ]);
   }
   // Sort alphabetically by deploy alias name.
@@ -413,14 +975,25 @@ async function printDeployAliasesConfig(deployAliasesConfig) {
     tableData[0][0] = tableData[0][0] + ' '.repeat(2);
     tableData[0][1] = tableData[0][1] + ' '.repeat(3);
 
-    tableData.push([[chalk.gray('None found')], [], []]);
-    tableConfig.spanningCells = [{ col: 0, row: 1, colSpan: 3 }];
+    tableData.push([[chalk.gray('None found')], [], [], []]);
+    tableConfig.spanningCells = [{ col: 0, row: 1, colSpan: 4 }];
   }
   // Print the table. Indented by 2 spaces for alignment in terminal.
   const msg = '\n  ' + table(tableData, tableConfig).replaceAll('\n', '\n  ');
   console.log(msg);
 }
 
+/**
+ * Mask the header values of a deploy alias, since they may hold API keys.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Record<string, string>}
+ */
+function maskHeaders(headers) {
+  return Object.fromEntries(
+    Object.keys(headers ?? {}).map((name) => [name, '********'])
+  );
+}
+
 function printInteractiveDeployAliasConfigSuccessMessage(
   deployAliasesConfig,
   deployAliasName,
@@ -436,6 +1009,7 @@ function printInteractiveDeployAliasConfigSuccessMessage(
       feepayerKeyPair.publicKey
     )}` +
     (explorerName ? `&explorer=${explorerName}` : '') +
+    `\n    or run: \`zk fund ${deployAliasName}\`` +
     `\n  - To deploy zkApp, run: \`zk deploy ${deployAliasName}\``;
   console.log(chalk.green(str));
 }
@@ -28,6 +28,8 @@ jest.unstable_mockModule('fs-extra', () => ({
     readJsonSync: jest.fn(),
     readdirSync: jest.fn(),
     copySync: jest.fn(),
+    move: jest.fn(),
+    remove: jest.fn(),
   },
 }));
 
@@ -68,6 +70,21 @@ jest.unstable_mockModule('ora', () => ({
   }),
 }));
 
+jest.unstable_mockModule('./deploy.js', () => ({
+  getDeployAliasHeaders: jest.fn((deployAlias) => deployAlias.headers ?? {}),
+  getSentTransactionsPath: jest.fn(
+    (projectRoot, alias) => `${projectRoot}/build/sent/${alias}.json`
+  ),
+}));
+
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
 jest.unstable_mockModule('mina-signer', () => ({
   default: class {
     genKeys = jest
@@ -84,6 +101,7 @@ let fs,
   PublicKey,
   Constants,
   nodeFs,
+  printJson,
   table;
 
 beforeAll(async () => {
@@ -97,6 +115,7 @@ beforeAll(async () => {
   PublicKey = o1js.PublicKey;
   Constants = (await import('./constants.js')).default;
   table = (await import('table')).table;
+  printJson = (await import('./json-output.js')).printJson;
 });
 
 beforeEach(() => {
@@ -108,6 +127,10 @@ beforeEach(() => {
     assert: jest.fn(),
   };
   jest.spyOn(process, 'exit').mockImplementation(() => {});
+  jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({ data: { daemonStatus: { chainId: 'chainId' } } }),
+  });
 });
 
 afterEach(() => {
@@ -136,7 +159,12 @@ describe('config.js', () => {
       nodeFs.readFileSync.mockReturnValue(
         JSON.stringify({
           deployAliases: {
-            testAlias1: { url: 'https://zkapp1.xyz', smartContract: 'Add' },
+            testAlias1: {
+              url: 'https://zkapp1.xyz',
+              fallbackUrls: ['https://fallback1.xyz'],
+              archiveUrl: 'https://archive1.xyz',
+              smartContract: 'Add',
+            },
             testAlias2: {},
           },
         })
@@ -148,17 +176,94 @@ describe('config.js', () => {
       expect(table).toHaveBeenCalled();
       expect(console.log).toHaveBeenCalledWith(
         expect.stringMatching(
-          /((.|\n)*)testAlias1((.|\n)*)zkapp1\.xyz((.|\n)*)Add((.|\n)*)testAlias2((.|\n)*)\(never deployed\)((.|\n)*)/gi
+          /((.|\n)*)testAlias1((.|\n)*)zkapp1\.xyz\\nhttps:\/\/fallback1\.xyz((.|\n)*)archive1\.xyz((.|\n)*)Add((.|\n)*)testAlias2((.|\n)*)\(never deployed\)((.|\n)*)/gi
         )
       );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAliases: {
+          testAlias1: {
+            url: 'https://zkapp1.xyz',
+            fallbackUrls: ['https://fallback1.xyz'],
+            archiveUrl: 'https://archive1.xyz',
+            smartContract: 'Add',
+          },
+          testAlias2: {},
+        },
+      });
     });
 
-    it('should create the lightnet deploy alias (fee payer key pair creation)', async () => {
-      jest.spyOn(global, 'fetch').mockImplementation(() =>
-        Promise.resolve({
-          ok: true,
+    it('should mask the header values of deploy aliases', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            testAlias1: {
+              url: 'https://zkapp1.xyz',
+              headers: { 'X-Api-Key': '${MINA_API_KEY}' },
+              archiveUrl: 'https://archive.xyz',
+              archiveHeaders: { 'X-Archive-Key': '${ARCHIVE_API_KEY}' },
+            },
+          },
         })
       );
+      const { default: config } = await import('./config.js');
+
+      await config({ list: true });
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'https://zkapp1.xyzgray: \\nX-Api-Key: ********'
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'https://archive.xyzgray: \\nX-Archive-Key: ********'
+        )
+      );
+      expect(console.log).not.toHaveBeenCalledWith(
+        expect.stringMatching(/MINA_API_KEY|ARCHIVE_API_KEY/)
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAliases: {
+          testAlias1: {
+            url: 'https://zkapp1.xyz',
+            headers: { 'X-Api-Key': '********' },
+            archiveUrl: 'https://archive.xyz',
+            archiveHeaders: { 'X-Archive-Key': '********' },
+          },
+        },
+      });
+    });
+
+    it('should list the deploy plan smart contracts of deploy aliases', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            testAlias1: {
+              url: 'https://zkapp1.xyz',
+              deployPlan: [
+                { smartContract: 'Token', keyPath: 'keys/token.json' },
+                { smartContract: 'Vault', keyPath: 'keys/vault.json' },
+              ],
+            },
+          },
+        })
+      );
+      const { default: config } = await import('./config.js');
+
+      await config({ list: true });
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Token\\nVault')
+      );
+    });
+
+    it('should create the lightnet deploy alias (fee payer key pair creation)', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: { syncStatus: 'SYNCED' } }),
+      });
       nodeFs.readFileSync.mockReturnValue(
         JSON.stringify({
           deployAliases: {
@@ -188,6 +293,7 @@ describe('config.js', () => {
             lightnet1: {
               networkId: 'testnet',
               url: Constants.lightnetMinaDaemonGraphQlEndpoint,
+              archiveUrl: Constants.lightnetArchiveNodeApiEndpoint,
               keyPath: 'keys/lightnet1.json',
               feepayerKeyPath: `${Constants.feePayerCacheDir}/lightnet1.json`,
               feepayerAlias: 'lightnet1',
@@ -202,11 +308,10 @@ describe('config.js', () => {
     });
 
     it('should create the lightnet deploy alias (no fee payer key pair creation)', async () => {
-      jest.spyOn(global, 'fetch').mockImplementation(() =>
-        Promise.resolve({
-          ok: true,
-        })
-      );
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: { syncStatus: 'SYNCED' } }),
+      });
       nodeFs.readFileSync.mockReturnValue(
         JSON.stringify({
           deployAliases: {
@@ -232,6 +337,7 @@ describe('config.js', () => {
             lightnet1: {
               networkId: 'testnet',
               url: Constants.lightnetMinaDaemonGraphQlEndpoint,
+              archiveUrl: Constants.lightnetArchiveNodeApiEndpoint,
               keyPath: 'keys/lightnet1.json',
               feepayerKeyPath: `${Constants.feePayerCacheDir}/lightnet1.json`,
               feepayerAlias: 'lightnet1',
@@ -245,11 +351,10 @@ describe('config.js', () => {
     });
 
     it('should create the lightnet deploy alias (not default deploy alias)', async () => {
-      jest.spyOn(global, 'fetch').mockImplementation(() =>
-        Promise.resolve({
-          ok: true,
-        })
-      );
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: { syncStatus: 'SYNCED' } }),
+      });
       nodeFs.readFileSync.mockReturnValue(
         JSON.stringify({
           deployAliases: {
@@ -279,6 +384,7 @@ describe('config.js', () => {
             lightnet2: {
               networkId: 'testnet',
               url: Constants.lightnetMinaDaemonGraphQlEndpoint,
+              archiveUrl: Constants.lightnetArchiveNodeApiEndpoint,
               keyPath: 'keys/lightnet2.json',
               feepayerKeyPath: `${Constants.feePayerCacheDir}/lightnet2.json`,
               feepayerAlias: 'lightnet2',
@@ -646,6 +752,771 @@ describe('config.js', () => {
     });
   });
 
+  describe('config() with flags', () => {
+    beforeEach(() => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({ deployAliases: {} })
+      );
+    });
+
+    it('should create the deploy alias without prompts (create fee payer)', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'CI Alias',
+        url: 'https://zkapp1.xyz',
+        archiveUrl: ' https://archive1.xyz ',
+        fee: '0.01',
+        feepayer: 'create',
+        feepayerAlias: 'ci',
+      });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        {
+          publicKey: 'publicKey',
+          privateKey: 'privateKey',
+          networkId: 'testnet',
+        },
+        { spaces: 2 }
+      );
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        {
+          deployAliases: {
+            'ci-alias': {
+              networkId: 'testnet',
+              url: 'https://zkapp1.xyz',
+              archiveUrl: 'https://archive1.xyz',
+              chainId: 'chainId',
+              keyPath: 'keys/ci-alias.json',
+              feepayerKeyPath: `${Constants.feePayerCacheDir}/ci.json`,
+              feepayerAlias: 'ci',
+              fee: '0.01',
+            },
+          },
+        },
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+    });
+
+    it('should create the deploy alias without chain id if the node is unreachable', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      global.fetch.mockRejectedValue(new Error('fetch failed'));
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'ci',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+        feepayer: 'create',
+        feepayerAlias: 'ci',
+      });
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   Failed to fetch the chain id of the node at https://zkapp1.xyz.\n  The deploy alias is saved without a "chainId", so its network can\'t be checked before sending transactions.'
+      );
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        {
+          deployAliases: {
+            ci: expect.not.objectContaining({ chainId: expect.anything() }),
+          },
+        },
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+    });
+
+    it('should create the deploy alias with the given headers', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      process.env.MINA_API_KEY = 'apiKey';
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'ci',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+        feepayer: 'create',
+        feepayerAlias: 'ci',
+        header: ['X-Api-Key: ${MINA_API_KEY}', 'X-Client : zkapp-cli'],
+        archiveUrl: 'https://archive.xyz',
+        archiveHeader: ['X-Archive-Key: ${MINA_API_KEY}'],
+      });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://zkapp1.xyz',
+        expect.objectContaining({
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Api-Key': '${MINA_API_KEY}',
+            'X-Client': 'zkapp-cli',
+          },
+        })
+      );
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        {
+          deployAliases: {
+            ci: expect.objectContaining({
+              headers: {
+                'X-Api-Key': '${MINA_API_KEY}',
+                'X-Client': 'zkapp-cli',
+              },
+              archiveUrl: 'https://archive.xyz',
+              archiveHeaders: { 'X-Archive-Key': '${MINA_API_KEY}' },
+            }),
+          },
+        },
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+      delete process.env.MINA_API_KEY;
+    });
+
+    it('should create the deploy alias without prompts (recover fee payer)', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      process.env.TEST_FEEPAYER_KEY = 'feePayerPrivateKey';
+      PrivateKey.fromBase58.mockReturnValue({ toPublicKey: () => 'publicKey' });
+      PublicKey.toBase58.mockReturnValue('publicKey');
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'ci',
+        networkId: 'mainnet',
+        url: 'https://zkapp1.xyz',
+        fee: 'auto',
+        feepayer: 'recover',
+        feepayerAlias: 'ci',
+        feepayerKeyEnv: 'TEST_FEEPAYER_KEY',
+      });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        {
+          publicKey: 'publicKey',
+          privateKey: 'feePayerPrivateKey',
+          networkId: 'mainnet',
+        },
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+      delete process.env.TEST_FEEPAYER_KEY;
+    });
+
+    it('should encrypt the fee payer private key with the passphrase environment variable', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      process.env.ZK_KEY_PASSPHRASE = 'passphrase';
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'ci',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+        feepayer: 'create',
+        feepayerAlias: 'ci',
+      });
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        {
+          publicKey: 'publicKey',
+          networkId: 'testnet',
+          crypto: expect.objectContaining({ kdf: 'scrypt' }),
+          version: 1,
+        },
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+      delete process.env.ZK_KEY_PASSPHRASE;
+    });
+
+    it('should create the deploy alias without prompts (cached fee payer)', async () => {
+      fs.readdirSync.mockReturnValue(['stored.json']);
+      fs.readJsonSync.mockReturnValue({
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+      const { default: config } = await import('./config.js');
+
+      await config({
+        name: 'ci',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+        feepayer: 'cached',
+      });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        expect.objectContaining({
+          deployAliases: {
+            ci: expect.objectContaining({ feepayerAlias: 'stored' }),
+          },
+        }),
+        { spaces: 2 }
+      );
+      checkSuccessfulDeployAliasCreation();
+    });
+  });
+
+  describe('getDeployAliasFromFlags()', () => {
+    const deployAliasesConfig = { deployAliases: { existing: {} } };
+
+    beforeEach(() => {
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+    });
+
+    it('should exit if required flags are missing', async () => {
+      const { getDeployAliasFromFlags } = await import('./config.js');
+
+      expect(() =>
+        getDeployAliasFromFlags(
+          { fee: '0.01', feepayer: 'recover' },
+          deployAliasesConfig
+        )
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Missing --name, --url, --feepayer-alias, --feepayer-key-env to create the deploy alias non-interactively.'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit with every validation error', async () => {
+      const { getDeployAliasFromFlags } = await import('./config.js');
+
+      expect(() =>
+        getDeployAliasFromFlags(
+          {
+            name: 'Existing',
+            url: 'not a url',
+            archiveUrl: 'archive',
+            fee: 'free',
+            feepayer: 'create',
+            feepayerAlias: 'stored',
+          },
+          deployAliasesConfig,
+          ['stored']
+        )
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Name already exists.\n  Enter a valid URL.\n  Enter a valid Archive-Node-API URL.\n  Fee must be a number.\n  Fee payer alias stored already exists'
+      );
+    });
+
+    it('should exit if the fee payer private key environment variable is not set', async () => {
+      const { getDeployAliasFromFlags } = await import('./config.js');
+
+      expect(() =>
+        getDeployAliasFromFlags(
+          {
+            name: 'ci',
+            url: 'https://zkapp1.xyz',
+            fee: '0.01',
+            feepayer: 'recover',
+            feepayerAlias: 'ci',
+            feepayerKeyEnv: 'MISSING_FEEPAYER_KEY',
+          },
+          deployAliasesConfig
+        )
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The MISSING_FEEPAYER_KEY environment variable is not set.'
+      );
+    });
+
+    it('should exit if the cached fee payer is not found', async () => {
+      const { getDeployAliasFromFlags } = await import('./config.js');
+      const flags = {
+        name: 'ci',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+        feepayer: 'cached',
+      };
+
+      expect(() =>
+        getDeployAliasFromFlags(
+          { ...flags, feepayerAlias: 'other' },
+          deployAliasesConfig,
+          ['stored']
+        )
+      ).toThrow('process.exit');
+      expect(() => getDeployAliasFromFlags(flags, deployAliasesConfig)).toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   Fee payer alias other is not found in ${Constants.feePayerCacheDir}.`
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   No fee payer is stored in ${Constants.feePayerCacheDir}.`
+      );
+    });
+
+    it('should return the sanitized deploy alias values', async () => {
+      const { getDeployAliasFromFlags } = await import('./config.js');
+
+      const result = getDeployAliasFromFlags(
+        {
+          name: ' My Alias ',
+          networkId: 'my network',
+          url: ' https://zkapp1.xyz ',
+          fee: ' 0.1 ',
+          feepayer: 'cached',
+          feepayerAlias: 'stored',
+        },
+        deployAliasesConfig,
+        ['stored']
+      );
+
+      expect(result).toEqual({
+        deployAliasName: 'my-alias',
+        networkId: 'my-network',
+        url: 'https://zkapp1.xyz',
+        fee: '0.1',
+        feepayer: 'alternateCachedFeepayer',
+        alternateCachedFeepayerAlias: 'stored',
+      });
+    });
+  });
+
+  describe('editDeployAlias()', () => {
+    it('should update the deploy alias with the prompted values', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: {
+              networkId: 'testnet',
+              url: 'https://zkapp1.xyz',
+              archiveUrl: 'https://archive1.xyz',
+              keyPath: 'keys/devnet.json',
+              fee: '0.01',
+              maxFee: '1',
+            },
+          },
+        })
+      );
+      enquirer.prompt
+        .mockResolvedValueOnce({
+          networkId: 'mainnet',
+          url: 'https://zkapp2.xyz',
+          archiveUrl: 'https://archive2.xyz',
+          fee: 'auto',
+        })
+        .mockResolvedValueOnce({ confirm: true });
+      const { editDeployAlias } = await import('./config.js');
+
+      await editDeployAlias({ alias: 'devnet' });
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        {
+          deployAliases: {
+            devnet: {
+              networkId: 'mainnet',
+              url: 'https://zkapp2.xyz',
+              archiveUrl: 'https://archive2.xyz',
+              chainId: 'chainId',
+              keyPath: 'keys/devnet.json',
+              fee: 'auto',
+              maxFee: '1',
+            },
+          },
+        },
+        { spaces: 2 }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   The chain id pinned in the "devnet" deploy alias changes from none to "chainId".'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "devnet" deploy alias is updated.'
+      );
+    });
+
+    it('should keep the pinned chain id if the URL is unchanged', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: {
+              networkId: 'testnet',
+              url: 'https://zkapp1.xyz',
+              chainId: 'pinnedChainId',
+              fee: '0.01',
+            },
+          },
+        })
+      );
+      enquirer.prompt.mockResolvedValue({
+        networkId: 'testnet',
+        url: 'https://zkapp1.xyz',
+        fee: '0.1',
+      });
+      const { editDeployAlias } = await import('./config.js');
+
+      await editDeployAlias({ alias: 'devnet' });
+
+      expect(enquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync.mock.calls[0][1].deployAliases.devnet).toEqual(
+        expect.objectContaining({ chainId: 'pinnedChainId', fee: '0.1' })
+      );
+      expect(console.log).not.toHaveBeenCalledWith(
+        expect.stringContaining('chain id pinned')
+      );
+    });
+
+    it('should keep the pinned chain id if pinning the new URL is declined', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: {
+              networkId: 'testnet',
+              url: 'https://zkapp1.xyz',
+              chainId: 'pinnedChainId',
+              fee: '0.01',
+            },
+          },
+        })
+      );
+      enquirer.prompt
+        .mockResolvedValueOnce({
+          networkId: 'testnet',
+          url: 'https://zkapp2.xyz',
+          fee: '0.01',
+        })
+        .mockResolvedValueOnce({ confirm: false });
+      const { editDeployAlias } = await import('./config.js');
+
+      await editDeployAlias({ alias: 'devnet' });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync.mock.calls[0][1].deployAliases.devnet).toEqual(
+        expect.objectContaining({
+          url: 'https://zkapp2.xyz',
+          chainId: 'pinnedChainId',
+        })
+      );
+    });
+
+    it('should pin the chain id with the headers of the deploy alias', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: {
+              networkId: 'testnet',
+              url: 'https://zkapp1.xyz',
+              headers: { 'X-Api-Key': 'apiKey' },
+              fee: '0.01',
+            },
+          },
+        })
+      );
+      enquirer.prompt.mockResolvedValue({
+        networkId: 'testnet',
+        url: 'https://zkapp1.xyz',
+        fee: '0.01',
+      });
+      const { editDeployAlias } = await import('./config.js');
+
+      await editDeployAlias({ alias: 'devnet', pinChainId: true });
+
+      expect(enquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://zkapp1.xyz',
+        expect.objectContaining({
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Api-Key': 'apiKey',
+          },
+        })
+      );
+      expect(fs.outputJsonSync.mock.calls[0][1].deployAliases.devnet).toEqual(
+        expect.objectContaining({
+          headers: { 'X-Api-Key': 'apiKey' },
+          chainId: 'chainId',
+        })
+      );
+    });
+
+    it('should exit if the prompts are cancelled', async () => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({ deployAliases: { devnet: {} } })
+      );
+      enquirer.prompt.mockResolvedValue({});
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { editDeployAlias } = await import('./config.js');
+
+      await expect(editDeployAlias({ alias: 'devnet' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(fs.outputJsonSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renameDeployAlias()', () => {
+    beforeEach(() => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: { url: 'https://zkapp1.xyz', keyPath: 'keys/devnet.json' },
+            custom: { url: 'https://zkapp1.xyz', keyPath: 'keys/my-key.json' },
+            mainnet: { url: 'https://zkapp2.xyz' },
+          },
+        })
+      );
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+    });
+
+    it('should rename the deploy alias and move its key pair', async () => {
+      fs.existsSync.mockImplementation(
+        (path) => path === '/project/root/keys/devnet.json'
+      );
+      const { renameDeployAlias } = await import('./config.js');
+
+      await renameDeployAlias({ alias: 'devnet', newAlias: 'My Devnet' });
+
+      expect(fs.move).toHaveBeenCalledWith(
+        '/project/root/keys/devnet.json',
+        '/project/root/keys/my-devnet.json'
+      );
+      const [[, config]] = fs.outputJsonSync.mock.calls;
+      expect(Object.keys(config.deployAliases)).toEqual([
+        'my-devnet',
+        'custom',
+        'mainnet',
+      ]);
+      expect(config.deployAliases['my-devnet']).toEqual({
+        url: 'https://zkapp1.xyz',
+        keyPath: 'keys/my-devnet.json',
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "devnet" deploy alias is renamed to "my-devnet".'
+      );
+    });
+
+    it('should move the deployments ledger and sent transactions of the deploy alias', async () => {
+      fs.existsSync.mockImplementation((path) =>
+        [
+          '/project/root/deployments/custom.json',
+          '/project/root/build/sent/custom.json',
+        ].includes(path)
+      );
+      const { renameDeployAlias } = await import('./config.js');
+
+      await renameDeployAlias({ alias: 'custom', newAlias: 'renamed' });
+
+      expect(fs.move.mock.calls).toEqual([
+        [
+          '/project/root/deployments/custom.json',
+          '/project/root/deployments/renamed.json',
+        ],
+        [
+          '/project/root/build/sent/custom.json',
+          '/project/root/build/sent/renamed.json',
+        ],
+      ]);
+    });
+
+    it('should exit before moving anything if a moved file already exists', async () => {
+      fs.existsSync.mockImplementation((path) =>
+        [
+          '/project/root/keys/devnet.json',
+          '/project/root/deployments/devnet.json',
+          '/project/root/deployments/renamed.json',
+        ].includes(path)
+      );
+      const { renameDeployAlias } = await import('./config.js');
+
+      await expect(
+        renameDeployAlias({ alias: 'devnet', newAlias: 'renamed' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The deployments/renamed.json deployments ledger file already exists.\n  Please move it or choose another name.'
+      );
+      expect(fs.move).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).not.toHaveBeenCalled();
+    });
+
+    it('should not move a key pair the deploy alias was not created with', async () => {
+      const { renameDeployAlias } = await import('./config.js');
+
+      await renameDeployAlias({ alias: 'custom', newAlias: 'renamed' });
+
+      expect(fs.move).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        expect.objectContaining({
+          deployAliases: expect.objectContaining({
+            renamed: { url: 'https://zkapp1.xyz', keyPath: 'keys/my-key.json' },
+          }),
+        }),
+        { spaces: 2 }
+      );
+    });
+
+    it('should only update the key path if the key pair file is missing', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const { renameDeployAlias } = await import('./config.js');
+
+      await renameDeployAlias({ alias: 'devnet', newAlias: 'renamed' });
+
+      expect(fs.move).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        expect.objectContaining({
+          deployAliases: expect.objectContaining({
+            renamed: expect.objectContaining({ keyPath: 'keys/renamed.json' }),
+          }),
+        }),
+        { spaces: 2 }
+      );
+    });
+
+    it('should exit if the new name already exists', async () => {
+      const { renameDeployAlias } = await import('./config.js');
+
+      await expect(
+        renameDeployAlias({ alias: 'devnet', newAlias: 'Mainnet' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith('red:   Name already exists.');
+      expect(fs.outputJsonSync).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the new key pair file already exists', async () => {
+      fs.existsSync.mockReturnValue(true);
+      const { renameDeployAlias } = await import('./config.js');
+
+      await expect(
+        renameDeployAlias({ alias: 'devnet', newAlias: 'renamed' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The keys/renamed.json key file already exists.\n  Please move it or choose another name.'
+      );
+      expect(fs.move).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeDeployAlias()', () => {
+    beforeEach(() => {
+      findPrefix.mockResolvedValue('/project/root');
+      nodeFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          deployAliases: {
+            devnet: {
+              keyPath: 'keys/devnet.json',
+              deployPlan: [
+                { smartContract: 'Token', keyPath: 'keys/token.json' },
+                { smartContract: 'Vault', keyPath: 'keys/vault.json' },
+              ],
+            },
+            mainnet: { keyPath: 'keys/token.json' },
+          },
+        })
+      );
+      fs.existsSync.mockReturnValue(true);
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+    });
+
+    it('should remove the deploy alias and delete its unshared key pairs', async () => {
+      const { removeDeployAlias } = await import('./config.js');
+
+      await removeDeployAlias({ alias: 'devnet', yes: true });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/config.json',
+        { deployAliases: { mainnet: { keyPath: 'keys/token.json' } } },
+        { spaces: 2 }
+      );
+      expect(fs.remove.mock.calls).toEqual([
+        ['/project/root/keys/devnet.json'],
+        ['/project/root/keys/vault.json'],
+      ]);
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "devnet" deploy alias is removed.'
+      );
+    });
+
+    it('should keep the key pairs', async () => {
+      enquirer.prompt.mockResolvedValue({ confirm: true });
+      const { removeDeployAlias } = await import('./config.js');
+
+      await removeDeployAlias({ alias: 'devnet', keepKeys: true });
+
+      expect(enquirer.prompt).toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalled();
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the removal is not confirmed', async () => {
+      enquirer.prompt.mockResolvedValue({ confirm: false });
+      const { removeDeployAlias } = await import('./config.js');
+
+      await expect(removeDeployAlias({ alias: 'devnet' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith('red: \n  Aborted.');
+      expect(fs.outputJsonSync).not.toHaveBeenCalled();
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the deploy alias does not exist', async () => {
+      const { removeDeployAlias } = await import('./config.js');
+
+      await expect(
+        removeDeployAlias({ alias: 'unknown', yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "unknown" deploy alias was not found in config.json.'
+      );
+    });
+  });
+
+  describe('getDeployAliasKeyPaths()', () => {
+    it('should get the unique key paths of the deploy alias', async () => {
+      const { getDeployAliasKeyPaths } = await import('./config.js');
+
+      expect(
+        getDeployAliasKeyPaths({
+          keyPath: 'keys/token.json',
+          deployPlan: [
+            { smartContract: 'Token', keyPath: 'keys/token.json' },
+            { smartContract: 'Vault', keyPath: 'keys/vault.json' },
+          ],
+        })
+      ).toEqual(['keys/token.json', 'keys/vault.json']);
+      expect(getDeployAliasKeyPaths({})).toEqual([]);
+    });
+  });
+
   describe('createKeyPair()', () => {
     it('should create a key pair', async () => {
       const { createKeyPair } = await import('./config.js');
@@ -684,6 +1555,9 @@ describe('config.js', () => {
       );
 
       checkSuccessfulDeployAliasCreation();
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('or run: `zk fund testAlias1`')
+      );
     });
   });
 
@@ -733,6 +1607,7 @@ function checkDeployAliasesFsCalls({
     expect(fsCalls[0][1]).toEqual({
       publicKey: 'publicKey',
       privateKey: 'privateKey',
+      networkId: 'testnet',
     });
   }
   // zkApp FS key pair creation check
@@ -6,38 +6,103 @@ import fs from 'fs-extra';
 import { execSync } from 'node:child_process';
 import path from 'node:path';
 import util from 'node:util';
+import semver from 'semver';
 import { getBorderCharacters, table } from 'table';
+import { recordDeployment } from './deployments.js';
 import { dynamicImport } from './dynamic-import-helper.js';
+import {
+  fetchAccount,
+  fetchChainId,
+  fetchSyncStatus,
+  fetchTransactionStatus,
+  isNetworkError,
+  sendGraphQL,
+  sendZkapp,
+} from './graphql-client.js';
 import {
   findIfClassExtendsSmartContract,
   readDeployAliasesConfig,
   step,
 } from './helpers.js';
+import { printJson } from './json-output.js';
+import { unlockKeyPair } from './keystore.js';
+import { sleep } from './time-helpers.js';
 
 // Module external API
 export default deploy;
 
+// Module API shared with the other commands interacting with the network
+export {
+  buildProject,
+  checkChainId,
+  checkInstalledCliVersion,
+  checkMainnetGuardRails,
+  checkNodeSyncStatus,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  fetchFeepayerAccount,
+  formatFeeTiers,
+  formatGraphQlEndpoint,
+  generateVerificationKey,
+  getArchiveHeaders,
+  getDeployAliasHeaders,
+  getDeployAliasNetwork,
+  getErrorMessage,
+  getSentTransactionsPath,
+  getTransactionFee,
+  getTxnUrl,
+  getZkAppAccountQuery,
+  importO1js,
+  importSmartContract,
+  readFeepayerPrivateKey,
+  readPublicKey,
+  readZkAppPrivateKey,
+  restoreMissingSignatures,
+  sendGraphQLWithFallback,
+  setActiveNetwork,
+  waitForTransactionInclusion,
+};
+
 // Module internal API (exported for testing purposes)
 export {
+  addDeployAccountUpdates,
   chooseSmartContract,
+  estimateFeeTiers,
   findSmartContracts,
   findZkProgramFile,
-  generateVerificationKey,
-  getAccountQuery,
+  fetchZkAppAccounts,
+  getBestChainQuery,
+  getBumpedFee,
   getContractName,
-  getErrorMessage,
+  getDeployPlan,
+  getDeployResult,
+  getDryRunResult,
+  getFeeDataQuery,
   getInstalledCliVersion,
+  getPreflightChecks,
   getLatestCliVersion,
-  getTxnUrl,
+  getSentTransactions,
+  getUnsignedTransactions,
   getZkProgram,
   getZkProgramNameArg,
   hasBreakingChanges,
-  removeJsonQuotes,
-  sendGraphQL,
-  sendZkAppQuery,
+  printDeployPlanSummary,
+  getRejectingPermissions,
+  resendTransactions,
+  resignTransaction,
+  validateDeployPlan,
 };
 
 const DEFAULT_NETWORK_ID = 'testnet';
+const MAINNET_NETWORK_ID = 'mainnet';
+const AUTO_FEE = 'auto';
+const MINIMUM_FEE = 1_000_000; // The minimum fee accepted by the network, in nanomina
+const FEE_BUMP_PERCENT = 10; // Replacing a pending transaction requires a higher fee
+const ACCOUNT_CREATION_FEE = 1_000_000_000; // Paid by the fee payer for every new zkApp account, in nanomina
+// The authorizations that a deploy account update, authorized by the zkApp signature, can't satisfy.
+const SIGNATURE_REJECTING_AUTHS = ['Proof', 'Impossible'];
+const MINIMUM_O1JS_HEADERS_VERSION = '2.3.0'; // The first o1js version sending the `Mina.Network` default headers
 const DEFAULT_GRAPHQL = 'https://proxy.devnet.minaexplorer.com/graphql'; // The endpoint used to interact with the network
 
 /**
@@ -45,12 +110,667 @@ const DEFAULT_GRAPHQL = 'https://proxy.devnet.minaexplorer.com/graphql'; // The
  * provided, yargs will tell the user that the deploy alias param is required.
  * @param {string} alias   The deploy alias to deploy to.
  * @param {string} yes     Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean} dryRun Build and prove the transaction without sending it.
+ * @param {boolean} wait   Wait for the transaction to be included in a block.
+ * @param {boolean} exportUnsigned Build and prove the transaction, then export it to be signed offline.
+ * @param {boolean} resend  Send again the transactions of the last deployment instead of building new ones.
+ * @param {boolean} bumpFee Sign the resent transactions again with a higher fee.
+ * @param {boolean} allowMainnet Allow `yes` for the mainnet deploy aliases.
  * @return {Promise<void>} Sends tx to a relayer, if confirmed by user.
  */
-async function deploy({ alias, yes }) {
+async function deploy({
+  alias,
+  yes,
+  dryRun,
+  wait,
+  exportUnsigned,
+  resend,
+  bumpFee,
+  allowMainnet,
+}) {
   // Get project root directory, so that the CLI command can be executed anywhere within the project.
   const projectRoot = await findPrefix(process.cwd());
   const config = readDeployAliasesConfig(projectRoot);
+  const cliVersion = await checkInstalledCliVersion();
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    'Which deploy alias do you want to deploy to?'
+  );
+
+  if (resend) {
+    return await resendTransactions({
+      projectRoot,
+      config,
+      alias,
+      yes,
+      bumpFee,
+      allowMainnet,
+    });
+  }
+
+  const build = await buildProject(projectRoot);
+
+  const deployPlan = await getDeployPlan(projectRoot, config, build, alias);
+  const isDeployPlan = Boolean(config.deployAliases[alias].deployPlan);
+
+  let { PrivateKey, PublicKey, Mina, AccountUpdate } =
+    await importO1js(projectRoot);
+  const { graphQlUrls } = getDeployAliasNetwork(config.deployAliases[alias]);
+  const headers = getDeployAliasHeaders(config.deployAliases[alias]);
+  let graphQlUrl = await chooseGraphQlEndpoint(graphQlUrls, headers);
+  const { networkId } = setActiveNetwork(
+    projectRoot,
+    Mina,
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  const isMainnet = await checkMainnetGuardRails({
+    alias,
+    deployAlias: config.deployAliases[alias],
+    // Only the transactions sent to the network are confirmed.
+    yes: yes && !dryRun && !exportUnsigned,
+    allowMainnet,
+  });
+  await checkChainId(alias, config.deployAliases[alias], graphQlUrl);
+
+  // Import every smart contract of the deploy plan together with the zkApp key it will be deployed with.
+  const contracts = [];
+  for (const { contractName, keyPath } of deployPlan) {
+    const zkApp = await importSmartContract(build, contractName);
+    contracts.push({ contractName, keyPath, zkApp });
+  }
+
+  let feepayerPrivateKey, feepayerAddress;
+  if (exportUnsigned) {
+    // Unsigned transactions are built from the public keys only, so that the
+    // private keys can be kept on the machine that signs them.
+    const { feepayerKeyPath } = config.deployAliases[alias];
+    for (const contract of contracts) {
+      contract.zkAppAddress = PublicKey.fromBase58(
+        readPublicKey(`${projectRoot}/${contract.keyPath}`, 'zkApp', 'keyPath')
+      );
+    }
+    feepayerAddress = PublicKey.fromBase58(
+      readPublicKey(feepayerKeyPath, 'feepayer', 'feepayerKeyPath')
+    );
+  } else {
+    for (const contract of contracts) {
+      contract.zkAppPrivateKeyBase58 = readZkAppPrivateKey(
+        projectRoot,
+        contract.keyPath
+      );
+    }
+
+    // Attempt to import the feepayer private key. It will be used to pay for every deploy transaction.
+    const feepayerPrivateKeyBase58 = await readFeepayerPrivateKey(
+      config.deployAliases[alias].feepayerKeyPath
+    );
+
+    for (const contract of contracts) {
+      contract.zkAppPrivateKey = PrivateKey.fromBase58(
+        contract.zkAppPrivateKeyBase58
+      ); //  The private key of the zkApp
+      contract.zkAppAddress = contract.zkAppPrivateKey.toPublicKey(); //  The public key of the zkApp
+    }
+    feepayerPrivateKey = PrivateKey.fromBase58(feepayerPrivateKeyBase58); //  The private key of the feepayer
+    feepayerAddress = feepayerPrivateKey.toPublicKey(); //  The public key of the feepayer
+  }
+
+  // guide user to choose a feepayer account that is different from the zkApp account
+  if (
+    contracts.some(
+      ({ zkAppAddress }) =>
+        feepayerAddress.toBase58() === zkAppAddress.toBase58()
+    )
+  ) {
+    console.log(
+      chalk.red(
+        `  The feepayer account is the same as the zkApp account.\n  Please use a different feepayer account or generate a new one by executing the 'zk config' command.`
+      )
+    );
+    process.exit(1);
+  }
+
+  // Step names get the smart contract name appended when several smart contracts are deployed in one run.
+  const stepName = (str, { contractName }) =>
+    isDeployPlan ? `${str} for ${contractName}` : str;
+
+  for (const contract of contracts) {
+    const { contractName, zkApp, zkAppAddress } = contract;
+    // figure out if the zkApp has a @method init() - in that case we need to create a proof,
+    // so we need to compile no matter what, and we show a separate step to create the proof
+    contract.isInitMethod = zkApp._methods?.some(
+      (intf) => intf.methodName === 'init'
+    );
+
+    const { verificationKey, isCached } = await step(
+      `${stepName('Generate verification key', contract)} (takes 10-30 sec)`,
+
+      async () =>
+        await generateVerificationKey(
+          projectRoot,
+          contractName,
+          zkApp,
+          zkAppAddress,
+          contract.isInitMethod
+        )
+    );
+    contract.verificationKey = verificationKey;
+
+    // Can't include the log message inside the callback b/c it will break
+    // the step formatting.
+    if (isCached) {
+      console.log('  Using the cached verification key');
+    }
+  }
+
+  const { fee, feeTiers } = await getTransactionFee(
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  const feepayerAddressBase58 = feepayerAddress.toBase58();
+  const feepayerAccount = await fetchFeepayerAccount(
+    graphQlUrl,
+    feepayerAddressBase58,
+    headers
+  );
+  await fetchZkAppAccounts(graphQlUrl, contracts, headers);
+  const preflightChecks = getPreflightChecks({
+    feepayerAccount,
+    fee,
+    contracts,
+  });
+  for (const warning of preflightChecks.warnings) {
+    console.log(chalk.yellow(`  ${warning}`));
+  }
+
+  const signTransaction = (tx, { zkAppPrivateKey }) =>
+    exportUnsigned
+      ? tx.toJSON()
+      : tx.sign([zkAppPrivateKey, feepayerPrivateKey]).toJSON();
+
+  // Deploy plan transactions are sent one after another without waiting for
+  // inclusion, so each of them needs the next fee payer nonce explicitly.
+  const { inferredNonce } = feepayerAccount;
+  for (const [index, contract] of contracts.entries()) {
+    const sender = isDeployPlan
+      ? { sender: feepayerAddress, fee, nonce: Number(inferredNonce) + index }
+      : { sender: feepayerAddress, fee };
+
+    let transaction = await step(
+      stepName('Build transaction', contract),
+      async () => {
+        let tx = await Mina.transaction(
+          sender,
+          /* istanbul ignore next */
+          async () =>
+            await addDeployAccountUpdates(
+              AccountUpdate,
+              feepayerAddress,
+              contract
+            )
+        );
+        return { tx, json: signTransaction(tx, contract) };
+      }
+    );
+
+    if (contract.isInitMethod) {
+      transaction = await step(
+        `${stepName('Create transaction proof', contract)} (takes 10-30 sec)`,
+        async () => {
+          await transaction.tx.prove();
+          return {
+            tx: transaction.tx,
+            json: signTransaction(transaction.tx, contract),
+          };
+        }
+      );
+    }
+    contract.transactionJson = transaction.json;
+  }
+
+  let { feepayerAlias } = config.deployAliases[alias];
+  const settings = [
+    [chalk.bold('Deploy alias'), chalk.reset(alias)],
+    [chalk.bold('Network kind'), chalk.reset(networkId)],
+    [chalk.bold('URL'), formatGraphQlEndpoint(graphQlUrls, graphQlUrl)],
+    [
+      chalk.bold('Fee payer'),
+      chalk.reset(
+        `Alias         : ${feepayerAlias}\nAccount       : ${feepayerAddressBase58}`
+      ),
+    ],
+    [
+      chalk.bold('zkApp'),
+      chalk.reset(
+        contracts
+          .map(
+            ({ contractName, zkAppAddress }) =>
+              `Smart contract: ${contractName}\nAccount       : ${zkAppAddress.toBase58()}`
+          )
+          .join('\n')
+      ),
+    ],
+    [
+      chalk.bold('Transaction fee'),
+      chalk.reset(
+        `${Number(fee) / 1e9} Mina` +
+          (isDeployPlan
+            ? ` (per transaction, ${contracts.length} total)`
+            : '') +
+          formatFeeTiers(feeTiers)
+      ),
+    ],
+    [
+      chalk.bold('Balance check'),
+      (preflightChecks.isBalanceSufficient ? chalk.reset : chalk.yellow)(
+        preflightChecks.balance
+      ),
+    ],
+    [
+      chalk.bold('Permissions check'),
+      (preflightChecks.arePermissionsValid ? chalk.reset : chalk.yellow)(
+        preflightChecks.permissions
+      ),
+    ],
+  ];
+
+  if (dryRun) {
+    const dryRunPath = `${projectRoot}/build/dry-run/${alias}.json`;
+    const dryRunResult = getDryRunResult({
+      alias,
+      networkId,
+      graphQlUrl,
+      feepayerAlias,
+      feepayerAddressBase58,
+      inferredNonce,
+      fee,
+      contracts,
+    });
+    fs.outputJsonSync(dryRunPath, dryRunResult, { spaces: 2 });
+    printJson({ ...dryRunResult, path: dryRunPath });
+    const str =
+      `\nSuccess! Dry run completed. Transaction not sent.` +
+      `\n\n  ` +
+      table(settings, {
+        border: getBorderCharacters('norc'),
+      }).replaceAll('\n', '\n  ') +
+      `\n  The signed transaction and the summary above were written to:` +
+      `\n  ${dryRunPath}`;
+
+    console.log(chalk.green(str));
+    process.exit(0);
+  }
+
+  if (exportUnsigned) {
+    const unsignedPath = `${projectRoot}/build/unsigned/${alias}.json`;
+    fs.outputJsonSync(
+      unsignedPath,
+      getUnsignedTransactions({ alias, networkId, cliVersion, contracts }),
+      { spaces: 2 }
+    );
+    printJson({ deployAlias: alias, networkId, path: unsignedPath });
+    const str =
+      `\nSuccess! Unsigned transaction exported. Transaction not sent.` +
+      `\n\n  ` +
+      table(settings, {
+        border: getBorderCharacters('norc'),
+      }).replaceAll('\n', '\n  ') +
+      `\n  The unsigned transaction was written to:` +
+      `\n  ${unsignedPath}` +
+      `\n` +
+      `\nNext steps:` +
+      `\n  Sign it on the machine holding the private keys with \`zk sign <file>\`,` +
+      `\n  then send the signed transaction with \`zk broadcast <file> ${alias}\`.`;
+
+    console.log(chalk.green(str));
+    process.exit(0);
+  }
+
+  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
+  if (!(await confirmTransaction(settings, yes, isMainnet ? alias : undefined)))
+    return;
+
+  // Send txs to the relayer, one per smart contract in the deploy plan order.
+  for (const contract of contracts) {
+    const txn = await step(stepName('Send to network', contract), async () => {
+      const result = await sendGraphQLWithFallback(
+        graphQlUrls.slice(graphQlUrls.indexOf(graphQlUrl)),
+        (graphQlUrl) =>
+          sendZkapp(graphQlUrl, contract.transactionJson, { headers }),
+        // The node switched to must be on the network the transaction was checked against.
+        (graphQlUrl) =>
+          checkChainId(alias, config.deployAliases[alias], graphQlUrl)
+      );
+      // The next transactions are sent to the endpoint that could be reached.
+      graphQlUrl = result.graphQlUrl;
+      return result.response;
+    });
+
+    if (!txn || txn?.kind === 'error') {
+      // The error is printed last, so that it ends the output.
+      if (isDeployPlan) {
+        printDeployPlanSummary(contracts);
+      }
+      console.log(chalk.red(getErrorMessage(txn)));
+      process.exit(1);
+    }
+    contract.txn = txn;
+    // Keep the signed transactions, so that they can be resent with `zk deploy --resend`.
+    fs.outputJsonSync(
+      getSentTransactionsPath(projectRoot, alias),
+      getSentTransactions({ alias, networkId, cliVersion, contracts }),
+      { spaces: 2 }
+    );
+    recordDeployment(projectRoot, alias, {
+      contractName: contract.contractName,
+      verificationKeyHash: contract.verificationKey.hash.toString(),
+      zkAppAddress: contract.zkAppAddress.toBase58(),
+      txnHash: txn.data.sendZkapp.zkapp.hash,
+      cliVersion,
+    });
+  }
+
+  if (wait) {
+    for (const contract of contracts) {
+      contract.inclusion = await step(
+        stepName('Wait for transaction inclusion', contract),
+        async () =>
+          await waitForTransactionInclusion(
+            graphQlUrl,
+            contract.txn.data.sendZkapp.zkapp,
+            headers
+          )
+      );
+    }
+    const failedContracts = contracts.filter(
+      ({ inclusion }) => inclusion.status !== 'included'
+    );
+    if (failedContracts.length) {
+      if (isDeployPlan) {
+        printDeployPlanSummary(contracts);
+      }
+      for (const { contractName, inclusion } of failedContracts) {
+        console.log(
+          chalk.red(
+            getTransactionInclusionErrorMessage(contractName, inclusion)
+          )
+        );
+      }
+      process.exit(1);
+    }
+  }
+
+  printJson(
+    getDeployResult({
+      alias,
+      networkId,
+      graphQlUrl,
+      feepayerAddressBase58,
+      fee,
+      contracts,
+    })
+  );
+
+  if (isDeployPlan) {
+    const str = wait
+      ? `\nSuccess! Deploy transactions included in blocks.` +
+        `\n` +
+        `\n  Your smart contracts are live (or updated):`
+      : `\nSuccess! Deploy transactions sent.` +
+        `\n` +
+        `\nNext step:` +
+        `\n  Your smart contracts will be live (or updated)` +
+        `\n  as soon as the transactions are included in blocks:`;
+
+    console.log(chalk.green(str));
+    printDeployPlanSummary(contracts);
+    process.exit(0);
+  }
+
+  const [{ zkAppAddress, txn, inclusion }] = contracts;
+  if (wait) {
+    const str =
+      `\nSuccess! Deploy transaction included in block at height ${inclusion.blockHeight}.` +
+      `\n` +
+      `\n  Your smart contract is live (or updated)` +
+      `\n  at ${zkAppAddress.toBase58()}` +
+      `\n  ${getTxnUrl(graphQlUrl, txn)}`;
+
+    console.log(chalk.green(str));
+    process.exit(0);
+  }
+
+  const str =
+    `\nSuccess! Deploy transaction sent.` +
+    `\n` +
+    `\nNext step:` +
+    `\n  Your smart contract will be live (or updated)` +
+    `\n  at ${zkAppAddress.toBase58()}` +
+    `\n  as soon as the transaction is included in a block:` +
+    `\n  ${getTxnUrl(graphQlUrl, txn)}`;
+
+  console.log(chalk.green(str));
+  process.exit(0);
+}
+
+/**
+ * Send again the transactions of the last deployment to the deploy alias, with
+ * the same fee payer nonce, so that at most one of them can be included. With
+ * `bumpFee`, the same account updates are signed again with a higher fee to
+ * replace the transactions stuck in the node pool.
+ * @param {object}  options
+ * @param {string}  options.projectRoot The root directory path of the project.
+ * @param {object}  options.config      The config.json in object format.
+ * @param {string}  options.alias       The deploy alias name.
+ * @param {boolean} options.yes         Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean} options.bumpFee     Sign the transactions again with a higher fee.
+ * @param {boolean} options.allowMainnet Allow `yes` for the mainnet deploy aliases.
+ * @returns {Promise<void>}
+ */
+async function resendTransactions({
+  projectRoot,
+  config,
+  alias,
+  yes,
+  bumpFee,
+  allowMainnet,
+}) {
+  const sentTransactionsPath = getSentTransactionsPath(projectRoot, alias);
+  const sentTransactions = fs.readJsonSync(sentTransactionsPath, {
+    throws: false,
+  });
+  if (!sentTransactions?.transactions?.length) {
+    console.log(
+      chalk.red(
+        `  No sent deploy transaction found for the "${alias}" deploy alias.\n  Run \`zk deploy ${alias}\` first.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const deployAlias = config.deployAliases[alias];
+  const { Mina, PrivateKey, Transaction } = await importO1js(projectRoot);
+  const { networkId, graphQlUrls } = getDeployAliasNetwork(deployAlias);
+  if (sentTransactions.networkId !== networkId) {
+    console.log(
+      chalk.red(
+        `  The transactions were sent to the "${sentTransactions.networkId}" network, but the "${alias}" deploy alias now targets the "${networkId}" network.\n  Aborted.`
+      )
+    );
+    process.exit(1);
+  }
+  const headers = getDeployAliasHeaders(deployAlias);
+  let graphQlUrl = await chooseGraphQlEndpoint(graphQlUrls, headers);
+  setActiveNetwork(projectRoot, Mina, deployAlias, graphQlUrl);
+  const isMainnet = await checkMainnetGuardRails({
+    alias,
+    deployAlias,
+    yes,
+    allowMainnet,
+  });
+  await checkChainId(alias, deployAlias, graphQlUrl);
+
+  const feepayerAddressBase58 =
+    sentTransactions.transactions[0].zkappCommand.feePayer.body.publicKey;
+  const feepayerAccount = await fetchFeepayerAccount(
+    graphQlUrl,
+    feepayerAddressBase58,
+    headers
+  );
+  // The transactions with a nonce below the fee payer account nonce are already included.
+  const transactions = sentTransactions.transactions.filter(
+    ({ nonce }) => Number(nonce) >= Number(feepayerAccount.nonce)
+  );
+  if (!transactions.length) {
+    console.log(
+      chalk.green(
+        `\nThe deploy transactions are already included in blocks. Nothing to resend.`
+      )
+    );
+    printJson({ deployAlias: alias, networkId, transactions: [] });
+    return;
+  }
+
+  if (bumpFee) {
+    const feepayerPrivateKey = PrivateKey.fromBase58(
+      await readFeepayerPrivateKey(deployAlias.feepayerKeyPath)
+    );
+    if (feepayerPrivateKey.toPublicKey().toBase58() !== feepayerAddressBase58) {
+      console.log(
+        chalk.red(
+          `  The transactions were paid by the "${feepayerAddressBase58}" fee payer, which doesn't match the "${alias}" deploy alias fee payer.`
+        )
+      );
+      process.exit(1);
+    }
+    for (const transaction of transactions) {
+      const fee = getBumpedFee(transaction.fee, deployAlias);
+      const zkAppPrivateKey = PrivateKey.fromBase58(
+        readZkAppPrivateKey(projectRoot, transaction.keyPath)
+      );
+      transaction.previousFee = transaction.fee;
+      transaction.fee = fee;
+      transaction.zkappCommand = await step(
+        `Sign ${transaction.smartContract} transaction with the ${Number(fee) / 1e9} MINA fee`,
+        async () =>
+          resignTransaction(Transaction, transaction.zkappCommand, fee, [
+            zkAppPrivateKey,
+            feepayerPrivateKey,
+          ])
+      );
+    }
+  }
+
+  const settings = [
+    [chalk.bold('Deploy alias'), chalk.reset(alias)],
+    [chalk.bold('Network kind'), chalk.reset(networkId)],
+    [chalk.bold('URL'), formatGraphQlEndpoint(graphQlUrls, graphQlUrl)],
+    [
+      chalk.bold('Fee payer'),
+      chalk.reset(`Account       : ${feepayerAddressBase58}`),
+    ],
+    [
+      chalk.bold('zkApp'),
+      chalk.reset(
+        transactions
+          .map(
+            ({ smartContract, zkAppPublicKey, nonce }) =>
+              `Smart contract: ${smartContract}\nAccount       : ${zkAppPublicKey}\nNonce         : ${nonce}`
+          )
+          .join('\n')
+      ),
+    ],
+    [
+      chalk.bold('Transaction fee'),
+      chalk.reset(
+        transactions
+          .map(({ smartContract, fee, previousFee }) =>
+            bumpFee
+              ? `${smartContract}: ${Number(previousFee) / 1e9} → ${Number(fee) / 1e9} Mina`
+              : `${smartContract}: ${Number(fee) / 1e9} Mina (unchanged)`
+          )
+          .join('\n')
+      ),
+    ],
+  ];
+
+  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
+  if (!(await confirmTransaction(settings, yes, isMainnet ? alias : undefined)))
+    return;
+
+  const txnUrls = [];
+  for (const transaction of transactions) {
+    const txn = await step(
+      `Resend ${transaction.smartContract} transaction to network`,
+      async () => {
+        const result = await sendGraphQLWithFallback(
+          graphQlUrls.slice(graphQlUrls.indexOf(graphQlUrl)),
+          (graphQlUrl) =>
+            sendZkapp(graphQlUrl, JSON.stringify(transaction.zkappCommand), {
+              headers,
+            }),
+          (graphQlUrl) => checkChainId(alias, deployAlias, graphQlUrl)
+        );
+        graphQlUrl = result.graphQlUrl;
+        return result.response;
+      }
+    );
+
+    if (!txn || txn?.kind === 'error') {
+      console.log(chalk.red(getErrorMessage(txn)));
+      process.exit(1);
+    }
+    const txnHash = txn.data.sendZkapp.zkapp.hash;
+    // The transaction hash changes with the fee, so the new one replaces the stuck one in the history.
+    if (txnHash !== transaction.txnHash) {
+      recordDeployment(projectRoot, alias, {
+        contractName: transaction.smartContract,
+        verificationKeyHash: transaction.verificationKeyHash,
+        zkAppAddress: transaction.zkAppPublicKey,
+        txnHash,
+        cliVersion: sentTransactions.cliVersion,
+      });
+    }
+    delete transaction.previousFee;
+    transaction.txnHash = txnHash;
+    fs.outputJsonSync(sentTransactionsPath, sentTransactions, { spaces: 2 });
+    txnUrls.push(`${transaction.smartContract}: ${getTxnUrl(graphQlUrl, txn)}`);
+  }
+
+  printJson({
+    deployAlias: alias,
+    networkId,
+    transactions: transactions.map(
+      ({ smartContract, zkAppPublicKey, nonce, fee, txnHash }) => ({
+        smartContract,
+        zkAppAddress: zkAppPublicKey,
+        nonce,
+        fee: `${Number(fee) / 1e9}`,
+        txnHash,
+      })
+    ),
+  });
+  const str =
+    `\nSuccess! Deploy transactions resent.` +
+    `\n` +
+    `\nNext step:` +
+    `\n  Your smart contracts will be live (or updated)` +
+    `\n  as soon as the transactions are included in blocks:` +
+    txnUrls.map((txnUrl) => `\n  ${txnUrl}`).join('');
+
+  console.log(chalk.green(str));
+  process.exit(0);
+}
+
+/**
+ * Exit if the zkApp CLI version can't be detected or is behind the latest
+ * version with breaking changes.
+ * @returns {Promise<string>} The installed zkApp CLI version.
+ */
+async function checkInstalledCliVersion() {
   const latestCliVersion = await getLatestCliVersion();
   const installedCliVersion = getInstalledCliVersion();
 
@@ -80,7 +800,17 @@ async function deploy({ alias, yes }) {
     );
     process.exit(1);
   }
+  return installedCliVersion;
+}
 
+/**
+ * Validate the deploy alias or prompt for it, if not provided.
+ * @param {object} config  The config.json in object format.
+ * @param {string} alias   The deploy alias name provided by the user, if any.
+ * @param {string} message The prompt message to choose the deploy alias with.
+ * @returns {Promise<string>} The deploy alias name.
+ */
+async function chooseDeployAlias(config, alias, message) {
   if (!alias) {
     const aliases = Object.keys(config?.deployAliases);
     if (!aliases.length) {
@@ -102,7 +832,7 @@ async function deploy({ alias, yes }) {
           state.submitted && !state.cancelled
             ? state.styles.success
             : chalk.reset;
-        return style('Which deploy alias do you want to deploy to?');
+        return style(message);
       },
       prefix: (state) => {
         // Shows a cyan question mark when not submitted.
@@ -138,6 +868,15 @@ async function deploy({ alias, yes }) {
     );
   }
 
+  return alias;
+}
+
+/**
+ * Build the project and find the smart contracts in the build directory.
+ * @param {string} projectRoot The root directory path of the project.
+ * @returns {Promise<{smartContracts: Array<{className: string, filePath: string}>}>} The build/build.json in object format.
+ */
+async function buildProject(projectRoot) {
   await step('Build project', async () => {
     // store cache to add after build directory is emptied
     let cache;
@@ -157,7 +896,7 @@ async function deploy({ alias, yes }) {
     execSync('npm run build --silent');
   });
 
-  const build = await step('Generate build.json', async () => {
+  return await step('Generate build.json', async () => {
     // Identify all instances of SmartContract in the build.
     const smartContracts = await findSmartContracts(
       `${projectRoot}/build/**/*.js`
@@ -171,62 +910,816 @@ async function deploy({ alias, yes }) {
 
     return { smartContracts };
   });
+}
+
+/**
+ * Import o1js from the user's project directory.
+ * @param {string} projectRoot The root directory path of the project.
+ * @returns {Promise<object>} The o1js module.
+ */
+async function importO1js(projectRoot) {
+  let o1jsImportPath = `${projectRoot}/node_modules/o1js/dist/node/index.js`;
+
+  if (process.platform === 'win32') {
+    o1jsImportPath = 'file://' + o1jsImportPath;
+  }
+  return await dynamicImport(o1jsImportPath);
+}
+
+/**
+ * Get the network id, GraphQL endpoints and Archive-Node-API endpoint of the
+ * deploy alias. The GraphQL endpoints are the `url` followed by the
+ * `fallbackUrls` of the deploy alias, in order.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @returns {{networkId: string, graphQlUrl: string, graphQlUrls: string[], archiveUrl?: string}}
+ */
+function getDeployAliasNetwork(deployAlias) {
+  // We need to default to the testnet networkId if none is specified for this deploy alias in config.json
+  // This is to ensure the backward compatibility.
+  const networkId = deployAlias?.networkId ?? DEFAULT_NETWORK_ID;
+  const graphQlUrl = deployAlias?.url ?? DEFAULT_GRAPHQL;
+  const graphQlUrls = [graphQlUrl, ...(deployAlias?.fallbackUrls ?? [])];
+  const archiveUrl = deployAlias?.archiveUrl;
+  return { networkId, graphQlUrl, graphQlUrls, archiveUrl };
+}
+
+/**
+ * Get the headers sent to the GraphQL endpoints of the deploy alias, e.g. an
+ * API key. The `${NAME}` references in the header values are replaced by the
+ * value of the `NAME` environment variable, so that no secret has to be
+ * written to config.json. Exits if a referenced variable is not set.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @returns {Record<string, string>}
+ */
+function getDeployAliasHeaders(deployAlias) {
+  return resolveHeaders(deployAlias?.headers);
+}
+
+/**
+ * Get the headers sent to the Archive-Node-API endpoint of the deploy alias:
+ * its `archiveHeaders`, or else its `headers` if the archive shares the origin
+ * of the GraphQL URL. The Mina node credentials are otherwise not sent to an
+ * archive which may be run by another provider.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @returns {Record<string, string>}
+ */
+function getArchiveHeaders(deployAlias) {
+  if (deployAlias?.archiveHeaders) {
+    return resolveHeaders(deployAlias.archiveHeaders);
+  }
+  const { graphQlUrl, archiveUrl } = getDeployAliasNetwork(deployAlias);
+  return archiveUrl && new URL(archiveUrl).origin === new URL(graphQlUrl).origin
+    ? getDeployAliasHeaders(deployAlias)
+    : {};
+}
+
+/**
+ * Replace the `${NAME}` references in the header values by the value of the
+ * `NAME` environment variable. Exits if a referenced variable is not set.
+ * @param {Record<string, string>} [deployAliasHeaders] The headers as written in config.json.
+ * @returns {Record<string, string>}
+ */
+function resolveHeaders(deployAliasHeaders) {
+  const headers = {};
+  for (const [name, value] of Object.entries(deployAliasHeaders ?? {})) {
+    headers[name] = `${value}`.replace(/\$\{(\w+)\}/g, (_, variable) => {
+      if (process.env[variable] === undefined) {
+        console.log(
+          chalk.red(
+            `  The "${name}" header of this deploy alias references the ${variable} environment variable, which is not set.\n  Please set it and try again.`
+          )
+        );
+        process.exit(1);
+      }
+      return process.env[variable];
+    });
+  }
+  return headers;
+}
+
+/**
+ * Set the Mina network of the deploy alias as the active o1js instance.
+ * @param {string} projectRoot The root directory of the project, to check its o1js version.
+ * @param {object} Mina        The o1js `Mina` namespace.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @param {string} [graphQlUrl] The GraphQL endpoint to use instead of the deploy alias `url`.
+ * @returns {{networkId: string, graphQlUrl: string, headers: Record<string, string>}}
+ */
+function setActiveNetwork(projectRoot, Mina, deployAlias, graphQlUrl) {
+  const network = getDeployAliasNetwork(deployAlias);
+  const { networkId, archiveUrl } = network;
+  graphQlUrl ??= network.graphQlUrl;
+  const headers = getDeployAliasHeaders(deployAlias);
+  const archiveHeaders = getArchiveHeaders(deployAlias);
+  const hasHeaders = Object.keys(headers).length > 0;
+  const hasArchiveHeaders = Object.keys(archiveHeaders).length > 0;
+  if (hasHeaders || hasArchiveHeaders) {
+    checkO1jsHeadersSupport(projectRoot);
+  }
+  const Network = Mina.Network({
+    networkId,
+    mina: graphQlUrl,
+    // The smart contracts fetching their actions need an archive endpoint.
+    ...(archiveUrl ? { archive: archiveUrl } : {}),
+    ...(hasHeaders ? { minaDefaultHeaders: headers } : {}),
+    ...(hasArchiveHeaders ? { archiveDefaultHeaders: archiveHeaders } : {}),
+  });
+  Mina.setActiveInstance(Network);
+  return { networkId, graphQlUrl, headers };
+}
+
+/**
+ * Exit if the o1js version of the project ignores the `Mina.Network` default
+ * headers, as its requests would be sent without the deploy alias headers.
+ * @param {string} projectRoot The root directory of the project.
+ * @returns {void}
+ */
+function checkO1jsHeadersSupport(projectRoot) {
+  const o1jsVersion = fs.readJsonSync(
+    `${projectRoot}/node_modules/o1js/package.json`,
+    { throws: false }
+  )?.version;
+
+  if (
+    semver.valid(o1jsVersion) &&
+    semver.lt(o1jsVersion, MINIMUM_O1JS_HEADERS_VERSION)
+  ) {
+    console.log(
+      chalk.red(
+        `  The "headers" of deploy aliases require o1js ${MINIMUM_O1JS_HEADERS_VERSION} or later, but the project uses o1js ${o1jsVersion}.\n  Please update o1js and try again.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Exit if the Mina node behind the GraphQL endpoint is offline or not synced.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<void>}
+ */
+async function checkNodeSyncStatus(graphQlUrl, headers) {
+  const { data: nodeStatus } = await fetchSyncStatus(graphQlUrl, { headers });
+
+  if (!nodeStatus || nodeStatus.syncStatus === 'OFFLINE') {
+    console.log(
+      chalk.red(
+        `  Transaction relayer node is offline. Please try again or use a different "url" for this deploy alias in your config.json`
+      )
+    );
+    process.exit(1);
+  } else if (nodeStatus.syncStatus !== 'SYNCED') {
+    console.log(
+      chalk.red(
+        `  Transaction relayer node is not in a synced state. Its status is "${nodeStatus.syncStatus}".\n  Please try again when the node is synced or use a different "url" for this deploy alias in your config.json`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Choose the first synced Mina node among the GraphQL endpoints of a deploy
+ * alias, probed in order. Exits if none of them is synced.
+ * @param {string[]} graphQlUrls The Mina GraphQL endpoints, in order of preference.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<string>} The chosen GraphQL endpoint.
+ */
+async function chooseGraphQlEndpoint(graphQlUrls, headers) {
+  if (graphQlUrls.length === 1) {
+    await checkNodeSyncStatus(graphQlUrls[0], headers);
+    return graphQlUrls[0];
+  }
+  const syncStatuses = [];
+  for (const graphQlUrl of graphQlUrls) {
+    const { data: nodeStatus } = await fetchSyncStatus(graphQlUrl, {
+      headers,
+    });
+    const syncStatus = nodeStatus?.syncStatus ?? 'OFFLINE';
+    if (syncStatus === 'SYNCED') {
+      return graphQlUrl;
+    }
+    syncStatuses.push(`\n    ${graphQlUrl}: ${syncStatus}`);
+  }
+  console.log(
+    chalk.red(
+      `  None of the transaction relayer nodes is synced:${syncStatuses.join('')}\n  Please try again when a node is synced or add another endpoint to the "fallbackUrls" of this deploy alias in your config.json`
+    )
+  );
+  process.exit(1);
+}
+
+/**
+ * Format the GraphQL endpoint shown in the confirmation table, noting when a
+ * fallback endpoint was chosen.
+ * @param {string[]} graphQlUrls The Mina GraphQL endpoints of the deploy alias.
+ * @param {string}   graphQlUrl  The chosen GraphQL endpoint.
+ * @returns {string}
+ */
+function formatGraphQlEndpoint(graphQlUrls, graphQlUrl) {
+  const index = graphQlUrls.indexOf(graphQlUrl);
+  return (
+    chalk.reset(graphQlUrl) +
+    (index > 0
+      ? chalk.gray(`\n(fallback ${index} of ${graphQlUrls.length - 1})`)
+      : '')
+  );
+}
+
+/**
+ * Exit unless sending transactions with a mainnet deploy alias is safe:
+ * `--yes` requires `--allow-mainnet`, the fee payer key pair must not have
+ * been generated for another network and the deploy alias must have a chain
+ * id to check its node against. The other networks are not checked.
+ * @param {object}  options
+ * @param {string}  options.alias        The deploy alias name.
+ * @param {object}  options.deployAlias  The deploy alias configuration.
+ * @param {boolean} options.yes          Whether the confirmation is skipped.
+ * @param {boolean} options.allowMainnet Whether `--allow-mainnet` is provided.
+ * @returns {Promise<boolean>} Whether the deploy alias targets mainnet, so that its name must be typed to confirm.
+ */
+async function checkMainnetGuardRails({
+  alias,
+  deployAlias,
+  yes,
+  allowMainnet,
+}) {
+  if (getDeployAliasNetwork(deployAlias).networkId !== MAINNET_NETWORK_ID) {
+    return false;
+  }
+
+  if (yes && !allowMainnet) {
+    console.log(
+      chalk.red(
+        `  The "${alias}" deploy alias targets mainnet, so the confirmation can't be skipped with --yes.\n  Add --allow-mainnet to send the transactions without confirmation.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const feepayerKeyPair = fs.readJsonSync(deployAlias.feepayerKeyPath, {
+    throws: false,
+  });
+  if (
+    feepayerKeyPair?.networkId &&
+    feepayerKeyPair.networkId !== MAINNET_NETWORK_ID
+  ) {
+    console.log(
+      chalk.red(
+        `  The "${deployAlias.feepayerAlias}" fee payer key pair was generated for the "${feepayerKeyPair.networkId}" network.\n  Please use a mainnet fee payer for the "${alias}" deploy alias.`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (!deployAlias.chainId) {
+    console.log(
+      chalk.red(
+        `  The "${alias}" deploy alias targets mainnet, but has no "chainId" to check its node against.\n  Run \`zk config edit ${alias} --pin-chain-id\` to pin the chain id of its node.`
+      )
+    );
+    process.exit(1);
+  }
+  return true;
+}
+
+/**
+ * Exit if the Mina node behind the GraphQL endpoint reports another chain id
+ * than the one pinned in the deploy alias by `zk config`, e.g. after a
+ * Lightnet restart or a network reset.
+ * @param {string} alias       The deploy alias name.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @param {string} graphQlUrl  The Mina GraphQL endpoint.
+ * @returns {Promise<void>}
+ */
+async function checkChainId(alias, deployAlias, graphQlUrl) {
+  if (!deployAlias.chainId) {
+    return;
+  }
+  const chainId = await fetchChainId(graphQlUrl, {
+    headers: getDeployAliasHeaders(deployAlias),
+  });
+  if (!chainId) {
+    console.log(
+      chalk.red(`  Failed to fetch the chain id of the node at ${graphQlUrl}.`)
+    );
+    process.exit(1);
+  }
+  if (chainId !== deployAlias.chainId) {
+    console.log(
+      chalk.red(
+        `  The node at ${graphQlUrl} reports the "${chainId}" chain id, but the "${alias}" deploy alias is pinned to "${deployAlias.chainId}".` +
+          `\n  The network was reset, e.g. after a Lightnet restart, or the deploy alias URL now points to another network.` +
+          `\n  If this network is the expected one, run \`zk config edit ${alias} --pin-chain-id\` to pin its chain id.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the fee payer private key from the fee payer key file, asking for its
+ * passphrase if the key file is encrypted.
+ * @param {string} feepayerKeyPath The fee payer key file path.
+ * @returns {Promise<string>} The base58 encoded fee payer private key.
+ */
+async function readFeepayerPrivateKey(feepayerKeyPath) {
+  let keyPair;
+  try {
+    keyPair = fs.readJsonSync(feepayerKeyPath);
+  } catch (error) {
+    console.log(
+      chalk.red(
+        `  Failed to find the feepayer private key.\n  Please make sure your config.json has the correct 'feepayerKeyPath' property.`
+      )
+    );
+
+    process.exit(1);
+  }
+  const feepayerAlias = path.basename(feepayerKeyPath, '.json');
+  return (await unlockKeyPair(keyPair, `"${feepayerAlias}" fee payer`))
+    .privateKey;
+}
+
+/**
+ * Get the transaction fee of the deploy alias. The "auto" fee is estimated
+ * from the fees of the pending and recently included transactions, using the
+ * medium tier. Either fee can't exceed the optional "maxFee" ceiling.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @param {string} graphQlUrl  The Mina GraphQL endpoint.
+ * @returns {Promise<{fee: string, feeTiers?: {low: number, medium: number, high: number}}>}
+ * The transaction fee in nanomina, with the estimated fee tiers if the fee is "auto".
+ */
+async function getTransactionFee(deployAlias, graphQlUrl) {
+  const { fee, maxFee } = deployAlias;
+  if (!fee) {
+    console.log(
+      chalk.red(
+        `  The "fee" property is not specified for this deploy alias in config.json. Please update your config.json and try again.`
+      )
+    );
+
+    process.exit(1);
+  }
+  const maxFeeNanomina = maxFee ? Number(maxFee) * 1e9 : Infinity;
+
+  if (fee !== AUTO_FEE) {
+    const feeNanomina = Number(fee) * 1e9; // in nanomina (1 billion = 1.0 mina)
+    if (feeNanomina > maxFeeNanomina) {
+      console.log(
+        chalk.red(
+          `  The ${fee} MINA fee exceeds the ${maxFee} MINA "maxFee" of this deploy alias in config.json.`
+        )
+      );
+      process.exit(1);
+    }
+    return { fee: `${feeNanomina}` };
+  }
+
+  const feeTiers = await step(
+    'Estimate transaction fee',
+    async () =>
+      await estimateFeeTiers(graphQlUrl, getDeployAliasHeaders(deployAlias))
+  );
+  if (feeTiers.medium > maxFeeNanomina) {
+    console.log(
+      chalk.yellow(
+        `  The estimated ${feeTiers.medium / 1e9} MINA fee exceeds the ${maxFee} MINA "maxFee" of this deploy alias.\n  The ${maxFee} MINA fee will be used instead.`
+      )
+    );
+    return { fee: `${maxFeeNanomina}`, feeTiers };
+  }
+  return { fee: `${feeTiers.medium}`, feeTiers };
+}
+
+/**
+ * Estimate the low, medium and high fee tiers from the fees of the
+ * transactions pending in the node pool and included in the recent blocks.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<{low: number, medium: number, high: number}>} The fee tiers in nanomina.
+ */
+async function estimateFeeTiers(graphQlUrl, headers) {
+  const response = await sendGraphQL(graphQlUrl, getFeeDataQuery(), {
+    headers,
+  });
+  if (!response?.data) {
+    throw new Error(
+      `Failed to fetch the fee data from the Mina GraphQL endpoint: ${getErrorMessage(response)}`
+    );
+  }
+  const { pooledZkappCommands, pooledUserCommands, bestChain } = response.data;
+  const zkappCommandFee = ({ zkappCommand }) => zkappCommand.feePayer.body.fee;
+  const fees = [
+    ...pooledZkappCommands.map(zkappCommandFee),
+    ...pooledUserCommands.map(({ fee }) => fee),
+    ...bestChain.flatMap(({ transactions }) => [
+      ...transactions.zkappCommands.map(zkappCommandFee),
+      ...transactions.userCommands.map(({ fee }) => fee),
+    ]),
+  ]
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  // Without any recent transaction the network isn't congested, the minimum fee is enough.
+  const percentile = (ratio) =>
+    Math.max(
+      fees[Math.min(Math.floor(ratio * fees.length), fees.length - 1)] ?? 0,
+      MINIMUM_FEE
+    );
+  return {
+    low: percentile(0.25),
+    medium: percentile(0.5),
+    high: percentile(0.9),
+  };
+}
+
+/**
+ * Format the estimated fee tiers for the confirmation table.
+ * @param {{low: number, medium: number, high: number}} feeTiers The fee tiers in nanomina, if any.
+ * @returns {string}
+ */
+function formatFeeTiers(feeTiers) {
+  if (!feeTiers) {
+    return '';
+  }
+  const { low, medium, high } = feeTiers;
+  return `\nEstimated (auto): low ${low / 1e9}, medium ${medium / 1e9}, high ${high / 1e9} Mina`;
+}
+
+/**
+ * Fetch the fee payer account, exiting if it doesn't exist on chain.
+ * @param {string} graphQlUrl            The Mina GraphQL endpoint.
+ * @param {string} feepayerAddressBase58 The fee payer public key.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<object>} The fee payer account.
+ */
+async function fetchFeepayerAccount(
+  graphQlUrl,
+  feepayerAddressBase58,
+  headers
+) {
+  const accountResponse = await fetchAccount(
+    graphQlUrl,
+    feepayerAddressBase58,
+    { headers }
+  );
+
+  if (!accountResponse?.data?.account) {
+    // No account is found, show an error message and return early
+    console.log(
+      chalk.red(
+        `  Failed to find the fee payer's account on chain.\n  Please make sure the account "${feepayerAddressBase58}" has previously been funded.`
+      )
+    );
+    process.exit(1);
+  }
+  return accountResponse.data.account;
+}
+
+/**
+ * Fetch the zkApp account of every smart contract to deploy. New zkApp
+ * accounts don't exist on chain yet.
+ * @param {string} graphQlUrl       The Mina GraphQL endpoint.
+ * @param {Array<object>} contracts The smart contracts to deploy, each getting its zkApp account or null.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<void>}
+ */
+async function fetchZkAppAccounts(graphQlUrl, contracts, headers) {
+  for (const contract of contracts) {
+    const response = await sendGraphQL(
+      graphQlUrl,
+      getZkAppAccountQuery(contract.zkAppAddress.toBase58()),
+      { headers }
+    );
+    contract.zkAppAccount = response?.data?.account ?? null;
+  }
+}
+
+/**
+ * Add the account updates deploying the smart contract to the transaction
+ * being built. The fee payer only pays for the zkApp account creation if the
+ * account doesn't exist yet, so that a redeploy costs the fee alone.
+ * @param {object} AccountUpdate   The o1js `AccountUpdate` class.
+ * @param {object} feepayerAddress The fee payer public key.
+ * @param {object} contract        The smart contract to deploy, with its zkApp account or null.
+ * @returns {Promise<void>}
+ */
+async function addDeployAccountUpdates(
+  AccountUpdate,
+  feepayerAddress,
+  { zkApp, zkAppAddress, verificationKey, zkAppAccount }
+) {
+  if (!zkAppAccount) {
+    AccountUpdate.fundNewAccount(feepayerAddress);
+  }
+  const zkapp = new zkApp(zkAppAddress);
+  await zkapp.deploy({ verificationKey });
+}
+
+/**
+ * Check, before sending anything, that the fee payer balance covers the fees
+ * and the creation of the new zkApp accounts, and that the permissions of the
+ * existing zkApp accounts accept the deploy account updates.
+ * @param {object} options
+ * @param {object} options.feepayerAccount  The fee payer account.
+ * @param {string} options.fee              The transaction fee in nanomina.
+ * @param {Array<object>} options.contracts The smart contracts with their zkApp accounts.
+ * @returns {{balance: string, isBalanceSufficient: boolean, permissions: string, arePermissionsValid: boolean, warnings: Array<string>}}
+ */
+function getPreflightChecks({ feepayerAccount, fee, contracts }) {
+  const warnings = [];
+  const available = Number(feepayerAccount.balance.total);
+  const required = contracts.reduce(
+    (total, { zkAppAccount }) =>
+      total + Number(fee) + (zkAppAccount ? 0 : ACCOUNT_CREATION_FEE),
+    0
+  );
+  const isBalanceSufficient = available >= required;
+  if (!isBalanceSufficient) {
+    warnings.push(
+      `The fee payer balance of ${available / 1e9} MINA is lower than the ${required / 1e9} MINA required for the fees and the new zkApp accounts.`
+    );
+  }
+
+  let arePermissionsValid = true;
+  const permissions = contracts.map(({ contractName, zkAppAccount }) => {
+    if (!zkAppAccount) {
+      return `${contractName}: new zkApp account`;
+    }
+    const rejectingPermissions = getRejectingPermissions(
+      zkAppAccount.permissions
+    ).join(', ');
+    if (!rejectingPermissions) {
+      return `${contractName}: OK`;
+    }
+    arePermissionsValid = false;
+    warnings.push(
+      `The ${contractName} zkApp account permissions would reject the deploy transaction: ${rejectingPermissions}.`
+    );
+    return `${contractName}: rejected by ${rejectingPermissions}`;
+  });
 
-  const contractName = await getContractName(config, build, alias);
+  return {
+    balance: `${isBalanceSufficient ? 'OK' : 'Insufficient'}: ${available / 1e9} Mina available, ${required / 1e9} Mina required`,
+    isBalanceSufficient,
+    permissions: permissions.join('\n'),
+    arePermissionsValid,
+    warnings,
+  };
+}
 
-  // Set the default smartContract name for this deploy alias in config.json.
-  // Occurs when this is the first time we're deploying to a given deploy alias.
-  // Important to ensure the same smart contract will always be deployed to
-  // the same deploy alias.
-  if (config.deployAliases[alias]?.smartContract !== contractName) {
-    config.deployAliases[alias].smartContract = contractName;
-    fs.writeJSONSync(`${projectRoot}/config.json`, config, { spaces: 2 });
-    console.log(
-      `  Your config.json was updated to always use this\n  smart contract when deploying to this deploy alias.`
-    );
+/**
+ * Get the zkApp account permissions the deploy account update can't satisfy
+ * with a signature, since it sets the verification key and the permissions,
+ * and initializes the on-chain state.
+ * @param {object} permissions The zkApp account permissions.
+ * @returns {Array<string>} The rejecting permissions with their authorization.
+ */
+function getRejectingPermissions(permissions) {
+  return Object.entries({
+    editState: permissions.editState,
+    setPermissions: permissions.setPermissions,
+    setVerificationKey: permissions.setVerificationKey.auth,
+  })
+    .filter(([, auth]) => SIGNATURE_REJECTING_AUTHS.includes(auth))
+    .map(([permission, auth]) => `"${permission}" (${auth})`);
+}
+
+/**
+ * Show the transaction settings and ask to confirm sending the transaction.
+ * @param {Array<Array<string>>} settings The transaction settings table rows.
+ * @param {boolean} yes Run non-interactively. I.e. skip the confirmation.
+ * @param {string} [confirmationText] The text to type instead of "yes", e.g.
+ * the deploy alias name for the mainnet deploy aliases.
+ * @returns {Promise<boolean>} Whether sending the transaction was confirmed.
+ */
+async function confirmTransaction(settings, yes, confirmationText) {
+  if (yes) {
+    // Run non-interactively b/c user specified `--yes` or `-y`.
+    return true;
   }
+  const isConfirmed = (input = '') =>
+    confirmationText
+      ? input === confirmationText
+      : ['yes', 'y'].includes(input.toLowerCase());
+  // This is verbose, but creates ideal UX steps--expected colors & symbols.
+  /* istanbul ignore next */
+  const res = await enquirer.prompt({
+    type: 'input',
+    name: 'confirm',
+    message: (state) => {
+      // Makes the step text green upon success.
+      const style =
+        state.submitted && isConfirmed(state.input)
+          ? state.styles.success
+          : chalk.reset;
+
+      return (
+        style('Confirm to send transaction\n\n  ') +
+        table(settings, {
+          border: getBorderCharacters('norc'),
+        }).replaceAll('\n', '\n  ') +
+        (confirmationText
+          ? `\n  This transaction is sent to mainnet. Type "${confirmationText}" to send it:`
+          : '\n  Are you sure you want to send (yes/no)?')
+      );
+    },
+    prefix: (state) => {
+      // Shows a cyan question mark when not submitted.
+      // Shows a green check mark if the confirmation is submitted.
+      // Shows a red "x" if any other text is submitted or ctrl+C is pressed.
+      if (!state.submitted) return state.symbols.question;
+      return isConfirmed(state.input)
+        ? state.symbols.check
+        : chalk.red(state.symbols.cross);
+    },
+    result: (val) => {
+      // Using a text input b/c we want to require pressing "enter". But
+      // we need to fail if any other answer is given.
+      if (!isConfirmed(val)) {
+        console.log(chalk.red('\n  Aborted. Transaction not sent.'));
+        process.exit(1);
+      }
+      return val;
+    },
+  });
 
-  // import o1js from the user directory
-  let o1jsImportPath = `${projectRoot}/node_modules/o1js/dist/node/index.js`;
+  return isConfirmed(res.confirm);
+}
 
-  if (process.platform === 'win32') {
-    o1jsImportPath = 'file://' + o1jsImportPath;
-  }
-  let { PrivateKey, Mina, AccountUpdate } = await dynamicImport(o1jsImportPath);
+/**
+ * Build the dry run result with the signed transactions and the fee and
+ * account details they were built with.
+ * @param {object} options
+ * @param {string} options.alias                 The deploy alias name.
+ * @param {string} options.networkId             The network id of the deploy alias.
+ * @param {string} options.graphQlUrl            The Mina GraphQL endpoint.
+ * @param {string} options.feepayerAlias         The fee payer alias.
+ * @param {string} options.feepayerAddressBase58 The fee payer public key.
+ * @param {string} options.inferredNonce         The fee payer nonce including pending transactions.
+ * @param {string} options.fee                   The transaction fee in nanomina.
+ * @param {Array<object>} options.contracts      The smart contracts with their signed transactions.
+ * @returns {object} The dry run result.
+ */
+function getDryRunResult({
+  alias,
+  networkId,
+  graphQlUrl,
+  feepayerAlias,
+  feepayerAddressBase58,
+  inferredNonce,
+  fee,
+  contracts,
+}) {
+  return {
+    deployAlias: alias,
+    networkId,
+    url: graphQlUrl,
+    feePayer: {
+      alias: feepayerAlias,
+      publicKey: feepayerAddressBase58,
+      nonce: inferredNonce,
+    },
+    fee: `${Number(fee) / 1e9}`,
+    zkApps: contracts.map(
+      ({ contractName, zkAppAddress, transactionJson }) => ({
+        smartContract: contractName,
+        publicKey: zkAppAddress.toBase58(),
+        transaction: JSON.parse(transactionJson),
+      })
+    ),
+  };
+}
 
-  // We need to default to the testnet networkId if none is specified for this deploy alias in config.json
-  // This is to ensure the backward compatibility.
-  const networkId =
-    config.deployAliases[alias]?.networkId ?? DEFAULT_NETWORK_ID;
-  const graphQlUrl = config.deployAliases[alias]?.url ?? DEFAULT_GRAPHQL;
-  const Network = Mina.Network({
+/**
+ * Get the result of the sent deploy transactions, printed by the `--json` flag.
+ * @param {object} options
+ * @param {string} options.alias                 The deploy alias name.
+ * @param {string} options.networkId             The network id of the deploy alias.
+ * @param {string} options.graphQlUrl            The Mina GraphQL endpoint.
+ * @param {string} options.feepayerAddressBase58 The fee payer public key.
+ * @param {string} options.fee                   The transaction fee in nanomina.
+ * @param {Array<object>} options.contracts      The smart contracts with their sent transactions.
+ * @returns {object} The deploy result.
+ */
+function getDeployResult({
+  alias,
+  networkId,
+  graphQlUrl,
+  feepayerAddressBase58,
+  fee,
+  contracts,
+}) {
+  return {
+    deployAlias: alias,
     networkId,
-    mina: graphQlUrl,
-  });
-  Mina.setActiveInstance(Network);
-  const { data: nodeStatus } = await sendGraphQL(
-    graphQlUrl,
-    `query {
-      syncStatus
-    }`
-  );
+    url: graphQlUrl,
+    feePayer: feepayerAddressBase58,
+    fee: `${Number(fee) / 1e9}`,
+    transactions: contracts.map(
+      ({ contractName, zkAppAddress, txn, inclusion }) => ({
+        smartContract: contractName,
+        zkAppAddress: zkAppAddress.toBase58(),
+        txnHash: txn.data.sendZkapp.zkapp.hash,
+        status: inclusion?.status ?? 'sent',
+        blockHeight: inclusion?.blockHeight ?? null,
+      })
+    ),
+  };
+}
 
-  if (!nodeStatus || nodeStatus.syncStatus === 'OFFLINE') {
+/**
+ * Resolve the ordered list of smart contracts to deploy for this deploy alias.
+ * Deploy aliases with a `deployPlan` deploy every listed smart contract with
+ * its own zkApp key. Other deploy aliases deploy a single smart contract that
+ * is remembered in config.json after the first deployment.
+ * @param {string} projectRoot The root directory path of the project.
+ * @param {object} config      The config.json in object format.
+ * @param {object} build       The build/build.json in object format.
+ * @param {string} alias       The deploy alias name.
+ * @returns {Promise<Array<{contractName: string, keyPath: string}>>}
+ */
+async function getDeployPlan(projectRoot, config, build, alias) {
+  const { deployPlan, keyPath } = config.deployAliases[alias];
+
+  if (!deployPlan) {
+    const contractName = await getContractName(config, build, alias);
+
+    // Set the default smartContract name for this deploy alias in config.json.
+    // Occurs when this is the first time we're deploying to a given deploy alias.
+    // Important to ensure the same smart contract will always be deployed to
+    // the same deploy alias.
+    if (config.deployAliases[alias]?.smartContract !== contractName) {
+      config.deployAliases[alias].smartContract = contractName;
+      fs.writeJSONSync(`${projectRoot}/config.json`, config, { spaces: 2 });
+      console.log(
+        `  Your config.json was updated to always use this\n  smart contract when deploying to this deploy alias.`
+      );
+    }
+    return [{ contractName, keyPath }];
+  }
+
+  const error = validateDeployPlan(deployPlan, build);
+  if (error) {
     console.log(
       chalk.red(
-        `  Transaction relayer node is offline. Please try again or use a different "url" for this deploy alias in your config.json`
+        `  Invalid "deployPlan" property for this deploy alias in config.json.\n  ${error}`
       )
     );
     process.exit(1);
-  } else if (nodeStatus.syncStatus !== 'SYNCED') {
-    console.log(
-      chalk.red(
-        `  Transaction relayer node is not in a synced state. Its status is "${nodeStatus.syncStatus}".\n  Please try again when the node is synced or use a different "url" for this deploy alias in your config.json`
+  }
+
+  await step('Choose smart contracts', async () => {});
+  console.log(
+    `  The following smart contracts will be deployed in order\n  as specified in config.json: ${deployPlan
+      .map(({ smartContract }) => smartContract)
+      .join(', ')}`
+  );
+
+  return deployPlan.map(({ smartContract, keyPath }) => ({
+    contractName: smartContract,
+    keyPath,
+  }));
+}
+
+/**
+ * Validate the `deployPlan` property of a deploy alias.
+ * @param {Array<{smartContract: string, keyPath: string}>} deployPlan The deploy plan from config.json.
+ * @param {object} build The build/build.json in object format.
+ * @returns {string|undefined} The validation error message, if any.
+ */
+function validateDeployPlan(deployPlan, build) {
+  if (!Array.isArray(deployPlan) || deployPlan.length === 0) {
+    return 'It must be a non-empty list of smart contracts to deploy.';
+  }
+  const keyPaths = new Set();
+  for (const [index, entry] of deployPlan.entries()) {
+    if (!entry?.smartContract || !entry?.keyPath) {
+      return `Entry #${index + 1} must specify both the "smartContract" and "keyPath" properties.`;
+    }
+    if (
+      !build.smartContracts.some(
+        ({ className }) => className === entry.smartContract
       )
-    );
-    process.exit(1);
+    ) {
+      return `The "${entry.smartContract}" smart contract was not found in the project.`;
+    }
+    if (keyPaths.has(entry.keyPath)) {
+      return `The "${entry.keyPath}" key path is used by more than one smart contract.`;
+    }
+    keyPaths.add(entry.keyPath);
   }
+}
 
+/**
+ * Import the smart contract class to deploy from the user's build directory.
+ * @param {object} build        The build/build.json in object format.
+ * @param {string} contractName The smart contract name.
+ * @returns {Promise<object>}   The smart contract class.
+ */
+async function importSmartContract(build, contractName) {
   // Find the users file to import the smart contract from
   let smartContractImportPath = build.smartContracts.find(
     (contract) => contract.className === contractName
@@ -248,26 +1741,18 @@ async function deploy({ alias, yes }) {
     process.exit(1);
   }
 
-  // Attempt to import the zkApp private key from the `keys` directory and the feepayer private key. These keys will be used to deploy the zkApp.
-  let feepayerPrivateKeyBase58;
-  let zkAppPrivateKeyBase58;
-  const { feepayerKeyPath } = config.deployAliases[alias];
-  try {
-    feepayerPrivateKeyBase58 = fs.readJsonSync(feepayerKeyPath).privateKey;
-  } catch (error) {
-    console.log(
-      chalk.red(
-        `  Failed to find the feepayer private key.\n  Please make sure your config.json has the correct 'feepayerKeyPath' property.`
-      )
-    );
-
-    process.exit(1);
-  }
+  return smartContractImports[contractName];
+}
 
+/**
+ * Read the zkApp private key from the `keys` directory.
+ * @param {string} projectRoot The root directory path of the project.
+ * @param {string} keyPath     The key file path relative to the project root.
+ * @returns {string}           The base58 encoded zkApp private key.
+ */
+function readZkAppPrivateKey(projectRoot, keyPath) {
   try {
-    zkAppPrivateKeyBase58 = fs.readJsonSync(
-      `${projectRoot}/${config.deployAliases[alias].keyPath}`
-    ).privateKey;
+    return fs.readJsonSync(`${projectRoot}/${keyPath}`).privateKey;
   } catch (_) {
     console.log(
       chalk.red(
@@ -277,199 +1762,204 @@ async function deploy({ alias, yes }) {
 
     process.exit(1);
   }
+}
 
-  const zkApp = smartContractImports[contractName]; //  The specified zkApp class to deploy
-  const zkAppPrivateKey = PrivateKey.fromBase58(zkAppPrivateKeyBase58); //  The private key of the zkApp
-  const zkAppAddress = zkAppPrivateKey.toPublicKey(); //  The public key of the zkApp
-  const feepayerPrivateKey = PrivateKey.fromBase58(feepayerPrivateKeyBase58); //  The private key of the feepayer
-  const feepayerAddress = feepayerPrivateKey.toPublicKey(); //  The public key of the feepayer
-
-  // guide user to choose a feepayer account that is different from the zkApp account
-  if (feepayerAddress.toBase58() === zkAppAddress.toBase58()) {
+/**
+ * Read the public key of a key pair file. The private key is not required, so
+ * that the file can be a copy without the secret of a key kept offline.
+ * @param {string} keyFilePath    The key pair file path.
+ * @param {string} keyName        The key name used in the error message.
+ * @param {string} configProperty The config.json property holding the path.
+ * @returns {string} The base58 encoded public key.
+ */
+function readPublicKey(keyFilePath, keyName, configProperty) {
+  const publicKey = fs.readJsonSync(keyFilePath, { throws: false })?.publicKey;
+  if (!publicKey) {
     console.log(
       chalk.red(
-        `  The feepayer account is the same as the zkApp account.\n  Please use a different feepayer account or generate a new one by executing the 'zk config' command.`
+        `  Failed to find the ${keyName} public key.\n  Please make sure your config.json has the correct '${configProperty}' property.`
       )
     );
     process.exit(1);
   }
+  return publicKey;
+}
 
-  // figure out if the zkApp has a @method init() - in that case we need to create a proof,
-  // so we need to compile no matter what, and we show a separate step to create the proof
-  let isInitMethod = zkApp._methods?.some((intf) => intf.methodName === 'init');
-
-  const { verificationKey, isCached } = await step(
-    'Generate verification key (takes 10-30 sec)',
-
-    async () =>
-      await generateVerificationKey(
-        projectRoot,
+/**
+ * Get the content of the unsigned transactions file, later signed by `zk sign`
+ * and sent by `zk broadcast`.
+ * @param {object} options
+ * @param {string} options.alias            The deploy alias name.
+ * @param {string} options.networkId        The network id of the deploy alias.
+ * @param {string} options.cliVersion       The installed zkApp CLI version.
+ * @param {Array<object>} options.contracts The smart contracts with their unsigned transactions.
+ * @returns {object} The unsigned transactions.
+ */
+function getUnsignedTransactions({ alias, networkId, cliVersion, contracts }) {
+  return {
+    deployAlias: alias,
+    networkId,
+    cliVersion,
+    signed: false,
+    transactions: contracts.map(
+      ({
         contractName,
-        zkApp,
+        keyPath,
         zkAppAddress,
-        isInitMethod
-      )
-  );
-
-  // Can't include the log message inside the callback b/c it will break
-  // the step formatting.
-  if (isCached) {
-    console.log('  Using the cached verification key');
-  }
-
-  let { fee } = config.deployAliases[alias];
-  if (!fee) {
-    console.log(
-      chalk.red(
-        `  The "fee" property is not specified for this deploy alias in config.json. Please update your config.json and try again.`
-      )
-    );
+        verificationKey,
+        transactionJson,
+      }) => ({
+        smartContract: contractName,
+        keyPath,
+        zkAppPublicKey: zkAppAddress.toBase58(),
+        verificationKeyHash: verificationKey.hash.toString(),
+        zkappCommand: JSON.parse(transactionJson),
+      })
+    ),
+  };
+}
 
-    process.exit(1);
-  }
-  fee = `${Number(fee) * 1e9}`; // in nanomina (1 billion = 1.0 mina)
+function getSentTransactionsPath(projectRoot, alias) {
+  return path.join(projectRoot, 'build', 'sent', `${alias}.json`);
+}
 
-  const feepayerAddressBase58 = feepayerAddress.toBase58();
-  const accountQuery = getAccountQuery(feepayerAddressBase58);
-  const accountResponse = await sendGraphQL(graphQlUrl, accountQuery);
+/**
+ * Get the content of the sent transactions file, read by `zk deploy --resend`.
+ * Only the transactions already sent are kept, with the fee payer nonce and
+ * fee they were signed with.
+ * @param {object} options
+ * @param {string} options.alias            The deploy alias name.
+ * @param {string} options.networkId        The network id of the deploy alias.
+ * @param {string} options.cliVersion       The installed zkApp CLI version.
+ * @param {Array<object>} options.contracts The smart contracts with their signed transactions.
+ * @returns {object} The sent transactions.
+ */
+function getSentTransactions({ alias, networkId, cliVersion, contracts }) {
+  return {
+    deployAlias: alias,
+    networkId,
+    cliVersion,
+    transactions: contracts
+      .filter(({ txn }) => txn)
+      .map(
+        ({
+          contractName,
+          keyPath,
+          zkAppAddress,
+          verificationKey,
+          transactionJson,
+          txn,
+        }) => {
+          const zkappCommand = JSON.parse(transactionJson);
+          return {
+            smartContract: contractName,
+            keyPath,
+            zkAppPublicKey: zkAppAddress.toBase58(),
+            verificationKeyHash: verificationKey.hash.toString(),
+            nonce: zkappCommand.feePayer.body.nonce,
+            fee: zkappCommand.feePayer.body.fee,
+            txnHash: txn.data.sendZkapp.zkapp.hash,
+            zkappCommand,
+          };
+        }
+      ),
+  };
+}
 
-  if (!accountResponse?.data?.account) {
-    // No account is found, show an error message and return early
+/**
+ * Get the fee to replace a transaction stuck in the node pool with. It must
+ * be higher than the fee of the stuck transaction, and within the "maxFee"
+ * ceiling of the deploy alias.
+ * @param {string} fee         The fee of the stuck transaction in nanomina.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @returns {string} The bumped fee in nanomina.
+ */
+function getBumpedFee(fee, deployAlias) {
+  const bumpedFee = Math.ceil((Number(fee) * (100 + FEE_BUMP_PERCENT)) / 100);
+  const { maxFee } = deployAlias;
+  if (maxFee && bumpedFee > Number(maxFee) * 1e9) {
     console.log(
       chalk.red(
-        `  Failed to find the fee payer's account on chain.\n  Please make sure the account "${feepayerAddressBase58}" has previously been funded.`
+        `  The bumped ${bumpedFee / 1e9} MINA fee exceeds the ${maxFee} MINA "maxFee" of this deploy alias in config.json.`
       )
     );
     process.exit(1);
   }
+  return `${bumpedFee}`;
+}
 
-  let transaction = await step('Build transaction', async () => {
-    let tx = await Mina.transaction(
-      { sender: feepayerAddress, fee },
-      /* istanbul ignore next */
-      async () => {
-        AccountUpdate.fundNewAccount(feepayerAddress);
-        let zkapp = new zkApp(zkAppAddress);
-        await zkapp.deploy({ verificationKey });
-      }
-    );
-    return {
-      tx,
-      json: tx.sign([zkAppPrivateKey, feepayerPrivateKey]).toJSON(),
-    };
+/**
+ * Sign the same account updates again with another fee. The proofs are kept,
+ * since they don't depend on the fee payer, while every signature is replaced.
+ * @param {object} Transaction  The o1js Transaction class.
+ * @param {object} zkappCommand The signed zkApp command JSON.
+ * @param {string} fee          The new fee in nanomina.
+ * @param {Array<object>} privateKeys The o1js private keys to sign with.
+ * @returns {object} The zkApp command JSON signed with the new fee.
+ */
+function resignTransaction(Transaction, zkappCommand, fee, privateKeys) {
+  const tx = Transaction.fromJSON({
+    ...zkappCommand,
+    feePayer: {
+      ...zkappCommand.feePayer,
+      body: { ...zkappCommand.feePayer.body, fee },
+    },
+    accountUpdates: zkappCommand.accountUpdates.map((accountUpdate) => ({
+      ...accountUpdate,
+      authorization: { ...accountUpdate.authorization, signature: null },
+    })),
   });
+  return JSON.parse(restoreMissingSignatures(tx).sign(privateKeys).toJSON());
+}
 
-  if (isInitMethod) {
-    transaction = await step(
-      'Create transaction proof (takes 10-30 sec)',
-      async () => {
-        await transaction.tx.prove();
-        return {
-          tx: transaction.tx,
-          json: transaction.tx
-            .sign([zkAppPrivateKey, feepayerPrivateKey])
-            .toJSON(),
-        };
-      }
-    );
+/**
+ * Transactions restored from JSON don't remember which signatures are still
+ * missing, so mark the fee payer and the account updates requiring a
+ * signature again, for `tx.sign()` to fill them in.
+ * @param {object} tx The o1js transaction.
+ * @returns {object} The same transaction.
+ */
+function restoreMissingSignatures(tx) {
+  tx.transaction.feePayer.lazyAuthorization = { kind: 'lazy-signature' };
+  for (const accountUpdate of tx.transaction.accountUpdates) {
+    if (
+      accountUpdate.body.authorizationKind.isSigned.toBoolean() &&
+      !accountUpdate.authorization.signature
+    ) {
+      accountUpdate.lazyAuthorization = { kind: 'lazy-signature' };
+    }
   }
-  let transactionJson = transaction.json;
-  let { feepayerAlias, url } = config.deployAliases[alias];
-  const settings = [
-    [chalk.bold('Deploy alias'), chalk.reset(alias)],
-    [chalk.bold('Network kind'), chalk.reset(networkId)],
-    [chalk.bold('URL'), chalk.reset(url)],
-    [
-      chalk.bold('Fee payer'),
-      chalk.reset(
-        `Alias         : ${feepayerAlias}\nAccount       : ${feepayerAddressBase58}`
-      ),
-    ],
+  return tx;
+}
+
+/**
+ * Print the per smart contract outcome of a deploy plan.
+ * @param {Array<object>} contracts The deploy plan smart contracts.
+ */
+function printDeployPlanSummary(contracts) {
+  const isWaited = contracts.some(({ inclusion }) => inclusion);
+  const tableData = [
     [
-      chalk.bold('zkApp'),
-      chalk.reset(
-        `Smart contract: ${contractName}\nAccount       : ${zkAppAddress.toBase58()}`
-      ),
+      chalk.bold('Smart contract'),
+      chalk.bold('zkApp account'),
+      chalk.bold('Transaction hash'),
+      ...(isWaited ? [chalk.bold('Block height')] : []),
     ],
-    [chalk.bold('Transaction fee'), chalk.reset(`${Number(fee) / 1e9} Mina`)],
+    ...contracts.map(({ contractName, zkAppAddress, txn, inclusion }) => [
+      contractName,
+      zkAppAddress.toBase58(),
+      txn ? txn.data.sendZkapp.zkapp.hash : chalk.gray('(not sent)'),
+      ...(isWaited ? [formatTransactionInclusion(inclusion)] : []),
+    ]),
   ];
-
-  let confirm;
-  if (yes) {
-    // Run non-interactively b/c user specified `--yes` or `-y`.
-    confirm = 'yes';
-  } else {
-    // This is verbose, but creates ideal UX steps--expected colors & symbols.
-    /* istanbul ignore next */
-    let res = await enquirer.prompt({
-      type: 'input',
-      name: 'confirm',
-      message: (state) => {
-        // Makes the step text green upon success.
-        const x = state.input.toLowerCase();
-        const style =
-          state.submitted && (x === 'yes' || x === 'y')
-            ? state.styles.success
-            : chalk.reset;
-
-        return (
-          style('Confirm to send transaction\n\n  ') +
-          table(settings, {
-            border: getBorderCharacters('norc'),
-          }).replaceAll('\n', '\n  ') +
-          '\n  Are you sure you want to send (yes/no)?'
-        );
-      },
-      prefix: (state) => {
-        // Shows a cyan question mark when not submitted.
-        // Shows a green check mark if "yes" or "y" is submitted.
-        // Shows a red "x" if any other text is submitted or ctrl+C is pressed.
-        if (!state.submitted) return state.symbols.question;
-        let x = state.input.toLowerCase();
-        return x === 'yes' || x === 'y'
-          ? state.symbols.check
-          : chalk.red(state.symbols.cross);
-      },
-      result: (val) => {
-        // Using a text input b/c we want to require pressing "enter". But
-        // we need to fail if any answer other than "yes" or "y" is given.
-        val = val.toLowerCase();
-        if (!(val === 'yes' || val === 'y')) {
-          console.log(chalk.red('\n  Aborted. Transaction not sent.'));
-          process.exit(1);
-        }
-        return val;
-      },
-    });
-
-    confirm = res.confirm;
-  }
-
-  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
-  if (!(confirm === 'yes' || confirm === 'y')) return;
-
-  // Send tx to the relayer.
-  const txn = await step('Send to network', async () => {
-    const zkAppMutation = sendZkAppQuery(transactionJson);
-    return await sendGraphQL(graphQlUrl, zkAppMutation);
-  });
-
-  if (!txn || txn?.kind === 'error') {
-    console.log(chalk.red(getErrorMessage(txn)));
-    process.exit(1);
-  }
-
-  const str =
-    `\nSuccess! Deploy transaction sent.` +
-    `\n` +
-    `\nNext step:` +
-    `\n  Your smart contract will be live (or updated)` +
-    `\n  at ${zkAppAddress.toBase58()}` +
-    `\n  as soon as the transaction is included in a block:` +
-    `\n  ${getTxnUrl(graphQlUrl, txn)}`;
-
-  console.log(chalk.green(str));
-  process.exit(0);
+  // Indented by 2 spaces for alignment in terminal.
+  console.log(
+    '\n  ' +
+      table(tableData, { border: getBorderCharacters('norc') }).replaceAll(
+        '\n',
+        '\n  '
+      )
+  );
 }
 
 async function getContractName(config, build, alias) {
@@ -833,62 +2323,188 @@ async function getZkProgram(projectRoot, zkProgramNameArg) {
   return zkProgram;
 }
 
-async function sendGraphQL(graphQLUrl, query) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => {
-    controller.abort();
-  }, 20000); // Default to use 20s as a timeout
+/**
+ * Send a GraphQL request to the first endpoint, then to the next ones in order
+ * as long as the endpoint can't be reached. The GraphQL errors returned by a
+ * reachable endpoint, e.g. a rejected transaction, are not retried.
+ * @param {string[]} graphQlUrls The Mina GraphQL endpoints, in order of preference.
+ * @param {(graphQlUrl: string) => Promise<object>} request Sends the request to an endpoint.
+ * @param {(graphQlUrl: string) => Promise<void>} [checkFallbackEndpoint] Exits
+ * if a fallback endpoint can't be used, before the request is sent to it.
+ * @returns {Promise<{response: object, graphQlUrl: string}>} The response of
+ * the last endpoint queried, and that endpoint.
+ */
+async function sendGraphQLWithFallback(
+  graphQlUrls,
+  request,
+  checkFallbackEndpoint
+) {
   let response;
-  try {
-    let body = JSON.stringify({ operationName: null, query, variables: {} });
-    response = await fetch(graphQLUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body,
-      signal: controller.signal,
+  for (const [index, graphQlUrl] of graphQlUrls.entries()) {
+    if (index > 0) {
+      await checkFallbackEndpoint?.(graphQlUrl);
+    }
+    response = await request(graphQlUrl);
+    if (!isNetworkError(response)) {
+      return { response, graphQlUrl };
+    }
+  }
+  return { response, graphQlUrl: graphQlUrls.at(-1) };
+}
+
+/**
+ * Poll the best chain of the Mina GraphQL endpoint until the zkApp transaction
+ * is included in a block or the maximum number of attempts is reached. The
+ * transaction status is polled too, so that a transaction dropped from the
+ * node pool, e.g. replaced by another one or rejected, is reported right away.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {{id: string, hash: string}} zkappTransaction The zkApp transaction returned by `sendZkapp()`.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<{status: 'included' | 'failed' | 'dropped' | 'timeout', blockHeight?: string, failureReasons?: string[]}>}
+ */
+async function waitForTransactionInclusion(
+  graphQlUrl,
+  zkappTransaction,
+  headers
+) {
+  const maxAttempts = 180;
+  const pollingIntervalMs = 10_000;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // The transaction status is fetched first, so that a transaction included
+    // in between is found in the best chain. Both are polled, so the failed
+    // requests aren't retried.
+    const statusResponse = await fetchTransactionStatus(
+      graphQlUrl,
+      zkappTransaction.id,
+      { headers, retries: 0 }
+    );
+    const response = await sendGraphQL(graphQlUrl, getBestChainQuery(), {
+      headers,
+      retries: 0,
     });
-    const responseJson = await response.json();
-    if (!response.ok || responseJson?.errors) {
-      return {
-        kind: 'error',
-        statusCode: response.status,
-        statusText: response.statusText,
-        message: responseJson.errors,
-      };
-    }
-    return responseJson;
-  } catch (error) {
-    clearTimeout(timer);
-    return {
-      kind: 'error',
-      message: error,
-    };
+    for (const block of response?.data?.bestChain ?? []) {
+      const zkappCommand = block.transactions.zkappCommands.find(
+        ({ hash }) => hash === zkappTransaction.hash
+      );
+      if (zkappCommand) {
+        const { blockHeight } = block.protocolState.consensusState;
+        const failureReasons = (zkappCommand.failureReason ?? []).map(
+          ({ index, failures }) =>
+            `Account update #${index}: ${failures.join(', ')}`
+        );
+        return failureReasons.length
+          ? { status: 'failed', blockHeight, failureReasons }
+          : { status: 'included', blockHeight };
+      }
+    }
+    // Neither in the node pool nor in the transition frontier.
+    if (statusResponse?.data?.transactionStatus === 'UNKNOWN') {
+      return { status: 'dropped' };
+    }
+    if (attempt < maxAttempts) {
+      await sleep(pollingIntervalMs);
+    }
+  }
+  return { status: 'timeout' };
+}
+
+function getTransactionInclusionErrorMessage(contractName, inclusion) {
+  if (inclusion.status === 'failed') {
+    return (
+      `  The ${contractName} deploy transaction was included in block at height ${inclusion.blockHeight}, but failed:\n    ` +
+      inclusion.failureReasons.join('\n    ')
+    );
+  }
+  if (inclusion.status === 'dropped') {
+    return `  The ${contractName} deploy transaction was dropped by the node before being included in a block.\n  Send it again with \`zk deploy --resend\`, or with \`--bump-fee\` if it was replaced by another transaction.`;
   }
+  return `  The ${contractName} deploy transaction was not included in a block within 30 minutes.\n  It might still be included later, check the transaction status using the block explorer.`;
 }
 
-function sendZkAppQuery(accountUpdatesJson) {
+function formatTransactionInclusion(inclusion) {
+  switch (inclusion?.status) {
+    case 'included':
+      return inclusion.blockHeight;
+    case 'failed':
+      return chalk.red(`${inclusion.blockHeight} (failed)`);
+    case 'dropped':
+      return chalk.red('(dropped)');
+    default:
+      return chalk.gray('(not included)');
+  }
+}
+
+function getZkAppAccountQuery(publicKey) {
   return `
-  mutation {
-    sendZkapp(input: {
-      zkappCommand: ${removeJsonQuotes(accountUpdatesJson)}
-    }) { zkapp
-      {
-        id
+  query {
+    account(publicKey: "${publicKey}") {
+      verificationKey {
         hash
-        failureReason {
-          index
-          failures
+      }
+      permissions {
+        editState
+        setPermissions
+        setVerificationKey {
+          auth
         }
       }
     }
   }`;
 }
 
-function getAccountQuery(publicKey) {
+function getFeeDataQuery() {
   return `
   query {
-    account(publicKey: "${publicKey}") {
-      nonce
+    pooledZkappCommands {
+      zkappCommand {
+        feePayer {
+          body {
+            fee
+          }
+        }
+      }
+    }
+    pooledUserCommands {
+      fee
+    }
+    bestChain(maxLength: 10) {
+      transactions {
+        zkappCommands {
+          zkappCommand {
+            feePayer {
+              body {
+                fee
+              }
+            }
+          }
+        }
+        userCommands {
+          fee
+        }
+      }
+    }
+  }`;
+}
+
+function getBestChainQuery() {
+  return `
+  query {
+    bestChain(maxLength: 20) {
+      protocolState {
+        consensusState {
+          blockHeight
+        }
+      }
+      transactions {
+        zkappCommands {
+          hash
+          failureReason {
+            index
+            failures
+          }
+        }
+      }
     }
   }`;
 }
@@ -909,11 +2525,3 @@ function getErrorMessage(error) {
   }
   return errorMessage;
 }
-
-function removeJsonQuotes(json) {
-  // source: https://stackoverflow.com/a/65443215
-  let cleaned = JSON.stringify(JSON.parse(json), null, 2);
-  return cleaned.replace(/^[\t ]*"[^:\n\r]+(?<!\\)":/gm, (match) =>
-    match.replace(/"/g, '')
-  );
-}
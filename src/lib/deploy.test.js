@@ -100,10 +100,26 @@ jest.unstable_mockModule('ora', () => ({
   }),
 }));
 
+jest.unstable_mockModule('./deployments.js', () => ({
+  recordDeployment: jest.fn(),
+}));
+
+jest.unstable_mockModule('./keystore.js', () => ({
+  unlockKeyPair: jest.fn(async (keyPair) => keyPair),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
 jest.unstable_mockModule('./dynamic-import-helper.js', () => ({
   dynamicImport: jest.fn(),
 }));
 
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
 jest.unstable_mockModule('o1js', () => ({
   Mina: {
     Network: jest.fn(),
@@ -117,7 +133,19 @@ jest.unstable_mockModule('o1js', () => ({
   },
 }));
 
-let fs, path, execSync, enquirer, glob, findPrefix, nodeFs, dynamicImport, Mina;
+let fs,
+  path,
+  execSync,
+  enquirer,
+  glob,
+  findPrefix,
+  nodeFs,
+  dynamicImport,
+  printJson,
+  recordDeployment,
+  unlockKeyPair,
+  sleep,
+  Mina;
 
 beforeAll(async () => {
   const o1js = await import('o1js');
@@ -130,6 +158,10 @@ beforeAll(async () => {
   findPrefix = (await import('find-npm-prefix')).default;
   nodeFs = (await import('node:fs')).default;
   dynamicImport = (await import('./dynamic-import-helper.js')).dynamicImport;
+  recordDeployment = (await import('./deployments.js')).recordDeployment;
+  printJson = (await import('./json-output.js')).printJson;
+  unlockKeyPair = (await import('./keystore.js')).unlockKeyPair;
+  sleep = (await import('./time-helpers.js')).sleep;
 });
 
 beforeEach(() => {
@@ -463,222 +495,1969 @@ describe('deploy.js', () => {
       );
 
       expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining(
-          'The "fee" property is not specified for this deploy alias in config.json.'
-        )
+        expect.stringContaining(
+          'The "fee" property is not specified for this deploy alias in config.json.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should resend the last deployment instead of building a new one', async () => {
+      setupDeploymentMocks();
+      fs.readJsonSync.mockReturnValue(null);
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, resend: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   No sent deploy transaction found for the "testalias1" deploy alias.\n  Run `zk deploy testalias1` first.'
+      );
+      expect(execSync).not.toHaveBeenCalledWith(
+        expect.stringContaining('npm run build --silent')
+      );
+    });
+
+    it('should deploy with the estimated fee if the fee is "auto"', async () => {
+      const { Mina } = setupDeploymentMocks({ fee: 'auto' });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      expect(Mina.transaction).toHaveBeenCalledWith(
+        expect.objectContaining({ fee: '5000000' }),
+        expect.any(Function)
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should set the Archive-Node-API URL of the alias as the archive endpoint', async () => {
+      const { Mina } = setupDeploymentMocks({
+        archiveUrl: 'http://archive.url',
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      expect(Mina.Network).toHaveBeenCalledWith({
+        networkId: 'testnet',
+        mina: 'http://test.url',
+        archive: 'http://archive.url',
+      });
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should send the headers of the deploy alias to the GraphQL endpoint', async () => {
+      process.env.MINA_API_KEY = 'apiKey';
+      const { Mina } = setupDeploymentMocks({
+        headers: { 'X-Api-Key': '${MINA_API_KEY}' },
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true, wait: true });
+      delete process.env.MINA_API_KEY;
+
+      expect(Mina.Network).toHaveBeenCalledWith({
+        networkId: 'testnet',
+        mina: 'http://test.url',
+        minaDefaultHeaders: { 'X-Api-Key': 'apiKey' },
+      });
+      const graphQlRequests = global.fetch.mock.calls.filter(
+        ([url]) => url === 'http://test.url'
+      );
+      for (const query of [
+        'syncStatus',
+        'account(',
+        'sendZkapp',
+        'bestChain',
+      ]) {
+        expect(graphQlRequests).toContainEqual([
+          'http://test.url',
+          expect.objectContaining({
+            headers: {
+              'Content-Type': 'application/json',
+              'X-Api-Key': 'apiKey',
+            },
+            body: expect.stringContaining(query),
+          }),
+        ]);
+      }
+      expect(
+        graphQlRequests.every(
+          ([, { headers }]) => headers['X-Api-Key'] === 'apiKey'
+        )
+      ).toBe(true);
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should send the archive headers of the deploy alias to its Archive-Node-API', async () => {
+      const { Mina } = setupDeploymentMocks({
+        headers: { 'X-Api-Key': 'apiKey' },
+        archiveUrl: 'http://archive.url',
+        archiveHeaders: { 'X-Archive-Key': 'archiveKey' },
+      });
+      const readJsonSync = fs.readJsonSync.getMockImplementation();
+      fs.readJsonSync.mockImplementation((path, options) =>
+        path === '/project/root/node_modules/o1js/package.json'
+          ? { version: '2.3.0' }
+          : readJsonSync?.(path, options)
+      );
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      expect(Mina.Network).toHaveBeenCalledWith({
+        networkId: 'testnet',
+        mina: 'http://test.url',
+        archive: 'http://archive.url',
+        minaDefaultHeaders: { 'X-Api-Key': 'apiKey' },
+        archiveDefaultHeaders: { 'X-Archive-Key': 'archiveKey' },
+      });
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the o1js version of the project does not send the headers', async () => {
+      const { Mina } = setupDeploymentMocks({
+        headers: { 'X-Api-Key': 'apiKey' },
+      });
+      fs.readJsonSync.mockImplementation((path) =>
+        path === '/project/root/node_modules/o1js/package.json'
+          ? { version: '2.2.0' }
+          : undefined
+      );
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "headers" of deploy aliases require o1js 2.3.0 or later, but the project uses o1js 2.2.0.\n  Please update o1js and try again.'
+      );
+      expect(Mina.Network).not.toHaveBeenCalled();
+    });
+
+    it('should deploy to the first synced fallback GraphQL endpoint', async () => {
+      const { Mina } = setupDeploymentMocks({
+        fallbackUrls: ['http://fallback1.url', 'http://fallback2.url'],
+      });
+      mockUnreachableEndpoint('http://test.url');
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', dryRun: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(Mina.Network).toHaveBeenCalledWith({
+        networkId: 'testnet',
+        mina: 'http://fallback1.url',
+      });
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://fallback2.url',
+        expect.anything()
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["bold: URL","reset: http://fallback1.url' +
+            'gray: \\n(fallback 1 of 2)"]'
+        )
+      );
+    });
+
+    it('should send the transaction to the next GraphQL endpoint if the chosen one becomes unreachable', async () => {
+      setupDeploymentMocks({ fallbackUrls: ['http://fallback1.url'] });
+      mockUnreachableEndpoint('http://test.url', 'sendZkapp');
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://fallback1.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should not send the transaction to a fallback GraphQL endpoint of another chain', async () => {
+      setupDeploymentMocks({
+        fallbackUrls: ['http://fallback1.url'],
+        networkId: 'mainnet',
+        chainId: 'mainnetChainId',
+      });
+      mockUnreachableEndpoint('http://test.url', 'sendZkapp');
+      const fetchEndpoints = global.fetch.getMockImplementation();
+      global.fetch.mockImplementation((url, options) =>
+        url === 'http://fallback1.url' &&
+        options?.body?.includes('daemonStatus')
+          ? Promise.resolve({
+              ok: true,
+              json: () =>
+                Promise.resolve({
+                  data: { daemonStatus: { chainId: 'devnetChainId' } },
+                }),
+            })
+          : fetchEndpoints(url, options)
+      );
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, allowMainnet: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The node at http://fallback1.url reports the "devnetChainId" chain id, but the "testalias1" deploy alias is pinned to "mainnetChainId".'
+        )
+      );
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://fallback1.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+    });
+
+    it('should deploy to mainnet once the deploy alias name is typed', async () => {
+      setupDeploymentMocks({ networkId: 'mainnet', chainId: 'mainnetChainId' });
+      enquirer.prompt.mockResolvedValue({ confirm: 'testalias1' });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: false });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should not deploy to mainnet if "yes" is typed', async () => {
+      setupDeploymentMocks({ networkId: 'mainnet', chainId: 'mainnetChainId' });
+      enquirer.prompt.mockResolvedValue({ confirm: 'yes' });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: false });
+
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+    });
+
+    it('should exit if --yes is used for mainnet without --allow-mainnet', async () => {
+      setupDeploymentMocks({ networkId: 'mainnet', chainId: 'mainnetChainId' });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Add --allow-mainnet')
+      );
+    });
+
+    it('should deploy to mainnet with --yes and --allow-mainnet', async () => {
+      setupDeploymentMocks({ networkId: 'mainnet', chainId: 'mainnetChainId' });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true, allowMainnet: true });
+
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the fee exceeds the "maxFee" of the alias', async () => {
+      setupDeploymentMocks({ fee: 0.5, maxFee: 0.1 });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The 0.5 MINA fee exceeds the 0.1 MINA "maxFee" of this deploy alias in config.json.'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit in case of zkApp txn error', async () => {
+      setupDeploymentMocks({ isFailedZkAppTxn: true });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit in case if no smart contract named export found', async () => {
+      const contractName = 'TestZkApp';
+      setupDeploymentMocks({ provideSmartContractNamedExport: false });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `Failed to find the "${contractName}" smart contract in your build directory`
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit in case if fee payer address equals zkapp address', async () => {
+      setupDeploymentMocks({ matchFeePayerAndZkAppAddresses: true });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The feepayer account is the same as the zkApp account.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should handle smart contract init methods', async () => {
+      setupDeploymentMocks({ provideInitMethod: true });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      checkSuccessfulDeployment();
+    });
+
+    it('should warn about the failed preflight checks', async () => {
+      setupDeploymentMocks({
+        balance: '5000000',
+        zkAppAccount: {
+          permissions: {
+            editState: 'Proof',
+            setPermissions: 'Signature',
+            setVerificationKey: { auth: 'Impossible' },
+          },
+        },
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', dryRun: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   The fee payer balance of 0.005 MINA is lower than the 0.01 MINA required for the fees and the new zkApp accounts.'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   The TestZkApp zkApp account permissions would reject the deploy transaction: "editState" (Proof), "setVerificationKey" (Impossible).'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["bold: Balance check","yellow: Insufficient: 0.005 Mina available, 0.01 Mina required"],["bold: Permissions check","yellow: TestZkApp: rejected by \\"editState\\" (Proof), \\"setVerificationKey\\" (Impossible)"]'
+        )
+      );
+    });
+
+    it('should write the signed transaction without sending it in dry run mode', async () => {
+      setupDeploymentMocks();
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', dryRun: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/build/dry-run/testalias1.json',
+        expect.objectContaining({
+          deployAlias: 'testalias1',
+          url: 'http://test.url',
+          fee: '0.01',
+          feePayer: expect.objectContaining({
+            publicKey: 'base58-1',
+            nonce: '5',
+          }),
+          zkApps: [
+            {
+              smartContract: 'TestZkApp',
+              publicKey: 'base58',
+              transaction: {
+                feePayer: { body: { nonce: '5', fee: '10000000' } },
+                kind: 'zkAppTxn',
+              },
+            },
+          ],
+        }),
+        { spaces: 2 }
+      );
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+      expect(recordDeployment).not.toHaveBeenCalled();
+      expect(printJson).toHaveBeenCalledWith(
+        expect.objectContaining({
+          deployAlias: 'testalias1',
+          path: '/project/root/build/dry-run/testalias1.json',
+        })
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! Dry run completed. Transaction not sent.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should export the unsigned transaction built from the public keys', async () => {
+      const o1jsImports = setupDeploymentMocks();
+      mockPublicKeys(o1jsImports, true);
+      const sign = jest.fn();
+      o1jsImports.Mina.transaction.mockResolvedValue({
+        sign,
+        toJSON: () => JSON.stringify({ feePayer: {}, accountUpdates: [] }),
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', exportUnsigned: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(o1jsImports.PrivateKey.fromBase58).not.toHaveBeenCalled();
+      expect(sign).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/build/unsigned/testalias1.json',
+        {
+          deployAlias: 'testalias1',
+          networkId: 'testnet',
+          cliVersion: '0.0.0',
+          signed: false,
+          transactions: [
+            {
+              smartContract: 'TestZkApp',
+              keyPath: undefined,
+              zkAppPublicKey: '/project/root/undefined-publicKey',
+              verificationKeyHash: 'cachedKeyHash',
+              zkappCommand: { feePayer: {}, accountUpdates: [] },
+            },
+          ],
+        },
+        { spaces: 2 }
+      );
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'testalias1',
+        networkId: 'testnet',
+        path: '/project/root/build/unsigned/testalias1.json',
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! Unsigned transaction exported. Transaction not sent.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the public key is missing when exporting the unsigned transaction', async () => {
+      const o1jsImports = setupDeploymentMocks();
+      mockPublicKeys(o1jsImports, false);
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', exportUnsigned: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        "red:   Failed to find the zkApp public key.\n  Please make sure your config.json has the correct 'keyPath' property."
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should wait for the transaction inclusion', async () => {
+      setupDeploymentMocks();
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true, wait: true });
+
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'testalias1',
+        networkId: 'testnet',
+        url: 'http://test.url',
+        feePayer: 'base58-1',
+        fee: '0.01',
+        transactions: [
+          {
+            smartContract: 'TestZkApp',
+            zkAppAddress: 'base58',
+            txnHash: 'txnHash',
+            status: 'included',
+            blockHeight: '42',
+          },
+        ],
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! Deploy transaction included in block at height 42.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the transaction failed after inclusion', async () => {
+      setupDeploymentMocks({
+        bestChain: [
+          getBlock({
+            blockHeight: '42',
+            hash: 'txnHash',
+            failureReason: [{ index: '1', failures: ['Cancelled'] }],
+          }),
+        ],
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, wait: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The TestZkApp deploy transaction was included in block at height 42, but failed:\n    Account update #1: Cancelled'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should print the deploy plan inclusion summary', async () => {
+      setupDeploymentMocks({
+        deployPlan: [
+          { smartContract: 'TestZkApp', keyPath: 'keys/test.json' },
+          { smartContract: 'AnotherTestZkApp', keyPath: 'keys/another.json' },
+        ],
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true, wait: true });
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! Deploy transactions included in blocks.'
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["TestZkApp","/project/root/keys/test.json-address","txnHash","42"]'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should print the deploy plan summary if a transaction failed', async () => {
+      setupDeploymentMocks({
+        deployPlan: [
+          { smartContract: 'TestZkApp', keyPath: 'keys/test.json' },
+          { smartContract: 'AnotherTestZkApp', keyPath: 'keys/another.json' },
+        ],
+        bestChain: [
+          getBlock({
+            blockHeight: '42',
+            hash: 'txnHash',
+            failureReason: [{ index: '1', failures: ['Cancelled'] }],
+          }),
+        ],
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, wait: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["AnotherTestZkApp","/project/root/keys/another.json-address","txnHash","red: 42 (failed)"]'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit if the transaction is dropped before its inclusion', async () => {
+      setupDeploymentMocks({ bestChain: [], transactionStatus: 'UNKNOWN' });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, wait: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The TestZkApp deploy transaction was dropped by the node before being included in a block.\n  Send it again with `zk deploy --resend`, or with `--bump-fee` if it was replaced by another transaction.'
+      );
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should print the deploy plan summary if a transaction is not included', async () => {
+      setupDeploymentMocks({
+        deployPlan: [
+          { smartContract: 'TestZkApp', keyPath: 'keys/test.json' },
+          { smartContract: 'AnotherTestZkApp', keyPath: 'keys/another.json' },
+        ],
+        bestChain: [],
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(
+        deploy({ alias: 'testalias1', yes: true, wait: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The TestZkApp deploy transaction was not included in a block within 30 minutes.'
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["TestZkApp","/project/root/keys/test.json-address","txnHash","gray: (not included)"]'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should deploy every smart contract of the deploy plan in order', async () => {
+      const { Mina } = setupDeploymentMocks({
+        deployPlan: [
+          { smartContract: 'AnotherTestZkApp', keyPath: 'keys/another.json' },
+          { smartContract: 'TestZkApp', keyPath: 'keys/test.json' },
+        ],
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await deploy({ alias: 'testalias1', yes: true });
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'as specified in config.json: AnotherTestZkApp, TestZkApp'
+        )
+      );
+      expect(Mina.transaction).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ fee: '10000000', nonce: 5 }),
+        expect.any(Function)
+      );
+      expect(Mina.transaction).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ fee: '10000000', nonce: 6 }),
+        expect.any(Function)
+      );
+      expect(global.fetch).toHaveBeenCalledTimes(7);
+      expect(recordDeployment).toHaveBeenNthCalledWith(
+        1,
+        '/project/root',
+        'testalias1',
+        expect.objectContaining({ contractName: 'AnotherTestZkApp' })
+      );
+      expect(recordDeployment).toHaveBeenNthCalledWith(
+        2,
+        '/project/root',
+        'testalias1',
+        expect.objectContaining({ contractName: 'TestZkApp' })
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Success! Deploy transactions sent.')
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["AnotherTestZkApp","/project/root/keys/another.json-address","txnHash"]'
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["TestZkApp","/project/root/keys/test.json-address","txnHash"]'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if the deploy plan is invalid', async () => {
+      setupDeploymentMocks({
+        deployPlan: [{ smartContract: 'UnknownZkApp', keyPath: 'keys/a.json' }],
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The "UnknownZkApp" smart contract was not found in the project.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should print the deploy plan summary if a transaction fails', async () => {
+      setupDeploymentMocks({
+        deployPlan: [
+          { smartContract: 'TestZkApp', keyPath: 'keys/test.json' },
+          { smartContract: 'AnotherTestZkApp', keyPath: 'keys/another.json' },
+        ],
+        isFailedZkAppTxn: true,
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { default: deploy } = await import('./deploy.js');
+
+      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '["AnotherTestZkApp","/project/root/keys/another.json-address","gray: (not sent)"]'
+        )
+      );
+      expect(recordDeployment).not.toHaveBeenCalled();
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('validateDeployPlan()', () => {
+    const build = {
+      smartContracts: [{ className: 'Token' }, { className: 'Vault' }],
+    };
+
+    it('should accept a valid deploy plan', async () => {
+      const { validateDeployPlan } = await import('./deploy.js');
+
+      const result = validateDeployPlan(
+        [
+          { smartContract: 'Token', keyPath: 'keys/token.json' },
+          { smartContract: 'Vault', keyPath: 'keys/vault.json' },
+        ],
+        build
+      );
+
+      expect(result).toBeUndefined();
+    });
+
+    it('should reject an empty or malformed deploy plan', async () => {
+      const { validateDeployPlan } = await import('./deploy.js');
+
+      expect(validateDeployPlan([], build)).toContain('non-empty list');
+      expect(validateDeployPlan({}, build)).toContain('non-empty list');
+    });
+
+    it('should reject entries without smart contract or key path', async () => {
+      const { validateDeployPlan } = await import('./deploy.js');
+
+      const result = validateDeployPlan(
+        [
+          { smartContract: 'Token', keyPath: 'keys/token.json' },
+          { keyPath: 'x' },
+        ],
+        build
+      );
+
+      expect(result).toBe(
+        'Entry #2 must specify both the "smartContract" and "keyPath" properties.'
+      );
+    });
+
+    it('should reject entries sharing the same key path', async () => {
+      const { validateDeployPlan } = await import('./deploy.js');
+
+      const result = validateDeployPlan(
+        [
+          { smartContract: 'Token', keyPath: 'keys/token.json' },
+          { smartContract: 'Vault', keyPath: 'keys/token.json' },
+        ],
+        build
+      );
+
+      expect(result).toBe(
+        'The "keys/token.json" key path is used by more than one smart contract.'
+      );
+    });
+  });
+
+  describe('waitForTransactionInclusion()', () => {
+    function mockTransactionPolls(...polls) {
+      const responses = polls.flatMap(({ transactionStatus, bestChain }) => [
+        { data: { transactionStatus } },
+        { data: { bestChain } },
+      ]);
+      jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+        ok: true,
+        json: () => Promise.resolve(responses.shift()),
+      }));
+    }
+
+    it('should poll the best chain until the transaction is included', async () => {
+      mockTransactionPolls(
+        { transactionStatus: 'PENDING', bestChain: [] },
+        {
+          transactionStatus: 'INCLUDED',
+          bestChain: [
+            getBlock({ blockHeight: '7', hash: 'otherHash' }),
+            getBlock({ blockHeight: '8', hash: 'txnHash' }),
+          ],
+        }
+      );
+      const { waitForTransactionInclusion } = await import('./deploy.js');
+
+      const result = await waitForTransactionInclusion('http://test.url', {
+        id: 'txnId',
+        hash: 'txnHash',
+      });
+
+      expect(result).toEqual({ status: 'included', blockHeight: '8' });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toContain(
+        'transactionStatus(zkappTransaction: "txnId")'
+      );
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep).toHaveBeenCalledWith(10_000);
+    });
+
+    it('should report the transactions dropped from the node pool', async () => {
+      mockTransactionPolls(
+        { transactionStatus: 'PENDING', bestChain: [] },
+        { transactionStatus: 'UNKNOWN', bestChain: [] }
+      );
+      const { waitForTransactionInclusion } = await import('./deploy.js');
+
+      const result = await waitForTransactionInclusion('http://test.url', {
+        id: 'txnId',
+        hash: 'txnHash',
+      });
+
+      expect(result).toEqual({ status: 'dropped' });
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: false,
+        status: 502,
+        json: () => Promise.resolve({}),
+      });
+      const { waitForTransactionInclusion } = await import('./deploy.js');
+
+      const result = await waitForTransactionInclusion('http://test.url', {
+        id: 'txnId',
+        hash: 'txnHash',
+      });
+
+      expect(result).toEqual({ status: 'timeout' });
+      expect(global.fetch).toHaveBeenCalledTimes(360);
+      expect(sleep).toHaveBeenCalledTimes(179);
+    });
+  });
+
+  describe('getPreflightChecks()', () => {
+    it('should pass for a funded fee payer and new zkApp accounts', async () => {
+      const { getPreflightChecks } = await import('./deploy.js');
+
+      const result = getPreflightChecks({
+        feepayerAccount: { balance: { total: '3000000000' } },
+        fee: '100000000',
+        contracts: [
+          { contractName: 'Token', zkAppAccount: null },
+          {
+            contractName: 'Vault',
+            zkAppAccount: {
+              permissions: {
+                editState: 'Signature',
+                setPermissions: 'Signature',
+                setVerificationKey: { auth: 'Signature' },
+              },
+            },
+          },
+        ],
+      });
+
+      expect(result).toEqual({
+        balance: 'OK: 3 Mina available, 1.2 Mina required',
+        isBalanceSufficient: true,
+        permissions: 'Token: new zkApp account\nVault: OK',
+        arePermissionsValid: true,
+        warnings: [],
+      });
+    });
+
+    it('should not count the account creation fee for a redeploy', async () => {
+      const { getPreflightChecks } = await import('./deploy.js');
+
+      const result = getPreflightChecks({
+        feepayerAccount: { balance: { total: '150000000' } },
+        fee: '100000000',
+        contracts: [
+          {
+            contractName: 'Token',
+            zkAppAccount: {
+              permissions: {
+                editState: 'Signature',
+                setPermissions: 'Signature',
+                setVerificationKey: { auth: 'Signature' },
+              },
+            },
+          },
+        ],
+      });
+
+      expect(result.balance).toBe('OK: 0.15 Mina available, 0.1 Mina required');
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('addDeployAccountUpdates()', () => {
+    const AccountUpdate = { fundNewAccount: jest.fn() };
+    const deploy = jest.fn();
+    class TestZkApp {
+      constructor(address) {
+        this.address = address;
+      }
+      deploy = deploy;
+    }
+    const contract = {
+      zkApp: TestZkApp,
+      zkAppAddress: 'zkAppAddress',
+      verificationKey: { data: 'data', hash: 'hash' },
+    };
+
+    it('should fund the creation of a new zkApp account', async () => {
+      const { addDeployAccountUpdates } = await import('./deploy.js');
+
+      await addDeployAccountUpdates(AccountUpdate, 'feepayerAddress', {
+        ...contract,
+        zkAppAccount: null,
+      });
+
+      expect(AccountUpdate.fundNewAccount).toHaveBeenCalledWith(
+        'feepayerAddress'
+      );
+      expect(deploy).toHaveBeenCalledWith({
+        verificationKey: contract.verificationKey,
+      });
+    });
+
+    it('should not fund an existing zkApp account when redeploying', async () => {
+      const { addDeployAccountUpdates } = await import('./deploy.js');
+
+      await addDeployAccountUpdates(AccountUpdate, 'feepayerAddress', {
+        ...contract,
+        zkAppAccount: { nonce: '1' },
+      });
+
+      expect(AccountUpdate.fundNewAccount).not.toHaveBeenCalled();
+      expect(deploy).toHaveBeenCalledWith({
+        verificationKey: contract.verificationKey,
+      });
+    });
+  });
+
+  describe('getRejectingPermissions()', () => {
+    it('should return the permissions a signature cannot satisfy', async () => {
+      const { getRejectingPermissions } = await import('./deploy.js');
+
+      const result = getRejectingPermissions({
+        editState: 'Either',
+        setPermissions: 'Impossible',
+        setVerificationKey: { auth: 'Proof' },
+      });
+
+      expect(result).toEqual([
+        '"setPermissions" (Impossible)',
+        '"setVerificationKey" (Proof)',
+      ]);
+    });
+  });
+
+  describe('getZkAppAccountQuery()', () => {
+    it('should return the zkApp account query', async () => {
+      const { getZkAppAccountQuery } = await import('./deploy.js');
+
+      const result = getZkAppAccountQuery('B62q');
+
+      expect(result).toContain('account(publicKey: "B62q")');
+      expect(result).toContain('setVerificationKey');
+      expect(result).toContain('editState');
+    });
+  });
+
+  describe('readFeepayerPrivateKey()', () => {
+    it('should read the fee payer private key, unlocking it if needed', async () => {
+      const keyPair = { publicKey: 'publicKey', privateKey: 'privateKey' };
+      fs.readJsonSync.mockReturnValue(keyPair);
+      path.basename.mockReturnValue('ci');
+      const { readFeepayerPrivateKey } = await import('./deploy.js');
+
+      const result = await readFeepayerPrivateKey('/keys/ci.json');
+
+      expect(result).toBe('privateKey');
+      expect(path.basename).toHaveBeenCalledWith('/keys/ci.json', '.json');
+      expect(unlockKeyPair).toHaveBeenCalledWith(keyPair, '"ci" fee payer');
+    });
+
+    it('should exit if the fee payer key file cannot be read', async () => {
+      fs.readJsonSync.mockImplementation(() => {
+        throw new Error('ENOENT');
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { readFeepayerPrivateKey } = await import('./deploy.js');
+
+      await expect(readFeepayerPrivateKey('/keys/ci.json')).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        "red:   Failed to find the feepayer private key.\n  Please make sure your config.json has the correct 'feepayerKeyPath' property."
+      );
+      expect(unlockKeyPair).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getErrorMessage()', () => {
+    it('should return formatted error message', async () => {
+      const error = {
+        message: [{ message: 'error1' }, { message: 'error2' }],
+      };
+      const { getErrorMessage } = await import('./deploy.js');
+
+      const result = getErrorMessage(error);
+
+      expect(result).toContain('error1');
+      expect(result).toContain('error2');
+    });
+
+    it('should return invalid nonce error message', async () => {
+      const error = { message: [{ message: 'Invalid_nonce' }] };
+      const { getErrorMessage } = await import('./deploy.js');
+
+      const result = getErrorMessage(error);
+
+      expect(result).toContain('An invalid account nonce was specified');
+    });
+
+    it('should return txn failure error message', async () => {
+      const error = {
+        message: 'Some error message',
+      };
+      const { getErrorMessage } = await import('./deploy.js');
+
+      const result = getErrorMessage(error);
+
+      expect(result).toContain('Failed to send transaction. Unknown error');
+    });
+  });
+
+  describe('hasBreakingChanges()', () => {
+    it('should detect breaking changes for major version 0', async () => {
+      const { hasBreakingChanges } = await import('./deploy.js');
+
+      const result = hasBreakingChanges('0.1.0', '0.2.0');
+
+      expect(result).toBe(true);
+    });
+
+    it('should detect breaking changes for major version >= 1', async () => {
+      const { hasBreakingChanges } = await import('./deploy.js');
+
+      const result = hasBreakingChanges('1.0.0', '2.0.0');
+
+      expect(result).toBe(true);
+    });
+
+    it('should not detect breaking changes', async () => {
+      const { hasBreakingChanges } = await import('./deploy.js');
+
+      const result = hasBreakingChanges('1.1.0', '1.1.0');
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('resendTransactions()', () => {
+    it('should resend the same signed transactions', async () => {
+      const sentTransactions = getSentTransactionsFile();
+      setupResendMocks({ sentTransactions });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await resendTransactions(getResendOptions());
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('nonce: \\"5\\"'),
+        })
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'testalias1',
+        networkId: 'testnet',
+        transactions: [
+          expect.objectContaining({
+            smartContract: 'TestZkApp',
+            fee: '0.01',
+            txnHash: 'txnHash',
+          }),
+        ],
+      });
+      expect(recordDeployment).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/build/sent/testalias1.json',
+        sentTransactions,
+        { spaces: 2 }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Success! Deploy transactions resent.')
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should sign the transactions again with a bumped fee', async () => {
+      const o1jsImports = setupResendMocks({
+        sentTransactions: getSentTransactionsFile({ txnHash: 'stuckTxnHash' }),
+      });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await resendTransactions(getResendOptions({ bumpFee: true }));
+
+      expect(o1jsImports.Transaction.fromJSON).toHaveBeenCalledWith(
+        expect.objectContaining({
+          feePayer: expect.objectContaining({
+            body: expect.objectContaining({ nonce: '5', fee: '11000000' }),
+          }),
+        })
+      );
+      const tx = o1jsImports.Transaction.fromJSON.mock.results[0].value;
+      expect(tx.sign).toHaveBeenCalledWith([
+        expect.objectContaining({ key: 'zkAppKey' }),
+        expect.objectContaining({ key: 'feepayerKey' }),
+      ]);
+      expect(recordDeployment).toHaveBeenCalledWith(
+        '/project/root',
+        'testalias1',
+        expect.objectContaining({
+          contractName: 'TestZkApp',
+          txnHash: 'txnHash',
+        })
+      );
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/build/sent/testalias1.json',
+        expect.objectContaining({
+          transactions: [
+            expect.objectContaining({
+              fee: '11000000',
+              txnHash: 'txnHash',
+              zkappCommand: expect.objectContaining({ signed: true }),
+            }),
+          ],
+        }),
+        { spaces: 2 }
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should skip the transactions already included', async () => {
+      setupResendMocks({ accountNonce: '6' });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await resendTransactions(getResendOptions());
+
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nThe deploy transactions are already included in blocks. Nothing to resend.'
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'testalias1',
+        networkId: 'testnet',
+        transactions: [],
+      });
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+    });
+
+    it('should exit if the transactions were sent to another network', async () => {
+      setupResendMocks({
+        sentTransactions: {
+          ...getSentTransactionsFile(),
+          networkId: 'mainnet',
+        },
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await expect(resendTransactions(getResendOptions())).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The transactions were sent to the "mainnet" network, but the "testalias1" deploy alias now targets the "testnet" network.\n  Aborted.'
+      );
+    });
+
+    it('should exit if the fee payer of the deploy alias changed', async () => {
+      const sentTransactions = getSentTransactionsFile();
+      sentTransactions.transactions[0].zkappCommand.feePayer.body.publicKey =
+        'otherFeepayer';
+      setupResendMocks({ sentTransactions });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await expect(
+        resendTransactions(getResendOptions({ bumpFee: true }))
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The transactions were paid by the "otherFeepayer" fee payer, which doesn\'t match the "testalias1" deploy alias fee payer.'
+      );
+    });
+
+    it('should not resend the transactions if not confirmed', async () => {
+      setupResendMocks();
+      enquirer.prompt.mockResolvedValue({ confirm: 'no' });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await resendTransactions(getResendOptions({ yes: false }));
+
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        'http://test.url',
+        expect.objectContaining({
+          body: expect.stringContaining('sendZkapp'),
+        })
+      );
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should check the chain id of the fallback endpoint before resending to it', async () => {
+      setupResendMocks();
+      mockUnreachableEndpoint('http://test.url', 'sendZkapp');
+      const { resendTransactions } = await import('./deploy.js');
+
+      await resendTransactions(
+        getResendOptions({
+          config: {
+            deployAliases: {
+              testalias1: {
+                url: 'http://test.url',
+                fallbackUrls: ['http://fallback1.url'],
+                chainId: 'mainnetChainId',
+                feepayerKeyPath: '/keys/feepayer.json',
+                fee: '0.01',
+              },
+            },
+          },
+        })
+      );
+
+      const fallbackQueries = global.fetch.mock.calls
+        .filter(([url]) => url === 'http://fallback1.url')
+        .map(([, { body }]) => body);
+      expect(fallbackQueries).toEqual([
+        expect.stringContaining('daemonStatus'),
+        expect.stringContaining('sendZkapp'),
+      ]);
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit if --yes is used for mainnet without --allow-mainnet', async () => {
+      setupResendMocks({
+        sentTransactions: {
+          ...getSentTransactionsFile(),
+          networkId: 'mainnet',
+        },
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const options = getResendOptions();
+      options.config.deployAliases.testalias1.networkId = 'mainnet';
+      const { resendTransactions } = await import('./deploy.js');
+
+      await expect(resendTransactions(options)).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Add --allow-mainnet')
+      );
+    });
+
+    it('should exit in case of the transaction error', async () => {
+      setupResendMocks({ isFailedZkAppTxn: true });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { resendTransactions } = await import('./deploy.js');
+
+      await expect(resendTransactions(getResendOptions())).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('chooseGraphQlEndpoint()', () => {
+    beforeEach(() => {
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+    });
+
+    it('should return the first synced GraphQL endpoint', async () => {
+      mockFetchEndpoints();
+      mockUnreachableEndpoint('http://test.url');
+      const { chooseGraphQlEndpoint } = await import('./deploy.js');
+
+      const graphQlUrl = await chooseGraphQlEndpoint([
+        'http://test.url',
+        'http://fallback1.url',
+      ]);
+
+      expect(graphQlUrl).toBe('http://fallback1.url');
+    });
+
+    it('should exit if none of the GraphQL endpoints is synced', async () => {
+      mockFetchEndpoints({ syncStatus: 'BOOTSTRAP' });
+      mockUnreachableEndpoint('http://test.url');
+      const { chooseGraphQlEndpoint } = await import('./deploy.js');
+
+      await expect(
+        chooseGraphQlEndpoint(['http://test.url', 'http://fallback1.url'])
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   None of the transaction relayer nodes is synced:' +
+          '\n    http://test.url: OFFLINE' +
+          '\n    http://fallback1.url: BOOTSTRAP' +
+          '\n  Please try again when a node is synced or add another endpoint to the "fallbackUrls" of this deploy alias in your config.json'
+      );
+    });
+  });
+
+  describe('getDeployAliasHeaders()', () => {
+    afterEach(() => {
+      delete process.env.MINA_API_KEY;
+    });
+
+    it('should replace the environment variable references in the header values', async () => {
+      process.env.MINA_API_KEY = 'apiKey';
+      const { getDeployAliasHeaders } = await import('./deploy.js');
+
+      expect(
+        getDeployAliasHeaders({
+          headers: {
+            Authorization: 'Bearer ${MINA_API_KEY}',
+            'X-Client': 'zkapp-cli',
+          },
+        })
+      ).toEqual({ Authorization: 'Bearer apiKey', 'X-Client': 'zkapp-cli' });
+      expect(getDeployAliasHeaders({})).toEqual({});
+    });
+
+    it('should exit if a referenced environment variable is not set', async () => {
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { getDeployAliasHeaders } = await import('./deploy.js');
+
+      expect(() =>
+        getDeployAliasHeaders({ headers: { 'X-Api-Key': '${MINA_API_KEY}' } })
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "X-Api-Key" header of this deploy alias references the MINA_API_KEY environment variable, which is not set.\n  Please set it and try again.'
+      );
+    });
+  });
+
+  describe('getArchiveHeaders()', () => {
+    it('should return the archive headers of the deploy alias', async () => {
+      const { getArchiveHeaders } = await import('./deploy.js');
+
+      expect(
+        getArchiveHeaders({
+          url: 'https://node.url/graphql',
+          archiveUrl: 'https://archive.url',
+          headers: { 'X-Api-Key': 'apiKey' },
+          archiveHeaders: { 'X-Archive-Key': 'archiveKey' },
+        })
+      ).toEqual({ 'X-Archive-Key': 'archiveKey' });
+    });
+
+    it('should only send the headers to an archive with the same origin', async () => {
+      const { getArchiveHeaders } = await import('./deploy.js');
+
+      expect(
+        getArchiveHeaders({
+          url: 'https://node.url/graphql',
+          archiveUrl: 'https://node.url/archive',
+          headers: { 'X-Api-Key': 'apiKey' },
+        })
+      ).toEqual({ 'X-Api-Key': 'apiKey' });
+      expect(
+        getArchiveHeaders({
+          url: 'https://node.url/graphql',
+          archiveUrl: 'https://archive.url',
+          headers: { 'X-Api-Key': 'apiKey' },
+        })
+      ).toEqual({});
+      expect(
+        getArchiveHeaders({
+          url: 'https://node.url/graphql',
+          headers: { 'X-Api-Key': 'apiKey' },
+        })
+      ).toEqual({});
+    });
+  });
+
+  describe('sendGraphQLWithFallback()', () => {
+    it('should not send the request to the next endpoint on GraphQL errors', async () => {
+      const error = { kind: 'error', statusCode: 200, message: [] };
+      const request = jest.fn().mockResolvedValue(error);
+      const { sendGraphQLWithFallback } = await import('./deploy.js');
+
+      const result = await sendGraphQLWithFallback(
+        ['http://test.url', 'http://fallback1.url'],
+        request
+      );
+
+      expect(result).toEqual({
+        response: error,
+        graphQlUrl: 'http://test.url',
+      });
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send the request to the next endpoint on network errors', async () => {
+      const request = jest
+        .fn()
+        .mockResolvedValueOnce({ kind: 'error', statusCode: 502 })
+        .mockResolvedValueOnce({ data: 'response' });
+      const { sendGraphQLWithFallback } = await import('./deploy.js');
+
+      const result = await sendGraphQLWithFallback(
+        ['http://test.url', 'http://fallback1.url'],
+        request
+      );
+
+      expect(result).toEqual({
+        response: { data: 'response' },
+        graphQlUrl: 'http://fallback1.url',
+      });
+      expect(request).toHaveBeenNthCalledWith(2, 'http://fallback1.url');
+    });
+
+    it('should check the fallback endpoints before sending the request to them', async () => {
+      const request = jest
+        .fn()
+        .mockResolvedValueOnce({ kind: 'error', statusCode: 502 })
+        .mockResolvedValueOnce({ data: 'response' });
+      const checkFallbackEndpoint = jest.fn();
+      const { sendGraphQLWithFallback } = await import('./deploy.js');
+
+      await sendGraphQLWithFallback(
+        ['http://test.url', 'http://fallback1.url'],
+        request,
+        checkFallbackEndpoint
+      );
+
+      expect(checkFallbackEndpoint.mock.calls).toEqual([
+        ['http://fallback1.url'],
+      ]);
+      expect(checkFallbackEndpoint.mock.invocationCallOrder[0]).toBeLessThan(
+        request.mock.invocationCallOrder[1]
+      );
+    });
+
+    it('should return the last error if no endpoint can be reached', async () => {
+      const error = { kind: 'error', message: new Error('fetch failed') };
+      const request = jest.fn().mockResolvedValue(error);
+      const { sendGraphQLWithFallback } = await import('./deploy.js');
+
+      const result = await sendGraphQLWithFallback(
+        ['http://test.url', 'http://fallback1.url'],
+        request
+      );
+
+      expect(result).toEqual({
+        response: error,
+        graphQlUrl: 'http://fallback1.url',
+      });
+    });
+  });
+
+  describe('checkMainnetGuardRails()', () => {
+    const deployAlias = {
+      networkId: 'mainnet',
+      url: 'http://test.url',
+      chainId: 'mainnetChainId',
+      feepayerKeyPath: '/keys/feepayer.json',
+      feepayerAlias: 'feepayer',
+    };
+
+    beforeEach(() => {
+      fs.readJsonSync.mockReturnValue({ networkId: 'mainnet' });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+    });
+
+    it('should pass if the deploy alias is safe to use', async () => {
+      const { checkMainnetGuardRails } = await import('./deploy.js');
+
+      const isMainnet = await checkMainnetGuardRails({
+        alias: 'mainnet',
+        deployAlias,
+        yes: true,
+        allowMainnet: true,
+      });
+
+      expect(isMainnet).toBe(true);
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should not check the deploy aliases of the other networks', async () => {
+      fs.readJsonSync.mockReturnValue({ networkId: 'testnet' });
+      const { checkMainnetGuardRails } = await import('./deploy.js');
+
+      const isMainnet = await checkMainnetGuardRails({
+        alias: 'devnet',
+        deployAlias: {
+          ...deployAlias,
+          networkId: 'testnet',
+          chainId: undefined,
+        },
+        yes: true,
+      });
+
+      expect(isMainnet).toBe(false);
+      expect(fs.readJsonSync).not.toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the fee payer was generated for another network', async () => {
+      fs.readJsonSync.mockReturnValue({ networkId: 'testnet' });
+      const { checkMainnetGuardRails } = await import('./deploy.js');
+
+      await expect(
+        checkMainnetGuardRails({ alias: 'mainnet', deployAlias })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "feepayer" fee payer key pair was generated for the "testnet" network.\n  Please use a mainnet fee payer for the "mainnet" deploy alias.'
+      );
+    });
+
+    it('should exit if the deploy alias has no chain id', async () => {
+      const { checkMainnetGuardRails } = await import('./deploy.js');
+
+      await expect(
+        checkMainnetGuardRails({
+          alias: 'mainnet',
+          deployAlias: { ...deployAlias, chainId: undefined },
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "mainnet" deploy alias targets mainnet, but has no "chainId" to check its node against.\n  Run `zk config edit mainnet --pin-chain-id` to pin the chain id of its node.'
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
     });
+  });
 
-    it('should exit in case of zkApp txn error', async () => {
-      setupDeploymentMocks({ isFailedZkAppTxn: true });
+  describe('checkChainId()', () => {
+    beforeEach(() => {
       process.exit.mockImplementation(() => {
         throw new Error('process.exit');
       });
-      const { default: deploy } = await import('./deploy.js');
+    });
 
-      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
-        'process.exit'
-      );
+    it('should pass if the node reports the pinned chain id', async () => {
+      mockFetchEndpoints({ chainId: 'chainId' });
+      const { checkChainId } = await import('./deploy.js');
 
-      expect(process.exit).toHaveBeenCalledWith(1);
+      await checkChainId('devnet', { chainId: 'chainId' }, 'http://test.url');
+
+      expect(process.exit).not.toHaveBeenCalled();
     });
 
-    it('should exit in case if no smart contract named export found', async () => {
-      const contractName = 'TestZkApp';
-      setupDeploymentMocks({ provideSmartContractNamedExport: false });
-      process.exit.mockImplementation(() => {
-        throw new Error('process.exit');
-      });
-      const { default: deploy } = await import('./deploy.js');
+    it('should not query the node if no chain id is pinned', async () => {
+      mockFetchEndpoints();
+      const { checkChainId } = await import('./deploy.js');
 
-      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
-        'process.exit'
-      );
+      await checkChainId('devnet', {}, 'http://test.url');
 
-      expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining(
-          `Failed to find the "${contractName}" smart contract in your build directory`
-        )
-      );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(global.fetch).not.toHaveBeenCalled();
     });
 
-    it('should exit in case if fee payer address equals zkapp address', async () => {
-      setupDeploymentMocks({ matchFeePayerAndZkAppAddresses: true });
-      process.exit.mockImplementation(() => {
-        throw new Error('process.exit');
-      });
-      const { default: deploy } = await import('./deploy.js');
+    it('should exit if the node reports another chain id', async () => {
+      mockFetchEndpoints({ chainId: 'newChainId' });
+      const { checkChainId } = await import('./deploy.js');
 
-      await expect(deploy({ alias: 'testalias1', yes: true })).rejects.toThrow(
-        'process.exit'
-      );
+      await expect(
+        checkChainId('lightnet', { chainId: 'chainId' }, 'http://test.url')
+      ).rejects.toThrow('process.exit');
 
       expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining(
-          'The feepayer account is the same as the zkApp account.'
-        )
+        'red:   The node at http://test.url reports the "newChainId" chain id, but the "lightnet" deploy alias is pinned to "chainId".' +
+          '\n  The network was reset, e.g. after a Lightnet restart, or the deploy alias URL now points to another network.' +
+          '\n  If this network is the expected one, run `zk config edit lightnet --pin-chain-id` to pin its chain id.'
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
     });
 
-    it('should handle smart contract init methods', async () => {
-      setupDeploymentMocks({ provideInitMethod: true });
-      const { default: deploy } = await import('./deploy.js');
+    it('should exit if the chain id can not be fetched', async () => {
+      mockFetchEndpoints({ chainId: null });
+      const { checkChainId } = await import('./deploy.js');
 
-      await deploy({ alias: 'testalias1', yes: true });
+      await expect(
+        checkChainId('devnet', { chainId: 'chainId' }, 'http://test.url')
+      ).rejects.toThrow('process.exit');
 
-      checkSuccessfulDeployment();
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to fetch the chain id of the node at http://test.url.'
+      );
     });
   });
 
-  describe('sendGraphQL()', () => {
-    it('should send a GraphQL request and return the response', async () => {
-      jest.useFakeTimers();
-      jest.spyOn(global, 'setTimeout');
-      global.fetch = jest.fn(() =>
-        Promise.resolve({
-          ok: true,
-          json: () => Promise.resolve({ data: 'response' }),
-        })
-      );
-      const { sendGraphQL } = await import('./deploy.js');
+  describe('getSentTransactions()', () => {
+    it('should only keep the sent transactions', async () => {
+      const { getSentTransactions } = await import('./deploy.js');
+      const contract = (contractName, txn) => ({
+        contractName,
+        keyPath: `keys/${contractName}.json`,
+        zkAppAddress: { toBase58: () => `${contractName}-address` },
+        verificationKey: { hash: `${contractName}-vkHash` },
+        transactionJson: JSON.stringify({
+          feePayer: { body: { nonce: '7', fee: '10000000' } },
+        }),
+        txn,
+      });
 
-      const result = await sendGraphQL('http://test.url', 'query');
+      const result = getSentTransactions({
+        alias: 'devnet',
+        networkId: 'testnet',
+        cliVersion: '0.0.0',
+        contracts: [
+          contract('Token', { data: { sendZkapp: { zkapp: { hash: 'h1' } } } }),
+          contract('Vault'),
+        ],
+      });
 
-      expect(result).toEqual({ data: 'response' });
+      expect(result).toEqual({
+        deployAlias: 'devnet',
+        networkId: 'testnet',
+        cliVersion: '0.0.0',
+        transactions: [
+          {
+            smartContract: 'Token',
+            keyPath: 'keys/Token.json',
+            zkAppPublicKey: 'Token-address',
+            verificationKeyHash: 'Token-vkHash',
+            nonce: '7',
+            fee: '10000000',
+            txnHash: 'h1',
+            zkappCommand: {
+              feePayer: { body: { nonce: '7', fee: '10000000' } },
+            },
+          },
+        ],
+      });
     });
+  });
 
-    it('should handle errors and return error object', async () => {
-      jest.useFakeTimers();
-      jest.spyOn(global, 'setTimeout');
-      global.fetch = jest.fn(() => Promise.reject(new Error('network error')));
-      const { sendGraphQL } = await import('./deploy.js');
+  describe('getBumpedFee()', () => {
+    it('should bump the fee by 10 percent', async () => {
+      const { getBumpedFee } = await import('./deploy.js');
 
-      const result = await sendGraphQL('http://test.url', 'query');
+      expect(getBumpedFee('100000000', { maxFee: '1' })).toBe('110000000');
+    });
 
-      expect(result).toEqual({
-        kind: 'error',
-        message: new Error('network error'),
+    it('should exit if the bumped fee exceeds the "maxFee" of the alias', async () => {
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
       });
-      expect(setTimeout).toHaveBeenCalledTimes(1);
-      jest.runAllTimers();
-    });
+      const { getBumpedFee } = await import('./deploy.js');
 
-    it('should handle failed request and return error object (!response.ok)', async () => {
-      jest.useFakeTimers();
-      jest.spyOn(global, 'setTimeout');
-      global.fetch = jest.fn(() =>
-        Promise.resolve({
-          ok: false,
-          json: () => Promise.resolve({ data: 'response' }),
-        })
+      expect(() => getBumpedFee('100000000', { maxFee: '0.1' })).toThrow(
+        'process.exit'
       );
-      const { sendGraphQL } = await import('./deploy.js');
-
-      const result = await sendGraphQL('http://test.url', 'query');
 
-      expect(result).toEqual({
-        kind: 'error',
-      });
-      expect(setTimeout).toHaveBeenCalledTimes(1);
-      jest.runAllTimers();
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The bumped 0.11 MINA fee exceeds the 0.1 MINA "maxFee" of this deploy alias in config.json.'
+      );
     });
   });
 
-  describe('sendZkAppQuery()', () => {
-    it('should return the zkApp mutation query', async () => {
-      const accountUpdatesJson = '{"foo": "bar"}';
-      const { sendZkAppQuery } = await import('./deploy.js');
+  describe('resignTransaction()', () => {
+    it('should replace the fee and every signature', async () => {
+      const tx = {
+        transaction: { feePayer: {}, accountUpdates: [] },
+        sign: jest.fn(() => ({ toJSON: () => '{"signed":true}' })),
+      };
+      const Transaction = { fromJSON: jest.fn(() => tx) };
+      const { resignTransaction } = await import('./deploy.js');
 
-      const result = sendZkAppQuery(accountUpdatesJson);
+      const result = resignTransaction(
+        Transaction,
+        {
+          feePayer: { body: { fee: '1', nonce: '3' }, authorization: 'sig' },
+          accountUpdates: [
+            { body: {}, authorization: { proof: 'proof', signature: 'sig' } },
+          ],
+        },
+        '2',
+        ['key']
+      );
 
-      expect(result).toContain('mutation');
-      expect(result).toContain('foo: "bar"');
+      expect(Transaction.fromJSON).toHaveBeenCalledWith({
+        feePayer: { body: { fee: '2', nonce: '3' }, authorization: 'sig' },
+        accountUpdates: [
+          { body: {}, authorization: { proof: 'proof', signature: null } },
+        ],
+      });
+      expect(tx.transaction.feePayer.lazyAuthorization).toEqual({
+        kind: 'lazy-signature',
+      });
+      expect(tx.sign).toHaveBeenCalledWith(['key']);
+      expect(result).toEqual({ signed: true });
     });
   });
 
-  describe('getAccountQuery()', () => {
-    it('should return the account query', async () => {
-      const publicKey = 'testPublicKey';
-      const { getAccountQuery } = await import('./deploy.js');
+  describe('restoreMissingSignatures()', () => {
+    it('should mark the missing signatures', async () => {
+      const accountUpdate = (isSigned, signature) => ({
+        body: {
+          authorizationKind: { isSigned: { toBoolean: () => isSigned } },
+        },
+        authorization: { signature },
+      });
+      const tx = {
+        transaction: {
+          feePayer: {},
+          accountUpdates: [
+            accountUpdate(true),
+            accountUpdate(true, 'signature'),
+            accountUpdate(false),
+          ],
+        },
+      };
+      const { restoreMissingSignatures } = await import('./deploy.js');
 
-      const result = getAccountQuery(publicKey);
+      restoreMissingSignatures(tx);
 
-      expect(result).toContain('query');
-      expect(result).toContain(`account(publicKey: "${publicKey}")`);
+      const lazySignature = { kind: 'lazy-signature' };
+      expect(tx.transaction.feePayer.lazyAuthorization).toEqual(lazySignature);
+      expect(
+        tx.transaction.accountUpdates.map(
+          ({ lazyAuthorization }) => lazyAuthorization
+        )
+      ).toEqual([lazySignature, undefined, undefined]);
     });
   });
 
-  describe('getErrorMessage()', () => {
-    it('should return formatted error message', async () => {
-      const error = {
-        message: [{ message: 'error1' }, { message: 'error2' }],
-      };
-      const { getErrorMessage } = await import('./deploy.js');
+  describe('getTransactionFee()', () => {
+    it('should return the fixed fee in nanomina', async () => {
+      const { getTransactionFee } = await import('./deploy.js');
 
-      const result = getErrorMessage(error);
+      const result = await getTransactionFee(
+        { fee: '0.1', maxFee: '0.1' },
+        'http://test.url'
+      );
 
-      expect(result).toContain('error1');
-      expect(result).toContain('error2');
+      expect(result).toEqual({ fee: '100000000' });
     });
 
-    it('should return invalid nonce error message', async () => {
-      const error = { message: [{ message: 'Invalid_nonce' }] };
-      const { getErrorMessage } = await import('./deploy.js');
+    it('should cap the estimated fee at the "maxFee" of the alias', async () => {
+      mockFetchEndpoints({
+        feeData: getFeeData(['2000000000', '3000000000', '4000000000']),
+      });
+      const { getTransactionFee } = await import('./deploy.js');
 
-      const result = getErrorMessage(error);
+      const result = await getTransactionFee(
+        { fee: 'auto', maxFee: '1' },
+        'http://test.url'
+      );
 
-      expect(result).toContain('An invalid account nonce was specified');
+      expect(result).toEqual({
+        fee: '1000000000',
+        feeTiers: {
+          low: 2000000000,
+          medium: 3000000000,
+          high: 4000000000,
+        },
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   The estimated 3 MINA fee exceeds the 1 MINA "maxFee" of this deploy alias.\n  The 1 MINA fee will be used instead.'
+      );
     });
 
-    it('should return txn failure error message', async () => {
-      const error = {
-        message: 'Some error message',
-      };
-      const { getErrorMessage } = await import('./deploy.js');
+    it('should exit if the fee cannot be estimated', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ errors: [{ message: 'Bad query' }] }),
+      });
+      process.exit.mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const { getTransactionFee } = await import('./deploy.js');
 
-      const result = getErrorMessage(error);
+      await expect(
+        getTransactionFee({ fee: 'auto' }, 'http://test.url')
+      ).rejects.toThrow('process.exit');
 
-      expect(result).toContain('Failed to send transaction. Unknown error');
+      expect(process.exit).toHaveBeenCalledWith(1);
     });
   });
 
-  describe('removeJsonQuotes()', () => {
-    it('should remove quotes from JSON keys', async () => {
-      const json = '{"foo": "bar"}';
-      const { removeJsonQuotes } = await import('./deploy.js');
+  describe('estimateFeeTiers()', () => {
+    it('should estimate the fee tiers from the pooled and included transactions', async () => {
+      mockFetchEndpoints({
+        feeData: {
+          pooledZkappCommands: [
+            { zkappCommand: { feePayer: { body: { fee: '40000000' } } } },
+          ],
+          pooledUserCommands: [{ fee: '10000000' }],
+          bestChain: [
+            {
+              transactions: {
+                zkappCommands: [
+                  { zkappCommand: { feePayer: { body: { fee: '30000000' } } } },
+                ],
+                userCommands: [{ fee: '20000000' }],
+              },
+            },
+          ],
+        },
+      });
+      const { estimateFeeTiers } = await import('./deploy.js');
 
-      const result = removeJsonQuotes(json);
+      const result = await estimateFeeTiers('http://test.url');
 
-      expect(result).toEqual(expect.stringMatching(/foo: "bar"/gi));
+      expect(result).toEqual({
+        low: 20000000,
+        medium: 30000000,
+        high: 40000000,
+      });
     });
-  });
 
-  describe('hasBreakingChanges()', () => {
-    it('should detect breaking changes for major version 0', async () => {
-      const { hasBreakingChanges } = await import('./deploy.js');
+    it('should fall back to the minimum fee without recent transactions', async () => {
+      mockFetchEndpoints({ feeData: getFeeData([]) });
+      const { estimateFeeTiers } = await import('./deploy.js');
 
-      const result = hasBreakingChanges('0.1.0', '0.2.0');
+      const result = await estimateFeeTiers('http://test.url');
 
-      expect(result).toBe(true);
+      expect(result).toEqual({ low: 1000000, medium: 1000000, high: 1000000 });
     });
+  });
 
-    it('should detect breaking changes for major version >= 1', async () => {
-      const { hasBreakingChanges } = await import('./deploy.js');
+  describe('formatFeeTiers()', () => {
+    it('should return an empty string without fee tiers', async () => {
+      const { formatFeeTiers } = await import('./deploy.js');
 
-      const result = hasBreakingChanges('1.0.0', '2.0.0');
+      expect(formatFeeTiers(undefined)).toBe('');
+    });
 
-      expect(result).toBe(true);
+    it('should format the fee tiers in MINA', async () => {
+      const { formatFeeTiers } = await import('./deploy.js');
+
+      const result = formatFeeTiers({
+        low: 2000000,
+        medium: 5000000,
+        high: 9000000,
+      });
+
+      expect(result).toBe(
+        '\nEstimated (auto): low 0.002, medium 0.005, high 0.009 Mina'
+      );
     });
+  });
 
-    it('should not detect breaking changes', async () => {
-      const { hasBreakingChanges } = await import('./deploy.js');
+  describe('getFeeDataQuery()', () => {
+    it('should return the fee data query', async () => {
+      const { getFeeDataQuery } = await import('./deploy.js');
 
-      const result = hasBreakingChanges('1.1.0', '1.1.0');
+      const result = getFeeDataQuery();
 
-      expect(result).toBe(false);
+      expect(result).toContain('pooledZkappCommands');
+      expect(result).toContain('pooledUserCommands');
+      expect(result).toContain('bestChain(maxLength: 10)');
     });
   });
 
@@ -1575,36 +3354,90 @@ function mockFetchVersion(version) {
   );
 }
 
+/**
+ * Make the requests to a GraphQL endpoint fail, on top of the mocked endpoints.
+ * @param {string} endpoint The unreachable GraphQL endpoint.
+ * @param {string} [queryName] Only fail the requests containing this query.
+ */
+function mockUnreachableEndpoint(endpoint, queryName) {
+  const fetchEndpoints = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation((url, options) =>
+    url === endpoint && (!queryName || options?.body?.includes(queryName))
+      ? Promise.reject(new Error('fetch failed'))
+      : fetchEndpoints(url, options)
+  );
+}
+
 function mockFetchEndpoints({
   syncStatus = 'SYNCED',
   provideAccount = true,
   isFailedZkAppTxn = false,
+  bestChain = [getBlock({ blockHeight: '42', hash: 'txnHash' })],
+  transactionStatus = 'PENDING',
+  feeData = getFeeData(['2000000', '5000000', '9000000']),
+  accountNonce = '5',
+  balance = '100000000000',
+  zkAppAccount = null,
+  chainId = 'mainnetChainId',
 } = {}) {
   jest.spyOn(global, 'fetch').mockImplementation((endpoint, options) => {
-    if (options?.body?.includes('syncStatus')) {
+    if (options?.body?.includes('pooledUserCommands')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: feeData }),
+      });
+    } else if (options?.body?.includes('bestChain')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: { bestChain } }),
+      });
+    } else if (options?.body?.includes('transactionStatus')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: { transactionStatus } }),
+      });
+    } else if (options?.body?.includes('syncStatus')) {
       return Promise.resolve({
         ok: true,
         json: () => Promise.resolve({ data: { syncStatus } }),
       });
-    } else if (options?.body?.includes('account')) {
-      const account = { data: { account: {} } };
-      if (!provideAccount) {
-        delete account.data.account;
-      }
+    } else if (options?.body?.includes('daemonStatus')) {
       return Promise.resolve({
         ok: true,
-        json: () => Promise.resolve(account),
+        json: () => Promise.resolve({ data: { daemonStatus: { chainId } } }),
       });
     } else if (options?.body?.includes('sendZkapp')) {
       const txnResponse = isFailedZkAppTxn
         ? { kind: 'error' }
         : {
-            data: { sendZkapp: { zkapp: { hash: 'txnHash' } } },
+            data: { sendZkapp: { zkapp: { id: 'txnId', hash: 'txnHash' } } },
           };
       return Promise.resolve({
         ok: !isFailedZkAppTxn,
         json: () => Promise.resolve(txnResponse),
       });
+    } else if (options?.body?.includes('permissions')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: { account: zkAppAccount } }),
+      });
+    } else if (options?.body?.includes('account')) {
+      const account = {
+        data: {
+          account: {
+            nonce: accountNonce,
+            inferredNonce: '5',
+            balance: { total: balance },
+          },
+        },
+      };
+      if (!provideAccount) {
+        delete account.data.account;
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(account),
+      });
     } else if (endpoint.includes('npmjs.org')) {
       return Promise.resolve({
         ok: true,
@@ -1614,14 +3447,127 @@ function mockFetchEndpoints({
   });
 }
 
+function getBlock({ blockHeight, hash, failureReason = null }) {
+  return {
+    protocolState: { consensusState: { blockHeight } },
+    transactions: { zkappCommands: [{ hash, failureReason }] },
+  };
+}
+
+function getSentTransactionsFile({ txnHash = 'txnHash' } = {}) {
+  return {
+    deployAlias: 'testalias1',
+    networkId: 'testnet',
+    cliVersion: '0.0.0',
+    transactions: [
+      {
+        smartContract: 'TestZkApp',
+        keyPath: 'keys/test.json',
+        zkAppPublicKey: 'zkAppKey-address',
+        verificationKeyHash: 'newKeyHash',
+        nonce: '5',
+        fee: '10000000',
+        txnHash,
+        zkappCommand: {
+          feePayer: {
+            body: {
+              publicKey: 'feepayerKey-address',
+              nonce: '5',
+              fee: '10000000',
+            },
+          },
+          accountUpdates: [],
+        },
+      },
+    ],
+  };
+}
+
+function getResendOptions(options) {
+  return {
+    projectRoot: '/project/root',
+    config: {
+      deployAliases: {
+        testalias1: {
+          url: 'http://test.url',
+          feepayerKeyPath: '/keys/feepayer.json',
+          fee: '0.01',
+        },
+      },
+    },
+    alias: 'testalias1',
+    yes: true,
+    bumpFee: false,
+    ...options,
+  };
+}
+
+function setupResendMocks({
+  sentTransactions = getSentTransactionsFile(),
+  accountNonce,
+  isFailedZkAppTxn,
+} = {}) {
+  mockFetchEndpoints({ accountNonce, isFailedZkAppTxn });
+  fs.readJsonSync.mockImplementation((path) => {
+    if (path.endsWith('/build/sent/testalias1.json')) {
+      return sentTransactions;
+    }
+    return {
+      privateKey: path.includes('feepayer') ? 'feepayerKey' : 'zkAppKey',
+    };
+  });
+  const o1jsImports = {
+    Mina: { Network: jest.fn(), setActiveInstance: jest.fn() },
+    PrivateKey: {
+      fromBase58: jest.fn((key) => ({
+        key,
+        toPublicKey: () => ({ toBase58: () => `${key}-address` }),
+      })),
+    },
+    Transaction: {
+      fromJSON: jest.fn((zkappCommand) => ({
+        transaction: { feePayer: {}, accountUpdates: [] },
+        sign: jest.fn(() => ({
+          toJSON: () => JSON.stringify({ ...zkappCommand, signed: true }),
+        })),
+      })),
+    },
+  };
+  dynamicImport.mockResolvedValue(o1jsImports);
+  return o1jsImports;
+}
+
+function getFeeData(fees) {
+  return {
+    pooledZkappCommands: fees.map((fee) => ({
+      zkappCommand: { feePayer: { body: { fee } } },
+    })),
+    pooledUserCommands: [],
+    bestChain: [],
+  };
+}
+
 function setupDeploymentMocks({
   aliasSmartContract,
+  deployPlan,
+  bestChain,
+  transactionStatus,
   provideAliasUrl = true,
+  fallbackUrls,
+  headers,
+  archiveUrl,
+  archiveHeaders,
+  networkId,
+  chainId,
   provideFee = true,
+  fee = 0.01,
+  maxFee,
   provideSmartContractNamedExport = true,
   matchFeePayerAndZkAppAddresses = false,
   provideInitMethod = false,
   provideAccount,
+  balance,
+  zkAppAccount,
   syncStatus,
   isFailedZkAppTxn,
 } = {}) {
@@ -1637,7 +3583,11 @@ function setupDeploymentMocks({
   mockFetchEndpoints({
     syncStatus,
     provideAccount,
+    balance,
+    zkAppAccount,
     isFailedZkAppTxn,
+    bestChain,
+    transactionStatus,
   });
   execSync.mockReturnValueOnce(
     JSON.stringify({
@@ -1656,13 +3606,14 @@ function setupDeploymentMocks({
       return `
             import { SmartContract } from 'o1js';
             export class TestZkApp extends SmartContract {}
+            ${deployPlan ? 'export class AnotherTestZkApp extends SmartContract {}' : ''}
           `;
     } else if (path.endsWith('config.json')) {
       const config = {
         deployAliases: {
           testalias1: {
             url: 'http://test.url',
-            fee: 0.01,
+            fee,
           },
           testalias2: {},
         },
@@ -1676,6 +3627,28 @@ function setupDeploymentMocks({
       if (!provideFee) {
         delete config.deployAliases.testalias1.fee;
       }
+      if (maxFee) {
+        config.deployAliases.testalias1.maxFee = maxFee;
+      }
+      if (fallbackUrls) {
+        config.deployAliases.testalias1.fallbackUrls = fallbackUrls;
+      }
+      if (headers) {
+        config.deployAliases.testalias1.headers = headers;
+      }
+      if (archiveUrl) {
+        config.deployAliases.testalias1.archiveUrl = archiveUrl;
+      }
+      if (archiveHeaders) {
+        config.deployAliases.testalias1.archiveHeaders = archiveHeaders;
+      }
+      if (networkId) {
+        config.deployAliases.testalias1.networkId = networkId;
+        config.deployAliases.testalias1.chainId = chainId;
+      }
+      if (deployPlan) {
+        config.deployAliases.testalias1.deployPlan = deployPlan;
+      }
       return JSON.stringify(config);
     }
     return '';
@@ -1686,9 +3659,17 @@ function setupDeploymentMocks({
         TestZkApp: {
           _methods: [{ methodName: 'zkAppMethod' }],
           digest: jest.fn().mockResolvedValue('digest1'),
-          compile: jest
-            .fn()
-            .mockImplementation(() => ({ verificationKey: 'newKey' })),
+          compile: jest.fn().mockImplementation(() => ({
+            verificationKey: { data: 'newKey', hash: 'newKeyHash' },
+          })),
+          deploy: jest.fn(),
+        },
+        AnotherTestZkApp: {
+          _methods: [],
+          digest: jest.fn().mockResolvedValue('digest2'),
+          compile: jest.fn().mockImplementation(() => ({
+            verificationKey: { data: 'anotherKey', hash: 'anotherKeyHash' },
+          })),
           deploy: jest.fn(),
         },
       };
@@ -1696,64 +3677,69 @@ function setupDeploymentMocks({
         smartContractForImport.TestZkApp._methods[0] = { methodName: 'init' };
       }
       if (!provideSmartContractNamedExport) {
-        Object.defineProperty(
-          smartContractForImport,
-          'AnotherTestZkApp',
-          Object.getOwnPropertyDescriptor(smartContractForImport, 'TestZkApp')
-        );
         delete smartContractForImport.TestZkApp;
       }
       return Promise.resolve(smartContractForImport);
     } else if (path.includes('o1js')) {
-      return Promise.resolve({
-        Mina: {
-          Network: jest.fn(),
-          setActiveInstance: jest.fn(),
-          transaction: jest.fn().mockImplementation(async () => {
-            return Promise.resolve({
-              prove: jest.fn(),
-              sign: () => ({
-                toJSON: () =>
-                  JSON.stringify({ hash: 'txnHash', kind: 'zkAppTxn' }),
+      return Promise.resolve(o1jsImports);
+    }
+  });
+  const o1jsImports = {
+    Mina: {
+      Network: jest.fn(),
+      setActiveInstance: jest.fn(),
+      transaction: jest.fn().mockImplementation(async () => {
+        return Promise.resolve({
+          prove: jest.fn(),
+          sign: () => ({
+            toJSON: () =>
+              JSON.stringify({
+                feePayer: { body: { nonce: '5', fee: '10000000' } },
+                kind: 'zkAppTxn',
               }),
-            });
           }),
-        },
-        PrivateKey: {
-          fromBase58: jest
-            .fn()
-            .mockReturnValueOnce({
-              toPublicKey: () => {
-                return {
-                  toBase58: () => 'base58',
-                };
-              },
+        });
+      }),
+    },
+    PrivateKey: {
+      fromBase58: jest
+        .fn()
+        .mockReturnValueOnce({
+          toPublicKey: () => {
+            return {
               toBase58: () => 'base58',
-            })
-            .mockReturnValueOnce({
-              toPublicKey: () => {
-                return {
-                  toBase58: () =>
-                    matchFeePayerAndZkAppAddresses ? 'base58' : 'base58-1',
-                };
-              },
+            };
+          },
+          toBase58: () => 'base58',
+        })
+        .mockReturnValueOnce({
+          toPublicKey: () => {
+            return {
               toBase58: () =>
                 matchFeePayerAndZkAppAddresses ? 'base58' : 'base58-1',
-            }),
-        },
-        AccountUpdate: {
-          fundNewAccount: jest.fn(),
-        },
-      });
-    }
-  });
+            };
+          },
+          toBase58: () =>
+            matchFeePayerAndZkAppAddresses ? 'base58' : 'base58-1',
+        }),
+    },
+    AccountUpdate: {
+      fundNewAccount: jest.fn(),
+    },
+  };
+  if (deployPlan) {
+    o1jsImports.PrivateKey.fromBase58 = jest.fn((key) => ({
+      toPublicKey: () => ({ toBase58: () => `${key}-address` }),
+      toBase58: () => key,
+    }));
+  }
   nodeFs.existsSync.mockImplementation(() => true);
   nodeFs.readdirSync.mockReturnValue(['TestZkApp.js']);
   jest.spyOn(Mina, 'Network').mockImplementation(() => jest.fn());
   const cache = {
     TestZkApp: {
       digest: 'digest1',
-      verificationKey: 'cachedKey',
+      verificationKey: { data: 'cachedKey', hash: 'cachedKeyHash' },
       compile: jest
         .fn()
         .mockImplementation(() => ({ verificationKey: 'newKey' })),
@@ -1763,12 +3749,55 @@ function setupDeploymentMocks({
     isCached: true,
   };
   fs.readJsonSync.mockReturnValue(cache);
+  if (deployPlan) {
+    fs.readJsonSync.mockImplementation((path) =>
+      path?.endsWith('cache.json') ? cache : { privateKey: path }
+    );
+  }
+  return o1jsImports;
+}
+
+function mockPublicKeys(o1jsImports, providePublicKeys) {
+  const cache = fs.readJsonSync('/project/root/build/cache.json');
+  fs.readJsonSync.mockImplementation((path) => {
+    if (path?.endsWith('cache.json')) {
+      return cache;
+    }
+    return providePublicKeys ? { publicKey: `${path}-publicKey` } : {};
+  });
+  o1jsImports.PublicKey = {
+    fromBase58: jest.fn((publicKey) => ({ toBase58: () => publicKey })),
+  };
 }
 
 function checkSuccessfulDeployment() {
   expect(execSync).toHaveBeenCalledWith(
     expect.stringContaining('npm run build --silent')
   );
+  expect(recordDeployment).toHaveBeenCalledWith(
+    '/project/root',
+    expect.any(String),
+    expect.objectContaining({
+      contractName: 'TestZkApp',
+      zkAppAddress: 'base58',
+      txnHash: 'txnHash',
+      cliVersion: '0.0.0',
+    })
+  );
+  expect(fs.outputJsonSync).toHaveBeenCalledWith(
+    expect.stringContaining('/build/sent/'),
+    expect.objectContaining({
+      transactions: [
+        expect.objectContaining({
+          smartContract: 'TestZkApp',
+          nonce: '5',
+          fee: '10000000',
+          txnHash: 'txnHash',
+        }),
+      ],
+    }),
+    { spaces: 2 }
+  );
   expect(console.log).toHaveBeenCalledWith(
     expect.stringContaining('Success! Deploy transaction sent.')
   );
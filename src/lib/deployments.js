@@ -0,0 +1,184 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import fs from 'fs-extra';
+import path from 'node:path';
+import { getBorderCharacters, table } from 'table';
+
+// Module external API
+export default deployments;
+
+// Module API shared with the commands sending zkApp transactions
+export { recordDeployment };
+
+// Module API shared with the `zk config rename` command
+export { getDeploymentsLedgerPath };
+
+// Module internal API (exported for testing purposes)
+export { getDeploymentChanges, readDeploymentsLedger };
+
+/**
+ * Print the deployment history of the specified deploy alias, or of every
+ * deploy alias with recorded deployments if none is provided. Each deployment
+ * is compared with the previous deployment of the same smart contract.
+ * @param {object} argv - The arguments object provided by yargs.
+ * @param {string} argv.alias - The deploy alias to print the history of.
+ * @returns {Promise<void>}
+ */
+async function deployments({ alias }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const deploymentsDir = path.join(projectRoot, 'deployments');
+  const aliases = alias
+    ? [alias]
+    : fs.existsSync(deploymentsDir)
+      ? fs
+          .readdirSync(deploymentsDir)
+          .filter((fileName) => fileName.endsWith('.json'))
+          .map((fileName) => path.basename(fileName, '.json'))
+      : [];
+
+  if (!aliases.length) {
+    console.log(
+      chalk.yellow(
+        '  No deployments recorded yet.\n  Run `zk deploy` to deploy a smart contract first.'
+      )
+    );
+    return;
+  }
+
+  for (const alias of aliases) {
+    const ledger = readDeploymentsLedger(projectRoot, alias);
+    if (!ledger.length) {
+      console.log(
+        chalk.yellow(
+          `  No deployments recorded for the "${alias}" deploy alias yet.`
+        )
+      );
+      continue;
+    }
+    printDeploymentsLedger(alias, ledger);
+  }
+}
+
+/**
+ * Append a sent deploy or upgrade transaction to the `deployments/<alias>.json` ledger.
+ * @param {string} projectRoot The project root directory.
+ * @param {string} alias       The deploy alias the smart contract was deployed to.
+ * @param {object} deployment  The deployment details.
+ * @param {string} deployment.contractName        The smart contract name.
+ * @param {string} deployment.verificationKeyHash The deployed verification key hash.
+ * @param {string} deployment.zkAppAddress        The zkApp account public key.
+ * @param {string} deployment.txnHash             The deploy transaction hash.
+ * @param {string} deployment.cliVersion          The zkApp CLI version the transaction was built with.
+ */
+function recordDeployment(
+  projectRoot,
+  alias,
+  { contractName, verificationKeyHash, zkAppAddress, txnHash, cliVersion }
+) {
+  const cache = fs.readJsonSync(`${projectRoot}/build/cache.json`, {
+    throws: false,
+  });
+  const o1jsPackage = fs.readJsonSync(
+    `${projectRoot}/node_modules/o1js/package.json`,
+    { throws: false }
+  );
+  const ledger = readDeploymentsLedger(projectRoot, alias);
+
+  ledger.push({
+    smartContract: contractName,
+    verificationKeyHash,
+    digest: cache?.[contractName]?.digest,
+    zkAppAddress,
+    txnHash,
+    cliVersion,
+    o1jsVersion: o1jsPackage?.version,
+    timestamp: new Date().toISOString(),
+  });
+  fs.outputJsonSync(getDeploymentsLedgerPath(projectRoot, alias), ledger, {
+    spaces: 2,
+  });
+}
+
+function getDeploymentsLedgerPath(projectRoot, alias) {
+  return path.join(projectRoot, 'deployments', `${alias}.json`);
+}
+
+/**
+ * Read the deployments ledger of the deploy alias.
+ * @param {string} projectRoot The project root directory.
+ * @param {string} alias       The deploy alias name.
+ * @returns {Array<object>} The recorded deployments, oldest first.
+ */
+function readDeploymentsLedger(projectRoot, alias) {
+  return (
+    fs.readJsonSync(getDeploymentsLedgerPath(projectRoot, alias), {
+      throws: false,
+    }) ?? []
+  );
+}
+
+/**
+ * Describe what changed between two deployments of the same smart contract.
+ * @param {object} previous The previous deployment, if any.
+ * @param {object} current  The current deployment.
+ * @returns {Array<string>} The list of changes.
+ */
+function getDeploymentChanges(previous, current) {
+  if (!previous) {
+    return ['First deployment'];
+  }
+  const changes = [];
+  if (previous.zkAppAddress !== current.zkAppAddress) {
+    changes.push('New zkApp account');
+  }
+  if (previous.verificationKeyHash !== current.verificationKeyHash) {
+    changes.push('Verification key changed');
+  }
+  if (previous.digest !== current.digest) {
+    changes.push('Digest changed');
+  }
+  if (previous.cliVersion !== current.cliVersion) {
+    changes.push(`zkapp-cli ${previous.cliVersion} → ${current.cliVersion}`);
+  }
+  if (previous.o1jsVersion !== current.o1jsVersion) {
+    changes.push(`o1js ${previous.o1jsVersion} → ${current.o1jsVersion}`);
+  }
+  return changes.length ? changes : ['No changes'];
+}
+
+function printDeploymentsLedger(alias, ledger) {
+  const tableData = [
+    [
+      chalk.bold('#'),
+      chalk.bold('Deployed at'),
+      chalk.bold('Smart contract'),
+      chalk.bold('zkApp account'),
+      chalk.bold('Transaction hash'),
+      chalk.bold('Changes'),
+    ],
+    ...ledger.map((deployment, index) => {
+      const previous = ledger
+        .slice(0, index)
+        .findLast(
+          ({ smartContract }) => smartContract === deployment.smartContract
+        );
+      return [
+        index + 1,
+        deployment.timestamp,
+        deployment.smartContract,
+        deployment.zkAppAddress,
+        deployment.txnHash,
+        getDeploymentChanges(previous, deployment).join('\n'),
+      ];
+    }),
+  ];
+  // Indented by 2 spaces for alignment in terminal.
+  console.log(
+    `\n  ${chalk.bold('Deploy alias:')} ${alias}\n  ` +
+      table(tableData, { border: getBorderCharacters('norc') }).replaceAll(
+        '\n',
+        '\n  '
+      )
+  );
+}
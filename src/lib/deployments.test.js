@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    yellow: jest.fn((text) => `yellow: ${text}`),
+    bold: jest.fn((text) => `bold: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    existsSync: jest.fn(),
+    readdirSync: jest.fn(),
+    readJsonSync: jest.fn(),
+    outputJsonSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('table', () => ({
+  getBorderCharacters: jest.fn(() => 'border-characters'),
+  table: jest.fn((data) => `table: ${JSON.stringify(data)}`),
+}));
+
+let fs, findPrefix;
+
+const deployment = {
+  smartContract: 'Add',
+  verificationKeyHash: 'vkHash',
+  digest: 'digest',
+  zkAppAddress: 'B62qZkApp',
+  txnHash: 'txnHash',
+  cliVersion: '0.22.5',
+  o1jsVersion: '2.2.0',
+  timestamp: '2025-02-10T12:00:00.000Z',
+};
+
+beforeAll(async () => {
+  fs = (await import('fs-extra')).default;
+  findPrefix = (await import('find-npm-prefix')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+  };
+  findPrefix.mockResolvedValue('/project/root');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deployments.js', () => {
+  describe('deployments()', () => {
+    it('should print the deployment history of the deploy alias', async () => {
+      fs.readJsonSync.mockReturnValue([
+        deployment,
+        { ...deployment, verificationKeyHash: 'newVkHash', txnHash: 'txn2' },
+      ]);
+      const { default: deployments } = await import('./deployments.js');
+
+      await deployments({ alias: 'devnet' });
+
+      expect(fs.readJsonSync).toHaveBeenCalledWith(
+        '/project/root/deployments/devnet.json',
+        { throws: false }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('bold: Deploy alias: devnet')
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '[1,"2025-02-10T12:00:00.000Z","Add","B62qZkApp","txnHash","First deployment"]'
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '[2,"2025-02-10T12:00:00.000Z","Add","B62qZkApp","txn2","Verification key changed"]'
+        )
+      );
+    });
+
+    it('should print the history of every deploy alias with recorded deployments', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValue(['devnet.json', 'mainnet.json', 'notes']);
+      fs.readJsonSync.mockReturnValue([deployment]);
+      const { default: deployments } = await import('./deployments.js');
+
+      await deployments({});
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('bold: Deploy alias: devnet')
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('bold: Deploy alias: mainnet')
+      );
+      expect(fs.readJsonSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should inform if no deployments are recorded', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const { default: deployments } = await import('./deployments.js');
+
+      await deployments({});
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   No deployments recorded yet.\n  Run `zk deploy` to deploy a smart contract first.'
+      );
+    });
+
+    it('should inform if no deployments are recorded for the deploy alias', async () => {
+      fs.readJsonSync.mockReturnValue(null);
+      const { default: deployments } = await import('./deployments.js');
+
+      await deployments({ alias: 'devnet' });
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   No deployments recorded for the "devnet" deploy alias yet.'
+      );
+    });
+  });
+
+  describe('recordDeployment()', () => {
+    it('should append the deployment to the deploy alias ledger', async () => {
+      jest.useFakeTimers().setSystemTime(new Date(deployment.timestamp));
+      fs.readJsonSync.mockImplementation((path) => {
+        if (path.endsWith('cache.json')) {
+          return { Add: { digest: 'digest' } };
+        }
+        if (path.endsWith('o1js/package.json')) {
+          return { version: '2.2.0' };
+        }
+        return [{ ...deployment, txnHash: 'txn0' }];
+      });
+      const { recordDeployment } = await import('./deployments.js');
+
+      recordDeployment('/project/root', 'devnet', {
+        contractName: 'Add',
+        verificationKeyHash: 'vkHash',
+        zkAppAddress: 'B62qZkApp',
+        txnHash: 'txnHash',
+        cliVersion: '0.22.5',
+      });
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/deployments/devnet.json',
+        [{ ...deployment, txnHash: 'txn0' }, deployment],
+        { spaces: 2 }
+      );
+      jest.useRealTimers();
+    });
+
+    it('should record the deployment if the versions cannot be read', async () => {
+      fs.readJsonSync.mockReturnValue(null);
+      const { recordDeployment } = await import('./deployments.js');
+
+      recordDeployment('/project/root', 'devnet', {
+        contractName: 'Add',
+        verificationKeyHash: 'vkHash',
+        zkAppAddress: 'B62qZkApp',
+        txnHash: 'txnHash',
+        cliVersion: '0.22.5',
+      });
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/deployments/devnet.json',
+        [
+          expect.objectContaining({
+            smartContract: 'Add',
+            digest: undefined,
+            o1jsVersion: undefined,
+          }),
+        ],
+        { spaces: 2 }
+      );
+    });
+  });
+
+  describe('getDeploymentChanges()', () => {
+    it('should report the first deployment', async () => {
+      const { getDeploymentChanges } = await import('./deployments.js');
+
+      expect(getDeploymentChanges(undefined, deployment)).toEqual([
+        'First deployment',
+      ]);
+    });
+
+    it('should report no changes', async () => {
+      const { getDeploymentChanges } = await import('./deployments.js');
+
+      expect(getDeploymentChanges(deployment, { ...deployment })).toEqual([
+        'No changes',
+      ]);
+    });
+
+    it('should report every change', async () => {
+      const { getDeploymentChanges } = await import('./deployments.js');
+
+      const result = getDeploymentChanges(deployment, {
+        ...deployment,
+        zkAppAddress: 'B62qOther',
+        verificationKeyHash: 'newVkHash',
+        digest: 'newDigest',
+        cliVersion: '0.23.0',
+        o1jsVersion: '2.3.0',
+      });
+
+      expect(result).toEqual([
+        'New zkApp account',
+        'Verification key changed',
+        'Digest changed',
+        'zkapp-cli 0.22.5 → 0.23.0',
+        'o1js 2.2.0 → 2.3.0',
+      ]);
+    });
+  });
+});
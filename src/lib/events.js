@@ -0,0 +1,355 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import { getBorderCharacters, table } from 'table';
+import { formatGraphQLError } from './account.js';
+import { chooseDeployedContract } from './call.js';
+import Constants from './constants.js';
+import {
+  buildProject,
+  chooseDeployAlias,
+  getArchiveHeaders,
+  getDeployAliasNetwork,
+  importO1js,
+  importSmartContract,
+  readPublicKey,
+} from './deploy.js';
+import { isLightnetUrl } from './fund.js';
+import { sendGraphQL } from './graphql-client.js';
+import { readDeployAliasesConfig } from './helpers.js';
+import { printJson } from './json-output.js';
+import { decodeFields } from './state.js';
+import { sleep } from './time-helpers.js';
+import { getDeployedContracts } from './upgrade.js';
+
+// Module external API
+export { actions, events };
+
+// Module internal API (exported for testing purposes)
+export {
+  decodeAction,
+  decodeEvent,
+  fetchArchiveEntries,
+  getActionsQuery,
+  getArchiveNodeApiUrl,
+  getEventsQuery,
+};
+
+const ARCHIVE_POLLING_INTERVAL_MS = 10_000;
+
+/**
+ * Print the events emitted by a smart contract deployed to the specified
+ * deploy alias, decoded using the `events` declared by the smart contract.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias the smart contract was deployed to.
+ * @param {string}  argv.contract - The smart contract name, for the deploy plans.
+ * @param {number}  argv.from - The first block height to query.
+ * @param {number}  argv.to - The last block height to query.
+ * @param {string}  argv.archiveUrl - The Archive-Node-API URL.
+ * @param {boolean} argv.follow - Keep polling for new events.
+ * @returns {Promise<void>}
+ */
+async function events(argv) {
+  await queryArchive('events', argv);
+}
+
+/**
+ * Print the actions dispatched by a smart contract deployed to the specified
+ * deploy alias, decoded using the action type of the smart contract reducer.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias the smart contract was deployed to.
+ * @param {string}  argv.contract - The smart contract name, for the deploy plans.
+ * @param {number}  argv.from - The first block height to query.
+ * @param {number}  argv.to - The last block height to query.
+ * @param {string}  argv.archiveUrl - The Archive-Node-API URL.
+ * @param {boolean} argv.follow - Keep polling for new actions.
+ * @returns {Promise<void>}
+ */
+async function actions(argv) {
+  await queryArchive('actions', argv);
+}
+
+async function queryArchive(
+  kind,
+  { alias, contract, from, to, archiveUrl, follow }
+) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    `Which deploy alias do you want to query the ${kind} of?`
+  );
+  const { contractName, keyPath } = chooseDeployedContract(
+    getDeployedContracts(config, alias),
+    contract,
+    alias
+  );
+  // The headers of the deploy alias aren't sent to the --archive-url endpoint.
+  const headers = archiveUrl
+    ? {}
+    : getArchiveHeaders(config.deployAliases[alias]);
+  archiveUrl = getArchiveNodeApiUrl(config.deployAliases[alias], archiveUrl);
+  const build = await buildProject(projectRoot);
+
+  const { Field, PublicKey } = await importO1js(projectRoot);
+  const zkApp = await importSmartContract(build, contractName);
+  const zkAppAddress = readPublicKey(
+    `${projectRoot}/${keyPath}`,
+    'zkApp',
+    'keyPath'
+  );
+  const zkapp = new zkApp(PublicKey.fromBase58(zkAppAddress));
+  const decode =
+    kind === 'events'
+      ? (data) => decodeEvent(zkapp.events ?? {}, data, Field)
+      : (data) => decodeAction(zkapp._?.reducer?.actionType, data, Field);
+
+  let entries = await fetchArchiveEntries(kind, archiveUrl, zkAppAddress, {
+    from,
+    to,
+    decode,
+    headers,
+  });
+  if (entries.kind === 'error') {
+    console.log(
+      chalk.red(
+        `  Failed to fetch the ${contractName} ${kind} from ${archiveUrl}.\n  ${formatGraphQLError(entries)}`
+      )
+    );
+    process.exit(1);
+  }
+  printArchiveEntries(kind, contractName, entries);
+  printJson({
+    deployAlias: alias,
+    archiveUrl,
+    contractName,
+    zkAppAddress,
+    [kind]: entries,
+  });
+
+  if (!follow) {
+    return;
+  }
+  console.log(
+    chalk.gray(
+      `  Following the new ${kind} every ${ARCHIVE_POLLING_INTERVAL_MS / 1000} seconds. Press Ctrl+C to stop.`
+    )
+  );
+  // The last block is queried again, since it may not have been complete yet.
+  const getEntryKey = (entry) => JSON.stringify(entry);
+  const printedEntries = new Set(entries.map(getEntryKey));
+  let lastBlockHeight = Math.max(from ?? 0, ...entries.map(getBlockHeight));
+  for (;;) {
+    await sleep(ARCHIVE_POLLING_INTERVAL_MS);
+    entries = await fetchArchiveEntries(kind, archiveUrl, zkAppAddress, {
+      from: lastBlockHeight,
+      decode,
+      headers,
+    });
+    if (entries.kind === 'error') {
+      // Keep following, the Archive-Node-API may only be unavailable for a while.
+      console.log(
+        chalk.yellow(
+          `  Failed to fetch the new ${kind}: ${formatGraphQLError(entries)} Retrying...`
+        )
+      );
+      continue;
+    }
+    const newEntries = entries.filter(
+      (entry) => !printedEntries.has(getEntryKey(entry))
+    );
+    if (!newEntries.length) {
+      continue;
+    }
+    newEntries.forEach((entry) => printedEntries.add(getEntryKey(entry)));
+    lastBlockHeight = Math.max(
+      lastBlockHeight,
+      ...newEntries.map(getBlockHeight)
+    );
+    printArchiveEntries(kind, contractName, newEntries);
+  }
+}
+
+/**
+ * Get the Archive-Node-API URL to query, from the `--archive-url` flag or the
+ * `archiveUrl` of the deploy alias. The local Lightnet one is used by default
+ * for the deploy aliases of a Lightnet network.
+ * @param {object} deployAlias The deploy alias configuration.
+ * @param {string} archiveUrl  The Archive-Node-API URL provided by the user, if any.
+ * @returns {string}
+ */
+function getArchiveNodeApiUrl(deployAlias, archiveUrl) {
+  const network = getDeployAliasNetwork(deployAlias);
+  if (archiveUrl || network.archiveUrl) {
+    return archiveUrl || network.archiveUrl;
+  }
+  if (isLightnetUrl(network.graphQlUrl)) {
+    return Constants.lightnetArchiveNodeApiEndpoint;
+  }
+  console.log(
+    chalk.red(
+      `  Please provide the Archive-Node-API URL to query with --archive-url,\n  or set the "archiveUrl" of the deploy alias with \`zk config edit\`.`
+    )
+  );
+  process.exit(1);
+}
+
+/**
+ * Fetch the events or actions of a zkApp account from the Archive-Node-API,
+ * one entry per event or action.
+ * @param {'events'|'actions'} kind The kind of entries to fetch.
+ * @param {string} archiveUrl The Archive-Node-API URL.
+ * @param {string} publicKey  The zkApp account public key.
+ * @param {object} options
+ * @param {number} options.from The first block height to query.
+ * @param {number} options.to   The last block height to query.
+ * @param {Function} options.decode Decodes the field elements of an entry.
+ * @param {Record<string, string>} [options.headers] The headers of the deploy alias.
+ * @returns {Promise<Array<{blockHeight: string, txnHash: string, type?: string, data: string}>|{kind: 'error'}>}
+ * The entries, or the error returned by `sendGraphQL()`.
+ */
+async function fetchArchiveEntries(
+  kind,
+  archiveUrl,
+  publicKey,
+  { from, to, decode, headers }
+) {
+  const query =
+    kind === 'events'
+      ? getEventsQuery(publicKey, { from, to })
+      : getActionsQuery(publicKey, { from, to });
+  const response = await sendGraphQL(archiveUrl, query, { headers });
+  if (response?.kind === 'error') {
+    return response;
+  }
+  return (response?.data?.[kind] ?? []).flatMap((block) =>
+    block[kind === 'events' ? 'eventData' : 'actionData'].map(
+      ({ transactionInfo, data }) => ({
+        blockHeight: `${block.blockInfo.height}`,
+        txnHash: transactionInfo?.hash ?? null,
+        ...decode(data),
+      })
+    )
+  );
+}
+
+/**
+ * Decode the field elements of an event. When several event types are
+ * declared, the first field element is the index of the event type, in the
+ * alphabetical order of their names.
+ * @param {object}   eventTypes The `events` declared by the smart contract.
+ * @param {string[]} data       The event field elements.
+ * @param {Function} Field      The o1js `Field` type.
+ * @returns {{type: string, data: string}} The event type name and its value.
+ */
+function decodeEvent(eventTypes, data, Field) {
+  const sortedEventTypes = Object.keys(eventTypes).sort();
+  const isIndexed = sortedEventTypes.length > 1;
+  const type = isIndexed
+    ? sortedEventTypes[Number(data[0])]
+    : sortedEventTypes[0];
+  const fields = isIndexed ? data.slice(1) : data;
+  try {
+    return { type, data: decodeFields(eventTypes[type], fields, Field) };
+  } catch (_) {
+    // Undeclared events are shown as is.
+    return { type: type ?? 'unknown', data: data.join(', ') };
+  }
+}
+
+/**
+ * Decode the field elements of an action.
+ * @param {object}   actionType The action type of the smart contract reducer, if any.
+ * @param {string[]} data       The action field elements.
+ * @param {Function} Field      The o1js `Field` type.
+ * @returns {{data: string}} The action value.
+ */
+function decodeAction(actionType, data, Field) {
+  try {
+    return { data: decodeFields(actionType, data, Field) };
+  } catch (_) {
+    return { data: data.join(', ') };
+  }
+}
+
+function getBlockHeight({ blockHeight }) {
+  return Number(blockHeight);
+}
+
+function printArchiveEntries(kind, contractName, entries) {
+  if (!entries.length) {
+    console.log(chalk.gray(`  No ${kind} found for ${contractName}.`));
+    return;
+  }
+  const isEvents = kind === 'events';
+  const rows = [
+    [
+      chalk.bold('Block'),
+      chalk.bold('Transaction'),
+      ...(isEvents ? [chalk.bold('Event')] : []),
+      chalk.bold('Data'),
+    ],
+    ...entries.map(({ blockHeight, txnHash, type, data }) => [
+      blockHeight,
+      txnHash ?? chalk.gray('Unknown'),
+      ...(isEvents ? [type] : []),
+      data,
+    ]),
+  ];
+  const tableConfig = {
+    border: getBorderCharacters('norc'),
+    header: {
+      alignment: 'center',
+      content: chalk.bold(`${contractName} ${kind}`),
+    },
+  };
+  // Print the table. Indented by 2 spaces for alignment in terminal.
+  console.log('\n  ' + table(rows, tableConfig).replaceAll('\n', '\n  '));
+}
+
+function getEventsQuery(publicKey, { from, to }) {
+  return `
+  query {
+    events(input: { ${getFilterInput(publicKey, { from, to })} }) {
+      blockInfo {
+        height
+      }
+      eventData {
+        transactionInfo {
+          hash
+        }
+        data
+      }
+    }
+  }`;
+}
+
+function getActionsQuery(publicKey, { from, to }) {
+  return `
+  query {
+    actions(input: { ${getFilterInput(publicKey, { from, to })} }) {
+      blockInfo {
+        height
+      }
+      actionData {
+        transactionInfo {
+          hash
+        }
+        data
+      }
+    }
+  }`;
+}
+
+function getFilterInput(publicKey, { from, to }) {
+  let input = `address: "${publicKey}"`;
+  if (from !== undefined) {
+    input += `, from: ${from}`;
+  }
+  if (to !== undefined) {
+    input += `, to: ${to}`;
+  }
+  return input;
+}
@@ -0,0 +1,377 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    bold: jest.fn((text) => text),
+    gray: jest.fn((text) => text),
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    reset: jest.fn((text) => text),
+    yellow: jest.fn((text) => `yellow: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('./account.js', () => ({
+  formatGraphQLError: jest.fn(() => 'fetch failed'),
+}));
+
+jest.unstable_mockModule('./call.js', () => ({
+  chooseDeployedContract: jest.fn((deployedContracts) => deployedContracts[0]),
+  fetchZkAppState: jest.fn(),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  buildProject: jest.fn(),
+  chooseDeployAlias: jest.fn(),
+  getDeployAliasHeaders: jest.fn((deployAlias) => deployAlias?.headers ?? {}),
+  getArchiveHeaders: jest.fn(
+    (deployAlias) => deployAlias?.archiveHeaders ?? {}
+  ),
+  getDeployAliasNetwork: jest.fn((deployAlias) => ({
+    networkId: 'testnet',
+    graphQlUrl: deployAlias.url,
+    archiveUrl: deployAlias.archiveUrl,
+  })),
+  importO1js: jest.fn(),
+  importSmartContract: jest.fn(),
+  readPublicKey: jest.fn(() => 'B62qZkApp'),
+}));
+
+jest.unstable_mockModule('./fund.js', () => ({
+  isLightnetUrl: jest.fn((url) => url.startsWith('http://127.0.0.1')),
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => ({
+  sendGraphQL: jest.fn(),
+}));
+
+jest.unstable_mockModule('./helpers.js', () => ({
+  readDeployAliasesConfig: jest.fn(),
+  step: jest.fn(),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
+jest.unstable_mockModule('./upgrade.js', () => ({
+  getDeployedContracts: jest.fn(() => [
+    { contractName: 'Counter', keyPath: 'keys/devnet.json' },
+  ]),
+}));
+
+let findPrefix,
+  chooseDeployAlias,
+  importO1js,
+  importSmartContract,
+  sendGraphQL,
+  readDeployAliasesConfig,
+  printJson,
+  sleep,
+  Constants;
+
+const Field = (value) => ({ value });
+const FieldType = {
+  name: 'Field',
+  fromFields: ([field]) => field,
+  toJSON: (field) => field.value,
+};
+const PointType = {
+  name: 'Point',
+  fromFields: ([x, y]) => ({ x, y }),
+  toJSON: ({ x, y }) => ({ x: x.value, y: y.value }),
+};
+
+class Counter {
+  events = { incremented: FieldType, moved: PointType };
+  constructor(address) {
+    this.address = address;
+    this._ = { reducer: { actionType: FieldType } };
+  }
+}
+
+function mockEvents(...blocks) {
+  sendGraphQL.mockResolvedValueOnce({
+    data: {
+      events: blocks.map(([height, ...eventData]) => ({
+        blockInfo: { height },
+        eventData: eventData.map(([hash, data]) => ({
+          transactionInfo: { hash },
+          data,
+        })),
+      })),
+    },
+  });
+}
+
+beforeAll(async () => {
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ chooseDeployAlias, importO1js, importSmartContract } = await import(
+    './deploy.js'
+  ));
+  ({ sendGraphQL } = await import('./graphql-client.js'));
+  ({ readDeployAliasesConfig } = await import('./helpers.js'));
+  ({ printJson } = await import('./json-output.js'));
+  ({ sleep } = await import('./time-helpers.js'));
+  Constants = (await import('./constants.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  readDeployAliasesConfig.mockReturnValue({
+    deployAliases: {
+      devnet: { url: 'https://api.minascan.io/node/devnet/v1/graphql' },
+      lightnet: { url: 'http://127.0.0.1:8080/graphql' },
+    },
+  });
+  chooseDeployAlias.mockImplementation(async (_, alias) => alias);
+  importO1js.mockResolvedValue({
+    Field,
+    PublicKey: { fromBase58: (publicKey) => publicKey },
+  });
+  importSmartContract.mockResolvedValue(Counter);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('events.js', () => {
+  describe('events()', () => {
+    it('should print the decoded events of the block range', async () => {
+      mockEvents(['10', ['hash1', ['0', '5']], ['hash2', ['1', '1', '2']]]);
+      const { events } = await import('./events.js');
+
+      await events({
+        alias: 'devnet',
+        from: 10,
+        to: 20,
+        archiveUrl: 'https://archive.url',
+      });
+
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'https://archive.url',
+        expect.stringContaining(
+          'events(input: { address: "B62qZkApp", from: 10, to: 20 })'
+        ),
+        { headers: {} }
+      );
+      const output = console.log.mock.calls[0][0];
+      expect(output).toContain('Counter events');
+      expect(output).toMatch(/10\s+│ hash1\s+│ incremented │ 5/);
+      expect(output).toMatch(/10\s+│ hash2\s+│ moved\s+│ {"x":"1","y":"2"}/);
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'devnet',
+        archiveUrl: 'https://archive.url',
+        contractName: 'Counter',
+        zkAppAddress: 'B62qZkApp',
+        events: [
+          {
+            blockHeight: '10',
+            txnHash: 'hash1',
+            type: 'incremented',
+            data: '5',
+          },
+          {
+            blockHeight: '10',
+            txnHash: 'hash2',
+            type: 'moved',
+            data: '{"x":"1","y":"2"}',
+          },
+        ],
+      });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should print that no events were found', async () => {
+      importSmartContract.mockResolvedValueOnce(class {});
+      sendGraphQL.mockResolvedValueOnce({ data: {} });
+      const { events } = await import('./events.js');
+
+      await events({ alias: 'lightnet' });
+
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        Constants.lightnetArchiveNodeApiEndpoint,
+        expect.stringContaining('events(input: { address: "B62qZkApp" })'),
+        { headers: {} }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        '  No events found for Counter.'
+      );
+    });
+
+    it('should send the archive headers of the deploy alias to its Archive-Node-API', async () => {
+      readDeployAliasesConfig.mockReturnValue({
+        deployAliases: {
+          devnet: {
+            url: 'https://devnet.url/graphql',
+            archiveUrl: 'https://archive.url',
+            headers: { 'X-Api-Key': 'apiKey' },
+            archiveHeaders: { 'X-Archive-Key': 'archiveKey' },
+          },
+        },
+      });
+      sendGraphQL.mockResolvedValueOnce({ data: {} });
+      const { events } = await import('./events.js');
+
+      await events({ alias: 'devnet' });
+
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'https://archive.url',
+        expect.stringContaining('events(input: { address: "B62qZkApp" })'),
+        { headers: { 'X-Archive-Key': 'archiveKey' } }
+      );
+    });
+
+    it('should exit if the Archive-Node-API request fails', async () => {
+      sendGraphQL.mockResolvedValueOnce({ kind: 'error', message: 'error' });
+      const { events } = await import('./events.js');
+
+      await expect(
+        events({ alias: 'devnet', archiveUrl: 'https://archive.url' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to fetch the Counter events from https://archive.url.\n  fetch failed'
+      );
+    });
+
+    it('should print the new events with --follow', async () => {
+      mockEvents(['10', ['hash1', ['0', '5']]]);
+      sendGraphQL.mockResolvedValueOnce({ kind: 'error', message: 'error' });
+      mockEvents(['10', ['hash1', ['0', '5']]]);
+      mockEvents(['10', ['hash1', ['0', '5']]], ['12', ['hash3', ['0', '6']]]);
+      mockEvents(['12', ['hash3', ['0', '6']]]);
+      sleep
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Stopped following.'));
+      const { events } = await import('./events.js');
+
+      await expect(
+        events({
+          alias: 'devnet',
+          archiveUrl: 'https://archive.url',
+          follow: true,
+        })
+      ).rejects.toThrow('Stopped following.');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   Failed to fetch the new events: fetch failed Retrying...'
+      );
+      expect(sendGraphQL.mock.calls[3][1]).toContain('from: 10');
+      expect(sendGraphQL.mock.calls[4][1]).toContain('from: 12');
+      const tables = console.log.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.includes('Counter events'));
+      expect(tables).toHaveLength(2);
+      expect(tables[1]).toContain('hash3');
+      expect(tables[1]).not.toContain('hash1');
+    });
+  });
+
+  describe('actions()', () => {
+    it('should print the decoded actions', async () => {
+      sendGraphQL.mockResolvedValueOnce({
+        data: {
+          actions: [
+            {
+              blockInfo: { height: 7 },
+              actionData: [{ data: ['3'] }],
+            },
+          ],
+        },
+      });
+      const { actions } = await import('./events.js');
+
+      await actions({ alias: 'devnet', archiveUrl: 'https://archive.url' });
+
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'https://archive.url',
+        expect.stringContaining('actions(input: { address: "B62qZkApp" })'),
+        { headers: {} }
+      );
+      const output = console.log.mock.calls[0][0];
+      expect(output).toContain('Counter actions');
+      expect(output).toMatch(/7\s+│ Unknown\s+│ 3/);
+      expect(printJson).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actions: [{ blockHeight: '7', txnHash: null, data: '3' }],
+        })
+      );
+    });
+  });
+
+  describe('getArchiveNodeApiUrl()', () => {
+    it('should exit if the Archive-Node-API URL is unknown', async () => {
+      const { getArchiveNodeApiUrl } = await import('./events.js');
+
+      expect(() =>
+        getArchiveNodeApiUrl({ url: 'https://devnet.url/graphql' })
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Please provide the Archive-Node-API URL to query with --archive-url,\n  or set the "archiveUrl" of the deploy alias with `zk config edit`.'
+      );
+    });
+
+    it('should return the Archive-Node-API URL of the deploy alias', async () => {
+      const { getArchiveNodeApiUrl } = await import('./events.js');
+
+      expect(
+        getArchiveNodeApiUrl({
+          url: 'https://devnet.url/graphql',
+          archiveUrl: 'https://archive.url',
+        })
+      ).toBe('https://archive.url');
+    });
+  });
+
+  describe('decodeEvent()', () => {
+    it('should decode the event of the only declared event type', async () => {
+      const { decodeEvent } = await import('./events.js');
+
+      expect(decodeEvent({ incremented: FieldType }, ['5'], Field)).toEqual({
+        type: 'incremented',
+        data: '5',
+      });
+    });
+
+    it('should return the field elements of undeclared events', async () => {
+      const { decodeEvent } = await import('./events.js');
+
+      expect(decodeEvent({}, ['1', '2'], Field)).toEqual({
+        type: 'unknown',
+        data: '1, 2',
+      });
+    });
+  });
+
+  describe('decodeAction()', () => {
+    it('should return the field elements without a reducer', async () => {
+      const { decodeAction } = await import('./events.js');
+
+      expect(decodeAction(undefined, ['1', '2'], Field)).toEqual({
+        data: '1, 2',
+      });
+    });
+  });
+});
@@ -8,6 +8,7 @@ import ora from 'ora';
 import shell from 'shelljs';
 import Constants from './constants.js';
 import { isDirEmpty, setProjectName, setupProject, step } from './helpers.js';
+import { printJson } from './json-output.js';
 
 // Module external API
 export default example;
@@ -109,6 +110,7 @@ async function example(example) {
     `\n  npm run start`;
 
   console.log(chalk.green(str));
+  printJson({ example, path: process.cwd() });
   process.exit(0);
 }
 
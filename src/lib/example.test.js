@@ -58,11 +58,15 @@ jest.unstable_mockModule('./helpers.js', () => ({
   setProjectName: jest.fn(),
 }));
 
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
 jest.unstable_mockModule('util', () => ({
   promisify: jest.fn(),
 }));
 
-let fs, shell, enquirer, Constants, helpers, chalk;
+let fs, shell, enquirer, Constants, helpers, chalk, printJson;
 
 beforeAll(async () => {
   fs = (await import('fs-extra')).default;
@@ -71,6 +75,7 @@ beforeAll(async () => {
   chalk = (await import('chalk')).default;
   Constants = (await import('./constants.js')).default;
   helpers = await import('./helpers.js');
+  printJson = (await import('./json-output.js')).printJson;
 });
 
 beforeEach(() => {
@@ -233,6 +238,10 @@ describe('example.js', () => {
       await example('sudoku');
 
       expect(shell.cd).toHaveBeenCalledWith('sudoku');
+      expect(printJson).toHaveBeenCalledWith({
+        example: 'sudoku',
+        path: process.cwd(),
+      });
       const calls = shell.exec.mock.calls;
       expect(calls[0][0]).toBe('git init -q');
       expect(calls[1][0]).toBe('npm install --silent > "/dev/null" 2>&1');
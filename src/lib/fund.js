@@ -0,0 +1,322 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import Client from 'mina-signer';
+import { Lightnet, Mina } from 'o1js';
+import { resolveAccounts } from './account.js';
+import Constants from './constants.js';
+import { getErrorMessage } from './deploy.js';
+import { fetchAccount, sendGraphQL } from './graphql-client.js';
+import { step } from './helpers.js';
+import { printJson } from './json-output.js';
+import { validateUrl } from './prompts.js';
+import { sleep } from './time-helpers.js';
+
+// Module external API
+export default fund;
+
+// Module API shared with the `zk events` and `zk actions` commands
+export { isLightnetUrl };
+
+// Module internal API (exported for testing purposes)
+export {
+  fetchBalance,
+  getFaucetNetwork,
+  getSendPaymentMutation,
+  getUrlNetworkName,
+  requestFaucetFunds,
+  sendLightnetPayment,
+  waitForBalanceIncrease,
+};
+
+const LIGHTNET_PAYMENT_FEE = 100_000_000; // 0.1 MINA, in nanomina
+const BALANCE_POLLING_INTERVAL_MS = 10_000;
+const BALANCE_POLLING_MAX_ATTEMPTS = 90; // 15 minutes, a few devnet blocks
+const NETWORK_NAMES = ['mainnet', 'devnet'];
+
+/**
+ * Fund an account, e.g. the new fee payer of a deploy alias. On Lightnet, the
+ * MINA are sent from an account acquired from its Accounts Manager. On other
+ * networks, they are requested from the faucet. The command then waits until
+ * the account balance increases.
+ * @param {object} argv - The arguments object provided by yargs.
+ * @param {string} argv.target - A deploy alias, a fee payer alias or a public key.
+ * @param {string} argv.url - The Mina GraphQL API URL, instead of the deploy alias one.
+ * @param {string} argv.faucetUrl - The faucet API URL.
+ * @param {string} argv.network - The faucet network, e.g. "devnet", instead of the one of the deploy alias or URL.
+ * @param {string} argv.amount - The amount of MINA to send on Lightnet.
+ * @returns {Promise<void>}
+ */
+async function fund({ target, url, faucetUrl, network, amount }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  if (url !== undefined && validateUrl(url) !== true) {
+    console.log(
+      chalk.red(`  The --url flag must be a valid Mina GraphQL API URL.`)
+    );
+    process.exit(1);
+  }
+  const {
+    graphQlUrl,
+    headers,
+    networkId,
+    accounts: [{ name, publicKey }],
+  } = resolveAccounts(projectRoot, target, { url });
+
+  if (
+    networkId === 'mainnet' ||
+    network === 'mainnet' ||
+    getUrlNetworkName(graphQlUrl) === 'mainnet'
+  ) {
+    console.log(
+      chalk.red(
+        `  The ${name} account is on mainnet, where there is no faucet.\n  Please send it MINA from another account.`
+      )
+    );
+    process.exit(1);
+  }
+  if (!(Number(amount) > 0)) {
+    console.log(chalk.red(`  The amount must be a positive number of MINA.`));
+    process.exit(1);
+  }
+
+  const initialBalance = await fetchBalance(graphQlUrl, publicKey, headers);
+  if (initialBalance === null) {
+    console.log(
+      chalk.red(
+        `  Failed to fetch the ${name} account balance from ${graphQlUrl}.\n  Please make sure that the Mina GraphQL API is available.`
+      )
+    );
+    process.exit(1);
+  }
+  let txnHash = null;
+  if (isLightnetUrl(graphQlUrl)) {
+    txnHash = await step(
+      `Send ${amount} MINA from an account of the Lightnet Accounts Manager`,
+      async () => await sendLightnetPayment(graphQlUrl, publicKey, amount)
+    );
+  } else {
+    const faucetNetwork = network ?? getFaucetNetwork(graphQlUrl, networkId);
+    if (!faucetNetwork) {
+      console.log(
+        chalk.red(
+          `  Failed to find the network of ${graphQlUrl} to request MINA from the faucet.\n  Please provide it with --network, e.g. --network devnet.`
+        )
+      );
+      process.exit(1);
+    }
+    await step(
+      `Request ${faucetNetwork} MINA from the faucet at ${faucetUrl}`,
+      async () => await requestFaucetFunds(faucetUrl, faucetNetwork, publicKey)
+    );
+  }
+
+  const balance = await step(
+    `Wait for the ${name} account balance to increase`,
+    async () =>
+      await waitForBalanceIncrease(
+        graphQlUrl,
+        publicKey,
+        initialBalance,
+        headers
+      )
+  );
+  if (balance === null) {
+    console.log(
+      chalk.red(
+        `  The ${name} account balance did not increase within ${(BALANCE_POLLING_MAX_ATTEMPTS * BALANCE_POLLING_INTERVAL_MS) / 60_000} minutes.\n  The funds may still arrive, check it later with \`zk account ${target}\`.`
+      )
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    chalk.green(
+      `\nSuccess! The ${name} account balance is ${balance / 1e9} MINA.`
+    )
+  );
+  printJson({
+    publicKey,
+    url: graphQlUrl,
+    previousBalance: `${initialBalance}`,
+    balance: `${balance}`,
+    txnHash,
+  });
+}
+
+/**
+ * Whether the Mina GraphQL API URL is the one of a local Lightnet network.
+ * @param {string} graphQlUrl The Mina GraphQL API URL.
+ * @returns {boolean}
+ */
+function isLightnetUrl(graphQlUrl) {
+  const { hostname, port } = new URL(graphQlUrl);
+  const lightnetUrl = new URL(Constants.lightnetMinaDaemonGraphQlEndpoint);
+  return (
+    ['127.0.0.1', 'localhost'].includes(hostname) && port === lightnetUrl.port
+  );
+}
+
+/**
+ * Get the faucet network to request MINA on when `--network` isn't provided:
+ * devnet for the testnet deploy aliases, or else the network named in the URL.
+ * @param {string} graphQlUrl  The Mina GraphQL API URL.
+ * @param {string} [networkId] The network id of the deploy alias, if any.
+ * @returns {string|undefined} The faucet network, or undefined if it is unknown.
+ */
+function getFaucetNetwork(graphQlUrl, networkId) {
+  if (networkId === 'testnet') {
+    return 'devnet';
+  }
+  return getUrlNetworkName(graphQlUrl);
+}
+
+/**
+ * Get the name of the network of a Mina GraphQL API URL from its host name
+ * and path, e.g. "devnet" for https://api.minascan.io/node/devnet/v1/graphql.
+ * @param {string} graphQlUrl The Mina GraphQL API URL.
+ * @returns {string|undefined} The network name, or undefined if it is unknown.
+ */
+function getUrlNetworkName(graphQlUrl) {
+  const { hostname, pathname } = new URL(graphQlUrl);
+  return [...hostname.split('.'), ...pathname.split('/')]
+    .map((item) => item.toLowerCase())
+    .find((item) => NETWORK_NAMES.includes(item));
+}
+
+/**
+ * Get the balance of an account.
+ * @param {string} graphQlUrl The Mina GraphQL API URL.
+ * @param {string} publicKey  The account public key.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<number|null>} The balance in nanomina, 0 if the account doesn't exist yet, or null if the query failed.
+ */
+async function fetchBalance(graphQlUrl, publicKey, headers) {
+  const response = await fetchAccount(graphQlUrl, publicKey, { headers });
+  if (response?.kind === 'error') {
+    return null;
+  }
+  return Number(response?.data?.account?.balance?.total ?? 0);
+}
+
+/**
+ * Request MINA from the faucet, which sends them in a transaction.
+ * @param {string} faucetUrl The faucet API URL.
+ * @param {string} network   The network to fund the account on, e.g. "devnet".
+ * @param {string} publicKey The account public key.
+ * @returns {Promise<void>}
+ * @throws {Error} If the faucet rejects the request.
+ */
+async function requestFaucetFunds(faucetUrl, network, publicKey) {
+  const response = await fetch(faucetUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ network, address: publicKey }),
+    signal: AbortSignal.timeout(30_000),
+  });
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(
+      `The faucet responded with ${response.status} ${response.statusText}${body ? `: ${body}` : ''}`
+    );
+  }
+}
+
+/**
+ * Send MINA to an account from an account acquired from the Lightnet
+ * Accounts Manager, which is released once the payment is sent.
+ * @param {string} graphQlUrl The Lightnet Mina GraphQL API URL.
+ * @param {string} publicKey  The account public key.
+ * @param {string} amount     The amount of MINA.
+ * @returns {Promise<string>} The payment transaction hash.
+ * @throws {Error} If the payment can't be sent.
+ */
+async function sendLightnetPayment(graphQlUrl, publicKey, amount) {
+  Mina.setActiveInstance(
+    Mina.Network({
+      networkId: 'testnet',
+      mina: graphQlUrl,
+      lightnetAccountManager: Constants.lightnetAccountManagerEndpoint,
+    })
+  );
+  const sender = await Lightnet.acquireKeyPair();
+  const senderPublicKey = sender.publicKey.toBase58();
+  try {
+    const senderAccount = await fetchAccount(graphQlUrl, senderPublicKey);
+    if (senderAccount?.kind === 'error' || !senderAccount?.data?.account) {
+      throw new Error(
+        `Failed to find the ${senderPublicKey} Lightnet account on chain.`
+      );
+    }
+    const payment = new Client({ network: 'testnet' }).signPayment(
+      {
+        from: senderPublicKey,
+        to: publicKey,
+        amount: `${Math.round(Number(amount) * 1e9)}`,
+        fee: `${LIGHTNET_PAYMENT_FEE}`,
+        nonce: senderAccount.data.account.inferredNonce,
+      },
+      sender.privateKey.toBase58()
+    );
+    // Not retried, since the node may have received the payment before the request failed.
+    const response = await sendGraphQL(
+      graphQlUrl,
+      getSendPaymentMutation(payment),
+      { retries: 0 }
+    );
+    if (response?.kind === 'error') {
+      throw new Error(getErrorMessage(response).trim());
+    }
+    return response.data.sendPayment.payment.hash;
+  } finally {
+    await Lightnet.releaseKeyPair({ publicKey: senderPublicKey });
+  }
+}
+
+/**
+ * Poll the account balance until it is higher than the initial one.
+ * @param {string} graphQlUrl     The Mina GraphQL API URL.
+ * @param {string} publicKey      The account public key.
+ * @param {number} initialBalance The balance before funding the account, in nanomina.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<number|null>} The new balance in nanomina, or null if it didn't increase in time.
+ */
+async function waitForBalanceIncrease(
+  graphQlUrl,
+  publicKey,
+  initialBalance,
+  headers
+) {
+  for (let attempt = 1; attempt <= BALANCE_POLLING_MAX_ATTEMPTS; attempt++) {
+    const balance = await fetchBalance(graphQlUrl, publicKey, headers);
+    if (balance > initialBalance) {
+      return balance;
+    }
+    if (attempt < BALANCE_POLLING_MAX_ATTEMPTS) {
+      await sleep(BALANCE_POLLING_INTERVAL_MS);
+    }
+  }
+  return null;
+}
+
+function getSendPaymentMutation({ data, signature }) {
+  return `
+  mutation {
+    sendPayment(
+      input: {
+        from: "${data.from}",
+        to: "${data.to}",
+        amount: "${data.amount}",
+        fee: "${data.fee}",
+        nonce: "${data.nonce}"
+      },
+      signature: {
+        field: "${signature.field}",
+        scalar: "${signature.scalar}"
+      }
+    ) {
+      payment {
+        hash
+      }
+    }
+  }`;
+}
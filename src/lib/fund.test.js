@@ -0,0 +1,505 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    blue: (text) => text,
+    gray: (text) => text,
+    green: (text) => `green: ${text}`,
+    red: (text) => `red: ${text}`,
+    reset: (text) => text,
+    yellow: (text) => text,
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('mina-signer', () => ({
+  default: class {
+    signPayment = jest.fn((data) => ({
+      data,
+      signature: { field: 'field', scalar: 'scalar' },
+    }));
+  },
+}));
+
+jest.unstable_mockModule('o1js', () => ({
+  PrivateKey: {},
+  Lightnet: {
+    acquireKeyPair: jest.fn(),
+    releaseKeyPair: jest.fn(),
+  },
+  Mina: {
+    Network: jest.fn(() => 'network'),
+    setActiveInstance: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('ora', () => ({
+  default: () => ({
+    start: jest.fn().mockReturnThis(),
+    succeed: jest.fn(),
+    fail: jest.fn(),
+  }),
+}));
+
+jest.unstable_mockModule('./account.js', () => ({
+  resolveAccounts: jest.fn(),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  getErrorMessage: () => '  Failed to send transaction.',
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => {
+  const sendGraphQL = jest.fn();
+  return {
+    fetchAccount: (graphQlUrl, publicKey, options) =>
+      sendGraphQL(graphQlUrl, `accountQuery ${publicKey}`, options),
+    sendGraphQL,
+  };
+});
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
+let findPrefix,
+  Lightnet,
+  Mina,
+  resolveAccounts,
+  sendGraphQL,
+  printJson,
+  sleep,
+  Constants;
+
+const lightnetSender = {
+  publicKey: { toBase58: () => 'B62qSender' },
+  privateKey: { toBase58: () => 'EKSender' },
+};
+
+function mockAccountBalances(...balances) {
+  for (const balance of balances) {
+    sendGraphQL.mockResolvedValueOnce({
+      data: {
+        account: balance === null ? null : { balance: { total: `${balance}` } },
+      },
+    });
+  }
+}
+
+beforeAll(async () => {
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ Lightnet, Mina } = await import('o1js'));
+  resolveAccounts = (await import('./account.js')).resolveAccounts;
+  sendGraphQL = (await import('./graphql-client.js')).sendGraphQL;
+  printJson = (await import('./json-output.js')).printJson;
+  sleep = (await import('./time-helpers.js')).sleep;
+  Constants = (await import('./constants.js')).default;
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  resolveAccounts.mockReturnValue({
+    graphQlUrl: 'https://devnet.url/graphql',
+    headers: { 'X-Api-Key': 'apiKey' },
+    networkId: 'testnet',
+    accounts: [{ name: '"ci" fee payer', publicKey: 'B62qFeepayer' }],
+  });
+  Lightnet.acquireKeyPair.mockResolvedValue(lightnetSender);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fund.js', () => {
+  describe('fund()', () => {
+    it('should request MINA from the faucet and wait for the balance to increase', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      mockAccountBalances(null, null, 1_000_000_000);
+      const { default: fund } = await import('./fund.js');
+
+      await fund({
+        target: 'devnet',
+        faucetUrl: 'http://faucet.url',
+        amount: '100',
+      });
+
+      expect(resolveAccounts).toHaveBeenCalledWith('/project/root', 'devnet', {
+        url: undefined,
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        'http://faucet.url',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ network: 'devnet', address: 'B62qFeepayer' }),
+        })
+      );
+      expect(sendGraphQL.mock.calls).toEqual(
+        Array(3).fill([
+          'https://devnet.url/graphql',
+          'accountQuery B62qFeepayer',
+          { headers: { 'X-Api-Key': 'apiKey' } },
+        ])
+      );
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(Lightnet.acquireKeyPair).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "ci" fee payer account balance is 1 MINA.'
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        publicKey: 'B62qFeepayer',
+        url: 'https://devnet.url/graphql',
+        previousBalance: '0',
+        balance: '1000000000',
+        txnHash: null,
+      });
+    });
+
+    it('should send MINA from a Lightnet account', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: Constants.lightnetMinaDaemonGraphQlEndpoint,
+        networkId: 'testnet',
+        accounts: [{ name: '"lightnet1" fee payer', publicKey: 'B62qNew' }],
+      });
+      mockAccountBalances(5_000_000_000);
+      sendGraphQL.mockResolvedValueOnce({
+        data: { account: { inferredNonce: '7' } },
+      });
+      sendGraphQL.mockResolvedValueOnce({
+        data: { sendPayment: { payment: { hash: 'paymentHash' } } },
+      });
+      mockAccountBalances(7_500_000_000);
+      const fetch = jest.spyOn(global, 'fetch');
+      const { default: fund } = await import('./fund.js');
+
+      await fund({ target: 'lightnet1', amount: '2.5' });
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(Mina.Network).toHaveBeenCalledWith({
+        networkId: 'testnet',
+        mina: Constants.lightnetMinaDaemonGraphQlEndpoint,
+        lightnetAccountManager: Constants.lightnetAccountManagerEndpoint,
+      });
+      expect(sendGraphQL).toHaveBeenNthCalledWith(
+        2,
+        Constants.lightnetMinaDaemonGraphQlEndpoint,
+        'accountQuery B62qSender',
+        undefined
+      );
+      const [, mutation, options] = sendGraphQL.mock.calls[2];
+      expect(options).toEqual({ retries: 0 });
+      expect(mutation).toContain('from: "B62qSender"');
+      expect(mutation).toContain('to: "B62qNew"');
+      expect(mutation).toContain('amount: "2500000000"');
+      expect(mutation).toContain('fee: "100000000"');
+      expect(mutation).toContain('nonce: "7"');
+      expect(mutation).toContain('field: "field"');
+      expect(Lightnet.releaseKeyPair).toHaveBeenCalledWith({
+        publicKey: 'B62qSender',
+      });
+      expect(printJson).toHaveBeenCalledWith(
+        expect.objectContaining({
+          previousBalance: '5000000000',
+          balance: '7500000000',
+          txnHash: 'paymentHash',
+        })
+      );
+    });
+
+    it('should exit on mainnet', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: 'https://mainnet.url',
+        networkId: 'mainnet',
+        accounts: [{ name: '"main" fee payer', publicKey: 'B62qMain' }],
+      });
+      const { default: fund } = await import('./fund.js');
+
+      await expect(fund({ target: 'main', amount: '100' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "main" fee payer account is on mainnet, where there is no faucet.\n  Please send it MINA from another account.'
+      );
+      expect(sendGraphQL).not.toHaveBeenCalled();
+    });
+
+    it('should exit on a mainnet URL', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: 'https://api.minascan.io/node/mainnet/v1/graphql',
+        accounts: [{ name: '"main" fee payer', publicKey: 'B62qMain' }],
+      });
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({
+          target: 'main',
+          url: 'https://api.minascan.io/node/mainnet/v1/graphql',
+          amount: '100',
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "main" fee payer account is on mainnet, where there is no faucet.\n  Please send it MINA from another account.'
+      );
+      expect(sendGraphQL).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the URL is invalid', async () => {
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({ target: 'devnet', url: '', amount: '100' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The --url flag must be a valid Mina GraphQL API URL.'
+      );
+      expect(resolveAccounts).not.toHaveBeenCalled();
+    });
+
+    it('should request MINA on devnet for a testnet deploy alias with a custom URL', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: 'http://node.url:3085/graphql',
+        networkId: 'testnet',
+        accounts: [
+          { name: '"my-devnet" deploy alias', publicKey: 'B62qZkapp' },
+        ],
+      });
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      mockAccountBalances(0, 1_000_000_000);
+      const { default: fund } = await import('./fund.js');
+
+      await fund({
+        target: 'my-devnet',
+        faucetUrl: 'http://faucet.url',
+        amount: '100',
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://faucet.url',
+        expect.objectContaining({
+          body: JSON.stringify({ network: 'devnet', address: 'B62qZkapp' }),
+        })
+      );
+    });
+
+    it('should request MINA on the network provided with --network', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: 'http://node.url:3085/graphql',
+        accounts: [{ name: '"ci" fee payer', publicKey: 'B62qFeepayer' }],
+      });
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      mockAccountBalances(0, 1_000_000_000);
+      const { default: fund } = await import('./fund.js');
+
+      await fund({
+        target: 'ci',
+        url: 'http://node.url:3085/graphql',
+        faucetUrl: 'http://faucet.url',
+        network: 'devnet',
+        amount: '100',
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://faucet.url',
+        expect.objectContaining({
+          body: JSON.stringify({ network: 'devnet', address: 'B62qFeepayer' }),
+        })
+      );
+    });
+
+    it('should exit if the --network is mainnet', async () => {
+      const fetch = jest.spyOn(global, 'fetch');
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({
+          target: 'devnet',
+          faucetUrl: 'http://faucet.url',
+          network: 'mainnet',
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "ci" fee payer account is on mainnet, where there is no faucet.\n  Please send it MINA from another account.'
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the faucet network is unknown', async () => {
+      resolveAccounts.mockReturnValue({
+        graphQlUrl: 'http://node.url:3085/graphql',
+        accounts: [{ name: '"ci" fee payer', publicKey: 'B62qFeepayer' }],
+      });
+      mockAccountBalances(0);
+      const fetch = jest.spyOn(global, 'fetch');
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({ target: 'ci', faucetUrl: 'http://faucet.url', amount: '100' })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to find the network of http://node.url:3085/graphql to request MINA from the faucet.\n  Please provide it with --network, e.g. --network devnet.'
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the amount is invalid', async () => {
+      const { default: fund } = await import('./fund.js');
+
+      await expect(fund({ target: 'devnet', amount: 'abc' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The amount must be a positive number of MINA.'
+      );
+    });
+
+    it('should exit if the balance can not be fetched', async () => {
+      sendGraphQL.mockResolvedValue({ kind: 'error', message: 'error' });
+      const { default: fund } = await import('./fund.js');
+
+      await expect(fund({ target: 'devnet', amount: '100' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to fetch the "ci" fee payer account balance from https://devnet.url/graphql.\n  Please make sure that the Mina GraphQL API is available.'
+      );
+    });
+
+    it('should exit if the faucet rejects the request', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests',
+        text: async () => 'Rate limited',
+      });
+      mockAccountBalances(0);
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({
+          target: 'devnet',
+          faucetUrl: 'http://faucet.url',
+          amount: '100',
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.error).toHaveBeenCalledWith(
+        '  red: Error: The faucet responded with 429 Too Many Requests: Rate limited'
+      );
+    });
+
+    it('should exit if the balance does not increase in time', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      sendGraphQL.mockResolvedValue({
+        data: { account: { balance: { total: '1000' } } },
+      });
+      const { default: fund } = await import('./fund.js');
+
+      await expect(
+        fund({
+          target: 'devnet',
+          faucetUrl: 'http://faucet.url',
+          amount: '100',
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(sleep).toHaveBeenCalledTimes(89);
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "ci" fee payer account balance did not increase within 15 minutes.\n  The funds may still arrive, check it later with `zk account devnet`.'
+      );
+    });
+  });
+
+  describe('isLightnetUrl()', () => {
+    it('should detect the Lightnet Mina GraphQL API URLs', async () => {
+      const { isLightnetUrl } = await import('./fund.js');
+
+      expect(isLightnetUrl('http://127.0.0.1:8080/graphql')).toBe(true);
+      expect(isLightnetUrl('http://localhost:8080/graphql')).toBe(true);
+      expect(isLightnetUrl('http://localhost:3085/graphql')).toBe(false);
+      expect(
+        isLightnetUrl('https://api.minascan.io/node/devnet/v1/graphql')
+      ).toBe(false);
+    });
+  });
+
+  describe('getFaucetNetwork()', () => {
+    it('should default to devnet for the testnet deploy aliases', async () => {
+      const { getFaucetNetwork } = await import('./fund.js');
+
+      expect(getFaucetNetwork('http://node.url/graphql', 'testnet')).toBe(
+        'devnet'
+      );
+      expect(getFaucetNetwork('https://devnet.node.url/graphql')).toBe(
+        'devnet'
+      );
+      expect(getFaucetNetwork('http://node.url/graphql')).toBeUndefined();
+    });
+  });
+
+  describe('getUrlNetworkName()', () => {
+    it('should get the network name from the host name or path of the URL', async () => {
+      const { getUrlNetworkName } = await import('./fund.js');
+
+      expect(
+        getUrlNetworkName('https://api.minascan.io/node/devnet/v1/graphql')
+      ).toBe('devnet');
+      expect(getUrlNetworkName('https://Mainnet.node.url/graphql')).toBe(
+        'mainnet'
+      );
+      expect(getUrlNetworkName('http://node.url/graphql')).toBeUndefined();
+    });
+  });
+
+  describe('sendLightnetPayment()', () => {
+    it('should release the Lightnet account if the sender account is not found', async () => {
+      mockAccountBalances(null);
+      const { sendLightnetPayment } = await import('./fund.js');
+
+      await expect(
+        sendLightnetPayment('http://127.0.0.1:8080/graphql', 'B62qNew', '1')
+      ).rejects.toThrow(
+        'Failed to find the B62qSender Lightnet account on chain.'
+      );
+
+      expect(Lightnet.releaseKeyPair).toHaveBeenCalledWith({
+        publicKey: 'B62qSender',
+      });
+    });
+
+    it('should release the Lightnet account if the payment is rejected', async () => {
+      sendGraphQL.mockResolvedValueOnce({
+        data: { account: { inferredNonce: '0' } },
+      });
+      sendGraphQL.mockResolvedValueOnce({ kind: 'error', message: [] });
+      const { sendLightnetPayment } = await import('./fund.js');
+
+      await expect(
+        sendLightnetPayment('http://127.0.0.1:8080/graphql', 'B62qNew', '1')
+      ).rejects.toThrow('Failed to send transaction.');
+
+      expect(Lightnet.releaseKeyPair).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,278 @@
+import createDebug from 'debug';
+import { sleep } from './time-helpers.js';
+
+// Module external API
+export {
+  fetchAccount,
+  fetchChainId,
+  fetchDaemonStatus,
+  fetchSyncStatus,
+  fetchTransactionStatus,
+  isNetworkError,
+  sendGraphQL,
+  sendZkapp,
+};
+
+// Module internal API (exported for testing purposes)
+export { removeJsonQuotes };
+
+const debug = createDebug('zk:graphql');
+
+const DEFAULT_TIMEOUT_MS = 20_000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1_000; // Doubled after every failed attempt
+
+/**
+ * @typedef {object} GraphQlError
+ * @property {'error'} kind
+ * @property {number} [statusCode] The HTTP status code, if the endpoint responded.
+ * @property {string} [statusText] The HTTP status text, if the endpoint responded.
+ * @property {any}    message      The GraphQL errors, or the network error.
+ */
+
+/**
+ * @template T
+ * @typedef {{data: T} | GraphQlError} GraphQlResponse
+ */
+
+/**
+ * @typedef {object} GraphQlOptions
+ * @property {Record<string, string>} [headers] Headers added to the requests, e.g. API keys.
+ * @property {number} [timeoutMs] The timeout of every attempt, in milliseconds.
+ * @property {number} [retries]   The number of retries after a network failure.
+ */
+
+/**
+ * @typedef {'CONNECTING'|'LISTENING'|'OFFLINE'|'BOOTSTRAP'|'SYNCED'|'CATCHUP'} SyncStatus
+ */
+
+/**
+ * Send a GraphQL query to a Mina GraphQL endpoint. The network failures, i.e.
+ * the requests without response or with a 5xx one, are retried with an
+ * exponential backoff. The GraphQL errors are returned as is.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {string} query      The GraphQL query.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<object>>}
+ */
+async function sendGraphQL(
+  graphQlUrl,
+  query,
+  {
+    headers = {},
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+  } = {}
+) {
+  let response;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delayMs = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      debug('Retrying %s in %d ms', graphQlUrl, delayMs);
+      await sleep(delayMs);
+    }
+    response = await sendGraphQLRequest(graphQlUrl, query, {
+      headers,
+      timeoutMs,
+    });
+    if (!isNetworkError(response)) {
+      break;
+    }
+  }
+  return response;
+}
+
+async function sendGraphQLRequest(graphQlUrl, query, { headers, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort();
+  }, timeoutMs);
+  const startTime = Date.now();
+  debug('POST %s %s', graphQlUrl, query.replace(/\s+/g, ' ').trim());
+  try {
+    const response = await fetch(graphQlUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ operationName: null, query, variables: {} }),
+      signal: controller.signal,
+    });
+    debug(
+      'HTTP %s from %s in %d ms',
+      response.status,
+      graphQlUrl,
+      Date.now() - startTime
+    );
+    let responseJson;
+    try {
+      responseJson = await response.json();
+    } catch (error) {
+      // E.g. the HTML error page of a proxy, keep its status to not retry a 4xx.
+      debug('Invalid JSON body from %s: %s', graphQlUrl, error);
+      return {
+        kind: 'error',
+        statusCode: response.status,
+        statusText: response.statusText,
+        message: error,
+      };
+    }
+    if (!response.ok || responseJson?.errors) {
+      debug('GraphQL errors: %O', responseJson?.errors);
+      return {
+        kind: 'error',
+        statusCode: response.status,
+        statusText: response.statusText,
+        message: responseJson.errors,
+      };
+    }
+    return responseJson;
+  } catch (error) {
+    debug('Request to %s failed: %s', graphQlUrl, error);
+    return {
+      kind: 'error',
+      message: error,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether a GraphQL request failed because the endpoint couldn't be reached.
+ * The network failures have no status code, the gateway errors a 5xx one.
+ * @param {GraphQlResponse<object>} response The response of `sendGraphQL()`.
+ * @returns {boolean}
+ */
+function isNetworkError(response) {
+  return (
+    response?.kind === 'error' &&
+    (response.statusCode === undefined || response.statusCode >= 500)
+  );
+}
+
+/**
+ * Fetch the sync status of the Mina node.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<{syncStatus: SyncStatus}>>}
+ */
+async function fetchSyncStatus(graphQlUrl, options) {
+  return await sendGraphQL(
+    graphQlUrl,
+    `query {
+      syncStatus
+    }`,
+    options
+  );
+}
+
+/**
+ * Fetch the daemon status fields of the Mina node.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {string} fields     The `daemonStatus` fields to fetch.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<{daemonStatus: object}>>}
+ */
+async function fetchDaemonStatus(graphQlUrl, fields, options) {
+  return await sendGraphQL(
+    graphQlUrl,
+    `query {
+      daemonStatus {
+        ${fields}
+      }
+    }`,
+    options
+  );
+}
+
+/**
+ * Fetch the chain id of the network the Mina node is part of.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<string|undefined>} The chain id, or `undefined` if it can't be fetched.
+ */
+async function fetchChainId(graphQlUrl, options) {
+  const response = await fetchDaemonStatus(graphQlUrl, 'chainId', options);
+  return response?.data?.daemonStatus?.chainId ?? undefined;
+}
+
+/**
+ * Fetch the nonces and the balance of an account.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {string} publicKey  The account public key.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<{account: {nonce: string, inferredNonce: string, balance: {total: string}}|null}>>}
+ */
+async function fetchAccount(graphQlUrl, publicKey, options) {
+  return await sendGraphQL(graphQlUrl, getAccountQuery(publicKey), options);
+}
+
+/**
+ * Send a zkApp transaction. It isn't retried by default, since the node may
+ * have received it before the request failed.
+ * @param {string} graphQlUrl         The Mina GraphQL endpoint.
+ * @param {string} zkappCommandJson   The signed zkApp command, in JSON format.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<{sendZkapp: {zkapp: {id: string, hash: string}}}>>}
+ */
+async function sendZkapp(graphQlUrl, zkappCommandJson, options) {
+  return await sendGraphQL(graphQlUrl, sendZkAppQuery(zkappCommandJson), {
+    retries: 0,
+    ...options,
+  });
+}
+
+/**
+ * Fetch the status of a zkApp transaction.
+ * @param {string} graphQlUrl The Mina GraphQL endpoint.
+ * @param {string} zkappTransactionId The zkApp transaction id returned by `sendZkapp()`.
+ * @param {GraphQlOptions} [options]
+ * @returns {Promise<GraphQlResponse<{transactionStatus: 'PENDING'|'INCLUDED'|'UNKNOWN'}>>}
+ */
+async function fetchTransactionStatus(graphQlUrl, zkappTransactionId, options) {
+  return await sendGraphQL(
+    graphQlUrl,
+    `query {
+      transactionStatus(zkappTransaction: "${zkappTransactionId}")
+    }`,
+    options
+  );
+}
+
+function sendZkAppQuery(accountUpdatesJson) {
+  return `
+  mutation {
+    sendZkapp(input: {
+      zkappCommand: ${removeJsonQuotes(accountUpdatesJson)}
+    }) { zkapp
+      {
+        id
+        hash
+        failureReason {
+          index
+          failures
+        }
+      }
+    }
+  }`;
+}
+
+function getAccountQuery(publicKey) {
+  return `
+  query {
+    account(publicKey: "${publicKey}") {
+      nonce
+      inferredNonce
+      balance {
+        total
+      }
+    }
+  }`;
+}
+
+function removeJsonQuotes(json) {
+  // source: https://stackoverflow.com/a/65443215
+  let cleaned = JSON.stringify(JSON.parse(json), null, 2);
+  return cleaned.replace(/^[\t ]*"[^:\n\r]+(?<!\\)":/gm, (match) =>
+    match.replace(/"/g, '')
+  );
+}
@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
+let sleep;
+
+function mockResponse(responseJson, { ok = true, status = 200 } = {}) {
+  return { ok, status, json: () => Promise.resolve(responseJson) };
+}
+
+beforeAll(async () => {
+  ({ sleep } = await import('./time-helpers.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('graphql-client.js', () => {
+  describe('sendGraphQL()', () => {
+    it('should send a GraphQL request and return the response', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue(mockResponse({ data: 'response' }));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query', {
+        headers: { 'X-Api-Key': 'apiKey' },
+      });
+
+      expect(result).toEqual({ data: 'response' });
+      expect(global.fetch).toHaveBeenCalledWith('http://test.url', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'apiKey' },
+        body: JSON.stringify({
+          operationName: null,
+          query: 'query',
+          variables: {},
+        }),
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    it('should return the GraphQL errors without retrying', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue(mockResponse({ errors: [{ message: 'error' }] }));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query');
+
+      expect(result).toEqual({
+        kind: 'error',
+        statusCode: 200,
+        message: [{ message: 'error' }],
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should retry the network errors with an exponential backoff', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockResolvedValueOnce(mockResponse({}, { ok: false, status: 503 }))
+        .mockResolvedValueOnce(mockResponse({ data: 'response' }));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query');
+
+      expect(result).toEqual({ data: 'response' });
+      expect(sleep.mock.calls).toEqual([[1_000], [2_000]]);
+    });
+
+    it('should keep the status code of the responses without a JSON body', async () => {
+      const htmlResponse = (status) => ({
+        ok: false,
+        status,
+        statusText: 'Unauthorized',
+        json: () => Promise.reject(new SyntaxError('Unexpected token <')),
+      });
+      jest.spyOn(global, 'fetch').mockResolvedValue(htmlResponse(401));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query');
+
+      expect(result).toEqual({
+        kind: 'error',
+        statusCode: 401,
+        statusText: 'Unauthorized',
+        message: new SyntaxError('Unexpected token <'),
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should retry the gateway errors without a JSON body', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 502,
+          json: () => Promise.reject(new SyntaxError('Unexpected token <')),
+        })
+        .mockResolvedValueOnce(mockResponse({ data: 'response' }));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query');
+
+      expect(result).toEqual({ data: 'response' });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the network error once the retries are exhausted', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch failed'));
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = await sendGraphQL('http://test.url', 'query', {
+        retries: 1,
+      });
+
+      expect(result).toEqual({
+        kind: 'error',
+        message: new Error('fetch failed'),
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should abort the requests that time out', async () => {
+      jest.useFakeTimers();
+      jest.spyOn(global, 'fetch').mockImplementation(
+        (_, { signal }) =>
+          new Promise((_, reject) => {
+            signal.addEventListener('abort', () =>
+              reject(new Error('This operation was aborted'))
+            );
+          })
+      );
+      const { sendGraphQL } = await import('./graphql-client.js');
+
+      const result = sendGraphQL('http://test.url', 'query', {
+        timeoutMs: 5_000,
+        retries: 0,
+      });
+      jest.advanceTimersByTime(5_000);
+
+      expect(await result).toEqual({
+        kind: 'error',
+        message: new Error('This operation was aborted'),
+      });
+      jest.useRealTimers();
+    });
+  });
+
+  describe('isNetworkError()', () => {
+    it('should detect the requests without response or with a 5xx one', async () => {
+      const { isNetworkError } = await import('./graphql-client.js');
+
+      expect(isNetworkError({ kind: 'error', message: 'fetch failed' })).toBe(
+        true
+      );
+      expect(isNetworkError({ kind: 'error', statusCode: 502 })).toBe(true);
+      expect(isNetworkError({ kind: 'error', statusCode: 400 })).toBe(false);
+      expect(isNetworkError({ data: {} })).toBe(false);
+    });
+  });
+
+  describe('fetchSyncStatus()', () => {
+    it('should fetch the sync status of the node', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue(mockResponse({ data: { syncStatus: 'SYNCED' } }));
+      const { fetchSyncStatus } = await import('./graphql-client.js');
+
+      const result = await fetchSyncStatus('http://test.url');
+
+      expect(result).toEqual({ data: { syncStatus: 'SYNCED' } });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toContain(
+        'syncStatus'
+      );
+    });
+  });
+
+  describe('fetchChainId()', () => {
+    it('should return the chain id of the node', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue(
+        mockResponse({
+          data: { daemonStatus: { chainId: 'chainId' } },
+        })
+      );
+      const { fetchChainId } = await import('./graphql-client.js');
+
+      expect(await fetchChainId('http://test.url')).toBe('chainId');
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toMatch(
+        /daemonStatus {\s+chainId\s+}/
+      );
+    });
+
+    it('should return undefined if the chain id can not be fetched', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch failed'));
+      const { fetchChainId } = await import('./graphql-client.js');
+
+      expect(await fetchChainId('http://test.url')).toBeUndefined();
+    });
+  });
+
+  describe('fetchAccount()', () => {
+    it('should fetch the nonces and the balance of the account', async () => {
+      const account = {
+        nonce: '1',
+        inferredNonce: '2',
+        balance: { total: '3' },
+      };
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue(mockResponse({ data: { account } }));
+      const { fetchAccount } = await import('./graphql-client.js');
+
+      const result = await fetchAccount('http://test.url', 'B62qAccount');
+
+      expect(result).toEqual({ data: { account } });
+      const { query } = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(query).toContain('account(publicKey: "B62qAccount")');
+      expect(query).toContain('inferredNonce');
+    });
+  });
+
+  describe('sendZkapp()', () => {
+    it('should send the zkApp transaction without retrying', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch failed'));
+      const { sendZkapp } = await import('./graphql-client.js');
+
+      const result = await sendZkapp('http://test.url', '{"foo": "bar"}');
+
+      expect(result.kind).toBe('error');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const { query } = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(query).toContain('mutation');
+      expect(query).toContain('foo: "bar"');
+    });
+  });
+
+  describe('fetchTransactionStatus()', () => {
+    it('should fetch the status of the zkApp transaction', async () => {
+      jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue(
+          mockResponse({ data: { transactionStatus: 'INCLUDED' } })
+        );
+      const { fetchTransactionStatus } = await import('./graphql-client.js');
+
+      const result = await fetchTransactionStatus('http://test.url', 'txnId');
+
+      expect(result).toEqual({ data: { transactionStatus: 'INCLUDED' } });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toContain(
+        'transactionStatus(zkappTransaction: "txnId")'
+      );
+    });
+  });
+
+  describe('removeJsonQuotes()', () => {
+    it('should remove quotes from JSON keys', async () => {
+      const { removeJsonQuotes } = await import('./graphql-client.js');
+
+      const result = removeJsonQuotes('{"foo": "bar"}');
+
+      expect(result).toEqual(expect.stringMatching(/foo: "bar"/gi));
+    });
+  });
+});
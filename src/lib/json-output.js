@@ -0,0 +1,87 @@
+import util from 'node:util';
+
+// Module external API
+export { enableJsonOutput, printJson };
+
+// Module internal API (exported for testing purposes)
+export { getErrorDocument, getLoggedMessage, resetJsonOutput };
+
+const state = {
+  isEnabled: false,
+  isPrinted: false,
+  lastMessage: null,
+  writeStdout: null,
+};
+
+/**
+ * Switch the CLI to the machine-readable output of the `--json` flag. The
+ * human-readable output, including prompts and progress steps, is redirected
+ * to stderr, so that stdout only gets one JSON document: the result of the
+ * command, or the error it exited with. Exit codes are not changed.
+ */
+function enableJsonOutput() {
+  if (state.isEnabled) {
+    return;
+  }
+  state.isEnabled = true;
+  state.writeStdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+
+  // Remember the last message, which explains why a command exits with an error.
+  for (const method of ['log', 'error', 'warn']) {
+    const log = console[method].bind(console);
+    console[method] = (...args) => {
+      state.lastMessage = getLoggedMessage(args) || state.lastMessage;
+      log(...args);
+    };
+  }
+  process.on('exit', (exitCode) => {
+    if (exitCode) {
+      printJson(getErrorDocument(exitCode));
+    }
+  });
+}
+
+/**
+ * Print the result of the command as a JSON document on stdout, if the JSON
+ * output is enabled. Only the first document of the command is printed.
+ * @param {object} document The command result.
+ */
+function printJson(document) {
+  if (!state.isEnabled || state.isPrinted) {
+    return;
+  }
+  state.isPrinted = true;
+  state.writeStdout(JSON.stringify(document, null, 2) + '\n');
+}
+
+function getErrorDocument(exitCode) {
+  return {
+    error: {
+      message: state.lastMessage ?? 'The command failed.',
+      exitCode,
+    },
+  };
+}
+
+/**
+ * Get the plain text of a logged message, without the terminal colors.
+ * @param {Array<any>} args The console method arguments.
+ * @returns {string} The message.
+ */
+function getLoggedMessage(args) {
+  const [message] = args;
+  if (message instanceof Error) {
+    return message.message;
+  }
+  return util.stripVTControlCharacters(util.format(...args)).trim();
+}
+
+function resetJsonOutput() {
+  Object.assign(state, {
+    isEnabled: false,
+    isPrinted: false,
+    lastMessage: null,
+    writeStdout: null,
+  });
+}
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+
+let jsonOutput, writeStdout, writeStderr, exitListeners;
+
+beforeEach(async () => {
+  jest.resetModules();
+  writeStdout = jest.fn();
+  writeStderr = jest.fn();
+  exitListeners = [];
+  jest.spyOn(process.stdout, 'write').mockImplementation(writeStdout);
+  jest.spyOn(process.stderr, 'write').mockImplementation(writeStderr);
+  jest
+    .spyOn(process, 'on')
+    .mockImplementation((event, listener) => exitListeners.push(listener));
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  };
+  jsonOutput = await import('./json-output.js');
+  jsonOutput.resetJsonOutput();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('json-output.js', () => {
+  describe('printJson()', () => {
+    it('should not print anything if the JSON output is disabled', () => {
+      jsonOutput.printJson({ result: true });
+
+      expect(writeStdout).not.toHaveBeenCalled();
+    });
+
+    it('should print the first document on stdout only', () => {
+      jsonOutput.enableJsonOutput();
+
+      jsonOutput.printJson({ result: 1 });
+      jsonOutput.printJson({ result: 2 });
+
+      expect(writeStdout).toHaveBeenCalledTimes(1);
+      expect(writeStdout).toHaveBeenCalledWith('{\n  "result": 1\n}\n');
+    });
+  });
+
+  describe('enableJsonOutput()', () => {
+    it('should redirect the human-readable output to stderr', () => {
+      jsonOutput.enableJsonOutput();
+
+      process.stdout.write('Step done\n');
+
+      expect(writeStderr).toHaveBeenCalledWith('Step done\n');
+      expect(writeStdout).not.toHaveBeenCalled();
+    });
+
+    it('should only be enabled once', () => {
+      jsonOutput.enableJsonOutput();
+      jsonOutput.enableJsonOutput();
+
+      expect(process.on).toHaveBeenCalledTimes(1);
+      expect(process.on).toHaveBeenCalledWith('exit', expect.any(Function));
+    });
+
+    it('should print the last logged message as the error document on failure', () => {
+      const log = console.log;
+      jsonOutput.enableJsonOutput();
+
+      console.log('\u001b[31m  Deploy alias not found.\u001b[39m');
+      console.warn('');
+      exitListeners[0](1);
+
+      expect(log).toHaveBeenCalledWith(
+        '\u001b[31m  Deploy alias not found.\u001b[39m'
+      );
+      expect(JSON.parse(writeStdout.mock.calls[0][0])).toEqual({
+        error: { message: 'Deploy alias not found.', exitCode: 1 },
+      });
+    });
+
+    it('should not print the error document on success', () => {
+      jsonOutput.enableJsonOutput();
+
+      exitListeners[0](0);
+
+      expect(writeStdout).not.toHaveBeenCalled();
+    });
+
+    it('should not print the error document if the result is already printed', () => {
+      jsonOutput.enableJsonOutput();
+
+      jsonOutput.printJson({ result: true });
+      exitListeners[0](1);
+
+      expect(writeStdout).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getErrorDocument()', () => {
+    it('should default to a generic message', () => {
+      expect(jsonOutput.getErrorDocument(1)).toEqual({
+        error: { message: 'The command failed.', exitCode: 1 },
+      });
+    });
+  });
+
+  describe('getLoggedMessage()', () => {
+    it('should get the message of an error', () => {
+      expect(jsonOutput.getLoggedMessage([new Error('Failed')])).toBe('Failed');
+    });
+
+    it('should format the console arguments', () => {
+      expect(jsonOutput.getLoggedMessage(['  %s found', 'Nothing'])).toBe(
+        'Nothing found'
+      );
+    });
+  });
+});
@@ -0,0 +1,450 @@
+import chalk from 'chalk';
+import enquirer from 'enquirer';
+import findPrefix from 'find-npm-prefix';
+import fs from 'fs-extra';
+import { PrivateKey, PublicKey } from 'o1js';
+import { getBorderCharacters, table } from 'table';
+import { createKeyPair, getDeployAliasKeyPaths } from './config.js';
+import Constants from './constants.js';
+import { readDeployAliasesConfig, step } from './helpers.js';
+import { printJson } from './json-output.js';
+import {
+  KEY_PASSPHRASE_ENV,
+  formatEncryptedLabel,
+  getNewKeyPassphrase,
+  isEncryptedKeyPair,
+  unlockKeyPair,
+  writeKeyPair,
+} from './keystore.js';
+import { prompts, sanitizeAliasName, validateFeepayerKey } from './prompts.js';
+
+// Module external API
+export {
+  keysDelete,
+  keysEncrypt,
+  keysExport,
+  keysGenerate,
+  keysImport,
+  keysList,
+  keysShow,
+};
+
+// Module internal API (exported for testing purposes)
+export { getKey, getKeyUsages, listKeyAliases, readProject };
+
+/**
+ * List the fee payer key pairs stored on this computer and, in a zkApp
+ * project, its zkApp key pairs, with the deploy aliases using them.
+ * @returns {Promise<void>}
+ */
+async function keysList() {
+  const project = await readProject(false);
+  const keys = listKeyAliases(Constants.feePayerCacheDir).map((alias) =>
+    getKey(project, alias, false)
+  );
+  if (project.deployAliasesConfig) {
+    keys.push(
+      ...listKeyAliases(`${project.projectRoot}/keys`).map((alias) =>
+        getKey(project, alias, true)
+      )
+    );
+  }
+  const keysInfo = keys.map((key) => {
+    const keyFile = fs.readJsonSync(key.path, { throws: false });
+    return {
+      type: key.type,
+      alias: key.alias,
+      publicKey: keyFile?.publicKey ?? null,
+      encrypted: isEncryptedKeyPair(keyFile),
+      path: key.path,
+      deployAliases: getKeyUsages(project.deployAliasesConfig, key),
+    };
+  });
+
+  const tableData = [
+    [
+      chalk.bold('Type'),
+      chalk.bold('Alias'),
+      chalk.bold('Public key'),
+      chalk.bold('Deploy aliases'),
+    ],
+    ...keysInfo.map((keyInfo) => [
+      keyInfo.type === 'zkapp' ? 'zkApp' : 'Fee payer',
+      keyInfo.alias + (keyInfo.encrypted ? chalk.gray(' (encrypted)') : ''),
+      keyInfo.publicKey ?? chalk.gray('(invalid key file)'),
+      keyInfo.deployAliases.join('\n'),
+    ]),
+  ];
+  const tableConfig = {
+    border: getBorderCharacters('norc'),
+    header: { alignment: 'center', content: chalk.bold('Key pairs') },
+  };
+  // Show "none found", if no key pairs exist.
+  if (tableData.length === 1) {
+    tableData.push([chalk.gray('None found'), '', '', '']);
+    tableConfig.spanningCells = [{ col: 0, row: 1, colSpan: 4 }];
+  }
+  // Print the table. Indented by 2 spaces for alignment in terminal.
+  console.log('\n  ' + table(tableData, tableConfig).replaceAll('\n', '\n  '));
+  if (!project.deployAliasesConfig) {
+    console.log(
+      chalk.gray(
+        '  Run this command in a zkApp project directory to list its zkApp key pairs.'
+      )
+    );
+  }
+  printJson({ keys: keysInfo });
+}
+
+/**
+ * Print the public key of a key pair. The private key is never printed.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The key pair alias.
+ * @param {boolean} argv.zkapp - Whether the key pair is a zkApp key pair of the project.
+ * @returns {Promise<void>}
+ */
+async function keysShow({ alias, zkapp }) {
+  const key = getKey(await readProject(zkapp), alias, zkapp);
+  const keyFile = readKeyFile(key);
+
+  console.log(keyFile.publicKey);
+  printJson({
+    type: key.type,
+    alias: key.alias,
+    publicKey: keyFile.publicKey,
+    encrypted: isEncryptedKeyPair(keyFile),
+    path: key.path,
+  });
+}
+
+/**
+ * Import a key pair from its base58 private key, read from the environment
+ * variable named by `keyEnv` or prompted. The fee payer private keys are
+ * encrypted with a passphrase, unless `encrypt` is false.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The key pair alias.
+ * @param {boolean} argv.zkapp - Whether to import a zkApp key pair of the project.
+ * @param {string}  argv.keyEnv - The environment variable holding the private key.
+ * @param {boolean} argv.encrypt - Whether to encrypt the fee payer private key.
+ * @returns {Promise<void>}
+ */
+async function keysImport({ alias, zkapp, keyEnv, encrypt }) {
+  const key = getNewKey(await readProject(zkapp), alias, zkapp);
+
+  let privateKey;
+  if (keyEnv) {
+    privateKey = process.env[keyEnv]?.trim();
+    const validationResult = privateKey
+      ? validateFeepayerKey(privateKey)
+      : `The ${keyEnv} environment variable is not set.`;
+    if (validationResult !== true) {
+      console.log(chalk.red(`  ${validationResult}`));
+      process.exit(1);
+    }
+  } else {
+    ({ privateKey } = await enquirer.prompt(prompts.importKeyPrompt(key.name)));
+    // If user presses "ctrl + c" during interactive prompt, exit.
+    if (!privateKey) process.exit(1);
+  }
+  const passphrase = await getKeyPassphrase(key, encrypt, !keyEnv);
+
+  const keyPair = await step(
+    `Import ${key.name} key pair to ${key.path}` +
+      formatEncryptedLabel(passphrase),
+    async () => {
+      const keyPair = {
+        privateKey,
+        publicKey: PublicKey.toBase58(
+          PrivateKey.fromBase58(privateKey).toPublicKey()
+        ),
+      };
+      writeKeyPair(key.path, keyPair, passphrase);
+      return keyPair;
+    }
+  );
+  printSavedKeyPairSuccessMessage(key, keyPair, 'imported');
+}
+
+/**
+ * Print a key pair, including its private key, e.g. to import it on another
+ * computer. The encrypted private keys are decrypted first.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The key pair alias.
+ * @param {boolean} argv.zkapp - Whether the key pair is a zkApp key pair of the project.
+ * @returns {Promise<void>}
+ */
+async function keysExport({ alias, zkapp }) {
+  const key = getKey(await readProject(zkapp), alias, zkapp);
+  const { publicKey, privateKey } = await unlockKeyPair(
+    readKeyFile(key),
+    key.name
+  );
+
+  console.log(
+    chalk.yellow(
+      `  Anyone with the ${key.name} private key controls its account. Keep it secret.`
+    )
+  );
+  console.log(JSON.stringify({ publicKey, privateKey }, null, 2));
+  printJson({ type: key.type, alias: key.alias, publicKey, privateKey });
+}
+
+/**
+ * Generate a new key pair. The fee payer private keys are encrypted with a
+ * passphrase, unless `encrypt` is false.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The key pair alias.
+ * @param {boolean} argv.zkapp - Whether to generate a zkApp key pair of the project.
+ * @param {boolean} argv.encrypt - Whether to encrypt the fee payer private key.
+ * @returns {Promise<void>}
+ */
+async function keysGenerate({ alias, zkapp, encrypt }) {
+  const key = getNewKey(await readProject(zkapp), alias, zkapp);
+  const passphrase = await getKeyPassphrase(key, encrypt, true);
+
+  const keyPair = await step(
+    `Create ${key.name} key pair at ${key.path}` +
+      formatEncryptedLabel(passphrase),
+    async () => {
+      // The key pairs are the same on every network.
+      const keyPair = createKeyPair(Constants.networkIds[0]);
+      writeKeyPair(key.path, keyPair, passphrase);
+      return keyPair;
+    }
+  );
+  printSavedKeyPairSuccessMessage(key, keyPair, 'created');
+}
+
+/**
+ * Delete a key pair after a confirmation. The key pairs still used by a
+ * deploy alias of the project are never deleted. The fee payer key pairs can
+ * be used by other projects, which can't be checked, so deleting them
+ * non-interactively also requires `force`.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The key pair alias.
+ * @param {boolean} argv.zkapp - Whether the key pair is a zkApp key pair of the project.
+ * @param {boolean} argv.yes - Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean} argv.force - Allow deleting a fee payer key pair with `yes`.
+ * @returns {Promise<void>}
+ */
+async function keysDelete({ alias, zkapp, yes, force }) {
+  const project = await readProject(zkapp);
+  const key = getKey(project, alias, zkapp);
+  readKeyFile(key);
+
+  const deployAliases = getKeyUsages(project.deployAliasesConfig, key);
+  if (deployAliases.length) {
+    console.log(
+      chalk.red(
+        `  The ${key.name} key pair is used by the ${deployAliases.join(', ')} deploy alias(es) of config.json.` +
+          `\n  Please remove or edit them with "zk config" first.`
+      )
+    );
+    process.exit(1);
+  }
+  if (key.type === 'feepayer') {
+    console.log(
+      chalk.yellow(
+        project.deployAliasesConfig
+          ? `  The ${key.name} key pair may still be used by the deploy aliases of other projects, which can't be checked.`
+          : `  This is not a zkApp project: the ${key.name} key pair may still be used by deploy aliases, which can't be checked.`
+      )
+    );
+    if (yes && !force) {
+      console.log(
+        chalk.red(
+          `  The ${key.name} key pair deletion can't be confirmed with --yes alone.\n  Add --force to delete it without confirmation.`
+        )
+      );
+      process.exit(1);
+    }
+  }
+  if (!yes) {
+    const { confirm } = await enquirer.prompt(
+      prompts.deleteKeyPrompt(key.name, key.path)
+    );
+    if (!confirm) {
+      console.log(chalk.red('\n  Aborted.'));
+      process.exit(1);
+    }
+  }
+
+  await step(
+    `Delete ${key.name} key pair at ${key.path}`,
+    async () => await fs.remove(key.path)
+  );
+  console.log(chalk.green(`\nSuccess! The ${key.name} key pair is deleted.`));
+}
+
+/**
+ * Encrypt the private key of a fee payer stored in plain text, e.g. by a
+ * previous version of the zkApp CLI, with a passphrase.
+ * @param {object} argv - The arguments object provided by yargs.
+ * @param {string} argv.alias - The fee payer alias.
+ * @returns {Promise<void>}
+ */
+async function keysEncrypt({ alias }) {
+  const keyPath = `${Constants.feePayerCacheDir}/${alias}.json`;
+  const keyPair = fs.readJsonSync(keyPath, { throws: false });
+
+  if (!keyPair) {
+    console.log(
+      chalk.red(
+        `  The "${alias}" fee payer was not found in ${Constants.feePayerCacheDir}.`
+      )
+    );
+    process.exit(1);
+  }
+  if (isEncryptedKeyPair(keyPair)) {
+    console.log(
+      chalk.yellow(
+        `  The "${alias}" fee payer private key is already encrypted.`
+      )
+    );
+    return;
+  }
+  if (!keyPair.publicKey || !keyPair.privateKey) {
+    console.log(
+      chalk.red(`  The ${keyPath} key file is not a valid key pair.`)
+    );
+    process.exit(1);
+  }
+
+  const passphrase = await getNewKeyPassphrase(true);
+  if (!passphrase) {
+    console.log(
+      chalk.red('  A passphrase is required to encrypt the private key.')
+    );
+    process.exit(1);
+  }
+  await step(`Encrypt fee payer private key at ${keyPath}`, async () =>
+    writeKeyPair(
+      keyPath,
+      {
+        publicKey: keyPair.publicKey,
+        privateKey: keyPair.privateKey,
+        networkId: keyPair.networkId,
+      },
+      passphrase
+    )
+  );
+
+  const str =
+    `\nSuccess! The "${alias}" fee payer private key is encrypted.` +
+    `\n` +
+    `\nThe passphrase is asked for when signing transactions,` +
+    `\nunless it is set in the ${KEY_PASSPHRASE_ENV} environment variable.`;
+  console.log(chalk.green(str));
+}
+
+/**
+ * Get the project root directory and its `config.json`. The fee payer key
+ * pairs are stored on this computer, so `config.json` is only required to
+ * manage the zkApp key pairs, and is `null` when it is not found otherwise.
+ * @param {boolean} zkapp Whether a zkApp key pair is managed.
+ * @returns {Promise<{projectRoot: string, deployAliasesConfig: object|null}>}
+ */
+async function readProject(zkapp) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const deployAliasesConfig =
+    zkapp || fs.existsSync(`${projectRoot}/config.json`)
+      ? readDeployAliasesConfig(projectRoot)
+      : null;
+  return { projectRoot, deployAliasesConfig };
+}
+
+/**
+ * Describe a key pair: fee payer key pairs are stored in the fee payer cache
+ * directory, and zkApp key pairs in the `keys` directory of the project.
+ * @param {{projectRoot: string}} project The project.
+ * @param {string}  alias The key pair alias.
+ * @param {boolean} zkapp Whether it is a zkApp key pair.
+ * @returns {{type: 'feepayer'|'zkapp', alias: string, name: string, path: string, keyPath?: string}}
+ */
+function getKey({ projectRoot }, alias, zkapp) {
+  if (zkapp) {
+    return {
+      type: 'zkapp',
+      alias,
+      name: `"${alias}" zkApp`,
+      path: `${projectRoot}/keys/${alias}.json`,
+      keyPath: `keys/${alias}.json`,
+    };
+  }
+  return {
+    type: 'feepayer',
+    alias,
+    name: `"${alias}" fee payer`,
+    path: `${Constants.feePayerCacheDir}/${alias}.json`,
+  };
+}
+
+// Describes a key pair to create, or exits if its key file already exists.
+function getNewKey(project, alias, zkapp) {
+  const key = getKey(project, sanitizeAliasName(alias), zkapp);
+  if (fs.existsSync(key.path)) {
+    console.log(
+      chalk.red(
+        `  The ${key.path} key file already exists.\n  Please choose another alias.`
+      )
+    );
+    process.exit(1);
+  }
+  return key;
+}
+
+function readKeyFile(key) {
+  const keyFile = fs.readJsonSync(key.path, { throws: false });
+  if (!keyFile) {
+    console.log(
+      chalk.red(`  The ${key.name} key pair was not found at ${key.path}.`)
+    );
+    process.exit(1);
+  }
+  return keyFile;
+}
+
+/**
+ * Get the names of the deploy aliases using a key pair.
+ * @param {object|null} deployAliasesConfig The config.json content.
+ * @param {object}      key                 The key pair, as described by `getKey()`.
+ * @returns {Array<string>} The deploy alias names.
+ */
+function getKeyUsages(deployAliasesConfig, key) {
+  return Object.entries(deployAliasesConfig?.deployAliases ?? {})
+    .filter(([, deployAlias]) =>
+      key.type === 'zkapp'
+        ? getDeployAliasKeyPaths(deployAlias).includes(key.keyPath)
+        : deployAlias.feepayerKeyPath === key.path
+    )
+    .map(([name]) => name);
+}
+
+function listKeyAliases(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => fileName.slice(0, -5))
+    .sort();
+}
+
+// The zkApp private keys are read by the deploy commands without a passphrase.
+async function getKeyPassphrase(key, encrypt, isInteractive) {
+  if (key.type === 'zkapp' || !encrypt) {
+    return undefined;
+  }
+  return await getNewKeyPassphrase(isInteractive);
+}
+
+function printSavedKeyPairSuccessMessage(key, { publicKey }, action) {
+  console.log(
+    chalk.green(
+      `\nSuccess! The ${key.name} key pair is ${action}.\n\nPublic key: ${publicKey}`
+    )
+  );
+  printJson({ type: key.type, alias: key.alias, publicKey, path: key.path });
+}
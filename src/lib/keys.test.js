@@ -0,0 +1,689 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    bold: jest.fn((text) => text),
+    gray: jest.fn((text) => `gray: ${text}`),
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    reset: jest.fn((text) => text),
+    yellow: jest.fn((text) => `yellow: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('enquirer', () => ({
+  default: {
+    prompt: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    existsSync: jest.fn(),
+    readdirSync: jest.fn(),
+    readJsonSync: jest.fn(),
+    remove: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('node:fs', () => ({
+  default: {
+    readFileSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('o1js', () => ({
+  PrivateKey: {
+    fromBase58: jest.fn(),
+  },
+  PublicKey: {
+    toBase58: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('table', () => ({
+  getBorderCharacters: jest.fn(() => 'border-characters'),
+  table: jest.fn(() => 'table'),
+}));
+
+jest.unstable_mockModule('ora', () => ({
+  default: () => ({
+    start: jest.fn().mockReturnThis(),
+    succeed: jest.fn(),
+    fail: jest.fn(),
+  }),
+}));
+
+jest.unstable_mockModule('./config.js', () => ({
+  createKeyPair: jest.fn(() => ({
+    publicKey: 'publicKey',
+    privateKey: 'privateKey',
+  })),
+  getDeployAliasKeyPaths: jest.fn(({ keyPath, deployPlan }) =>
+    [keyPath, ...(deployPlan ?? []).map((entry) => entry.keyPath)].filter(
+      Boolean
+    )
+  ),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+jest.unstable_mockModule('./keystore.js', () => ({
+  KEY_PASSPHRASE_ENV: 'ZK_KEY_PASSPHRASE',
+  formatEncryptedLabel: (passphrase) => (passphrase ? ' (encrypted)' : ''),
+  getNewKeyPassphrase: jest.fn(),
+  isEncryptedKeyPair: jest.fn((keyPair) => Boolean(keyPair?.crypto)),
+  unlockKeyPair: jest.fn(async (keyPair) => keyPair),
+  writeKeyPair: jest.fn(),
+}));
+
+let fs,
+  nodeFs,
+  enquirer,
+  findPrefix,
+  PrivateKey,
+  PublicKey,
+  table,
+  Constants,
+  createKeyPair,
+  printJson,
+  keystore;
+
+const deployAliasesConfig = {
+  deployAliases: {
+    devnet: {
+      keyPath: 'keys/devnet.json',
+      feepayerKeyPath: '',
+      feepayerAlias: 'ci',
+    },
+    plan: {
+      deployPlan: [{ keyPath: 'keys/token.json' }],
+      feepayerKeyPath: '',
+    },
+  },
+};
+
+beforeAll(async () => {
+  fs = (await import('fs-extra')).default;
+  nodeFs = (await import('node:fs')).default;
+  enquirer = (await import('enquirer')).default;
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ PrivateKey, PublicKey } = await import('o1js'));
+  table = (await import('table')).table;
+  Constants = (await import('./constants.js')).default;
+  createKeyPair = (await import('./config.js')).createKeyPair;
+  printJson = (await import('./json-output.js')).printJson;
+  keystore = await import('./keystore.js');
+  deployAliasesConfig.deployAliases.devnet.feepayerKeyPath = `${Constants.feePayerCacheDir}/ci.json`;
+  deployAliasesConfig.deployAliases.plan.feepayerKeyPath = `${Constants.feePayerCacheDir}/ci.json`;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  nodeFs.readFileSync.mockReturnValue(JSON.stringify(deployAliasesConfig));
+  fs.existsSync.mockReturnValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('keys.js', () => {
+  describe('keysList()', () => {
+    it('should list the fee payer and zkApp key pairs of the project', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockImplementation((directory) =>
+        directory === Constants.feePayerCacheDir
+          ? ['unused.json', 'ci.json', 'notes.txt']
+          : ['devnet.json', 'token.json']
+      );
+      fs.readJsonSync.mockImplementation((keyPath) =>
+        keyPath.endsWith('/unused.json')
+          ? null
+          : {
+              publicKey: `publicKey-${keyPath.split('/').pop()}`,
+              ...(keyPath.endsWith('/ci.json') ? { crypto: {} } : {}),
+            }
+      );
+      const { keysList } = await import('./keys.js');
+
+      await keysList();
+
+      expect(printJson).toHaveBeenCalledWith({
+        keys: [
+          {
+            type: 'feepayer',
+            alias: 'ci',
+            publicKey: 'publicKey-ci.json',
+            encrypted: true,
+            path: `${Constants.feePayerCacheDir}/ci.json`,
+            deployAliases: ['devnet', 'plan'],
+          },
+          {
+            type: 'feepayer',
+            alias: 'unused',
+            publicKey: null,
+            encrypted: false,
+            path: `${Constants.feePayerCacheDir}/unused.json`,
+            deployAliases: [],
+          },
+          {
+            type: 'zkapp',
+            alias: 'devnet',
+            publicKey: 'publicKey-devnet.json',
+            encrypted: false,
+            path: '/project/root/keys/devnet.json',
+            deployAliases: ['devnet'],
+          },
+          {
+            type: 'zkapp',
+            alias: 'token',
+            publicKey: 'publicKey-token.json',
+            encrypted: false,
+            path: '/project/root/keys/token.json',
+            deployAliases: ['plan'],
+          },
+        ],
+      });
+      expect(table.mock.calls[0][0]).toEqual([
+        ['Type', 'Alias', 'Public key', 'Deploy aliases'],
+        [
+          'Fee payer',
+          'ci' + 'gray:  (encrypted)',
+          'publicKey-ci.json',
+          'devnet\nplan',
+        ],
+        ['Fee payer', 'unused', 'gray: (invalid key file)', ''],
+        ['zkApp', 'devnet', 'publicKey-devnet.json', 'devnet'],
+        ['zkApp', 'token', 'publicKey-token.json', 'plan'],
+      ]);
+    });
+
+    it('should only list the fee payer key pairs outside of a project', async () => {
+      const { keysList } = await import('./keys.js');
+
+      await keysList();
+
+      expect(nodeFs.readFileSync).not.toHaveBeenCalled();
+      expect(table.mock.calls[0][0][1]).toEqual([
+        'gray: None found',
+        '',
+        '',
+        '',
+      ]);
+      expect(console.log).toHaveBeenCalledWith(
+        'gray:   Run this command in a zkApp project directory to list its zkApp key pairs.'
+      );
+      expect(printJson).toHaveBeenCalledWith({ keys: [] });
+    });
+  });
+
+  describe('keysShow()', () => {
+    it('should print the public key of a fee payer', async () => {
+      fs.readJsonSync.mockReturnValue({
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+      const { keysShow } = await import('./keys.js');
+
+      await keysShow({ alias: 'ci', zkapp: false });
+
+      expect(fs.readJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { throws: false }
+      );
+      expect(console.log).toHaveBeenCalledWith('publicKey');
+      expect(console.log).not.toHaveBeenCalledWith(
+        expect.stringContaining('privateKey')
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        type: 'feepayer',
+        alias: 'ci',
+        publicKey: 'publicKey',
+        encrypted: false,
+        path: `${Constants.feePayerCacheDir}/ci.json`,
+      });
+    });
+
+    it('should print the public key of a zkApp key pair', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysShow } = await import('./keys.js');
+
+      await keysShow({ alias: 'devnet', zkapp: true });
+
+      expect(fs.readJsonSync).toHaveBeenCalledWith(
+        '/project/root/keys/devnet.json',
+        { throws: false }
+      );
+      expect(console.log).toHaveBeenCalledWith('publicKey');
+    });
+
+    it('should exit if the key pair is not found', async () => {
+      fs.readJsonSync.mockReturnValue(null);
+      const { keysShow } = await import('./keys.js');
+
+      await expect(keysShow({ alias: 'ci', zkapp: false })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The "ci" fee payer key pair was not found at ${Constants.feePayerCacheDir}/ci.json.`
+      );
+    });
+  });
+
+  describe('keysImport()', () => {
+    beforeEach(() => {
+      PrivateKey.fromBase58.mockReturnValue({
+        toPublicKey: () => 'publicKeyObject',
+      });
+      PublicKey.toBase58.mockReturnValue('publicKey');
+    });
+
+    afterEach(() => {
+      delete process.env.TEST_PRIVATE_KEY;
+    });
+
+    it('should import the fee payer private key from the environment variable', async () => {
+      process.env.TEST_PRIVATE_KEY = ' privateKey ';
+      keystore.getNewKeyPassphrase.mockResolvedValue('passphrase');
+      const { keysImport } = await import('./keys.js');
+
+      await keysImport({
+        alias: 'CI Payer',
+        zkapp: false,
+        keyEnv: 'TEST_PRIVATE_KEY',
+        encrypt: true,
+      });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(keystore.getNewKeyPassphrase).toHaveBeenCalledWith(false);
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci-payer.json`,
+        { privateKey: 'privateKey', publicKey: 'publicKey' },
+        'passphrase'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "ci-payer" fee payer key pair is imported.\n\nPublic key: publicKey'
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        type: 'feepayer',
+        alias: 'ci-payer',
+        publicKey: 'publicKey',
+        path: `${Constants.feePayerCacheDir}/ci-payer.json`,
+      });
+    });
+
+    it('should import the prompted zkApp private key without a passphrase', async () => {
+      enquirer.prompt.mockResolvedValue({ privateKey: 'privateKey' });
+      const { keysImport } = await import('./keys.js');
+
+      await keysImport({ alias: 'token', zkapp: true, encrypt: true });
+
+      expect(enquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(keystore.getNewKeyPassphrase).not.toHaveBeenCalled();
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        '/project/root/keys/token.json',
+        { privateKey: 'privateKey', publicKey: 'publicKey' },
+        undefined
+      );
+    });
+
+    it('should not encrypt the fee payer private key with --no-encrypt', async () => {
+      enquirer.prompt.mockResolvedValue({ privateKey: 'privateKey' });
+      const { keysImport } = await import('./keys.js');
+
+      await keysImport({ alias: 'ci', zkapp: false, encrypt: false });
+
+      expect(keystore.getNewKeyPassphrase).not.toHaveBeenCalled();
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { privateKey: 'privateKey', publicKey: 'publicKey' },
+        undefined
+      );
+    });
+
+    it('should exit if the private key prompt is cancelled', async () => {
+      enquirer.prompt.mockResolvedValue({});
+      const { keysImport } = await import('./keys.js');
+
+      await expect(
+        keysImport({ alias: 'ci', zkapp: false, encrypt: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(keystore.writeKeyPair).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the environment variable is not set', async () => {
+      const { keysImport } = await import('./keys.js');
+
+      await expect(
+        keysImport({
+          alias: 'ci',
+          zkapp: false,
+          keyEnv: 'TEST_PRIVATE_KEY',
+          encrypt: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The TEST_PRIVATE_KEY environment variable is not set.'
+      );
+    });
+
+    it('should exit if the private key is invalid', async () => {
+      process.env.TEST_PRIVATE_KEY = 'invalid';
+      PrivateKey.fromBase58.mockImplementation(() => {
+        throw new Error('Invalid private key');
+      });
+      const { keysImport } = await import('./keys.js');
+
+      await expect(
+        keysImport({
+          alias: 'ci',
+          zkapp: false,
+          keyEnv: 'TEST_PRIVATE_KEY',
+          encrypt: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Enter a valid private key.'
+      );
+    });
+
+    it('should exit if the key file already exists', async () => {
+      fs.existsSync.mockImplementation(
+        (filePath) => filePath === `${Constants.feePayerCacheDir}/ci.json`
+      );
+      const { keysImport } = await import('./keys.js');
+
+      await expect(
+        keysImport({ alias: 'ci', zkapp: false, encrypt: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The ${Constants.feePayerCacheDir}/ci.json key file already exists.\n  Please choose another alias.`
+      );
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('keysExport()', () => {
+    it('should print the unlocked key pair', async () => {
+      fs.readJsonSync.mockReturnValue({
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+      const { keysExport } = await import('./keys.js');
+
+      await keysExport({ alias: 'ci', zkapp: false });
+
+      expect(keystore.unlockKeyPair).toHaveBeenCalledWith(
+        { publicKey: 'publicKey', privateKey: 'privateKey' },
+        '"ci" fee payer'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   Anyone with the "ci" fee payer private key controls its account. Keep it secret.'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        JSON.stringify(
+          { publicKey: 'publicKey', privateKey: 'privateKey' },
+          null,
+          2
+        )
+      );
+      expect(printJson).toHaveBeenCalledWith({
+        type: 'feepayer',
+        alias: 'ci',
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+    });
+  });
+
+  describe('keysGenerate()', () => {
+    it('should generate an encrypted fee payer key pair', async () => {
+      keystore.getNewKeyPassphrase.mockResolvedValue('passphrase');
+      const { keysGenerate } = await import('./keys.js');
+
+      await keysGenerate({ alias: 'ci', zkapp: false, encrypt: true });
+
+      expect(keystore.getNewKeyPassphrase).toHaveBeenCalledWith(true);
+      expect(createKeyPair).toHaveBeenCalled();
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { publicKey: 'publicKey', privateKey: 'privateKey' },
+        'passphrase'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "ci" fee payer key pair is created.\n\nPublic key: publicKey'
+      );
+    });
+
+    it('should generate a zkApp key pair in the project', async () => {
+      const { keysGenerate } = await import('./keys.js');
+
+      await keysGenerate({ alias: 'token', zkapp: true, encrypt: true });
+
+      expect(keystore.getNewKeyPassphrase).not.toHaveBeenCalled();
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        '/project/root/keys/token.json',
+        { publicKey: 'publicKey', privateKey: 'privateKey' },
+        undefined
+      );
+    });
+  });
+
+  describe('keysDelete()', () => {
+    it('should delete the key pair after the confirmation', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      enquirer.prompt.mockResolvedValue({ confirm: true });
+      const { keysDelete } = await import('./keys.js');
+
+      await keysDelete({ alias: 'unused', zkapp: false });
+
+      expect(enquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(fs.remove).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/unused.json`
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        'green: \nSuccess! The "unused" fee payer key pair is deleted.'
+      );
+    });
+
+    it('should delete the key pair without confirmation with --yes', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysDelete } = await import('./keys.js');
+
+      await keysDelete({ alias: 'ci', zkapp: false, yes: true, force: true });
+
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+      expect(fs.remove).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`
+      );
+    });
+
+    it('should warn that the fee payer usages by other projects are not checked', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      enquirer.prompt.mockResolvedValue({ confirm: true });
+      const { keysDelete } = await import('./keys.js');
+
+      await keysDelete({ alias: 'unused', zkapp: false });
+
+      expect(console.log).toHaveBeenCalledWith(
+        `yellow:   The "unused" fee payer key pair may still be used by the deploy aliases of other projects, which can't be checked.`
+      );
+    });
+
+    it('should warn that the fee payer usages are not checked outside of a project', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      enquirer.prompt.mockResolvedValue({ confirm: true });
+      const { keysDelete } = await import('./keys.js');
+
+      await keysDelete({ alias: 'ci', zkapp: false });
+
+      expect(console.log).toHaveBeenCalledWith(
+        `yellow:   This is not a zkApp project: the "ci" fee payer key pair may still be used by deploy aliases, which can't be checked.`
+      );
+      expect(fs.remove).toHaveBeenCalled();
+    });
+
+    it('should exit if a fee payer key pair is deleted with --yes but without --force', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysDelete } = await import('./keys.js');
+
+      await expect(
+        keysDelete({ alias: 'ci', zkapp: false, yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The "ci" fee payer key pair deletion can't be confirmed with --yes alone.\n  Add --force to delete it without confirmation.`
+      );
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the deletion is not confirmed', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      enquirer.prompt.mockResolvedValue({ confirm: false });
+      const { keysDelete } = await import('./keys.js');
+
+      await expect(keysDelete({ alias: 'ci', zkapp: false })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith('red: \n  Aborted.');
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+
+    it('should exit if a deploy alias still uses the key pair', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysDelete } = await import('./keys.js');
+
+      await expect(
+        keysDelete({ alias: 'ci', zkapp: false, yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "ci" fee payer key pair is used by the devnet, plan deploy alias(es) of config.json.\n  Please remove or edit them with "zk config" first.'
+      );
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+
+    it('should exit if a deploy plan still uses the zkApp key pair', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysDelete } = await import('./keys.js');
+
+      await expect(
+        keysDelete({ alias: 'token', zkapp: true, yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('used by the plan deploy alias(es)')
+      );
+      expect(fs.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('keysEncrypt()', () => {
+    it('should encrypt the plain text fee payer private key', async () => {
+      fs.readJsonSync.mockReturnValue({
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+      keystore.getNewKeyPassphrase.mockResolvedValue('passphrase');
+      const { keysEncrypt } = await import('./keys.js');
+
+      await keysEncrypt({ alias: 'ci' });
+
+      expect(fs.readJsonSync).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { throws: false }
+      );
+      expect(keystore.getNewKeyPassphrase).toHaveBeenCalledWith(true);
+      expect(keystore.writeKeyPair).toHaveBeenCalledWith(
+        `${Constants.feePayerCacheDir}/ci.json`,
+        { publicKey: 'publicKey', privateKey: 'privateKey' },
+        'passphrase'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Success! The "ci" fee payer private key is encrypted.'
+        )
+      );
+    });
+
+    it('should exit if the fee payer is not found', async () => {
+      fs.readJsonSync.mockReturnValue(null);
+      const { keysEncrypt } = await import('./keys.js');
+
+      await expect(keysEncrypt({ alias: 'ci' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The "ci" fee payer was not found in ${Constants.feePayerCacheDir}.`
+      );
+    });
+
+    it('should not encrypt the private key twice', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey', crypto: {} });
+      const { keysEncrypt } = await import('./keys.js');
+
+      await keysEncrypt({ alias: 'ci' });
+
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   The "ci" fee payer private key is already encrypted.'
+      );
+      expect(keystore.writeKeyPair).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the key file is not a key pair', async () => {
+      fs.readJsonSync.mockReturnValue({ publicKey: 'publicKey' });
+      const { keysEncrypt } = await import('./keys.js');
+
+      await expect(keysEncrypt({ alias: 'ci' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The ${Constants.feePayerCacheDir}/ci.json key file is not a valid key pair.`
+      );
+    });
+
+    it('should exit if no passphrase is set', async () => {
+      fs.readJsonSync.mockReturnValue({
+        publicKey: 'publicKey',
+        privateKey: 'privateKey',
+      });
+      keystore.getNewKeyPassphrase.mockResolvedValue(undefined);
+      const { keysEncrypt } = await import('./keys.js');
+
+      await expect(keysEncrypt({ alias: 'ci' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   A passphrase is required to encrypt the private key.'
+      );
+      expect(keystore.writeKeyPair).not.toHaveBeenCalled();
+    });
+  });
+});
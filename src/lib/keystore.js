@@ -0,0 +1,169 @@
+import chalk from 'chalk';
+import enquirer from 'enquirer';
+import fs from 'fs-extra';
+import crypto from 'node:crypto';
+import { prompts } from './prompts.js';
+
+// Module external API
+export {
+  KEY_PASSPHRASE_ENV,
+  formatEncryptedLabel,
+  getNewKeyPassphrase,
+  isEncryptedKeyPair,
+  unlockKeyPair,
+  writeKeyPair,
+};
+
+// Module internal API (exported for testing purposes)
+export { decryptKeyPair, encryptKeyPair };
+
+const KEY_PASSPHRASE_ENV = 'ZK_KEY_PASSPHRASE';
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+// 2^15 iterations keep the key derivation under a second on most computers.
+const SCRYPT_PARAMS = { n: 2 ** 15, r: 8, p: 1, keyLength: 32 };
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+/**
+ * Encrypt the private key of a key pair with a passphrase. The key is derived
+ * with scrypt and the private key is encrypted with AES-GCM, authenticating
+ * the public key, which is kept in plain text to be read without the passphrase.
+ * So is the network id the key pair was generated for, if any.
+ * @param {{publicKey: string, privateKey: string, networkId?: string}} keyPair The key pair.
+ * @param {string} passphrase The passphrase.
+ * @returns {object} The encrypted key pair.
+ */
+function encryptKeyPair({ publicKey, privateKey, networkId }, passphrase) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const kdfParams = { ...SCRYPT_PARAMS, salt: salt.toString('hex') };
+  const cipher = crypto.createCipheriv(
+    CIPHER,
+    deriveKey(passphrase, kdfParams),
+    iv
+  );
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([
+    cipher.update(privateKey, 'utf8'),
+    cipher.final(),
+  ]);
+
+  return {
+    publicKey,
+    ...(networkId ? { networkId } : {}),
+    crypto: {
+      cipher: CIPHER,
+      ciphertext: ciphertext.toString('hex'),
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      kdf: 'scrypt',
+      kdfParams,
+    },
+    version: KEYSTORE_VERSION,
+  };
+}
+
+/**
+ * Decrypt a key pair encrypted by `encryptKeyPair()`.
+ * @param {object} encryptedKeyPair The encrypted key pair.
+ * @param {string} passphrase       The passphrase.
+ * @returns {{publicKey: string, privateKey: string}} The key pair.
+ * @throws {Error} If the passphrase is wrong or the key pair was altered.
+ */
+function decryptKeyPair({ publicKey, crypto: params }, passphrase) {
+  const decipher = crypto.createDecipheriv(
+    params.cipher,
+    deriveKey(passphrase, params.kdfParams),
+    Buffer.from(params.iv, 'hex')
+  );
+  decipher.setAAD(Buffer.from(publicKey));
+  decipher.setAuthTag(Buffer.from(params.authTag, 'hex'));
+  const privateKey = Buffer.concat([
+    decipher.update(Buffer.from(params.ciphertext, 'hex')),
+    decipher.final(),
+  ]).toString('utf8');
+
+  return { publicKey, privateKey };
+}
+
+function deriveKey(passphrase, { n, r, p, keyLength, salt }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), keyLength, {
+    N: n,
+    r,
+    p,
+    maxmem: SCRYPT_MAX_MEMORY,
+  });
+}
+
+function isEncryptedKeyPair(keyPair) {
+  return Boolean(keyPair?.crypto);
+}
+
+/**
+ * Get the plain key pair of a key file, asking for its passphrase if it is
+ * encrypted, unless the `ZK_KEY_PASSPHRASE` environment variable is set.
+ * @param {object} keyPair The key file content.
+ * @param {string} keyName The key name shown to the user, e.g. the fee payer alias.
+ * @returns {Promise<{publicKey: string, privateKey: string}>} The key pair.
+ */
+async function unlockKeyPair(keyPair, keyName) {
+  if (!isEncryptedKeyPair(keyPair)) {
+    return keyPair;
+  }
+  const passphrase =
+    process.env[KEY_PASSPHRASE_ENV] ??
+    (await enquirer.prompt(prompts.unlockKeyPassphrasePrompt(keyName)))
+      .passphrase;
+
+  try {
+    return decryptKeyPair(keyPair, passphrase ?? '');
+  } catch (error) {
+    console.log(
+      chalk.red(
+        `  Failed to decrypt the ${keyName} private key.\n  Please make sure the passphrase is correct.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the passphrase to encrypt a new private key with: the `ZK_KEY_PASSPHRASE`
+ * environment variable, or the prompted one in interactive mode. No passphrase
+ * means that the private key is stored in plain text.
+ * @param {boolean} isInteractive Whether the passphrase can be prompted.
+ * @returns {Promise<string|undefined>} The passphrase.
+ */
+async function getNewKeyPassphrase(isInteractive) {
+  if (process.env[KEY_PASSPHRASE_ENV]) {
+    return process.env[KEY_PASSPHRASE_ENV];
+  }
+  if (!isInteractive) {
+    return undefined;
+  }
+  const { passphrase } = await enquirer.prompt(prompts.newKeyPassphrasePrompts);
+  return passphrase || undefined;
+}
+
+/**
+ * Write a key pair file, encrypted if a passphrase is provided.
+ * @param {string} filePath The key file path.
+ * @param {{publicKey: string, privateKey: string}} keyPair The key pair.
+ * @param {string} [passphrase] The passphrase to encrypt the private key with.
+ */
+function writeKeyPair(filePath, keyPair, passphrase) {
+  fs.outputJsonSync(
+    filePath,
+    passphrase ? encryptKeyPair(keyPair, passphrase) : keyPair,
+    { spaces: 2 }
+  );
+}
+
+/**
+ * Get the label appended to the key pair creation steps.
+ * @param {string} [passphrase] The passphrase the private key is encrypted with, if any.
+ * @returns {string} " (encrypted)" if the private key is encrypted, or else an empty string.
+ */
+function formatEncryptedLabel(passphrase) {
+  return passphrase ? ' (encrypted)' : '';
+}
@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    reset: jest.fn((text) => text),
+  },
+}));
+
+jest.unstable_mockModule('enquirer', () => ({
+  default: {
+    prompt: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    outputJsonSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('./prompts.js', () => ({
+  prompts: {
+    newKeyPassphrasePrompts: [{ type: 'password', name: 'passphrase' }],
+    unlockKeyPassphrasePrompt: jest.fn(() => [
+      { type: 'password', name: 'passphrase' },
+    ]),
+  },
+}));
+
+let enquirer, fs;
+
+const keyPair = {
+  publicKey: 'B62qPublicKey',
+  privateKey: 'EKPrivateKey',
+};
+
+beforeAll(async () => {
+  enquirer = (await import('enquirer')).default;
+  fs = (await import('fs-extra')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.ZK_KEY_PASSPHRASE;
+  global.console = {
+    log: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+});
+
+afterEach(() => {
+  delete process.env.ZK_KEY_PASSPHRASE;
+  jest.restoreAllMocks();
+});
+
+describe('keystore.js', () => {
+  describe('encryptKeyPair()', () => {
+    it('should encrypt the private key and keep the public key readable', async () => {
+      const { encryptKeyPair, decryptKeyPair } = await import('./keystore.js');
+
+      const encryptedKeyPair = encryptKeyPair(keyPair, 'passphrase');
+
+      expect(encryptedKeyPair).toEqual({
+        publicKey: 'B62qPublicKey',
+        crypto: {
+          cipher: 'aes-256-gcm',
+          ciphertext: expect.any(String),
+          iv: expect.any(String),
+          authTag: expect.any(String),
+          kdf: 'scrypt',
+          kdfParams: {
+            n: 32768,
+            r: 8,
+            p: 1,
+            keyLength: 32,
+            salt: expect.any(String),
+          },
+        },
+        version: 1,
+      });
+      expect(JSON.stringify(encryptedKeyPair)).not.toContain('EKPrivateKey');
+      expect(decryptKeyPair(encryptedKeyPair, 'passphrase')).toEqual(keyPair);
+    });
+
+    it('should keep the network id of the key pair readable', async () => {
+      const { encryptKeyPair } = await import('./keystore.js');
+
+      const encryptedKeyPair = encryptKeyPair(
+        { ...keyPair, networkId: 'testnet' },
+        'passphrase'
+      );
+
+      expect(encryptedKeyPair.networkId).toBe('testnet');
+    });
+  });
+
+  describe('decryptKeyPair()', () => {
+    it('should throw if the passphrase is wrong', async () => {
+      const { encryptKeyPair, decryptKeyPair } = await import('./keystore.js');
+      const encryptedKeyPair = encryptKeyPair(keyPair, 'passphrase');
+
+      expect(() => decryptKeyPair(encryptedKeyPair, 'wrong')).toThrow();
+    });
+
+    it('should throw if the public key was altered', async () => {
+      const { encryptKeyPair, decryptKeyPair } = await import('./keystore.js');
+      const encryptedKeyPair = encryptKeyPair(keyPair, 'passphrase');
+
+      expect(() =>
+        decryptKeyPair(
+          { ...encryptedKeyPair, publicKey: 'B62qOther' },
+          'passphrase'
+        )
+      ).toThrow();
+    });
+  });
+
+  describe('isEncryptedKeyPair()', () => {
+    it('should detect the encrypted key pairs', async () => {
+      const { encryptKeyPair, isEncryptedKeyPair } = await import(
+        './keystore.js'
+      );
+
+      expect(isEncryptedKeyPair(encryptKeyPair(keyPair, 'passphrase'))).toBe(
+        true
+      );
+      expect(isEncryptedKeyPair(keyPair)).toBe(false);
+      expect(isEncryptedKeyPair(null)).toBe(false);
+    });
+  });
+
+  describe('unlockKeyPair()', () => {
+    it('should return the plain text key pairs as is', async () => {
+      const { unlockKeyPair } = await import('./keystore.js');
+
+      expect(await unlockKeyPair(keyPair, '"ci" fee payer')).toBe(keyPair);
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should unlock the key pair with the passphrase environment variable', async () => {
+      process.env.ZK_KEY_PASSPHRASE = 'passphrase';
+      const { encryptKeyPair, unlockKeyPair } = await import('./keystore.js');
+
+      const result = await unlockKeyPair(
+        encryptKeyPair(keyPair, 'passphrase'),
+        '"ci" fee payer'
+      );
+
+      expect(result).toEqual(keyPair);
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should unlock the key pair with the prompted passphrase', async () => {
+      enquirer.prompt.mockResolvedValue({ passphrase: 'passphrase' });
+      const { encryptKeyPair, unlockKeyPair } = await import('./keystore.js');
+
+      const result = await unlockKeyPair(
+        encryptKeyPair(keyPair, 'passphrase'),
+        '"ci" fee payer'
+      );
+
+      expect(result).toEqual(keyPair);
+      expect(enquirer.prompt).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'password', name: 'passphrase' }),
+      ]);
+    });
+
+    it('should exit if the passphrase is wrong', async () => {
+      enquirer.prompt.mockResolvedValue({});
+      const { encryptKeyPair, unlockKeyPair } = await import('./keystore.js');
+
+      await expect(
+        unlockKeyPair(encryptKeyPair(keyPair, 'passphrase'), '"ci" fee payer')
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to decrypt the "ci" fee payer private key.\n  Please make sure the passphrase is correct.'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('getNewKeyPassphrase()', () => {
+    it('should get the passphrase from the environment variable', async () => {
+      process.env.ZK_KEY_PASSPHRASE = 'passphrase';
+      const { getNewKeyPassphrase } = await import('./keystore.js');
+
+      expect(await getNewKeyPassphrase(true)).toBe('passphrase');
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should not get a passphrase in non-interactive mode', async () => {
+      const { getNewKeyPassphrase } = await import('./keystore.js');
+
+      expect(await getNewKeyPassphrase(false)).toBeUndefined();
+      expect(enquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should prompt for the passphrase in interactive mode', async () => {
+      enquirer.prompt
+        .mockResolvedValueOnce({ passphrase: 'passphrase' })
+        .mockResolvedValueOnce({ passphrase: '' });
+      const { getNewKeyPassphrase } = await import('./keystore.js');
+
+      expect(await getNewKeyPassphrase(true)).toBe('passphrase');
+      expect(await getNewKeyPassphrase(true)).toBeUndefined();
+    });
+  });
+
+  describe('writeKeyPair()', () => {
+    it('should write the plain text key pair without a passphrase', async () => {
+      const { writeKeyPair } = await import('./keystore.js');
+
+      writeKeyPair('/keys/ci.json', keyPair);
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith('/keys/ci.json', keyPair, {
+        spaces: 2,
+      });
+    });
+
+    it('should write the encrypted key pair with a passphrase', async () => {
+      const { writeKeyPair } = await import('./keystore.js');
+
+      writeKeyPair('/keys/ci.json', keyPair, 'passphrase');
+
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/keys/ci.json',
+        expect.objectContaining({
+          publicKey: 'B62qPublicKey',
+          crypto: expect.objectContaining({ kdf: 'scrypt' }),
+        }),
+        { spaces: 2 }
+      );
+    });
+  });
+
+  describe('formatEncryptedLabel()', () => {
+    it('should label the key pairs encrypted with a passphrase', async () => {
+      const { formatEncryptedLabel } = await import('./keystore.js');
+
+      expect(formatEncryptedLabel('passphrase')).toBe(' (encrypted)');
+      expect(formatEncryptedLabel(undefined)).toBe('');
+    });
+  });
+});
@@ -89,6 +89,10 @@ jest.unstable_mockModule('table', () => ({
   ),
 }));
 
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
 jest.unstable_mockModule('./network-helpers.js', () => ({
   checkLocalPortsAvailability: jest.fn(),
 }));
@@ -106,6 +110,7 @@ let fs,
   decompress,
   opener,
   networkHelpers,
+  printJson,
   shell,
   lightnetConfigFile,
   lightnetLogsDir,
@@ -124,6 +129,7 @@ beforeAll(async () => {
   Constants = (await import('./constants.js')).default;
   path = (await import('node:path')).default;
   networkHelpers = await import('./network-helpers.js');
+  printJson = (await import('./json-output.js')).printJson;
   secondsToHms = (await import('./lightnet.js')).secondsToHms;
 
   lightnetConfigFile = path.resolve(Constants.lightnetWorkDir, 'config.json');
@@ -1076,6 +1082,22 @@ describe('lightnet.js', () => {
       await lightnetStatus();
 
       jest.runAllTimers();
+      expect(printJson).toHaveBeenCalledWith({
+        dockerContainer: {
+          name: 'mina-local-lightnet',
+          state: expect.any(String),
+        },
+        urls: {
+          'Mina Daemon GraphQL endpoint':
+            Constants.lightnetMinaDaemonGraphQlEndpoint,
+          'Accounts Manager endpoint': Constants.lightnetAccountManagerEndpoint,
+        },
+        logPathPatterns: [
+          '/root/logs/*.log',
+          '/root/.mina-network/mina-local-network-2-1-1/nodes/**/logs/*.log',
+        ],
+        networkProperties: expect.objectContaining({ syncStatus: 'synced' }),
+      });
       expect(console.log).toHaveBeenCalledWith(
         expect.stringMatching(
           /((.|\n)*)Lightweight Mina blockchain network((.|\n)*)/gi
@@ -1135,6 +1157,53 @@ describe('lightnet.js', () => {
       );
     });
 
+    it('should handle incomplete GraphQL response', async () => {
+      setupShellWhichMocks({ isCommandAvailable: true });
+      setupShellExecMocks({
+        dockerEngine: {
+          isCommandAvailable: true,
+          isUpAndRunning: true,
+        },
+        dockerContainer: {
+          id: 'lightnetContainer1',
+          state: 'running',
+          volume: 'lightnetVolume1',
+        },
+      });
+      setupFsExistsSyncMocks({ mainConfigExists: true });
+      setupFsReadJSONSyncMocks({
+        containerId: '',
+        mode: 'multi-node',
+        archive: false,
+      });
+      jest.spyOn(global, 'fetch').mockImplementation((_endpoint, options) => {
+        if (options?.body?.includes('consensusConfiguration')) {
+          return Promise.resolve({
+            ok: true,
+            json: () =>
+              Promise.resolve({
+                data: { syncStatus: 'SYNCED' },
+              }),
+          });
+        }
+      });
+      const { lightnetStatus } = await import('./lightnet.js');
+
+      await lightnetStatus();
+
+      jest.runAllTimers();
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /((.|\n)*)Lightweight Mina blockchain network((.|\n)*)/gi
+        )
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /((.|\n)*)More information can be found at:((.|\n)*)/gi
+        )
+      );
+    });
+
     it('should warn if not possible to print full lightnet status', async () => {
       setupShellWhichMocks({ isCommandAvailable: true });
       setupShellExecMocks({
@@ -1162,6 +1231,12 @@ describe('lightnet.js', () => {
           /((.|\n)*)Only limited information is available((.|\n)*)/gi
         )
       );
+      expect(printJson).toHaveBeenCalledWith({
+        dockerContainer: {
+          name: expect.any(String),
+          state: expect.any(String),
+        },
+      });
     });
 
     it('should exit if no Lightnet container found', async () => {
@@ -3,24 +3,6 @@
 import dns from 'node:dns';
 import net from 'node:net';
 
-/**
- * Checks the Mina GraphQL endpoint availability.
- * @param {endpoint} The GraphQL endpoint to check.
- * @returns {Promise<boolean>} Whether the endpoint is available.
- */
-export async function isMinaGraphQlEndpointAvailable(endpoint) {
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: '{ syncStatus }' }),
-    });
-    return !!response.ok;
-  } catch (_) {
-    return false;
-  }
-}
-
 /**
  * Checks multiple ports for availability and identifies any that are not.
  * @param {number[]} ports An array of port numbers to check.
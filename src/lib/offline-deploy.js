@@ -0,0 +1,353 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import fs from 'fs-extra';
+import path from 'node:path';
+import {
+  checkChainId,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  formatGraphQlEndpoint,
+  getDeployAliasHeaders,
+  getDeployAliasNetwork,
+  getErrorMessage,
+  getSentTransactionsPath,
+  getTxnUrl,
+  importO1js,
+  readFeepayerPrivateKey,
+  readZkAppPrivateKey,
+  restoreMissingSignatures,
+  sendGraphQLWithFallback,
+} from './deploy.js';
+import { recordDeployment } from './deployments.js';
+import { sendZkapp } from './graphql-client.js';
+import { readDeployAliasesConfig, step } from './helpers.js';
+
+// Module external API
+export { broadcast, sign };
+
+// Module internal API (exported for testing purposes)
+export {
+  checkNetworkId,
+  getSentTransactions,
+  getSignedFilePath,
+  readTransactionsFile,
+};
+
+/**
+ * Sign the transactions exported by `zk deploy --export-unsigned` with the
+ * fee payer and zkApp private keys of the deploy alias they were built for.
+ * No network access is required, so that it can run on an offline machine.
+ * @param {object} argv - The arguments object provided by yargs.
+ * @param {string} argv.file - The unsigned transactions file path.
+ * @returns {Promise<void>}
+ */
+async function sign({ file }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+  const transactionsFile = readTransactionsFile(file);
+
+  if (transactionsFile.signed) {
+    console.log(chalk.red(`  The "${file}" transactions are already signed.`));
+    process.exit(1);
+  }
+
+  const { deployAlias: alias } = transactionsFile;
+  const deployAlias = config.deployAliases[alias];
+  if (!deployAlias) {
+    console.log(
+      chalk.red(
+        `  The "${alias}" deploy alias the transactions were built for was not found in config.json.`
+      )
+    );
+    process.exit(1);
+  }
+  checkNetworkId(transactionsFile, deployAlias, alias);
+
+  const { Mina, PrivateKey, Transaction } = await importO1js(projectRoot);
+  // Only the network id is needed to compute the signatures, no GraphQL endpoint is set.
+  Mina.setActiveInstance(
+    Mina.Network({ networkId: transactionsFile.networkId, mina: [] })
+  );
+
+  const feepayerPrivateKey = PrivateKey.fromBase58(
+    await readFeepayerPrivateKey(deployAlias.feepayerKeyPath)
+  );
+  const feepayerAddressBase58 = feepayerPrivateKey.toPublicKey().toBase58();
+
+  const transactions = [];
+  for (const transaction of transactionsFile.transactions) {
+    const { smartContract, keyPath, zkAppPublicKey, zkappCommand } =
+      transaction;
+    const zkAppPrivateKey = PrivateKey.fromBase58(
+      readZkAppPrivateKey(projectRoot, keyPath)
+    );
+
+    if (zkAppPrivateKey.toPublicKey().toBase58() !== zkAppPublicKey) {
+      console.log(
+        chalk.red(
+          `  The ${smartContract} transaction was built for the "${zkAppPublicKey}" zkApp account, which doesn't match the "${keyPath}" key pair.`
+        )
+      );
+      process.exit(1);
+    }
+    if (zkappCommand.feePayer.body.publicKey !== feepayerAddressBase58) {
+      console.log(
+        chalk.red(
+          `  The ${smartContract} transaction fee payer "${zkappCommand.feePayer.body.publicKey}" doesn't match the "${alias}" deploy alias fee payer.`
+        )
+      );
+      process.exit(1);
+    }
+
+    const signedZkappCommand = await step(
+      `Sign ${smartContract} transaction`,
+      async () => {
+        const tx = restoreMissingSignatures(Transaction.fromJSON(zkappCommand));
+        return JSON.parse(
+          tx.sign([zkAppPrivateKey, feepayerPrivateKey]).toJSON()
+        );
+      }
+    );
+    transactions.push({ ...transaction, zkappCommand: signedZkappCommand });
+  }
+
+  const signedFilePath = getSignedFilePath(file);
+  fs.outputJsonSync(
+    signedFilePath,
+    { ...transactionsFile, signed: true, transactions },
+    { spaces: 2 }
+  );
+
+  const str =
+    `\nSuccess! Transactions signed for the "${transactionsFile.networkId}" network.` +
+    `\n` +
+    `\n  The signed transactions were written to:` +
+    `\n  ${signedFilePath}` +
+    `\n` +
+    `\nNext step:` +
+    `\n  Copy the file to an online machine and send it with:` +
+    `\n  zk broadcast ${signedFilePath} ${alias}`;
+
+  console.log(chalk.green(str));
+}
+
+/**
+ * Send the transactions signed by `zk sign` to the network of the deploy alias.
+ * The sent transactions are kept like with `zk deploy`, so that they can be
+ * resent with `zk deploy --resend`.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.file - The signed transactions file path.
+ * @param {string}  argv.alias - The deploy alias to send the transactions to.
+ * @param {boolean} argv.yes - Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean} argv.allowMainnet - Allow `yes` for the mainnet deploy aliases.
+ * @returns {Promise<void>}
+ */
+async function broadcast({ file, alias, yes, allowMainnet }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+  const transactionsFile = readTransactionsFile(file);
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    'Which deploy alias do you want to broadcast to?'
+  );
+
+  if (!transactionsFile.signed) {
+    console.log(
+      chalk.red(
+        `  The "${file}" transactions are not signed.\n  Run \`zk sign ${file}\` on the machine holding the private keys first.`
+      )
+    );
+    process.exit(1);
+  }
+  checkNetworkId(transactionsFile, config.deployAliases[alias], alias);
+
+  const { networkId, graphQlUrls } = getDeployAliasNetwork(
+    config.deployAliases[alias]
+  );
+  const isMainnet = await checkMainnetGuardRails({
+    alias,
+    deployAlias: config.deployAliases[alias],
+    yes,
+    allowMainnet,
+  });
+  const headers = getDeployAliasHeaders(config.deployAliases[alias]);
+  let graphQlUrl = await chooseGraphQlEndpoint(graphQlUrls, headers);
+  await checkChainId(alias, config.deployAliases[alias], graphQlUrl);
+
+  const { transactions } = transactionsFile;
+  const [{ zkappCommand }] = transactions;
+  const settings = [
+    [chalk.bold('Deploy alias'), chalk.reset(alias)],
+    [chalk.bold('Network kind'), chalk.reset(networkId)],
+    [chalk.bold('URL'), formatGraphQlEndpoint(graphQlUrls, graphQlUrl)],
+    [
+      chalk.bold('Fee payer'),
+      chalk.reset(`Account       : ${zkappCommand.feePayer.body.publicKey}`),
+    ],
+    [
+      chalk.bold('zkApp'),
+      chalk.reset(
+        transactions
+          .map(
+            ({ smartContract, zkAppPublicKey }) =>
+              `Smart contract: ${smartContract}\nAccount       : ${zkAppPublicKey}`
+          )
+          .join('\n')
+      ),
+    ],
+    [
+      chalk.bold('Transaction fee'),
+      chalk.reset(
+        `${Number(zkappCommand.feePayer.body.fee) / 1e9} Mina` +
+          (transactions.length > 1
+            ? ` (per transaction, ${transactions.length} total)`
+            : '')
+      ),
+    ],
+  ];
+
+  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
+  if (!(await confirmTransaction(settings, yes, isMainnet ? alias : undefined)))
+    return;
+
+  const txnUrls = [];
+  const sentTransactions = [];
+  for (const transaction of transactions) {
+    const txn = await step(
+      `Send ${transaction.smartContract} transaction to network`,
+      async () => {
+        const result = await sendGraphQLWithFallback(
+          graphQlUrls.slice(graphQlUrls.indexOf(graphQlUrl)),
+          (graphQlUrl) =>
+            sendZkapp(graphQlUrl, JSON.stringify(transaction.zkappCommand), {
+              headers,
+            }),
+          // The node switched to must be on the network the transaction was checked against.
+          (graphQlUrl) =>
+            checkChainId(alias, config.deployAliases[alias], graphQlUrl)
+        );
+        // The next transactions are sent to the endpoint that could be reached.
+        graphQlUrl = result.graphQlUrl;
+        return result.response;
+      }
+    );
+
+    if (!txn || txn?.kind === 'error') {
+      console.log(chalk.red(getErrorMessage(txn)));
+      process.exit(1);
+    }
+    sentTransactions.push({ ...transaction, txn });
+    // Keep the signed transactions, so that they can be resent with `zk deploy --resend`.
+    fs.outputJsonSync(
+      getSentTransactionsPath(projectRoot, alias),
+      getSentTransactions(transactionsFile, alias, sentTransactions),
+      { spaces: 2 }
+    );
+    recordDeployment(projectRoot, alias, {
+      contractName: transaction.smartContract,
+      verificationKeyHash: transaction.verificationKeyHash,
+      zkAppAddress: transaction.zkAppPublicKey,
+      txnHash: txn.data.sendZkapp.zkapp.hash,
+      cliVersion: transactionsFile.cliVersion,
+    });
+    txnUrls.push(`${transaction.smartContract}: ${getTxnUrl(graphQlUrl, txn)}`);
+  }
+
+  const str =
+    `\nSuccess! Deploy transactions sent.` +
+    `\n` +
+    `\nNext step:` +
+    `\n  Your smart contracts will be live (or updated)` +
+    `\n  as soon as the transactions are included in blocks:` +
+    txnUrls.map((txnUrl) => `\n  ${txnUrl}`).join('');
+
+  console.log(chalk.green(str));
+  process.exit(0);
+}
+
+/**
+ * Read the transactions file written by `zk deploy --export-unsigned` or `zk sign`.
+ * @param {string} file The transactions file path.
+ * @returns {object} The transactions file content.
+ */
+function readTransactionsFile(file) {
+  const transactionsFile = fs.readJsonSync(file, { throws: false });
+  if (
+    !transactionsFile?.networkId ||
+    !Array.isArray(transactionsFile.transactions) ||
+    !transactionsFile.transactions.length
+  ) {
+    console.log(
+      chalk.red(
+        `  Failed to read the "${file}" transactions file.\n  Please make sure it was created by \`zk deploy --export-unsigned\` or \`zk sign\`.`
+      )
+    );
+    process.exit(1);
+  }
+  return transactionsFile;
+}
+
+/**
+ * Exit if the transactions were built for another network than the one of the
+ * deploy alias, e.g. to prevent a testnet payload from being sent to mainnet.
+ * @param {object} transactionsFile The transactions file content.
+ * @param {object} deployAlias      The deploy alias configuration.
+ * @param {string} alias            The deploy alias name.
+ */
+function checkNetworkId(transactionsFile, deployAlias, alias) {
+  const { networkId } = getDeployAliasNetwork(deployAlias);
+  if (transactionsFile.networkId !== networkId) {
+    console.log(
+      chalk.red(
+        `  The transactions were built for the "${transactionsFile.networkId}" network, but the "${alias}" deploy alias targets the "${networkId}" network.\n  Aborted.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the content of the sent transactions file read by `zk deploy --resend`,
+ * in the same format as the one written by `zk deploy`.
+ * @param {object} transactionsFile       The signed transactions file content.
+ * @param {string} alias                  The deploy alias name.
+ * @param {Array<object>} sentTransactions The transactions already sent, with their `sendZkapp` response.
+ * @returns {object} The sent transactions.
+ */
+function getSentTransactions(transactionsFile, alias, sentTransactions) {
+  return {
+    deployAlias: alias,
+    networkId: transactionsFile.networkId,
+    cliVersion: transactionsFile.cliVersion,
+    transactions: sentTransactions.map(
+      ({
+        smartContract,
+        keyPath,
+        zkAppPublicKey,
+        verificationKeyHash,
+        zkappCommand,
+        txn,
+      }) => ({
+        smartContract,
+        keyPath,
+        zkAppPublicKey,
+        verificationKeyHash,
+        nonce: zkappCommand.feePayer.body.nonce,
+        fee: zkappCommand.feePayer.body.fee,
+        txnHash: txn.data.sendZkapp.zkapp.hash,
+        zkappCommand,
+      })
+    ),
+  };
+}
+
+function getSignedFilePath(file) {
+  const { dir, name } = path.parse(file);
+  return path.join(dir, `${name}.signed.json`);
+}
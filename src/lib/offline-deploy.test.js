@@ -0,0 +1,548 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    bold: jest.fn((text) => `bold: ${text}`),
+    reset: jest.fn((text) => `reset: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('fs-extra', () => ({
+  default: {
+    readJsonSync: jest.fn(),
+    outputJsonSync: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('./helpers.js', () => ({
+  readDeployAliasesConfig: jest.fn(),
+  step: jest.fn(async (_, fn) => await fn()),
+}));
+
+jest.unstable_mockModule('./deployments.js', () => ({
+  recordDeployment: jest.fn(),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  checkChainId: jest.fn(),
+  checkMainnetGuardRails: jest.fn(
+    async ({ deployAlias }) => deployAlias?.networkId === 'mainnet'
+  ),
+  chooseDeployAlias: jest.fn(),
+  chooseGraphQlEndpoint: jest.fn(async ([graphQlUrl]) => graphQlUrl),
+  confirmTransaction: jest.fn(),
+  formatGraphQlEndpoint: jest.fn((_, graphQlUrl) => `reset: ${graphQlUrl}`),
+  getDeployAliasHeaders: jest.fn((deployAlias) => deployAlias?.headers ?? {}),
+  getDeployAliasNetwork: jest.fn((deployAlias) => ({
+    networkId: deployAlias?.networkId ?? 'testnet',
+    graphQlUrls: [deployAlias?.url, ...(deployAlias?.fallbackUrls ?? [])],
+  })),
+  getErrorMessage: jest.fn(() => 'Failed to send transaction.'),
+  getSentTransactionsPath: jest.fn(
+    (projectRoot, alias) => `${projectRoot}/build/sent/${alias}.json`
+  ),
+  getTxnUrl: jest.fn(
+    (_, txn) => `https://explorer/${txn.data.sendZkapp.zkapp.hash}`
+  ),
+  importO1js: jest.fn(),
+  readFeepayerPrivateKey: jest.fn(() => 'feepayerKey'),
+  readZkAppPrivateKey: jest.fn((_, keyPath) => `${keyPath}-privateKey`),
+  restoreMissingSignatures: jest.fn((tx) => tx),
+  sendGraphQLWithFallback: jest.fn(async ([graphQlUrl], request) => ({
+    response: await request(graphQlUrl),
+    graphQlUrl,
+  })),
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => {
+  const sendGraphQL = jest.fn();
+  return {
+    sendGraphQL,
+    sendZkapp: (graphQlUrl, zkappCommandJson, options) =>
+      sendGraphQL(graphQlUrl, `mutation: ${zkappCommandJson}`, options),
+  };
+});
+
+let fs,
+  findPrefix,
+  readDeployAliasesConfig,
+  recordDeployment,
+  checkChainId,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  importO1js,
+  sendGraphQL,
+  sendGraphQLWithFallback,
+  o1js;
+
+const unsignedTransactions = {
+  deployAlias: 'mainnet',
+  networkId: 'mainnet',
+  cliVersion: '0.22.5',
+  signed: false,
+  transactions: [
+    {
+      smartContract: 'Add',
+      keyPath: 'keys/mainnet.json',
+      zkAppPublicKey: 'keys/mainnet.json-privateKey-address',
+      verificationKeyHash: 'vkHash',
+      zkappCommand: {
+        feePayer: {
+          body: {
+            publicKey: 'feepayerKey-address',
+            fee: '100000000',
+            nonce: '5',
+          },
+        },
+        accountUpdates: [],
+      },
+    },
+  ],
+};
+
+beforeAll(async () => {
+  fs = (await import('fs-extra')).default;
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ readDeployAliasesConfig } = await import('./helpers.js'));
+  ({ recordDeployment } = await import('./deployments.js'));
+  ({
+    checkChainId,
+    checkMainnetGuardRails,
+    chooseDeployAlias,
+    chooseGraphQlEndpoint,
+    confirmTransaction,
+    importO1js,
+    sendGraphQLWithFallback,
+  } = await import('./deploy.js'));
+  ({ sendGraphQL } = await import('./graphql-client.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  readDeployAliasesConfig.mockReturnValue({
+    deployAliases: {
+      mainnet: {
+        networkId: 'mainnet',
+        url: 'http://mainnet.url',
+        headers: { 'X-Api-Key': 'apiKey' },
+        keyPath: 'keys/mainnet.json',
+        feepayerKeyPath: '/keys/feepayer.json',
+      },
+      devnet: {
+        networkId: 'testnet',
+        url: 'http://devnet.url',
+      },
+    },
+  });
+  chooseDeployAlias.mockImplementation(async (_, alias) => alias);
+  confirmTransaction.mockResolvedValue(true);
+  sendGraphQL.mockResolvedValue({
+    data: { sendZkapp: { zkapp: { hash: 'txnHash' } } },
+  });
+  o1js = {
+    Mina: {
+      Network: jest.fn(() => 'network'),
+      setActiveInstance: jest.fn(),
+    },
+    PrivateKey: {
+      fromBase58: jest.fn((key) => ({
+        toPublicKey: () => ({ toBase58: () => `${key}-address` }),
+      })),
+    },
+    Transaction: {
+      fromJSON: jest.fn(() => ({
+        transaction: { feePayer: {}, accountUpdates: [] },
+        sign: jest.fn(() => ({
+          toJSON: () => JSON.stringify({ signed: 'zkappCommand' }),
+        })),
+      })),
+    },
+  };
+  importO1js.mockResolvedValue(o1js);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('offline-deploy.js', () => {
+  describe('sign()', () => {
+    it('should sign the transactions with the deploy alias keys', async () => {
+      fs.readJsonSync.mockReturnValue(unsignedTransactions);
+      const { sign } = await import('./offline-deploy.js');
+
+      await sign({ file: 'build/unsigned/mainnet.json' });
+
+      expect(o1js.Mina.Network).toHaveBeenCalledWith({
+        networkId: 'mainnet',
+        mina: [],
+      });
+      expect(o1js.Mina.setActiveInstance).toHaveBeenCalledWith('network');
+      const tx = o1js.Transaction.fromJSON.mock.results[0].value;
+      expect(tx.sign).toHaveBeenCalledWith([
+        expect.anything(),
+        expect.anything(),
+      ]);
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        'build/unsigned/mainnet.signed.json',
+        {
+          ...unsignedTransactions,
+          signed: true,
+          transactions: [
+            {
+              ...unsignedTransactions.transactions[0],
+              zkappCommand: { signed: 'zkappCommand' },
+            },
+          ],
+        },
+        { spaces: 2 }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'zk broadcast build/unsigned/mainnet.signed.json mainnet'
+        )
+      );
+    });
+
+    it('should exit if the transactions are already signed', async () => {
+      fs.readJsonSync.mockReturnValue({
+        ...unsignedTransactions,
+        signed: true,
+      });
+      const { sign } = await import('./offline-deploy.js');
+
+      await expect(sign({ file: 'signed.json' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "signed.json" transactions are already signed.'
+      );
+    });
+
+    it('should exit if the deploy alias is not found', async () => {
+      fs.readJsonSync.mockReturnValue({
+        ...unsignedTransactions,
+        deployAlias: 'unknown',
+      });
+      const { sign } = await import('./offline-deploy.js');
+
+      await expect(sign({ file: 'unsigned.json' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "unknown" deploy alias the transactions were built for was not found in config.json.'
+      );
+    });
+
+    it('should exit if the network of the deploy alias changed', async () => {
+      fs.readJsonSync.mockReturnValue({
+        ...unsignedTransactions,
+        deployAlias: 'devnet',
+      });
+      const { sign } = await import('./offline-deploy.js');
+
+      await expect(sign({ file: 'unsigned.json' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The transactions were built for the "mainnet" network, but the "devnet" deploy alias targets the "testnet" network.\n  Aborted.'
+      );
+      expect(o1js.Transaction.fromJSON).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the zkApp key pair does not match', async () => {
+      const [transaction] = unsignedTransactions.transactions;
+      fs.readJsonSync.mockReturnValue({
+        ...unsignedTransactions,
+        transactions: [{ ...transaction, zkAppPublicKey: 'B62qOther' }],
+      });
+      const { sign } = await import('./offline-deploy.js');
+
+      await expect(sign({ file: 'unsigned.json' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The Add transaction was built for the "B62qOther" zkApp account, which doesn't match the "keys/mainnet.json" key pair.`
+      );
+    });
+
+    it('should exit if the fee payer does not match', async () => {
+      const [transaction] = unsignedTransactions.transactions;
+      fs.readJsonSync.mockReturnValue({
+        ...unsignedTransactions,
+        transactions: [
+          {
+            ...transaction,
+            zkappCommand: { feePayer: { body: { publicKey: 'B62qOther' } } },
+          },
+        ],
+      });
+      const { sign } = await import('./offline-deploy.js');
+
+      await expect(sign({ file: 'unsigned.json' })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        `red:   The Add transaction fee payer "B62qOther" doesn't match the "mainnet" deploy alias fee payer.`
+      );
+    });
+  });
+
+  describe('broadcast()', () => {
+    const signedTransactions = { ...unsignedTransactions, signed: true };
+
+    it('should send the signed transactions and record the deployments', async () => {
+      fs.readJsonSync.mockReturnValue(signedTransactions);
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({
+          file: 'signed.json',
+          alias: 'mainnet',
+          yes: true,
+          allowMainnet: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(checkMainnetGuardRails).toHaveBeenCalledWith({
+        alias: 'mainnet',
+        deployAlias: expect.objectContaining({ networkId: 'mainnet' }),
+        yes: true,
+        allowMainnet: true,
+      });
+      expect(checkChainId).toHaveBeenCalledWith(
+        'mainnet',
+        expect.objectContaining({ networkId: 'mainnet' }),
+        'http://mainnet.url'
+      );
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          ['bold: Network kind', 'reset: mainnet'],
+          ['bold: Transaction fee', 'reset: 0.1 Mina'],
+        ]),
+        true,
+        'mainnet'
+      );
+      expect(chooseGraphQlEndpoint).toHaveBeenCalledWith(
+        ['http://mainnet.url'],
+        { 'X-Api-Key': 'apiKey' }
+      );
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'http://mainnet.url',
+        `mutation: ${JSON.stringify(unsignedTransactions.transactions[0].zkappCommand)}`,
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(recordDeployment).toHaveBeenCalledWith(
+        '/project/root',
+        'mainnet',
+        {
+          contractName: 'Add',
+          verificationKeyHash: 'vkHash',
+          zkAppAddress: 'keys/mainnet.json-privateKey-address',
+          txnHash: 'txnHash',
+          cliVersion: '0.22.5',
+        }
+      );
+      expect(fs.outputJsonSync).toHaveBeenCalledWith(
+        '/project/root/build/sent/mainnet.json',
+        {
+          deployAlias: 'mainnet',
+          networkId: 'mainnet',
+          cliVersion: '0.22.5',
+          transactions: [
+            {
+              smartContract: 'Add',
+              keyPath: 'keys/mainnet.json',
+              zkAppPublicKey: 'keys/mainnet.json-privateKey-address',
+              verificationKeyHash: 'vkHash',
+              nonce: '5',
+              fee: '100000000',
+              txnHash: 'txnHash',
+              zkappCommand: unsignedTransactions.transactions[0].zkappCommand,
+            },
+          ],
+        },
+        { spaces: 2 }
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Add: https://explorer/txnHash')
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should send the transactions to the fallback endpoints', async () => {
+      fs.readJsonSync.mockReturnValue(signedTransactions);
+      const config = readDeployAliasesConfig();
+      config.deployAliases.mainnet.fallbackUrls = ['http://fallback.url'];
+      readDeployAliasesConfig.mockReturnValue(config);
+      sendGraphQLWithFallback.mockImplementationOnce(
+        async ([, fallbackUrl], request, checkFallbackEndpoint) => {
+          await checkFallbackEndpoint(fallbackUrl);
+          return {
+            response: await request(fallbackUrl),
+            graphQlUrl: fallbackUrl,
+          };
+        }
+      );
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({
+          file: 'signed.json',
+          alias: 'mainnet',
+          yes: true,
+          allowMainnet: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(sendGraphQLWithFallback).toHaveBeenCalledWith(
+        ['http://mainnet.url', 'http://fallback.url'],
+        expect.any(Function),
+        expect.any(Function)
+      );
+      expect(checkChainId).toHaveBeenLastCalledWith(
+        'mainnet',
+        expect.objectContaining({ networkId: 'mainnet' }),
+        'http://fallback.url'
+      );
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'http://fallback.url',
+        expect.any(String),
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should show the total fee of several transactions', async () => {
+      const [transaction] = signedTransactions.transactions;
+      fs.readJsonSync.mockReturnValue({
+        ...signedTransactions,
+        transactions: [transaction, { ...transaction, smartContract: 'Sub' }],
+      });
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({
+          file: 'signed.json',
+          alias: 'mainnet',
+          yes: true,
+          allowMainnet: true,
+        })
+      ).rejects.toThrow('process.exit');
+
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          [
+            'bold: Transaction fee',
+            'reset: 0.1 Mina (per transaction, 2 total)',
+          ],
+        ]),
+        true,
+        'mainnet'
+      );
+      expect(sendGraphQL).toHaveBeenCalledTimes(2);
+    });
+
+    it('should exit if the transactions are not signed', async () => {
+      fs.readJsonSync.mockReturnValue(unsignedTransactions);
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({ file: 'unsigned.json', alias: 'mainnet', yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The "unsigned.json" transactions are not signed.\n  Run `zk sign unsigned.json` on the machine holding the private keys first.'
+      );
+      expect(sendGraphQL).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to send the transactions to another network', async () => {
+      fs.readJsonSync.mockReturnValue({
+        ...signedTransactions,
+        networkId: 'testnet',
+      });
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({ file: 'signed.json', alias: 'mainnet', yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   The transactions were built for the "testnet" network, but the "mainnet" deploy alias targets the "mainnet" network.\n  Aborted.'
+      );
+      expect(sendGraphQL).not.toHaveBeenCalled();
+    });
+
+    it('should not send the transactions if not confirmed', async () => {
+      fs.readJsonSync.mockReturnValue(signedTransactions);
+      confirmTransaction.mockResolvedValue(false);
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await broadcast({ file: 'signed.json', alias: 'mainnet', yes: false });
+
+      expect(sendGraphQL).not.toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should exit in case of the transaction error', async () => {
+      fs.readJsonSync.mockReturnValue(signedTransactions);
+      sendGraphQL.mockResolvedValue({ kind: 'error' });
+      const { broadcast } = await import('./offline-deploy.js');
+
+      await expect(
+        broadcast({ file: 'signed.json', alias: 'mainnet', yes: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red: Failed to send transaction.'
+      );
+      expect(recordDeployment).not.toHaveBeenCalled();
+      expect(fs.outputJsonSync).not.toHaveBeenCalled();
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('readTransactionsFile()', () => {
+    it('should exit if the file is not a transactions file', async () => {
+      fs.readJsonSync.mockReturnValue({ networkId: 'testnet' });
+      const { readTransactionsFile } = await import('./offline-deploy.js');
+
+      expect(() => readTransactionsFile('other.json')).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red:   Failed to read the "other.json" transactions file.\n  Please make sure it was created by `zk deploy --export-unsigned` or `zk sign`.'
+      );
+    });
+  });
+
+  describe('getSignedFilePath()', () => {
+    it('should return the signed file path next to the unsigned one', async () => {
+      const { getSignedFilePath } = await import('./offline-deploy.js');
+
+      expect(getSignedFilePath('/tmp/devnet.json')).toBe(
+        '/tmp/devnet.signed.json'
+      );
+    });
+  });
+});
@@ -6,14 +6,22 @@ import { capitalize } from './helpers.js';
 // Module external API
 export { prompts };
 
-// Module internal API (exported for testing purposes)
+// Module API shared with the non-interactive `zk config`, `zk keys` and `zk fund`
 export {
-  formatPrefixSymbol,
-  getFeepayorChoices,
   sanitizeAliasName,
   sanitizeCustomNetworkId,
+  validateArchiveUrl,
+  validateDeployAliasName,
+  validateFee,
+  validateFeepayerAlias,
+  validateFeepayerKey,
+  validateHeader,
+  validateUrl,
 };
 
+// Module internal API (exported for testing purposes)
+export { formatPrefixSymbol, formatValidationResult, getFeepayorChoices };
+
 /* istanbul ignore next */
 const prompts = {
   deployAliasPrompts: (config) => [
@@ -26,15 +34,10 @@ const prompts = {
         return style('Create a name (can be anything):');
       },
       prefix: formatPrefixSymbol,
-      validate: async (val) => {
-        if (!val || val.trim().length === 0)
-          return chalk.red('Name is required.');
-        const alias = sanitizeAliasName(val);
-        if (Object.keys(config.deployAliases).includes(alias)) {
-          return chalk.red('Name already exists.');
-        }
-        return true;
-      },
+      validate: async (val) =>
+        formatValidationResult(
+          validateDeployAliasName(val, config.deployAliases)
+        ),
       result: (val) => sanitizeAliasName(val),
     },
     {
@@ -82,16 +85,21 @@ const prompts = {
         return style('Set the Mina GraphQL API URL to deploy to:');
       },
       prefix: formatPrefixSymbol,
-      validate: (val) => {
-        if (!val || val.trim().length === 0)
-          return chalk.red('Url is required.');
-        try {
-          new URL(val);
-        } catch (err) {
-          return chalk.red('Enter a valid URL.');
-        }
-        return true;
+      validate: (val) => formatValidationResult(validateUrl(val)),
+      result: (val) => val.trim().replace(/ /, ''),
+    },
+    {
+      type: 'input',
+      name: 'archiveUrl',
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(
+          'Set the Archive-Node-API URL to fetch the actions and events from (optional):'
+        );
       },
+      prefix: formatPrefixSymbol,
+      validate: (val) => formatValidationResult(validateArchiveUrl(val)),
       result: (val) => val.trim().replace(/ /, ''),
     },
     {
@@ -100,20 +108,80 @@ const prompts = {
       message: (state) => {
         const style =
           state.submitted && !state.cancelled ? chalk.green : chalk.reset;
-        return style('Set transaction fee to use when deploying (in MINA):');
+        return style(
+          'Set transaction fee to use when deploying (in MINA, or "auto" to estimate it):'
+        );
       },
       prefix: formatPrefixSymbol,
-      validate: (val) => {
-        if (!val || val.trim().length === 0)
-          return chalk.red('Fee is required.');
-        if (isNaN(val)) return chalk.red('Fee must be a number.');
-        if (val < 0) return chalk.red("Fee can't be negative.");
-        return true;
-      },
+      validate: (val) => formatValidationResult(validateFee(val)),
       result: (val) => val.trim().replace(/ /, '').replace(/-/, ''),
     },
   ],
 
+  // The deploy alias prompts, without the name one, starting from the current values.
+  editDeployAliasPrompts: (deployAlias) => {
+    const [
+      ,
+      networkIdPrompt,
+      customNetworkIdPrompt,
+      urlPrompt,
+      archiveUrlPrompt,
+      feePrompt,
+    ] = prompts.deployAliasPrompts({ deployAliases: {} });
+    const networkId = deployAlias.networkId ?? 'testnet';
+    const isCustomNetworkId = !Constants.networkIds.includes(networkId);
+    return [
+      {
+        ...networkIdPrompt,
+        initial: isCustomNetworkId
+          ? Constants.networkIds.length
+          : Constants.networkIds.indexOf(networkId),
+      },
+      {
+        ...customNetworkIdPrompt,
+        initial: isCustomNetworkId ? networkId : undefined,
+      },
+      { ...urlPrompt, initial: deployAlias.url },
+      { ...archiveUrlPrompt, initial: deployAlias.archiveUrl },
+      { ...feePrompt, initial: deployAlias.fee },
+    ];
+  },
+
+  removeDeployAliasPrompt: (alias, keyPaths) => [
+    {
+      type: 'confirm',
+      name: 'confirm',
+      initial: false,
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(
+          `Remove the "${alias}" deploy alias` +
+            (keyPaths.length
+              ? ` and delete ${keyPaths.join(', ')}?\n  NOTE: The zkApp accounts can't be upgraded without their private keys.`
+              : '?')
+        );
+      },
+      prefix: formatPrefixSymbol,
+    },
+  ],
+
+  pinChainIdPrompt: (url) => [
+    {
+      type: 'confirm',
+      name: 'confirm',
+      initial: true,
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(
+          `The URL changed. Pin the chain id of the node at ${url}?`
+        );
+      },
+      prefix: formatPrefixSymbol,
+    },
+  ],
+
   initialFeepayerPrompts: (
     defaultFeepayerAlias,
     defaultFeepayerAddress,
@@ -196,14 +264,10 @@ const prompts = {
           state.submitted && !state.cancelled ? chalk.green : chalk.reset;
         return style('Create an alias for this account');
       },
-      validate: async (val) => {
-        if (!val || val.trim().length === 0)
-          return chalk.red('Fee payer alias is required.');
-        const alias = sanitizeAliasName(val);
-        if (cachedFeepayerAliases?.includes(alias))
-          return chalk.red(`Fee payer alias ${alias} already exists`);
-        return true;
-      },
+      validate: async (val) =>
+        formatValidationResult(
+          validateFeepayerAlias(val, cachedFeepayerAliases)
+        ),
       result: (val) => sanitizeAliasName(val),
     },
     {
@@ -213,18 +277,10 @@ const prompts = {
         const style =
           state.submitted && !state.cancelled ? chalk.green : chalk.reset;
         return style(`Account private key (base58):
-  NOTE: The private key is created on this computer and is stored in plain text.
+  NOTE: The private key is stored on this computer.
   Do NOT use an account which holds a substantial amount of MINA.`);
       },
-      validate: async (val) => {
-        val = val.trim();
-        try {
-          PrivateKey.fromBase58(val);
-        } catch (err) {
-          return chalk.red('Enter a valid private key.');
-        }
-        return true;
-      },
+      validate: async (val) => formatValidationResult(validateFeepayerKey(val)),
       result: (val) => val.trim(),
     },
   ],
@@ -237,18 +293,90 @@ const prompts = {
           state.submitted && !state.cancelled ? chalk.green : chalk.reset;
         return style('Create an alias for this account');
       },
-      validate: async (val) => {
-        if (!val || val.trim().length === 0)
-          return chalk.red('Fee payer alias is required.');
-        const alias = sanitizeAliasName(val);
-        if (cachedFeepayerAliases?.includes(alias))
-          return chalk.red(`Fee payer alias ${alias} already exists`);
-        return true;
-      },
+      validate: async (val) =>
+        formatValidationResult(
+          validateFeepayerAlias(val, cachedFeepayerAliases)
+        ),
       result: (val) => sanitizeAliasName(val),
     },
   ],
 
+  newKeyPassphrasePrompts: [
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(`Set a passphrase to encrypt the private key with:
+  NOTE: Leave it empty to store the private key in plain text.`);
+      },
+      prefix: formatPrefixSymbol,
+    },
+    {
+      type() {
+        return this.answers.passphrase ? 'password' : null;
+      },
+      name: 'passphraseConfirmation',
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style('Confirm the passphrase:');
+      },
+      prefix: formatPrefixSymbol,
+      validate(val) {
+        return (
+          val === this.state.answers.passphrase ||
+          chalk.red('Passphrases do not match.')
+        );
+      },
+    },
+  ],
+
+  unlockKeyPassphrasePrompt: (keyName) => [
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(`Enter the passphrase of the ${keyName} private key:`);
+      },
+      prefix: formatPrefixSymbol,
+    },
+  ],
+
+  importKeyPrompt: (keyName) => [
+    {
+      type: 'password',
+      name: 'privateKey',
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(`Enter the ${keyName} private key (base58):`);
+      },
+      prefix: formatPrefixSymbol,
+      validate: async (val) => formatValidationResult(validateFeepayerKey(val)),
+      result: (val) => val.trim(),
+    },
+  ],
+
+  deleteKeyPrompt: (keyName, keyPath) => [
+    {
+      type: 'confirm',
+      name: 'confirm',
+      initial: false,
+      message: (state) => {
+        const style =
+          state.submitted && !state.cancelled ? chalk.green : chalk.reset;
+        return style(
+          `Delete the ${keyName} key pair at ${keyPath}?\n  NOTE: The account can't be used without its private key.`
+        );
+      },
+      prefix: formatPrefixSymbol,
+    },
+  ],
+
   otherFeepayerPrompts: (cachedFeepayerAliases) => [
     {
       type: 'select',
@@ -317,3 +445,86 @@ function sanitizeAliasName(aliasName) {
 function sanitizeCustomNetworkId(networkId) {
   return networkId.trim().replace(/\s+/g, '-');
 }
+
+/**
+ * The deploy alias value validators return `true` if the value is valid, or
+ * the error message otherwise. They are shared by the interactive prompts and
+ * the `zk config` flags.
+ * @param {string} val           The deploy alias name.
+ * @param {object} deployAliases The existing deploy aliases of config.json.
+ * @returns {true|string} The validation result.
+ */
+function validateDeployAliasName(val, deployAliases) {
+  if (!val || val.trim().length === 0) return 'Name is required.';
+  if (Object.keys(deployAliases).includes(sanitizeAliasName(val))) {
+    return 'Name already exists.';
+  }
+  return true;
+}
+
+function validateUrl(val) {
+  if (!val || val.trim().length === 0) return 'Url is required.';
+  try {
+    new URL(val);
+  } catch (err) {
+    return 'Enter a valid URL.';
+  }
+  return true;
+}
+
+function validateArchiveUrl(val) {
+  // The Archive-Node-API URL is optional.
+  if (!val || val.trim().length === 0) return true;
+  try {
+    new URL(val);
+  } catch (err) {
+    return 'Enter a valid Archive-Node-API URL.';
+  }
+  return true;
+}
+
+function validateHeader(val) {
+  const separatorIndex = val.indexOf(':');
+  const name = val.slice(0, separatorIndex).trim();
+  if (separatorIndex === -1 || !/^[\w-]+$/.test(name)) {
+    return `Enter the "${val}" header as "Name: value".`;
+  }
+  // The environment variables are read when sending the requests, so they must be set.
+  const unsetVariable = [...val.matchAll(/\$\{(\w+)\}/g)]
+    .map(([, variable]) => variable)
+    .find((variable) => process.env[variable] === undefined);
+  if (unsetVariable) {
+    return `The ${unsetVariable} environment variable of the "${name}" header is not set.`;
+  }
+  return true;
+}
+
+function validateFee(val) {
+  if (!val || val.trim().length === 0) return 'Fee is required.';
+  if (val.trim() === 'auto') return true;
+  if (isNaN(val)) return 'Fee must be a number.';
+  if (val < 0) return "Fee can't be negative.";
+  return true;
+}
+
+function validateFeepayerAlias(val, cachedFeepayerAliases) {
+  if (!val || val.trim().length === 0) return 'Fee payer alias is required.';
+  const alias = sanitizeAliasName(val);
+  if (cachedFeepayerAliases?.includes(alias)) {
+    return `Fee payer alias ${alias} already exists`;
+  }
+  return true;
+}
+
+function validateFeepayerKey(val) {
+  try {
+    PrivateKey.fromBase58(val.trim());
+  } catch (err) {
+    return 'Enter a valid private key.';
+  }
+  return true;
+}
+
+function formatValidationResult(result) {
+  return result === true ? true : chalk.red(result);
+}
@@ -12,16 +12,32 @@ jest.unstable_mockModule('chalk', () => ({
 }));
 
 let formatPrefixSymbol,
+  formatValidationResult,
   getFeepayorChoices,
   sanitizeAliasName,
-  sanitizeCustomNetworkId;
+  sanitizeCustomNetworkId,
+  validateArchiveUrl,
+  validateDeployAliasName,
+  validateFee,
+  validateFeepayerAlias,
+  validateFeepayerKey,
+  validateHeader,
+  validateUrl;
 
 beforeAll(async () => {
   const prompts = await import('./prompts.js');
   formatPrefixSymbol = prompts.formatPrefixSymbol;
+  formatValidationResult = prompts.formatValidationResult;
   getFeepayorChoices = prompts.getFeepayorChoices;
   sanitizeAliasName = prompts.sanitizeAliasName;
   sanitizeCustomNetworkId = prompts.sanitizeCustomNetworkId;
+  validateArchiveUrl = prompts.validateArchiveUrl;
+  validateDeployAliasName = prompts.validateDeployAliasName;
+  validateFee = prompts.validateFee;
+  validateFeepayerAlias = prompts.validateFeepayerAlias;
+  validateFeepayerKey = prompts.validateFeepayerKey;
+  validateHeader = prompts.validateHeader;
+  validateUrl = prompts.validateUrl;
 });
 
 beforeEach(() => {
@@ -112,4 +128,95 @@ describe('prompts.js', () => {
       expect(sanitized).toBe('custom-network-id');
     });
   });
+
+  describe('validateDeployAliasName()', () => {
+    it('should validate the deploy alias name', () => {
+      const deployAliases = { 'my-alias': {} };
+
+      expect(validateDeployAliasName(' ', deployAliases)).toBe(
+        'Name is required.'
+      );
+      expect(validateDeployAliasName('My Alias', deployAliases)).toBe(
+        'Name already exists.'
+      );
+      expect(validateDeployAliasName('other', deployAliases)).toBe(true);
+    });
+  });
+
+  describe('validateUrl()', () => {
+    it('should validate the URL', () => {
+      expect(validateUrl('')).toBe('Url is required.');
+      expect(validateUrl('zkapp1')).toBe('Enter a valid URL.');
+      expect(validateUrl('https://zkapp1.xyz')).toBe(true);
+    });
+  });
+
+  describe('validateArchiveUrl()', () => {
+    it('should validate the optional Archive-Node-API URL', () => {
+      expect(validateArchiveUrl('')).toBe(true);
+      expect(validateArchiveUrl('archive')).toBe(
+        'Enter a valid Archive-Node-API URL.'
+      );
+      expect(validateArchiveUrl('http://127.0.0.1:8282')).toBe(true);
+    });
+  });
+
+  describe('validateFee()', () => {
+    it('should validate the fee', () => {
+      expect(validateFee(undefined)).toBe('Fee is required.');
+      expect(validateFee('free')).toBe('Fee must be a number.');
+      expect(validateFee('-1')).toBe("Fee can't be negative.");
+      expect(validateFee(' auto ')).toBe(true);
+      expect(validateFee('0.1')).toBe(true);
+    });
+  });
+
+  describe('validateFeepayerAlias()', () => {
+    it('should validate the fee payer alias', () => {
+      expect(validateFeepayerAlias('', [])).toBe(
+        'Fee payer alias is required.'
+      );
+      expect(validateFeepayerAlias('Stored', ['stored'])).toBe(
+        'Fee payer alias stored already exists'
+      );
+      expect(validateFeepayerAlias('new', undefined)).toBe(true);
+    });
+  });
+
+  describe('validateFeepayerKey()', () => {
+    it('should validate the fee payer private key', () => {
+      expect(validateFeepayerKey('invalid')).toBe('Enter a valid private key.');
+      expect(
+        validateFeepayerKey(
+          ' EKEQc95PPQZnMY9d9p1vq1MWLeDJKtvKj4V75UDG3rjnf32BerWD '
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('validateHeader()', () => {
+    it('should validate the header', () => {
+      process.env.MINA_API_KEY = 'apiKey';
+      expect(validateHeader('X-Api-Key')).toBe(
+        'Enter the "X-Api-Key" header as "Name: value".'
+      );
+      expect(validateHeader('X Api Key: apiKey')).toBe(
+        'Enter the "X Api Key: apiKey" header as "Name: value".'
+      );
+      expect(validateHeader('Authorization: Bearer ${MINA_TOKEN}')).toBe(
+        'The MINA_TOKEN environment variable of the "Authorization" header is not set.'
+      );
+      expect(validateHeader('X-Api-Key: ${MINA_API_KEY}')).toBe(true);
+      delete process.env.MINA_API_KEY;
+    });
+  });
+
+  describe('formatValidationResult()', () => {
+    it('should color the validation error for the prompts', () => {
+      expect(formatValidationResult(true)).toBe(true);
+      expect(formatValidationResult('Url is required.')).toBe(
+        'red: Url is required.'
+      );
+    });
+  });
 });
@@ -0,0 +1,224 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import { getBorderCharacters, table } from 'table';
+import { chooseDeployedContract, fetchZkAppState } from './call.js';
+import {
+  buildProject,
+  chooseDeployAlias,
+  getDeployAliasHeaders,
+  getDeployAliasNetwork,
+  importO1js,
+  importSmartContract,
+  readPublicKey,
+} from './deploy.js';
+import { readDeployAliasesConfig, step } from './helpers.js';
+import { printJson } from './json-output.js';
+import { sleep } from './time-helpers.js';
+import { getDeployedContracts } from './upgrade.js';
+
+// Module external API
+export default state;
+
+// Module API shared with the `zk events` and `zk actions` commands
+export { decodeFields };
+
+// Module internal API (exported for testing purposes)
+export { decodeZkAppState, getStateLayout };
+
+const STATE_POLLING_INTERVAL_MS = 10_000;
+
+/**
+ * Print the on-chain state of a smart contract deployed to the specified
+ * deploy alias. The eight field elements of the zkApp account state are
+ * decoded into the `@state` properties declared by the smart contract class.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias the smart contract was deployed to.
+ * @param {string}  argv.contract - The smart contract name, for the deploy plans.
+ * @param {boolean} argv.watch - Keep polling the state and print it again when it changes.
+ * @returns {Promise<void>}
+ */
+async function state({ alias, contract, watch }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    'Which deploy alias do you want to inspect?'
+  );
+  const { contractName, keyPath } = chooseDeployedContract(
+    getDeployedContracts(config, alias),
+    contract,
+    alias
+  );
+  const build = await buildProject(projectRoot);
+
+  const { Field, PublicKey } = await importO1js(projectRoot);
+  const { graphQlUrl } = getDeployAliasNetwork(config.deployAliases[alias]);
+  const headers = getDeployAliasHeaders(config.deployAliases[alias]);
+  const zkApp = await importSmartContract(build, contractName);
+  const zkAppAddress = readPublicKey(
+    `${projectRoot}/${keyPath}`,
+    'zkApp',
+    'keyPath'
+  );
+  const stateLayout = getStateLayout(zkApp, PublicKey.fromBase58(zkAppAddress));
+
+  let zkappState = await step(
+    'Fetch the zkApp account state',
+    async () => await fetchZkAppState(graphQlUrl, zkAppAddress, headers)
+  );
+  let decodedState = decodeZkAppState(stateLayout, zkappState, Field);
+  printStateTable(contractName, decodedState);
+  printJson({
+    deployAlias: alias,
+    url: graphQlUrl,
+    contractName,
+    zkAppAddress,
+    state: Object.fromEntries(
+      decodedState.map(({ name, value }) => [name, value])
+    ),
+    zkappState,
+  });
+
+  if (!watch) {
+    return;
+  }
+  console.log(
+    chalk.gray(
+      `  Watching the state every ${STATE_POLLING_INTERVAL_MS / 1000} seconds. Press Ctrl+C to stop.`
+    )
+  );
+  for (;;) {
+    await sleep(STATE_POLLING_INTERVAL_MS);
+    let newZkAppState;
+    try {
+      newZkAppState = await fetchZkAppState(graphQlUrl, zkAppAddress, headers);
+    } catch (error) {
+      // Keep watching, the Mina GraphQL API may only be unavailable for a while.
+      console.log(chalk.yellow(`  ${error.message} Retrying...`));
+      continue;
+    }
+    if (newZkAppState.join() === zkappState.join()) {
+      continue;
+    }
+    zkappState = newZkAppState;
+    const previousState = decodedState;
+    decodedState = decodeZkAppState(stateLayout, zkappState, Field);
+    console.log(
+      chalk.green(`\n  The state changed at ${new Date().toLocaleTimeString()}`)
+    );
+    printStateTable(contractName, decodedState, previousState);
+  }
+}
+
+/**
+ * Get the `@state` properties declared by the smart contract class, in the
+ * order of their field elements in the zkApp account state. The properties are
+ * read from a smart contract instance, since o1js doesn't expose the state
+ * layout of the class.
+ * @param {object} zkApp        The smart contract class.
+ * @param {object} zkAppAddress The zkApp account public key.
+ * @returns {Array<{name: string, stateType: object, offset: number, length: number}>}
+ */
+function getStateLayout(zkApp, zkAppAddress) {
+  const zkapp = new zkApp(zkAppAddress);
+  let offset = 0;
+  return (
+    Object.entries(zkapp._ ?? {})
+      // The reducer of the smart contract is stored next to its states.
+      .filter(([, property]) => property?._contract)
+      .map(([name, { _contract }]) => {
+        const { stateType } = _contract;
+        const length = stateType.sizeInFields();
+        const entry = { name, stateType, offset, length };
+        offset += length;
+        return entry;
+      })
+  );
+}
+
+/**
+ * Decode the field elements of the zkApp account state into the `@state`
+ * properties. The field elements are shown as is if the smart contract
+ * declares no state, or if they can't be decoded into the declared type.
+ * @param {Array<object>} stateLayout The `@state` properties of the smart contract.
+ * @param {string[]}      zkappState  The zkApp account state field elements.
+ * @param {Function}      Field       The o1js `Field` type.
+ * @returns {Array<{name: string, type: string, value: string}>}
+ */
+function decodeZkAppState(stateLayout, zkappState, Field) {
+  if (!stateLayout.length) {
+    return zkappState.map((value, index) => ({
+      name: `${index}`,
+      type: 'Field',
+      value,
+    }));
+  }
+  return stateLayout.map(({ name, stateType, offset, length }) => {
+    const fields = zkappState.slice(offset, offset + length);
+    const type = stateType.name || 'unknown';
+    try {
+      return { name, type, value: decodeFields(stateType, fields, Field) };
+    } catch (_) {
+      return { name, type, value: fields.join(', ') };
+    }
+  });
+}
+
+/**
+ * Decode field elements into a value of an o1js type.
+ * @param {object}   type   The o1js provable type.
+ * @param {string[]} fields The field elements.
+ * @param {Function} Field  The o1js `Field` type.
+ * @returns {string} The value in the o1js JSON format, stringified if it is not a string.
+ * @throws {Error} If the field elements can't be decoded into the type.
+ */
+function decodeFields(type, fields, Field) {
+  const json = type.toJSON(
+    type.fromFields(
+      fields.map((field) => Field(field)),
+      type.toAuxiliary?.()
+    )
+  );
+  return typeof json === 'string' ? json : JSON.stringify(json);
+}
+
+/**
+ * Get the state table rows. The values that changed since the previous state
+ * are highlighted.
+ * @param {Array<{name: string, type: string, value: string}>} decodedState The decoded state.
+ * @param {Array<{name: string, type: string, value: string}>} previousState The previously decoded state, if any.
+ * @returns {Array<Array<string>>} The table rows.
+ */
+function getStateRows(decodedState, previousState) {
+  return [
+    [chalk.bold('Name'), chalk.bold('Type'), chalk.bold('Value')],
+    ...decodedState.map(({ name, type, value }, index) => [
+      name,
+      chalk.gray(type),
+      previousState && previousState[index]?.value !== value
+        ? chalk.yellow(value)
+        : value,
+    ]),
+  ];
+}
+
+function printStateTable(contractName, decodedState, previousState) {
+  const tableConfig = {
+    border: getBorderCharacters('norc'),
+    header: {
+      alignment: 'center',
+      content: chalk.bold(`${contractName} state`),
+    },
+  };
+  // Print the table. Indented by 2 spaces for alignment in terminal.
+  console.log(
+    '\n  ' +
+      table(getStateRows(decodedState, previousState), tableConfig).replaceAll(
+        '\n',
+        '\n  '
+      )
+  );
+}
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    bold: jest.fn((text) => text),
+    gray: jest.fn((text) => text),
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    reset: jest.fn((text) => text),
+    yellow: jest.fn((text) => `yellow: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('./call.js', () => ({
+  chooseDeployedContract: jest.fn((deployedContracts) => deployedContracts[0]),
+  fetchZkAppState: jest.fn(),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  buildProject: jest.fn(),
+  chooseDeployAlias: jest.fn(),
+  getDeployAliasHeaders: jest.fn((deployAlias) => deployAlias?.headers ?? {}),
+  getDeployAliasNetwork: jest.fn(() => ({
+    networkId: 'testnet',
+    graphQlUrl: 'http://test.url',
+  })),
+  importO1js: jest.fn(),
+  importSmartContract: jest.fn(),
+  readPublicKey: jest.fn(() => 'B62qZkApp'),
+}));
+
+jest.unstable_mockModule('./helpers.js', () => ({
+  readDeployAliasesConfig: jest.fn(),
+  step: jest.fn(async (_, fn) => await fn()),
+}));
+
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
+
+jest.unstable_mockModule('./time-helpers.js', () => ({
+  sleep: jest.fn(),
+}));
+
+jest.unstable_mockModule('./upgrade.js', () => ({
+  getDeployedContracts: jest.fn(() => [
+    { contractName: 'Add', keyPath: 'keys/devnet.json' },
+  ]),
+}));
+
+let findPrefix,
+  fetchZkAppState,
+  chooseDeployAlias,
+  importO1js,
+  importSmartContract,
+  readDeployAliasesConfig,
+  printJson,
+  sleep;
+
+const Field = (value) => ({ value });
+const FieldType = {
+  name: 'Field',
+  sizeInFields: () => 1,
+  fromFields: ([field]) => field,
+  toJSON: (field) => field.value,
+};
+const PointType = {
+  name: 'Point',
+  sizeInFields: () => 2,
+  fromFields: ([x, y]) => ({ x, y }),
+  toJSON: ({ x, y }) => ({ x: x.value, y: y.value }),
+  toAuxiliary: () => [],
+};
+
+class Add {
+  constructor(address) {
+    this.address = address;
+    this._ = {
+      num: { _contract: { stateType: FieldType } },
+      point: { _contract: { stateType: PointType } },
+      reducer: { actionType: FieldType },
+    };
+  }
+}
+
+beforeAll(async () => {
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ fetchZkAppState } = await import('./call.js'));
+  ({ chooseDeployAlias, importO1js, importSmartContract } = await import(
+    './deploy.js'
+  ));
+  ({ readDeployAliasesConfig } = await import('./helpers.js'));
+  ({ printJson } = await import('./json-output.js'));
+  ({ sleep } = await import('./time-helpers.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  findPrefix.mockResolvedValue('/project/root');
+  readDeployAliasesConfig.mockReturnValue({
+    deployAliases: {
+      devnet: {
+        url: 'http://test.url',
+        headers: { 'X-Api-Key': 'apiKey' },
+      },
+    },
+  });
+  chooseDeployAlias.mockImplementation(async (_, alias) => alias);
+  importO1js.mockResolvedValue({
+    Field,
+    PublicKey: { fromBase58: (publicKey) => publicKey },
+  });
+  importSmartContract.mockResolvedValue(Add);
+  fetchZkAppState.mockResolvedValue(['5', '1', '2', '0', '0', '0', '0', '0']);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('state.js', () => {
+  describe('state()', () => {
+    it('should print the decoded state', async () => {
+      const { default: state } = await import('./state.js');
+
+      await state({ alias: 'devnet' });
+
+      expect(fetchZkAppState).toHaveBeenCalledWith(
+        'http://test.url',
+        'B62qZkApp',
+        { 'X-Api-Key': 'apiKey' }
+      );
+      const output = console.log.mock.calls[0][0];
+      expect(output).toContain('Add state');
+      expect(output).toMatch(/num\s+│ Field\s+│ 5/);
+      expect(output).toMatch(/point\s+│ Point\s+│ {"x":"1","y":"2"}/);
+      expect(printJson).toHaveBeenCalledWith({
+        deployAlias: 'devnet',
+        url: 'http://test.url',
+        contractName: 'Add',
+        zkAppAddress: 'B62qZkApp',
+        state: { num: '5', point: '{"x":"1","y":"2"}' },
+        zkappState: ['5', '1', '2', '0', '0', '0', '0', '0'],
+      });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should print the state again when it changes with --watch', async () => {
+      fetchZkAppState
+        .mockResolvedValueOnce(['5', '1', '2', '0', '0', '0', '0', '0'])
+        .mockResolvedValueOnce(['5', '1', '2', '0', '0', '0', '0', '0'])
+        .mockRejectedValueOnce(new Error('Failed to fetch the state.'))
+        .mockResolvedValueOnce(['6', '1', '2', '0', '0', '0', '0', '0']);
+      sleep
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Stopped watching.'));
+      const { default: state } = await import('./state.js');
+
+      await expect(state({ alias: 'devnet', watch: true })).rejects.toThrow(
+        'Stopped watching.'
+      );
+
+      expect(fetchZkAppState).toHaveBeenCalledTimes(4);
+      expect(console.log).toHaveBeenCalledWith(
+        'yellow:   Failed to fetch the state. Retrying...'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('green: \n  The state changed at')
+      );
+      const output = console.log.mock.calls.at(-1)[0];
+      expect(output).toMatch(/num\s+│ Field\s+│ yellow: 6/);
+      expect(output).toMatch(/point\s+│ Point\s+│ {"x":"1","y":"2"}/);
+      expect(printJson).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getStateLayout()', () => {
+    it('should return the state properties with their offsets', async () => {
+      const { getStateLayout } = await import('./state.js');
+
+      expect(getStateLayout(Add, 'B62qZkApp')).toEqual([
+        { name: 'num', stateType: FieldType, offset: 0, length: 1 },
+        { name: 'point', stateType: PointType, offset: 1, length: 2 },
+      ]);
+    });
+
+    it('should return no state properties if the smart contract declares none', async () => {
+      const { getStateLayout } = await import('./state.js');
+
+      expect(getStateLayout(class {}, 'B62qZkApp')).toEqual([]);
+    });
+  });
+
+  describe('decodeZkAppState()', () => {
+    it('should return the field elements if no state is declared', async () => {
+      const { decodeZkAppState } = await import('./state.js');
+
+      expect(decodeZkAppState([], ['1', '2'], Field)).toEqual([
+        { name: '0', type: 'Field', value: '1' },
+        { name: '1', type: 'Field', value: '2' },
+      ]);
+    });
+
+    it('should return the field elements that can not be decoded', async () => {
+      const { decodeZkAppState } = await import('./state.js');
+
+      const result = decodeZkAppState(
+        [
+          {
+            name: 'flag',
+            stateType: {
+              fromFields: () => {
+                throw new Error('Bool: expected 0 or 1');
+              },
+            },
+            offset: 1,
+            length: 2,
+          },
+        ],
+        ['0', '7', '8'],
+        Field
+      );
+
+      expect(result).toEqual([
+        { name: 'flag', type: 'unknown', value: '7, 8' },
+      ]);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import envinfo from 'envinfo';
 import { execSync } from 'node:child_process';
+import { printJson } from './json-output.js';
 
 // Module external API
 export default system;
@@ -7,7 +8,13 @@ export default system;
 // Module internal API (exported for testing purposes)
 export { getInstalledNpmPackageVersion };
 
-async function system() {
+/**
+ * Show the system information to include in GitHub issues.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {boolean} argv.json - Whether to print the system information as a JSON document.
+ * @returns {Promise<void>}
+ */
+async function system({ json } = {}) {
   const installedO1jsVersion = getInstalledNpmPackageVersion({
     packageName: 'o1js',
   });
@@ -16,18 +23,29 @@ async function system() {
     isGlobal: true,
   });
 
+  const envinfoConfig = {
+    System: ['OS', 'CPU'],
+    Binaries: ['Node', 'npm', 'Yarn'],
+    npmPackages: ['o1js'],
+    npmGlobalPackages: ['zkapp-cli'],
+  };
+
+  if (json) {
+    const env = JSON.parse(
+      await envinfo.run(envinfoConfig, { showNotFound: true, json: true })
+    );
+    printJson({
+      ...env,
+      npmPackages: { o1js: installedO1jsVersion ?? null },
+      npmGlobalPackages: { 'zkapp-cli': installedZkAppCliVersion ?? null },
+    });
+    return;
+  }
+
   console.log(
     'Be sure to include the following system information when submitting a GitHub issue:'
   );
-  let env = await envinfo.run(
-    {
-      System: ['OS', 'CPU'],
-      Binaries: ['Node', 'npm', 'Yarn'],
-      npmPackages: ['o1js'],
-      npmGlobalPackages: ['zkapp-cli'],
-    },
-    { showNotFound: true }
-  );
+  let env = await envinfo.run(envinfoConfig, { showNotFound: true });
   env = env.replace(
     'o1js: Not Found',
     `o1js: ${installedO1jsVersion || 'Not Found (not in a project)'}`
@@ -8,15 +8,20 @@ jest.unstable_mockModule('envinfo', () => ({
     run: jest.fn(),
   },
 }));
+jest.unstable_mockModule('./json-output.js', () => ({
+  printJson: jest.fn(),
+}));
 
 let execSync;
 let envinfoRun;
+let printJson;
 
 beforeAll(async () => {
   const child_process = await import('node:child_process');
   execSync = child_process.execSync;
   const envinfoModule = await import('envinfo');
   envinfoRun = envinfoModule.default.run;
+  printJson = (await import('./json-output.js')).printJson;
 });
 
 beforeEach(() => {
@@ -83,6 +88,40 @@ describe('system()', () => {
       expect.stringContaining('Not Found')
     );
   });
+
+  it('should print system information as a JSON document', async () => {
+    envinfoRun.mockResolvedValue(
+      JSON.stringify({
+        System: { OS: 'myOs' },
+        npmPackages: { o1js: 'Not Found' },
+        npmGlobalPackages: { 'zkapp-cli': 'Not Found' },
+      })
+    );
+    execSync.mockImplementation((command) =>
+      JSON.stringify({
+        dependencies: command.includes('-g')
+          ? {}
+          : { o1js: { version: '1.2.3' } },
+      })
+    );
+    const { default: system } = await import('./system.js');
+    const consoleLogSpy = jest
+      .spyOn(console, 'log')
+      .mockImplementation(() => {});
+
+    await system({ json: true });
+
+    expect(envinfoRun).toHaveBeenCalledWith(expect.any(Object), {
+      showNotFound: true,
+      json: true,
+    });
+    expect(printJson).toHaveBeenCalledWith({
+      System: { OS: 'myOs' },
+      npmPackages: { o1js: '1.2.3' },
+      npmGlobalPackages: { 'zkapp-cli': null },
+    });
+    expect(consoleLogSpy).not.toHaveBeenCalled();
+  });
 });
 
 describe('getInstalledNpmPackageVersion()', () => {
@@ -0,0 +1,318 @@
+import chalk from 'chalk';
+import findPrefix from 'find-npm-prefix';
+import {
+  buildProject,
+  checkChainId,
+  checkInstalledCliVersion,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  fetchFeepayerAccount,
+  formatFeeTiers,
+  formatGraphQlEndpoint,
+  generateVerificationKey,
+  getDeployAliasHeaders,
+  getDeployAliasNetwork,
+  getErrorMessage,
+  getTransactionFee,
+  getTxnUrl,
+  getZkAppAccountQuery,
+  importO1js,
+  importSmartContract,
+  readFeepayerPrivateKey,
+  readZkAppPrivateKey,
+  sendGraphQLWithFallback,
+  setActiveNetwork,
+} from './deploy.js';
+import { recordDeployment } from './deployments.js';
+import { sendGraphQL, sendZkapp } from './graphql-client.js';
+import { readDeployAliasesConfig, step } from './helpers.js';
+
+// Module external API
+export default upgrade;
+
+// Module API shared with the `zk call` command
+export { fetchZkAppAccount, getDeployedContracts };
+
+/**
+ * Upgrade the verification key of the smart contracts already deployed to the
+ * specified deploy alias. Only the zkApp accounts whose on-chain verification
+ * key differs from the one of the current build are updated, and the upgrade
+ * is recorded in the deployments ledger like a deploy.
+ * @param {object}  argv - The arguments object provided by yargs.
+ * @param {string}  argv.alias - The deploy alias to upgrade.
+ * @param {boolean} argv.yes - Run non-interactively. I.e. skip confirmation steps.
+ * @param {boolean} argv.allowMainnet - Allow `yes` for the mainnet deploy aliases.
+ * @returns {Promise<void>}
+ */
+async function upgrade({ alias, yes, allowMainnet }) {
+  // Get project root directory, so that the CLI command can be executed anywhere within the project.
+  const projectRoot = await findPrefix(process.cwd());
+  const config = readDeployAliasesConfig(projectRoot);
+  const cliVersion = await checkInstalledCliVersion();
+
+  alias = await chooseDeployAlias(
+    config,
+    alias,
+    'Which deploy alias do you want to upgrade?'
+  );
+  const deployedContracts = getDeployedContracts(config, alias);
+  const build = await buildProject(projectRoot);
+
+  let { PrivateKey, Mina, AccountUpdate, Field } =
+    await importO1js(projectRoot);
+  const { graphQlUrls } = getDeployAliasNetwork(config.deployAliases[alias]);
+  const headers = getDeployAliasHeaders(config.deployAliases[alias]);
+  let graphQlUrl = await chooseGraphQlEndpoint(graphQlUrls, headers);
+  const { networkId } = setActiveNetwork(
+    projectRoot,
+    Mina,
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  const isMainnet = await checkMainnetGuardRails({
+    alias,
+    deployAlias: config.deployAliases[alias],
+    yes,
+    allowMainnet,
+  });
+  await checkChainId(alias, config.deployAliases[alias], graphQlUrl);
+
+  const feepayerPrivateKey = PrivateKey.fromBase58(
+    await readFeepayerPrivateKey(config.deployAliases[alias].feepayerKeyPath)
+  );
+  const feepayerAddressBase58 = feepayerPrivateKey.toPublicKey().toBase58();
+
+  // Keep only the smart contracts whose verification key changed since they were deployed.
+  const contracts = [];
+  for (const { contractName, keyPath } of deployedContracts) {
+    const zkApp = await importSmartContract(build, contractName);
+    const zkAppPrivateKey = PrivateKey.fromBase58(
+      readZkAppPrivateKey(projectRoot, keyPath)
+    );
+    const zkAppAddress = zkAppPrivateKey.toPublicKey();
+    const zkAppAccount = await fetchZkAppAccount(
+      graphQlUrl,
+      contractName,
+      zkAppAddress.toBase58(),
+      headers
+    );
+
+    const { verificationKey, isCached } = await step(
+      `Generate verification key for ${contractName} (takes 10-30 sec)`,
+      async () =>
+        await generateVerificationKey(
+          projectRoot,
+          contractName,
+          zkApp,
+          zkAppAddress,
+          false
+        )
+    );
+    if (isCached) {
+      console.log('  Using the cached verification key');
+    }
+
+    const onChainHash = zkAppAccount.verificationKey.hash;
+    const newHash = verificationKey.hash.toString();
+    if (onChainHash === newHash) {
+      console.log(
+        `  The ${contractName} verification key is already up to date on chain.`
+      );
+      continue;
+    }
+
+    const { auth } = zkAppAccount.permissions.setVerificationKey;
+    if (auth === 'Impossible' || auth === 'Proof') {
+      console.log(
+        chalk.red(
+          `  The ${contractName} zkApp account permissions don't allow to set the verification key with a signature (current permission: "${auth}").\n  ` +
+            (auth === 'Proof'
+              ? 'Add a smart contract method that sets the verification key and call it instead.'
+              : 'The verification key of this zkApp account can never be changed.')
+        )
+      );
+      process.exit(1);
+    }
+
+    contracts.push({
+      contractName,
+      zkAppAddress,
+      zkAppPrivateKey,
+      verificationKey,
+      onChainHash,
+      newHash,
+      requiresSignature: auth !== 'None',
+    });
+  }
+
+  if (!contracts.length) {
+    console.log(
+      chalk.green(
+        `\nNothing to upgrade. The verification keys on chain match the current build.`
+      )
+    );
+    return;
+  }
+
+  const { fee, feeTiers } = await getTransactionFee(
+    config.deployAliases[alias],
+    graphQlUrl
+  );
+  await fetchFeepayerAccount(graphQlUrl, feepayerAddressBase58, headers);
+
+  // All verification key updates are sent in one transaction, signed by the
+  // fee payer and by every zkApp account whose permissions require a signature.
+  const transactionJson = await step('Build transaction', async () => {
+    const tx = await Mina.transaction(
+      { sender: feepayerPrivateKey.toPublicKey(), fee },
+      /* istanbul ignore next */
+      async () => {
+        for (const {
+          zkAppAddress,
+          verificationKey,
+          requiresSignature,
+        } of contracts) {
+          const accountUpdate = requiresSignature
+            ? AccountUpdate.createSigned(zkAppAddress)
+            : AccountUpdate.create(zkAppAddress);
+          accountUpdate.account.verificationKey.set({
+            data: verificationKey.data,
+            hash: Field(verificationKey.hash),
+          });
+        }
+      }
+    );
+    return tx
+      .sign([
+        feepayerPrivateKey,
+        ...contracts
+          .filter(({ requiresSignature }) => requiresSignature)
+          .map(({ zkAppPrivateKey }) => zkAppPrivateKey),
+      ])
+      .toJSON();
+  });
+
+  const { feepayerAlias } = config.deployAliases[alias];
+  const settings = [
+    [chalk.bold('Deploy alias'), chalk.reset(alias)],
+    [chalk.bold('Network kind'), chalk.reset(networkId)],
+    [chalk.bold('URL'), formatGraphQlEndpoint(graphQlUrls, graphQlUrl)],
+    [
+      chalk.bold('Fee payer'),
+      chalk.reset(
+        `Alias         : ${feepayerAlias}\nAccount       : ${feepayerAddressBase58}`
+      ),
+    ],
+    [
+      chalk.bold('zkApp'),
+      chalk.reset(
+        contracts
+          .map(
+            ({ contractName, zkAppAddress, onChainHash, newHash }) =>
+              `Smart contract: ${contractName}\nAccount       : ${zkAppAddress.toBase58()}\nOld VK hash   : ${onChainHash}\nNew VK hash   : ${newHash}`
+          )
+          .join('\n')
+      ),
+    ],
+    [
+      chalk.bold('Transaction fee'),
+      chalk.reset(`${Number(fee) / 1e9} Mina${formatFeeTiers(feeTiers)}`),
+    ],
+  ];
+
+  // Fail safe, in case of prompt issues, to not send tx unless 100% intended.
+  if (!(await confirmTransaction(settings, yes, isMainnet ? alias : undefined)))
+    return;
+
+  const txn = await step('Send to network', async () => {
+    const result = await sendGraphQLWithFallback(
+      graphQlUrls.slice(graphQlUrls.indexOf(graphQlUrl)),
+      (graphQlUrl) => sendZkapp(graphQlUrl, transactionJson, { headers }),
+      // The node switched to must be on the network the transaction was checked against.
+      (graphQlUrl) =>
+        checkChainId(alias, config.deployAliases[alias], graphQlUrl)
+    );
+    graphQlUrl = result.graphQlUrl;
+    return result.response;
+  });
+
+  if (!txn || txn?.kind === 'error') {
+    console.log(chalk.red(getErrorMessage(txn)));
+    process.exit(1);
+  }
+  for (const { contractName, zkAppAddress, newHash } of contracts) {
+    recordDeployment(projectRoot, alias, {
+      contractName,
+      verificationKeyHash: newHash,
+      zkAppAddress: zkAppAddress.toBase58(),
+      txnHash: txn.data.sendZkapp.zkapp.hash,
+      cliVersion,
+    });
+  }
+
+  const str =
+    `\nSuccess! Upgrade transaction sent.` +
+    `\n` +
+    `\nNext step:` +
+    `\n  The new verification key will be live` +
+    `\n  as soon as the transaction is included in a block:` +
+    `\n  ${getTxnUrl(graphQlUrl, txn)}`;
+
+  console.log(chalk.green(str));
+  process.exit(0);
+}
+
+/**
+ * Get the smart contracts previously deployed to the deploy alias.
+ * @param {object} config The config.json in object format.
+ * @param {string} alias  The deploy alias name.
+ * @returns {Array<{contractName: string, keyPath: string}>}
+ */
+function getDeployedContracts(config, alias) {
+  const { deployPlan, smartContract, keyPath } = config.deployAliases[alias];
+  if (deployPlan) {
+    return deployPlan.map(({ smartContract, keyPath }) => ({
+      contractName: smartContract,
+      keyPath,
+    }));
+  }
+  if (!smartContract) {
+    console.log(
+      chalk.red(
+        `  No smart contract was deployed to this deploy alias yet.\n  Run \`zk deploy ${alias}\` to deploy it first.`
+      )
+    );
+    process.exit(1);
+  }
+  return [{ contractName: smartContract, keyPath }];
+}
+
+/**
+ * Fetch the zkApp account, exiting if it doesn't exist on chain or has no
+ * verification key set.
+ * @param {string} graphQlUrl   The Mina GraphQL endpoint.
+ * @param {string} contractName The smart contract name.
+ * @param {string} publicKey    The zkApp account public key.
+ * @param {Record<string, string>} [headers] The headers of the deploy alias.
+ * @returns {Promise<object>} The zkApp account.
+ */
+async function fetchZkAppAccount(graphQlUrl, contractName, publicKey, headers) {
+  const response = await sendGraphQL(
+    graphQlUrl,
+    getZkAppAccountQuery(publicKey),
+    { headers }
+  );
+  const account = response?.data?.account;
+
+  if (!account?.verificationKey) {
+    console.log(
+      chalk.red(
+        `  Failed to find the ${contractName} zkApp account on chain.\n  Please make sure the smart contract was deployed to "${publicKey}" using \`zk deploy\`.`
+      )
+    );
+    process.exit(1);
+  }
+  return account;
+}
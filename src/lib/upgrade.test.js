@@ -0,0 +1,472 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('chalk', () => ({
+  default: {
+    green: jest.fn((text) => `green: ${text}`),
+    red: jest.fn((text) => `red: ${text}`),
+    bold: jest.fn((text) => `bold: ${text}`),
+    reset: jest.fn((text) => `reset: ${text}`),
+  },
+}));
+
+jest.unstable_mockModule('find-npm-prefix', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('./helpers.js', () => ({
+  readDeployAliasesConfig: jest.fn(),
+  step: jest.fn(async (_, fn) => await fn()),
+}));
+
+jest.unstable_mockModule('./deploy.js', () => ({
+  buildProject: jest.fn(),
+  checkInstalledCliVersion: jest.fn(),
+  checkChainId: jest.fn(),
+  checkMainnetGuardRails: jest.fn(
+    async ({ deployAlias }) => deployAlias?.networkId === 'mainnet'
+  ),
+  chooseDeployAlias: jest.fn(),
+  chooseGraphQlEndpoint: jest.fn(async ([graphQlUrl]) => graphQlUrl),
+  confirmTransaction: jest.fn(),
+  fetchFeepayerAccount: jest.fn(),
+  formatFeeTiers: jest.fn(() => ''),
+  formatGraphQlEndpoint: jest.fn((_, graphQlUrl) => `reset: ${graphQlUrl}`),
+  generateVerificationKey: jest.fn(),
+  getDeployAliasHeaders: jest.fn(() => ({ 'X-Api-Key': 'apiKey' })),
+  getDeployAliasNetwork: jest.fn(({ url, fallbackUrls = [] }) => ({
+    graphQlUrls: [url, ...fallbackUrls],
+  })),
+  getErrorMessage: jest.fn(() => 'Failed to send transaction.'),
+  getTransactionFee: jest.fn(async () => ({ fee: '100000000' })),
+  getTxnUrl: jest.fn(() => 'Transaction hash: txnHash'),
+  getZkAppAccountQuery: jest.fn(() => 'zkAppAccountQuery'),
+  importO1js: jest.fn(),
+  importSmartContract: jest.fn(),
+  readFeepayerPrivateKey: jest.fn(() => 'feepayerKey'),
+  readZkAppPrivateKey: jest.fn((_, keyPath) => keyPath),
+  sendGraphQLWithFallback: jest.fn(async ([graphQlUrl], request) => ({
+    response: await request(graphQlUrl),
+    graphQlUrl,
+  })),
+  setActiveNetwork: jest.fn(() => ({ networkId: 'testnet' })),
+}));
+
+jest.unstable_mockModule('./deployments.js', () => ({
+  recordDeployment: jest.fn(),
+}));
+
+jest.unstable_mockModule('./graphql-client.js', () => {
+  const sendGraphQL = jest.fn();
+  return {
+    sendGraphQL,
+    sendZkapp: (graphQlUrl, _zkappCommandJson, options) =>
+      sendGraphQL(graphQlUrl, 'mutation', options),
+  };
+});
+
+let findPrefix,
+  readDeployAliasesConfig,
+  checkChainId,
+  checkInstalledCliVersion,
+  checkMainnetGuardRails,
+  chooseDeployAlias,
+  chooseGraphQlEndpoint,
+  confirmTransaction,
+  generateVerificationKey,
+  importO1js,
+  sendGraphQLWithFallback,
+  setActiveNetwork,
+  recordDeployment,
+  sendGraphQL,
+  o1js;
+
+beforeAll(async () => {
+  findPrefix = (await import('find-npm-prefix')).default;
+  ({ readDeployAliasesConfig } = await import('./helpers.js'));
+  ({
+    checkChainId,
+    checkInstalledCliVersion,
+    checkMainnetGuardRails,
+    chooseDeployAlias,
+    chooseGraphQlEndpoint,
+    confirmTransaction,
+    generateVerificationKey,
+    importO1js,
+    sendGraphQLWithFallback,
+    setActiveNetwork,
+  } = await import('./deploy.js'));
+  ({ recordDeployment } = await import('./deployments.js'));
+  ({ sendGraphQL } = await import('./graphql-client.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.console = {
+    log: jest.fn(),
+    error: jest.fn(),
+  };
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+  findPrefix.mockResolvedValue('/project/root');
+  chooseDeployAlias.mockImplementation(async (_, alias) => alias);
+  confirmTransaction.mockResolvedValue(true);
+  checkInstalledCliVersion.mockResolvedValue('0.1.0');
+  generateVerificationKey.mockResolvedValue({
+    verificationKey: { data: 'vkData', hash: 'newHash' },
+    isCached: false,
+  });
+  o1js = {
+    PrivateKey: {
+      fromBase58: jest.fn((key) => ({
+        toPublicKey: () => ({ toBase58: () => `${key}-address` }),
+      })),
+    },
+    Mina: {
+      transaction: jest.fn(async () => ({
+        sign: jest.fn(() => ({ toJSON: () => '{"kind":"zkAppTxn"}' })),
+      })),
+    },
+    AccountUpdate: {},
+    Field: jest.fn(),
+  };
+  importO1js.mockResolvedValue(o1js);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('upgrade.js', () => {
+  describe('upgrade()', () => {
+    it('should send the verification key update if it changed', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Signature' });
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(o1js.Mina.transaction).toHaveBeenCalledWith(
+        {
+          sender: expect.anything(),
+          fee: '100000000',
+        },
+        expect.any(Function)
+      );
+      const tx = await o1js.Mina.transaction.mock.results[0].value;
+      expect(tx.sign).toHaveBeenCalledWith([
+        expect.anything(),
+        expect.anything(),
+      ]);
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          [
+            'bold: zkApp',
+            'reset: Smart contract: Add\nAccount       : keys/devnet.json-address\nOld VK hash   : oldHash\nNew VK hash   : newHash',
+          ],
+        ]),
+        true,
+        undefined
+      );
+      expect(sendGraphQL).toHaveBeenCalledWith(
+        'http://test.url',
+        'zkAppAccountQuery',
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(sendGraphQL).toHaveBeenLastCalledWith(
+        'http://test.url',
+        'mutation',
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(recordDeployment).toHaveBeenCalledWith('/project/root', 'devnet', {
+        contractName: 'Add',
+        verificationKeyHash: 'newHash',
+        zkAppAddress: 'keys/devnet.json-address',
+        txnHash: 'txnHash',
+        cliVersion: '0.1.0',
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Success! Upgrade transaction sent.')
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should send the transaction through the fallback endpoints', async () => {
+      mockConfig({
+        smartContract: 'Add',
+        keyPath: 'keys/devnet.json',
+        fallbackUrls: ['http://fallback1.url', 'http://fallback2.url'],
+      });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Signature' });
+      chooseGraphQlEndpoint.mockResolvedValueOnce('http://fallback1.url');
+      sendGraphQLWithFallback.mockImplementationOnce(
+        async (graphQlUrls, request, checkFallbackEndpoint) => {
+          await checkFallbackEndpoint(graphQlUrls[1]);
+          return {
+            response: await request(graphQlUrls[1]),
+            graphQlUrl: graphQlUrls[1],
+          };
+        }
+      );
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(setActiveNetwork).toHaveBeenCalledWith(
+        '/project/root',
+        o1js.Mina,
+        expect.objectContaining({ url: 'http://test.url' }),
+        'http://fallback1.url'
+      );
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.arrayContaining([['bold: URL', 'reset: http://fallback1.url']]),
+        true,
+        undefined
+      );
+      expect(sendGraphQLWithFallback).toHaveBeenCalledWith(
+        ['http://fallback1.url', 'http://fallback2.url'],
+        expect.any(Function),
+        expect.any(Function)
+      );
+      expect(checkChainId).toHaveBeenLastCalledWith(
+        'devnet',
+        expect.objectContaining({ feepayerAlias: 'feepayer' }),
+        'http://fallback2.url'
+      );
+      expect(sendGraphQL).toHaveBeenLastCalledWith(
+        'http://fallback2.url',
+        'mutation',
+        { headers: { 'X-Api-Key': 'apiKey' } }
+      );
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should only sign with the fee payer if no signature is required', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'None' });
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      const tx = await o1js.Mina.transaction.mock.results[0].value;
+      expect(tx.sign).toHaveBeenCalledWith([expect.anything()]);
+    });
+
+    it('should skip smart contracts with the up to date verification key', async () => {
+      mockConfig({
+        deployPlan: [
+          { smartContract: 'Token', keyPath: 'keys/token.json' },
+          { smartContract: 'Vault', keyPath: 'keys/vault.json' },
+        ],
+      });
+      generateVerificationKey.mockResolvedValue({
+        verificationKey: { data: 'vkData', hash: 'sameHash' },
+        isCached: true,
+      });
+      mockZkAppAccount({ hash: 'sameHash', auth: 'Signature' });
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await upgrade({ alias: 'devnet', yes: true });
+
+      expect(console.log).toHaveBeenCalledWith(
+        '  The Token verification key is already up to date on chain.'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        '  The Vault verification key is already up to date on chain.'
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Nothing to upgrade.')
+      );
+      expect(o1js.Mina.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should exit if the permissions require a proof', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Proof' });
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Add a smart contract method that sets the verification key and call it instead.'
+        )
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit if the verification key can never be changed', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Impossible' });
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'The verification key of this zkApp account can never be changed.'
+        )
+      );
+    });
+
+    it('should not send the transaction if not confirmed', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Signature' });
+      confirmTransaction.mockResolvedValue(false);
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await upgrade({ alias: 'devnet', yes: false });
+
+      expect(sendGraphQL).not.toHaveBeenCalledWith(
+        'http://test.url',
+        'mutation'
+      );
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should run the mainnet guard rails before sending the transaction', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Signature' });
+      checkMainnetGuardRails.mockResolvedValueOnce(true);
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(
+        upgrade({ alias: 'devnet', yes: true, allowMainnet: true })
+      ).rejects.toThrow('process.exit');
+
+      expect(checkMainnetGuardRails).toHaveBeenCalledWith({
+        alias: 'devnet',
+        deployAlias: expect.objectContaining({ feepayerAlias: 'feepayer' }),
+        yes: true,
+        allowMainnet: true,
+      });
+      expect(checkChainId).toHaveBeenCalledWith(
+        'devnet',
+        expect.objectContaining({ feepayerAlias: 'feepayer' }),
+        'http://test.url'
+      );
+      expect(confirmTransaction).toHaveBeenCalledWith(
+        expect.any(Array),
+        true,
+        'devnet'
+      );
+    });
+
+    it('should exit in case of the transaction error', async () => {
+      mockConfig({ smartContract: 'Add', keyPath: 'keys/devnet.json' });
+      mockZkAppAccount({ hash: 'oldHash', auth: 'Signature' });
+      sendGraphQL.mockImplementation(async (_, query) =>
+        query === 'mutation'
+          ? { kind: 'error' }
+          : {
+              data: {
+                account: {
+                  verificationKey: { hash: 'oldHash' },
+                  permissions: { setVerificationKey: { auth: 'Signature' } },
+                },
+              },
+            }
+      );
+      const { default: upgrade } = await import('./upgrade.js');
+
+      await expect(upgrade({ alias: 'devnet', yes: true })).rejects.toThrow(
+        'process.exit'
+      );
+
+      expect(console.log).toHaveBeenCalledWith(
+        'red: Failed to send transaction.'
+      );
+      expect(recordDeployment).not.toHaveBeenCalled();
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('getDeployedContracts()', () => {
+    it('should return the deploy plan smart contracts', async () => {
+      const { getDeployedContracts } = await import('./upgrade.js');
+
+      const result = getDeployedContracts(
+        {
+          deployAliases: {
+            devnet: {
+              deployPlan: [{ smartContract: 'Token', keyPath: 'keys/t.json' }],
+            },
+          },
+        },
+        'devnet'
+      );
+
+      expect(result).toEqual([
+        { contractName: 'Token', keyPath: 'keys/t.json' },
+      ]);
+    });
+
+    it('should exit if nothing was deployed to the deploy alias', async () => {
+      const { getDeployedContracts } = await import('./upgrade.js');
+
+      expect(() =>
+        getDeployedContracts({ deployAliases: { devnet: {} } }, 'devnet')
+      ).toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Run `zk deploy devnet` to deploy it first.')
+      );
+    });
+  });
+
+  describe('fetchZkAppAccount()', () => {
+    it('should exit if the zkApp account is not found', async () => {
+      sendGraphQL.mockResolvedValue({ data: { account: null } });
+      const { fetchZkAppAccount } = await import('./upgrade.js');
+
+      await expect(
+        fetchZkAppAccount('http://test.url', 'Add', 'B62q')
+      ).rejects.toThrow('process.exit');
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Failed to find the Add zkApp account on chain.'
+        )
+      );
+    });
+  });
+});
+
+function mockConfig(deployAlias) {
+  readDeployAliasesConfig.mockReturnValue({
+    deployAliases: {
+      devnet: {
+        url: 'http://test.url',
+        feepayerKeyPath: '/keys/feepayer.json',
+        feepayerAlias: 'feepayer',
+        fee: '0.1',
+        ...deployAlias,
+      },
+    },
+  });
+}
+
+function mockZkAppAccount({ hash, auth }) {
+  sendGraphQL.mockImplementation(async (_, query) =>
+    query === 'mutation'
+      ? { data: { sendZkapp: { zkapp: { hash: 'txnHash' } } } }
+      : {
+          data: {
+            account: {
+              verificationKey: { hash },
+              permissions: { setVerificationKey: { auth } },
+            },
+          },
+        }
+  );
+}